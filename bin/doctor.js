@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks an auth folder for what would keep it from connecting, and prints what to do about it.
+ *
+ *   borutowaileys-doctor [auth folder] [--online] [--probe] [--json] [--timeout <ms>]
+ *
+ * Exits with 1 when a problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { diagnose, formatDiagnosticReport, listAuthFolderKeys, useMultiFileAuthState } = require('../lib/Utils');
+
+const USAGE = `Usage: borutowaileys-doctor [auth folder] [options]
+
+Checks the credentials and keys in the auth folder (default ./auth).
+
+Options:
+  --online         also compare the client version and the clock with WhatsApp
+  --probe          also log in and query the server (stop the app using this folder first)
+  --json           print the report as JSON
+  --timeout <ms>   how long the probe waits to log in (default 30000)
+  -h, --help       show this help`;
+
+const parseArgs = (args) => {
+  const options = { folder: './auth', online: false, probe: false, json: false, probeTimeoutMs: 30000 };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--online':
+        options.online = true;
+        break;
+      case '--probe':
+        options.probe = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--timeout':
+        options.probeTimeoutMs = +args[++i];
+        if (!(options.probeTimeoutMs > 0)) {
+          throw new Error('--timeout needs a number of milliseconds');
+        }
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.folder = arg;
+    }
+  }
+
+  return options;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const folder = path.resolve(options.folder);
+  const credsFile = path.join(folder, 'creds.json');
+  // useMultiFileAuthState would create the folder & start a new session, so these are checked first
+  if (!fs.existsSync(credsFile)) {
+    console.error(`No creds.json in ${folder}, is this an auth folder?`);
+    return 1;
+  }
+
+  try {
+    JSON.parse(fs.readFileSync(credsFile, 'utf-8'));
+  } catch (error) {
+    console.error(`${credsFile} is corrupt (${error.message}); restore it from a backup, or delete the folder and link the device again`);
+    return 1;
+  }
+
+  const { state, saveCreds } = await useMultiFileAuthState(folder);
+  const { keys, unknownFiles } = await listAuthFolderKeys(folder);
+  const report = await diagnose(state, {
+    keyIds: keys,
+    online: options.online,
+    probe: options.probe,
+    probeTimeoutMs: options.probeTimeoutMs,
+    saveCreds
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ folder, unknownFiles, ...report }, null, 2));
+  } else {
+    console.log(`Auth folder: ${folder}`);
+    if (unknownFiles.length) {
+      console.log(`Ignored ${unknownFiles.length} unknown file(s): ${unknownFiles.join(', ')}`);
+    }
+    console.log(formatDiagnosticReport(report));
+  }
+
+  return report.ok ? 0 : 1;
+};
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+    // the probe's socket may leave timers behind, don't wait on them
+    setTimeout(() => process.exit(code), 1000).unref();
+  },
+  (error) => {
+    console.error('Diagnostics failed:', error);
+    process.exit(1);
+  }
+);
@@ -13,6 +13,7 @@ const ProtocolRegistry = require('./registry');
 const ProtocolMonitor = require('./monitor');
 const VersionDetector = require('./version-detector');
 const ProtocolUpdater = require('./updater');
+const AdapterLoader = require('./loader');
 
 /**
  * Protocol adapter for handling WhatsApp protocol changes
@@ -41,7 +42,8 @@ class ProtocolAdapter extends EventEmitter {
     
     this.versionDetector = new VersionDetector({
       useMockVersion: options.useMockVersion || false,
-      userAgent: this.options.userAgent
+      userAgent: this.options.userAgent,
+      ...options.versionDetection
     });
     
     this.monitor = new ProtocolMonitor({
@@ -50,14 +52,23 @@ class ProtocolAdapter extends EventEmitter {
       runtimeChecksEnabled: this.options.enableRuntimeChecks,
       errorThreshold: this.options.errorThreshold,
       useMockVersion: options.useMockVersion || false,
-      userAgent: this.options.userAgent
+      userAgent: this.options.userAgent,
+      versionDetection: options.versionDetection
     });
     
     this.updater = new ProtocolUpdater({
       registry: this.registry,
-      monitor: this.monitor
+      monitor: this.monitor,
+      minHealthScore: this.options.minHealthScore
     });
     
+    this.loader = null;
+    if (this.options.configPath) {
+      this.loader = AdapterLoader.fromConfig(this.options.configPath, this.registry);
+    } else if (this.options.adapters) {
+      this.loader = new AdapterLoader({ registry: this.registry, ...this.options.adapters });
+    }
+    
     this.currentVersion = null;
     this.featureCache = {};
     
@@ -89,6 +100,19 @@ class ProtocolAdapter extends EventEmitter {
       this.featureCache = {}; // Clear cache when adapters are updated
       this.emit('adapter:updated', featureId, oldImplementation, newImplementation);
     });
+    
+    this.updater.on('adapter:rolled_back', (featureId, failedAdapter, restoredAdapter) => {
+      this.emit('adapter:rolled_back', featureId, failedAdapter, restoredAdapter);
+    });
+    
+    this.loader?.on('adapters:reloaded', (adapterIds) => {
+      this._refreshAdapters();
+      this.emit('adapters:loaded', adapterIds);
+    });
+    
+    this.loader?.on('adapter:invalid', (file, error) => {
+      this.emit('adapter:invalid', file, error);
+    });
   }
   
   /**
@@ -107,6 +131,10 @@ class ProtocolAdapter extends EventEmitter {
       // Initialize protocol updater
       this.updater.initialize(this.currentVersion);
       
+      if (this.loader) {
+        this.loadAdapters();
+      }
+      
       return this.currentVersion;
     } catch (error) {
       this.errorReporter.reportError(
@@ -125,9 +153,47 @@ class ProtocolAdapter extends EventEmitter {
   shutdown() {
     this.monitor.stop();
     this.updater.shutdown();
+    this.loader?.close();
     this.featureCache = {};
   }
   
+  /**
+   * Load (or reload) the adapters from the configured directories & modules.
+   * Features switch to the loaded adapters when they are a better match for the current version
+   * @returns {string[]} IDs of the loaded adapters
+   */
+  loadAdapters() {
+    if (!this.loader) {
+      throw new Error('No adapter directories or modules configured');
+    }
+    
+    const adapterIds = this.loader.load();
+    this._refreshAdapters();
+    this.emit('adapters:loaded', adapterIds);
+    
+    return adapterIds;
+  }
+  
+  /**
+   * Get the health of the adapters used so far
+   * @returns {Object.<string, { score: number, successes: number, failures: number, lastFailure: number|null }>}
+   *   Health by adapter ID
+   */
+  getAdapterHealth() {
+    return this.monitor.getAllAdapterHealth();
+  }
+  
+  /**
+   * Re-select the adapters after the registered ones changed
+   * @private
+   */
+  _refreshAdapters() {
+    this.featureCache = {};
+    if (this.currentVersion) {
+      this.updater.updateAdaptersForVersion(this.currentVersion);
+    }
+  }
+  
   /**
    * Register a protocol adapter implementation
    * @param {import('./types').AdapterImplementation} adapter - The adapter to register
@@ -150,6 +216,16 @@ class ProtocolAdapter extends EventEmitter {
    * @returns {Object} The implementation for this feature
    */
   getFeatureImplementation(featureId) {
+    return this._getFeature(featureId).implementation;
+  }
+  
+  /**
+   * Get the implementation for a feature, with the adapter it comes from
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @returns {{ adapterId: string, implementation: Object }} The cached implementation
+   */
+  _getFeature(featureId) {
     if (!this.currentVersion) {
       throw new Error('Protocol adapter not initialized');
     }
@@ -160,12 +236,19 @@ class ProtocolAdapter extends EventEmitter {
     }
     
     try {
-      const implementation = this.registry.getImplementation(featureId, this.currentVersion);
+      // The updater picks the adapter, it may have switched away from the registry's choice
+      const adapter = this.updater.getAdapter(featureId, this.currentVersion);
+      if (!adapter) {
+        throw new Error(`No implementation found for feature ${featureId} and version ${this.currentVersion.fullVersion}`);
+      }
       
       // Cache the implementation
-      this.featureCache[featureId] = implementation;
+      this.featureCache[featureId] = {
+        adapterId: adapter.id,
+        implementation: adapter.moduleFactory()
+      };
       
-      return implementation;
+      return this.featureCache[featureId];
     } catch (error) {
       this.errorReporter.reportError(
         error,
@@ -185,17 +268,19 @@ class ProtocolAdapter extends EventEmitter {
    * @returns {Promise<any>} Result of the method call
    */
   async executeFeature(featureId, methodName, ...args) {
+    let adapterId;
     try {
-      const implementation = this.getFeatureImplementation(featureId);
+      const feature = this._getFeature(featureId);
+      adapterId = feature.adapterId;
       
-      if (!implementation[methodName]) {
+      if (!feature.implementation[methodName]) {
         throw new Error(`Method ${methodName} not found in feature ${featureId}`);
       }
       
-      const result = await implementation[methodName](...args);
+      const result = await feature.implementation[methodName](...args);
       
       // Report success
-      this.monitor.reportFeatureSuccess(featureId);
+      this.monitor.reportFeatureSuccess(featureId, adapterId);
       
       return result;
     } catch (error) {
@@ -204,19 +289,23 @@ class ProtocolAdapter extends EventEmitter {
         const thresholdReached = this.monitor.reportRuntimeError(
           error,
           featureId,
-          { methodName, args }
+          { methodName, args, adapterId }
         );
         
         if (thresholdReached) {
-          // If threshold reached, try to adapt immediately
-          await this.updater.checkForUpdates();
+          // The updater has switched adapters if it could; otherwise a new version may bring one
+          if (this._getFeature(featureId).adapterId === adapterId) {
+            await this.updater.checkForUpdates();
+          }
           
           // Try one more time with potentially updated implementation
           this.featureCache = {}; // Clear cache
-          const implementation = this.getFeatureImplementation(featureId);
+          const feature = this._getFeature(featureId);
           
-          if (implementation[methodName]) {
-            return implementation[methodName](...args);
+          if (feature.implementation[methodName]) {
+            const result = await feature.implementation[methodName](...args);
+            this.monitor.reportFeatureSuccess(featureId, feature.adapterId);
+            return result;
           }
         }
       }
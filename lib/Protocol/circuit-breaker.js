@@ -0,0 +1,306 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops calling a feature that keeps failing, and probes it again after a cool-down.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const { Boom } = require('@hapi/boom');
+const Logger = require('../Utils/logger');
+const ProtocolMonitor = require('./monitor');
+
+/**
+ * Circuit states
+ * @enum {string}
+ */
+const CircuitState = {
+  /** Calls go through, failures are counted */
+  CLOSED: 'closed',
+  /** Calls are rejected (or answered by the fallback) until the cool-down is over */
+  OPEN: 'open',
+  /** A few trial calls go through; one success closes the circuit, a failure opens it again */
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Socket methods wrapped by `wrapSocket`, and the feature each one counts towards
+ */
+const DEFAULT_SOCKET_FEATURES = {
+  sendMessage: 'sendMessage',
+  groupMetadata: 'groupMetadata',
+  onWhatsApp: 'onWhatsApp',
+  profilePictureUrl: 'getProfile',
+  fetchStatus: 'getProfile'
+};
+
+// Errors that mean the server or the connection is in trouble; other errors are answers (eg. 404 item-not-found)
+const FAILURE_STATUS_CODES = [408, 428, 429];
+
+/**
+ * Per-feature circuit breaker.
+ * Failures are reported to a ProtocolMonitor as connection errors, whose per-feature count opens the circuit.
+ * They are kept apart from its protocol errors: a feature timing out is not the protocol changing
+ * @extends EventEmitter
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * Create a new circuit breaker
+   * @param {Object} options - Circuit breaker options
+   * @param {Object} [options.monitor] - Protocol monitor to report failures to, eg. the one of a ProtocolAdapter
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs=30000] - How long the circuit stays open before trial calls
+   * @param {number} [options.halfOpenMaxCalls=1] - Trial calls allowed at once while half-open
+   * @param {Function} [options.fallback] - Called with (featureId, args, error) instead of rejecting while the circuit is open
+   * @param {Function} [options.isFailure] - Whether an error counts as a failure, defaults to timeouts, closed connections, rate limits & server errors
+   * @param {Object.<string, Object>} [options.features] - Per feature overrides of failureThreshold, cooldownMs, halfOpenMaxCalls & fallback
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      failureThreshold: 5,
+      cooldownMs: 30000,
+      halfOpenMaxCalls: 1,
+      isFailure: CircuitBreaker.isFailure,
+      features: {},
+      ...options
+    };
+
+    // Only used to report & count failures; it is not started
+    this.monitor = this.options.monitor || new ProtocolMonitor({ errorThreshold: Infinity });
+    this.logger = new Logger('CircuitBreaker');
+    this.circuits = {};
+  }
+
+  /**
+   * Default failure check: errors without a status code, timeouts, closed connections, rate limits & server errors
+   * @param {Error} error - The error thrown by the call
+   * @returns {boolean} Whether the error counts as a failure
+   */
+  static isFailure(error) {
+    const statusCode = error?.output?.statusCode;
+    return !statusCode || statusCode >= 500 || FAILURE_STATUS_CODES.includes(statusCode);
+  }
+
+  /**
+   * Run a call through the feature's circuit
+   * @param {string} featureId - ID of the feature
+   * @param {Function} fn - The call
+   * @param {Array} [args=[]] - Arguments for the call
+   * @returns {Promise<any>} Result of the call, or of the fallback while the circuit is open
+   */
+  async execute(featureId, fn, args = []) {
+    const circuit = this._getCircuit(featureId);
+    const options = this._getOptions(featureId);
+
+    if (circuit.state === CircuitState.OPEN && Date.now() >= circuit.retryAt) {
+      this._transition(featureId, CircuitState.HALF_OPEN);
+    }
+
+    if (circuit.state === CircuitState.OPEN ||
+        (circuit.state === CircuitState.HALF_OPEN && circuit.trialCalls >= options.halfOpenMaxCalls)) {
+      return this._reject(featureId, args);
+    }
+
+    const isTrial = circuit.state === CircuitState.HALF_OPEN;
+    if (isTrial) {
+      circuit.trialCalls++;
+    }
+
+    try {
+      const result = await fn(...args);
+      this._onSuccess(featureId);
+      return result;
+    } catch (error) {
+      if (options.isFailure(error)) {
+        this._onFailure(featureId, error);
+      } else {
+        // The feature answered, it just wasn't what the caller hoped for
+        this._onSuccess(featureId);
+      }
+
+      throw error;
+    } finally {
+      if (isTrial) {
+        circuit.trialCalls--;
+      }
+    }
+  }
+
+  /**
+   * Wrap a function so its calls go through the feature's circuit
+   * @param {string} featureId - ID of the feature
+   * @param {Function} fn - The function to wrap
+   * @returns {Function} The wrapped function
+   */
+  wrap(featureId, fn) {
+    return (...args) => this.execute(featureId, fn, args);
+  }
+
+  /**
+   * Put the socket's methods behind circuits, in place. Calls made by the socket itself are not affected
+   * @param {Object} sock - Socket created by makeWASocket
+   * @param {Object.<string, string>} [features=DEFAULT_SOCKET_FEATURES] - Feature ID by method name
+   * @returns {Object} The socket
+   */
+  wrapSocket(sock, features = DEFAULT_SOCKET_FEATURES) {
+    for (const [method, featureId] of Object.entries(features)) {
+      if (typeof sock[method] === 'function') {
+        sock[method] = this.wrap(featureId, sock[method]);
+      }
+    }
+
+    return sock;
+  }
+
+  /**
+   * Get the state of a feature's circuit
+   * @param {string} featureId - ID of the feature
+   * @returns {{ state: CircuitState, failures: number, openedAt: number|null, retryAt: number|null }} Circuit state
+   */
+  getState(featureId) {
+    const circuit = this._getCircuit(featureId);
+    return {
+      state: circuit.state,
+      failures: this.monitor.getConnectionErrorCount(featureId),
+      openedAt: circuit.openedAt,
+      retryAt: circuit.retryAt
+    };
+  }
+
+  /**
+   * Get the state of every circuit used so far
+   * @returns {Object.<string, Object>} Circuit state by feature ID
+   */
+  getStates() {
+    return Object.fromEntries(
+      Object.keys(this.circuits).map(featureId => [featureId, this.getState(featureId)])
+    );
+  }
+
+  /**
+   * Close a feature's circuit by hand, clearing its error count
+   * @param {string} featureId - ID of the feature
+   */
+  reset(featureId) {
+    this.monitor.resetConnectionErrors(featureId);
+    this._transition(featureId, CircuitState.CLOSED);
+  }
+
+  /**
+   * Reject a call while the circuit is open, or answer it with the fallback
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @param {Array} args - Arguments of the call
+   * @returns {Promise<any>} Result of the fallback
+   */
+  async _reject(featureId, args) {
+    const circuit = this._getCircuit(featureId);
+    const { fallback } = this._getOptions(featureId);
+    const error = new Boom(`Circuit open for feature ${featureId}`, {
+      statusCode: 503,
+      data: { featureId, state: circuit.state, retryAt: circuit.retryAt }
+    });
+
+    this.emit('call:rejected', featureId, error);
+
+    if (fallback) {
+      return fallback(featureId, args, error);
+    }
+
+    throw error;
+  }
+
+  /**
+   * Record a successful call
+   * @private
+   * @param {string} featureId - ID of the feature
+   */
+  _onSuccess(featureId) {
+    this.monitor.resetConnectionErrors(featureId);
+
+    if (this._getCircuit(featureId).state !== CircuitState.CLOSED) {
+      this._transition(featureId, CircuitState.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed call, opening the circuit when the threshold is reached or a trial call failed
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @param {Error} error - The error thrown by the call
+   */
+  _onFailure(featureId, error) {
+    const statusCode = error?.output?.statusCode;
+    const failures = this.monitor.reportConnectionError(error, featureId, { source: 'circuit-breaker', statusCode });
+
+    const circuit = this._getCircuit(featureId);
+    if (circuit.state === CircuitState.HALF_OPEN || failures >= this._getOptions(featureId).failureThreshold) {
+      this._transition(featureId, CircuitState.OPEN, error);
+    }
+  }
+
+  /**
+   * Move a circuit to another state
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @param {CircuitState} state - New state
+   * @param {Error} [error] - Failure that opened the circuit
+   */
+  _transition(featureId, state, error) {
+    const circuit = this._getCircuit(featureId);
+    const oldState = circuit.state;
+
+    circuit.state = state;
+    if (state === CircuitState.OPEN) {
+      circuit.openedAt = Date.now();
+      circuit.retryAt = circuit.openedAt + this._getOptions(featureId).cooldownMs;
+    } else if (state === CircuitState.CLOSED) {
+      circuit.openedAt = null;
+      circuit.retryAt = null;
+    }
+
+    if (oldState !== state) {
+      const log = state === CircuitState.OPEN ? 'warn' : 'info';
+      this.logger[log](`Circuit for feature ${featureId}: ${oldState} -> ${state}`);
+      this.emit('state:changed', featureId, oldState, state, error);
+    }
+  }
+
+  /**
+   * Get a feature's circuit, creating it closed
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @returns {Object} The circuit
+   */
+  _getCircuit(featureId) {
+    if (!this.circuits[featureId]) {
+      this.circuits[featureId] = {
+        state: CircuitState.CLOSED,
+        openedAt: null,
+        retryAt: null,
+        trialCalls: 0
+      };
+    }
+
+    return this.circuits[featureId];
+  }
+
+  /**
+   * Get the options for a feature, with its overrides applied
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @returns {Object} Options
+   */
+  _getOptions(featureId) {
+    return { ...this.options, ...this.options.features[featureId] };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitState,
+  DEFAULT_SOCKET_FEATURES
+};
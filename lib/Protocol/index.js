@@ -11,6 +11,8 @@ const ProtocolMonitor = require('./monitor');
 const ProtocolRegistry = require('./registry');
 const VersionDetector = require('./version-detector');
 const ProtocolUpdater = require('./updater');
+const AdapterLoader = require('./loader');
+const { CircuitBreaker, CircuitState, DEFAULT_SOCKET_FEATURES } = require('./circuit-breaker');
 const WhatsAppClient = require('./whatsapp-client');
 
 /**
@@ -40,6 +42,10 @@ module.exports = {
   ProtocolRegistry,
   VersionDetector,
   ProtocolUpdater,
+  AdapterLoader,
+  CircuitBreaker,
+  CircuitState,
+  DEFAULT_SOCKET_FEATURES,
   WhatsAppClient,
   createProtocolSystem
 };
\ No newline at end of file
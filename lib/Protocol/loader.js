@@ -0,0 +1,310 @@
+/**
+ * Protocol Adapter Loader
+ *
+ * Loads protocol adapters from directories and modules, and reloads them when they change.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../Utils/logger');
+const { ErrorReporter, ErrorType } = require('../Utils/error-reporter');
+const VersionDetector = require('./version-detector');
+
+// Module files picked up from adapter directories
+const ADAPTER_FILE_EXTENSIONS = ['.js', '.cjs'];
+
+/**
+ * Loads adapter modules into a registry.
+ * An adapter module exports an adapter (or a list of adapters) in the same shape as `registerAdapter` takes
+ * @extends EventEmitter
+ */
+class AdapterLoader extends EventEmitter {
+  /**
+   * Create a new adapter loader
+   * @param {Object} options - Loader options
+   * @param {Object} options.registry - Protocol registry to load the adapters into
+   * @param {string[]} [options.directories=[]] - Directories whose modules are all adapters
+   * @param {string[]} [options.modules=[]] - Adapter module paths or package names
+   * @param {string} [options.baseDir=process.cwd()] - Directory relative paths are resolved from
+   * @param {boolean} [options.watch=false] - Reload the adapters when files in the directories change
+   * @param {number} [options.watchDebounce=200] - Delay before reloading after a change (in ms)
+   */
+  constructor({ registry, ...options }) {
+    super();
+
+    if (!registry) {
+      throw new Error('Registry is required');
+    }
+
+    this.registry = registry;
+    this.options = {
+      directories: [],
+      modules: [],
+      baseDir: process.cwd(),
+      watch: false,
+      watchDebounce: 200,
+      ...options
+    };
+
+    this.logger = new Logger('AdapterLoader');
+    this.errorReporter = new ErrorReporter();
+    this.loadedAdapters = {};
+    this.watchers = [];
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Create a loader from the `adapters` section of a protocol config file.
+   * Relative paths in the config are resolved from the config file's directory
+   * @param {string} configPath - Path to the config file (see config/protocol-config.json)
+   * @param {Object} registry - Protocol registry to load the adapters into
+   * @returns {AdapterLoader} The loader
+   */
+  static fromConfig(configPath, registry) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    return new AdapterLoader({
+      registry,
+      baseDir: path.dirname(path.resolve(configPath)),
+      ...config.adapters
+    });
+  }
+
+  /**
+   * Validate an adapter manifest, and normalize its target version
+   * @param {Object} adapter - The adapter, as exported by its module
+   * @returns {import('./types').AdapterImplementation} The adapter, with `targetVersion` as an object
+   * @throws {Error} Listing every problem found
+   */
+  static validateManifest(adapter) {
+    const problems = [];
+
+    if (!adapter || typeof adapter !== 'object') {
+      throw new Error('Invalid adapter manifest: not an object');
+    }
+
+    if (typeof adapter.id !== 'string' || !adapter.id) {
+      problems.push('"id" must be a non-empty string');
+    }
+
+    let targetVersion = adapter.targetVersion;
+    try {
+      if (typeof targetVersion === 'string') {
+        targetVersion = VersionDetector.parseVersionString(targetVersion);
+      } else if (targetVersion && typeof targetVersion === 'object') {
+        targetVersion = {
+          ...targetVersion,
+          fullVersion: targetVersion.fullVersion || `${targetVersion.major}.${targetVersion.minor}.${targetVersion.patch}`
+        };
+      }
+
+      const { major, minor, patch } = targetVersion || {};
+      if (![major, minor, patch].every(Number.isInteger)) {
+        problems.push('"targetVersion" must be a version string or have integer major, minor & patch');
+      } else if (targetVersion.fullVersion !== `${major}.${minor}.${patch}`) {
+        problems.push(`"targetVersion.fullVersion" (${targetVersion.fullVersion}) does not match ${major}.${minor}.${patch}`);
+      }
+    } catch (error) {
+      problems.push(`"targetVersion" is invalid: ${error.message}`);
+    }
+
+    if (!Array.isArray(adapter.implementsFeatures) || !adapter.implementsFeatures.length ||
+        !adapter.implementsFeatures.every(featureId => typeof featureId === 'string' && featureId)) {
+      problems.push('"implementsFeatures" must be a non-empty list of feature IDs');
+    }
+
+    if (typeof adapter.moduleFactory !== 'function') {
+      problems.push('"moduleFactory" must be a function');
+    }
+
+    if (problems.length) {
+      throw new Error(`Invalid adapter manifest${adapter.id ? ` ${adapter.id}` : ''}: ${problems.join('; ')}`);
+    }
+
+    return { ...adapter, targetVersion };
+  }
+
+  /**
+   * Load (or reload) every configured adapter.
+   * Adapters that were loaded before but are gone now are unregistered
+   * @returns {string[]} IDs of the loaded adapters
+   */
+  load() {
+    const files = [
+      ...this.options.directories.flatMap(directory => this._listDirectory(this._resolvePath(directory))),
+      ...this.options.modules.map(modulePath => this._resolveModule(modulePath)).filter(Boolean)
+    ];
+
+    const loadedAdapters = {};
+    for (const file of files) {
+      loadedAdapters[file] = this._loadModule(file);
+    }
+
+    const loadedIds = Object.values(loadedAdapters).flat();
+    for (const id of Object.values(this.loadedAdapters).flat()) {
+      if (!loadedIds.includes(id)) {
+        this.registry.unregisterAdapter(id);
+        this.logger.info(`Unloaded adapter ${id}`);
+      }
+    }
+
+    this.loadedAdapters = loadedAdapters;
+
+    if (this.options.watch && !this.watchers.length) {
+      this._watch();
+    }
+
+    this.logger.info(`Loaded ${loadedIds.length} protocol adapter(s) from ${files.length} module(s)`);
+    return loadedIds;
+  }
+
+  /**
+   * Stop watching for changes
+   */
+  close() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+
+    this.watchers = [];
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load the adapters of a module into the registry
+   * @private
+   * @param {string} file - Resolved module path
+   * @returns {string[]} IDs of the adapters registered
+   */
+  _loadModule(file) {
+    const ids = [];
+
+    try {
+      // Drop the cached module, so changes are picked up on reload
+      delete require.cache[file];
+      const exported = require(file);
+      const adapters = [].concat(exported && exported.default ? exported.default : exported);
+
+      for (const exportedAdapter of adapters) {
+        try {
+          const adapter = AdapterLoader.validateManifest(exportedAdapter);
+          this.registry.registerAdapter(adapter);
+          ids.push(adapter.id);
+        } catch (error) {
+          this._reportInvalid(error, file);
+        }
+      }
+    } catch (error) {
+      this._reportInvalid(error, file);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Report an adapter that could not be loaded; the other adapters still load
+   * @private
+   * @param {Error} error - Why it could not be loaded
+   * @param {string} file - Module it came from
+   */
+  _reportInvalid(error, file) {
+    this.errorReporter.reportError(
+      error,
+      ErrorType.ADAPTATION_FAILED,
+      { method: 'load', file }
+    );
+
+    this.emit('adapter:invalid', file, error);
+  }
+
+  /**
+   * List the adapter modules in a directory
+   * @private
+   * @param {string} directory - Absolute directory path
+   * @returns {string[]} Resolved module paths
+   */
+  _listDirectory(directory) {
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      this._reportInvalid(error, directory);
+      return [];
+    }
+
+    return entries
+      .filter(entry => !entry.name.startsWith('.'))
+      .filter(entry => entry.isDirectory() || ADAPTER_FILE_EXTENSIONS.includes(path.extname(entry.name)))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => this._resolveModule(path.join(directory, entry.name)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve a module path or package name
+   * @private
+   * @param {string} modulePath - Path or package name
+   * @returns {string|undefined} Resolved path, undefined if it can't be found
+   */
+  _resolveModule(modulePath) {
+    try {
+      return require.resolve(
+        modulePath.startsWith('.') ? this._resolvePath(modulePath) : modulePath,
+        { paths: [this.options.baseDir] }
+      );
+    } catch (error) {
+      this._reportInvalid(error, modulePath);
+      return undefined;
+    }
+  }
+
+  /**
+   * Resolve a path from the base directory
+   * @private
+   * @param {string} filePath - Absolute or relative path
+   * @returns {string} Absolute path
+   */
+  _resolvePath(filePath) {
+    return path.resolve(this.options.baseDir, filePath);
+  }
+
+  /**
+   * Watch the adapter directories & modules, reloading everything on change
+   * @private
+   */
+  _watch() {
+    const watched = [
+      ...this.options.directories.map(directory => this._resolvePath(directory)),
+      ...Object.keys(this.loadedAdapters).filter(file => !this.options.directories
+        .some(directory => file.startsWith(this._resolvePath(directory) + path.sep)))
+    ];
+
+    for (const target of watched) {
+      try {
+        const watcher = fs.watch(target, () => this._scheduleReload());
+        watcher.on('error', error => this.logger.warn(`Stopped watching ${target}:`, error.message));
+        this.watchers.push(watcher);
+      } catch (error) {
+        this.logger.warn(`Cannot watch ${target}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Reload once changes have settled; editors write files in several steps
+   * @private
+   */
+  _scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      const ids = this.load();
+      this.emit('adapters:reloaded', ids);
+    }, this.options.watchDebounce);
+  }
+}
+
+module.exports = AdapterLoader;
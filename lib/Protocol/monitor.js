@@ -29,6 +29,7 @@ class ProtocolMonitor extends EventEmitter {
       runtimeChecksEnabled: true,
       runtimeCheckInterval: 900000,
       errorThreshold: 5,
+      healthSmoothing: 0.2,
       ...options
     };
     
@@ -36,7 +37,8 @@ class ProtocolMonitor extends EventEmitter {
     this.errorReporter = new ErrorReporter();
     this.versionDetector = new VersionDetector({
       useMockVersion: options.useMockVersion || false,
-      userAgent: options.userAgent
+      userAgent: options.userAgent,
+      ...options.versionDetection
     });
     
     this.currentVersion = null;
@@ -44,6 +46,10 @@ class ProtocolMonitor extends EventEmitter {
     this.pollingTimer = null;
     this.runtimeCheckTimer = null;
     this.featureTestResults = {};
+    this.featureErrorCounts = {};
+    // Failures of the server or the connection, counted apart so they never trigger an adapter switch
+    this.connectionErrorCounts = {};
+    this.adapterHealth = {};
   }
   
   /**
@@ -150,7 +156,8 @@ class ProtocolMonitor extends EventEmitter {
    * @param {Error} error - The error that occurred
    * @param {string} featureId - ID of the feature that failed
    * @param {Object} [context={}] - Additional context
-   * @returns {boolean} Whether the error count has reached the threshold
+   * @param {string} [context.adapterId] - ID of the adapter that failed, to lower its health score
+   * @returns {boolean} Whether the feature's error count has reached the threshold
    */
   reportRuntimeError(error, featureId, context = {}) {
     this.errorReporter.reportError(
@@ -166,8 +173,13 @@ class ProtocolMonitor extends EventEmitter {
       timestamp: Date.now()
     };
     
-    // Check if we've hit the error threshold
-    const errorCount = this.errorReporter.getErrorCount(ErrorType.PROTOCOL_MISMATCH);
+    if (context.adapterId) {
+      this._updateAdapterHealth(context.adapterId, false);
+    }
+    
+    // Check if we've hit the error threshold, counting errors since the feature last succeeded
+    const errorCount = (this.featureErrorCounts[featureId] || 0) + 1;
+    this.featureErrorCounts[featureId] = errorCount;
     const thresholdReached = errorCount >= this.options.errorThreshold;
     
     if (thresholdReached) {
@@ -181,14 +193,113 @@ class ProtocolMonitor extends EventEmitter {
   /**
    * Report a successful feature operation
    * @param {string} featureId - ID of the feature that succeeded
+   * @param {string} [adapterId] - ID of the adapter that succeeded, to raise its health score
    */
-  reportFeatureSuccess(featureId) {
+  reportFeatureSuccess(featureId, adapterId) {
     // Reset error count for this feature
+    this.resetFeatureErrors(featureId);
     this.featureTestResults[featureId] = {
       success: true,
       lastError: null,
       timestamp: Date.now()
     };
+    
+    if (adapterId) {
+      this._updateAdapterHealth(adapterId, true);
+    }
+  }
+  
+  /**
+   * Report a failure of the server or the connection (eg. a timeout or a rate limit) while using a feature.
+   * It is reported as a connection error & counted apart from the protocol errors, so it never reaches the error threshold
+   * @param {Error} error - The error that occurred
+   * @param {string} featureId - ID of the feature that failed
+   * @param {Object} [context={}] - Additional context
+   * @returns {number} Connection errors of the feature since they were last reset
+   */
+  reportConnectionError(error, featureId, context = {}) {
+    this.errorReporter.reportError(
+      error,
+      ErrorType.CONNECTION_FAILED,
+      { featureId, ...context }
+    );
+    
+    const errorCount = (this.connectionErrorCounts[featureId] || 0) + 1;
+    this.connectionErrorCounts[featureId] = errorCount;
+    return errorCount;
+  }
+  
+  /**
+   * Get the number of connection errors reported for a feature since they were last reset
+   * @param {string} featureId - ID of the feature
+   * @returns {number} Error count
+   */
+  getConnectionErrorCount(featureId) {
+    return this.connectionErrorCounts[featureId] || 0;
+  }
+  
+  /**
+   * Reset the connection error count of a feature, eg. after a call went through
+   * @param {string} featureId - ID of the feature
+   */
+  resetConnectionErrors(featureId) {
+    delete this.connectionErrorCounts[featureId];
+  }
+  
+  /**
+   * Reset the error count of a feature, eg. after switching its adapter
+   * @param {string} featureId - ID of the feature
+   */
+  resetFeatureErrors(featureId) {
+    delete this.featureErrorCounts[featureId];
+  }
+  
+  /**
+   * Get the health of an adapter: a score from 0 (always failing) to 1 (always succeeding),
+   * weighted towards recent calls
+   * @param {string} adapterId - ID of the adapter
+   * @returns {{ score: number, successes: number, failures: number, lastFailure: number|null }|undefined}
+   *   Health of the adapter, undefined if it wasn't used yet
+   */
+  getAdapterHealth(adapterId) {
+    return this.adapterHealth[adapterId] && { ...this.adapterHealth[adapterId] };
+  }
+  
+  /**
+   * Get the health of every adapter used so far
+   * @returns {Object.<string, { score: number, successes: number, failures: number, lastFailure: number|null }>}
+   */
+  getAllAdapterHealth() {
+    return Object.fromEntries(
+      Object.entries(this.adapterHealth).map(([adapterId, health]) => [adapterId, { ...health }])
+    );
+  }
+  
+  /**
+   * Fold the outcome of a call into an adapter's health score
+   * @private
+   * @param {string} adapterId - ID of the adapter
+   * @param {boolean} success - Whether the call succeeded
+   */
+  _updateAdapterHealth(adapterId, success) {
+    const health = this.adapterHealth[adapterId] || (this.adapterHealth[adapterId] = {
+      score: 1,
+      successes: 0,
+      failures: 0,
+      lastFailure: null
+    });
+    
+    const smoothing = this.options.healthSmoothing;
+    health.score = health.score * (1 - smoothing) + (success ? smoothing : 0);
+    
+    if (success) {
+      health.successes++;
+    } else {
+      health.failures++;
+      health.lastFailure = Date.now();
+    }
+    
+    this.emit('adapter:health', adapterId, health.score);
   }
   
   /**
@@ -35,6 +35,11 @@ class ProtocolRegistry {
       throw new Error('Invalid adapter: missing required properties');
     }
     
+    // Re-registering replaces the adapter, whose target version may have changed
+    if (this.adapters[adapter.id]) {
+      this.unregisterAdapter(adapter.id);
+    }
+    
     this.adapters[adapter.id] = adapter;
     
     // Register this adapter for each feature it implements
@@ -49,6 +54,40 @@ class ProtocolRegistry {
     this.logger.debug(`Registered adapter ${adapter.id} for version ${adapter.targetVersion.fullVersion}`);
   }
   
+  /**
+   * Remove an adapter implementation
+   * @param {string} adapterId - ID of the adapter to remove
+   * @returns {boolean} Whether the adapter was registered
+   */
+  unregisterAdapter(adapterId) {
+    const adapter = this.adapters[adapterId];
+    if (!adapter) {
+      return false;
+    }
+    
+    delete this.adapters[adapterId];
+    
+    adapter.implementsFeatures.forEach(featureId => {
+      const implementations = this.featureImplementations[featureId];
+      if (implementations && implementations[adapter.targetVersion.fullVersion] === adapter) {
+        // Another adapter for the same version takes its place, if there is one
+        const replacement = Object.values(this.adapters).find(other =>
+          other.implementsFeatures.includes(featureId) &&
+          other.targetVersion.fullVersion === adapter.targetVersion.fullVersion
+        );
+        
+        if (replacement) {
+          implementations[adapter.targetVersion.fullVersion] = replacement;
+        } else {
+          delete implementations[adapter.targetVersion.fullVersion];
+        }
+      }
+    });
+    
+    this.logger.debug(`Unregistered adapter ${adapterId}`);
+    return true;
+  }
+  
   /**
    * Register a feature definition
    * @param {import('./types').ProtocolFeature} feature - The feature to register
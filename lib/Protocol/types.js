@@ -32,6 +32,10 @@
  * @property {boolean} [enableRuntimeChecks=true] - Whether to check for runtime protocol issues
  * @property {number} [errorThreshold=5] - Number of errors before triggering adaptation
  * @property {string} [userAgent='WhatsApp/2.2345.12 (Web)'] - User agent to use for requests
+ * @property {Object} [versionDetection] - Options for the VersionDetector (webClientUrl, fetchOptions, updateConnectionConfig)
+ * @property {string} [configPath] - Protocol config file to load adapters from (see config/protocol-config.json)
+ * @property {Object} [adapters] - Adapters to load, instead of a config file (directories, modules, baseDir, watch)
+ * @property {number} [minHealthScore=0.5] - Adapters with a lower health score are not switched to
  */
 
 /**
@@ -42,6 +46,8 @@
  * @property {boolean} [runtimeChecksEnabled=true] - Whether to enable runtime checks
  * @property {number} [runtimeCheckInterval=900000] - Interval for runtime checks (in ms)
  * @property {number} [errorThreshold=5] - Number of errors before triggering adaptation
+ * @property {Object} [versionDetection] - Options for the VersionDetector (webClientUrl, fetchOptions, updateConnectionConfig)
+ * @property {number} [healthSmoothing=0.2] - Weight of the latest call in an adapter's health score
  */
 
 /**
@@ -20,8 +20,9 @@ class ProtocolUpdater extends EventEmitter {
    * @param {Object} options - Options
    * @param {Object} options.registry - Protocol registry
    * @param {Object} options.monitor - Protocol monitor
+   * @param {number} [options.minHealthScore=0.5] - Adapters with a lower health score are not switched to
    */
-  constructor({ registry, monitor }) {
+  constructor({ registry, monitor, minHealthScore = 0.5 }) {
     super();
     
     if (!registry) {
@@ -36,8 +37,15 @@ class ProtocolUpdater extends EventEmitter {
     this.monitor = monitor;
     this.logger = new Logger('ProtocolUpdater');
     this.errorReporter = new ErrorReporter();
+    this.minHealthScore = minHealthScore;
     this.currentVersion = null;
     this.featureAdapters = {};
+    // When each feature's adapter was switched to, to tell how long it lasted
+    this.activeSince = {};
+    // The adapter each feature was switched away from, & how long it lasted, to roll back to
+    this.previousAdapters = {};
+    // Adapters that reached the error threshold for a feature, not switched to again for this version
+    this.failedAdapters = {};
     
     this._setupEventListeners();
   }
@@ -77,15 +85,63 @@ class ProtocolUpdater extends EventEmitter {
   }
   
   /**
-   * Handle error threshold being reached for a feature
+   * Get the adapter in use for a feature
+   * @param {string} featureId - ID of the feature
+   * @param {import('./types').ProtocolVersion} version - Protocol version
+   * @returns {import('./types').AdapterImplementation|null} The adapter, or null if none found
+   */
+  getAdapter(featureId, version) {
+    const active = this.featureAdapters[featureId];
+    if (active) {
+      return active;
+    }
+    
+    const adapter = this.registry.getAdapter(featureId, version);
+    if (adapter) {
+      this._activate(featureId, adapter);
+    }
+    
+    return adapter;
+  }
+  
+  /**
+   * Handle error threshold being reached for a feature.
+   * The feature is switched to the next compatible adapter; if the adapter it was switched to
+   * fails faster than the one before it, the switch is rolled back
    * @param {string} featureId - ID of the feature that reached error threshold
    * @param {import('./types').ProtocolVersion} currentVersion - Current protocol version
    */
   handleErrorThreshold(featureId, currentVersion) {
     this.logger.warn(`Error threshold reached for feature ${featureId}, checking for better adapters`);
     
-    // For now, we'll just check for protocol updates
-    // In a real implementation, we might try to find a different adapter for this feature
+    const version = currentVersion || this.currentVersion;
+    const failing = version && this.getAdapter(featureId, version);
+    
+    if (failing) {
+      const lifetime = Date.now() - this.activeSince[featureId];
+      const failed = this.failedAdapters[featureId] || (this.failedAdapters[featureId] = new Set());
+      failed.add(failing.id);
+      
+      const previous = this.previousAdapters[featureId];
+      if (previous && lifetime < previous.lifetime && this.registry.getAdapters()[previous.adapter.id]) {
+        this.logger.warn(`Adapter ${failing.id} failed faster than ${previous.adapter.id} (${lifetime}ms < ${previous.lifetime}ms), rolling back`);
+        delete this.previousAdapters[featureId];
+        this._switch(featureId, failing, previous.adapter);
+        this.emit('adapter:rolled_back', featureId, failing.id, previous.adapter.id);
+        return;
+      }
+      
+      const next = this._findNextAdapter(featureId, version);
+      if (next) {
+        this.previousAdapters[featureId] = { adapter: failing, lifetime };
+        this._switch(featureId, failing, next);
+        return;
+      }
+      
+      this.logger.warn(`No other adapter available for feature ${featureId}`);
+    }
+    
+    // Nothing to switch to, a new protocol version may bring one
     this.checkForUpdates().catch(error => {
       this.logger.error('Error checking for updates:', error.message);
     });
@@ -100,6 +156,13 @@ class ProtocolUpdater extends EventEmitter {
       return;
     }
     
+    // A new version starts over; on the same version (eg. after adapters were reloaded) failures are remembered
+    const versionChanged = !this.currentVersion || this.currentVersion.fullVersion !== newVersion.fullVersion;
+    if (versionChanged) {
+      this.previousAdapters = {};
+      this.failedAdapters = {};
+    }
+    
     this.currentVersion = newVersion;
     
     try {
@@ -109,18 +172,29 @@ class ProtocolUpdater extends EventEmitter {
       for (const feature of features) {
         const featureId = feature.id;
         const oldAdapter = this.featureAdapters[featureId];
-        const newAdapter = this.registry.getAdapter(featureId, newVersion);
+        let newAdapter = this.registry.getAdapter(featureId, newVersion);
+        
+        if (newAdapter && this.failedAdapters[featureId]?.has(newAdapter.id)) {
+          newAdapter = this._findNextAdapter(featureId, newVersion);
+        }
         
         if (!oldAdapter || !newAdapter) {
-          this.featureAdapters[featureId] = newAdapter;
+          if (newAdapter) {
+            this._activate(featureId, newAdapter);
+          } else {
+            delete this.featureAdapters[featureId];
+          }
           continue;
         }
         
         // If the adapters are different, emit an event
         if (oldAdapter.id !== newAdapter.id) {
           this.logger.info(`Updating adapter for feature ${featureId}: ${oldAdapter.id} -> ${newAdapter.id}`);
-          this.featureAdapters[featureId] = newAdapter;
+          this._activate(featureId, newAdapter);
           this.emit('adapter:updated', featureId, oldAdapter.id, newAdapter.id);
+        } else if (oldAdapter !== newAdapter) {
+          // Same adapter, reloaded
+          this.featureAdapters[featureId] = newAdapter;
         }
       }
     } catch (error) {
@@ -132,6 +206,46 @@ class ProtocolUpdater extends EventEmitter {
     }
   }
   
+  /**
+   * Switch a feature to another adapter
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @param {import('./types').AdapterImplementation} oldAdapter - Adapter in use
+   * @param {import('./types').AdapterImplementation} newAdapter - Adapter to use
+   */
+  _switch(featureId, oldAdapter, newAdapter) {
+    this.logger.info(`Switching adapter for feature ${featureId}: ${oldAdapter.id} -> ${newAdapter.id}`);
+    this._activate(featureId, newAdapter);
+    this.emit('adapter:updated', featureId, oldAdapter.id, newAdapter.id);
+  }
+  
+  /**
+   * Make an adapter the one in use for a feature, with a clean error count
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @param {import('./types').AdapterImplementation} adapter - Adapter to use
+   */
+  _activate(featureId, adapter) {
+    this.featureAdapters[featureId] = adapter;
+    this.activeSince[featureId] = Date.now();
+    this.monitor.resetFeatureErrors(featureId);
+  }
+  
+  /**
+   * Find the best adapter for a feature that hasn't failed it, and is healthy enough
+   * @private
+   * @param {string} featureId - ID of the feature
+   * @param {import('./types').ProtocolVersion} version - Protocol version
+   * @returns {import('./types').AdapterImplementation|null} Next adapter, or null if none left
+   */
+  _findNextAdapter(featureId, version) {
+    const failed = this.failedAdapters[featureId] || new Set();
+    return this._rankAdapters(featureId, version).find(adapter => {
+      const health = this.monitor.getAdapterHealth(adapter.id);
+      return !failed.has(adapter.id) && (!health || health.score >= this.minHealthScore);
+    }) || null;
+  }
+  
   /**
    * Find the best adapter for a feature and version
    * @param {string} featureId - ID of the feature
@@ -140,6 +254,17 @@ class ProtocolUpdater extends EventEmitter {
    * @private
    */
   _findBestAdapter(featureId, version) {
+    return this._rankAdapters(featureId, version)[0] || null;
+  }
+  
+  /**
+   * Compatible adapters for a feature, best match for the version first
+   * @param {string} featureId - ID of the feature
+   * @param {import('./types').ProtocolVersion} version - Protocol version
+   * @returns {import('./types').AdapterImplementation[]} Compatible adapters
+   * @private
+   */
+  _rankAdapters(featureId, version) {
     const allAdapters = this.registry.getAdapters();
     const compatibleAdapters = Object.values(allAdapters)
       .filter(adapter => 
@@ -147,10 +272,6 @@ class ProtocolUpdater extends EventEmitter {
         adapter.targetVersion.major === version.major
       );
     
-    if (compatibleAdapters.length === 0) {
-      return null;
-    }
-    
     // Sort by version similarity (higher versions first)
     compatibleAdapters.sort((a, b) => {
       // First priority: exact match
@@ -172,7 +293,7 @@ class ProtocolUpdater extends EventEmitter {
       return patchDiffA - patchDiffB;
     });
     
-    return compatibleAdapters[0];
+    return compatibleAdapters;
   }
 }
 
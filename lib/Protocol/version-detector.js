@@ -6,8 +6,18 @@
 
 'use strict';
 
+const axios = require('axios');
 const { dummyProtocolVersion } = require('./types');
 const Logger = require('../Utils/logger');
+const { DEFAULT_CONNECTION_CONFIG } = require('../Defaults');
+const { fetchLatestWaWebVersion } = require('../Utils/generics');
+
+// web.whatsapp.com serves an "update your browser" page to unknown user agents
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+// The web client is versioned 2.3000.<client revision>
+const WEB_CLIENT_MAJOR = 2;
+const WEB_CLIENT_MINOR = 3000;
 
 /**
  * Detects the current WhatsApp protocol version
@@ -19,6 +29,9 @@ class VersionDetector {
    * @param {boolean} [options.useMockVersion=false] - Use a mock version for demonstration
    * @param {string} [options.userAgent='WhatsApp/2.2345.12 (Web)'] - User agent to use for requests
    * @param {string[]} [options.updateEndpoints=[]] - Endpoints to check for updates
+   * @param {string} [options.webClientUrl='https://web.whatsapp.com/'] - Page bootstrapping the web client, parsed for its revision
+   * @param {Object} [options.fetchOptions] - Extra axios options for fetching the web client assets (eg. a proxy agent)
+   * @param {boolean} [options.updateConnectionConfig=true] - Use the detected web client version for new sockets (DEFAULT_CONNECTION_CONFIG.version)
    */
   constructor(options = {}) {
     this.options = {
@@ -28,10 +41,14 @@ class VersionDetector {
         'https://web.whatsapp.com/check-update',
         'https://web.whatsapp.com/client_version'
       ],
+      webClientUrl: 'https://web.whatsapp.com/',
+      fetchOptions: {},
+      updateConnectionConfig: true,
       ...options
     };
     
     this.logger = new Logger('VersionDetector');
+    this.lastDetectedVersion = null;
   }
   
   /**
@@ -48,21 +65,33 @@ class VersionDetector {
       // Try multiple detection methods
       const methods = [
         this._detectFromUpdateEndpoint.bind(this),
-        this._detectFromHtml.bind(this),
-        this._detectFromUserAgent.bind(this)
+        this._detectFromHtml.bind(this)
       ];
       
       for (const method of methods) {
         try {
           const version = await method();
           if (version) {
+            this.lastDetectedVersion = version;
             return version;
           }
         } catch (error) {
-          // Continue with next method
+          this.logger.debug(`Version detection method failed: ${error.message}`);
         }
       }
       
+      // A failed check shouldn't look like a version change to the monitor
+      if (this.lastDetectedVersion) {
+        this.logger.warn(`Failed to reach WhatsApp Web, keeping version ${this.lastDetectedVersion.fullVersion}`);
+        return this.lastDetectedVersion;
+      }
+      
+      try {
+        return await this._detectFromUserAgent();
+      } catch (error) {
+        // Continue with the default version
+      }
+      
       // If all methods fail, return the default version
       this.logger.warn('Failed to detect WhatsApp protocol version, using default');
       return this._getDefaultVersion();
@@ -89,9 +118,77 @@ class VersionDetector {
    * @returns {Promise<import('./types').ProtocolVersion>}
    */
   async _detectFromHtml() {
-    // In a real implementation, this would fetch the WhatsApp Web HTML
-    // and extract the version from it
-    throw new Error('Not implemented');
+    const [htmlResult, serviceWorkerResult] = await Promise.allSettled([
+      this._fetchWebClientVersion(),
+      fetchLatestWaWebVersion(this.options.fetchOptions)
+    ]);
+    
+    const fromHtml = htmlResult.status === 'fulfilled' ? htmlResult.value : undefined;
+    if (!fromHtml) {
+      this.logger.debug(`Could not read the version from the web client page: ${htmlResult.reason?.message}`);
+    }
+    
+    // fetchLatestWaWebVersion reads the service worker; it never throws & flags whether it found the revision
+    const latest = serviceWorkerResult.status === 'fulfilled' ? serviceWorkerResult.value : undefined;
+    const fromServiceWorker = latest?.isLatest
+      ? VersionDetector.parseVersionString(latest.version.join('.'))
+      : undefined;
+    
+    if (!fromHtml && !fromServiceWorker) {
+      throw new Error('Failed to extract version from WhatsApp Web assets');
+    }
+    
+    let version = fromHtml || fromServiceWorker;
+    if (fromHtml && fromServiceWorker && fromHtml.fullVersion !== fromServiceWorker.fullVersion) {
+      // Assets are cached separately & can briefly disagree during a rollout; the newer one is served to new clients
+      this.logger.warn(`WhatsApp Web page (${fromHtml.fullVersion}) and service worker (${fromServiceWorker.fullVersion}) disagree, using the newer`);
+      version = VersionDetector.compareVersions(fromHtml, fromServiceWorker) >= 0 ? fromHtml : fromServiceWorker;
+    }
+    
+    if (this.options.updateConnectionConfig) {
+      this._applyToConnectionConfig(version);
+    }
+    
+    return version;
+  }
+  
+  /**
+   * Fetch the web client page & read its revision
+   * @private
+   * @returns {Promise<import('./types').ProtocolVersion>}
+   */
+  async _fetchWebClientVersion() {
+    const { data } = await axios.get(this.options.webClientUrl, {
+      responseType: 'text',
+      timeout: 10000,
+      ...this.options.fetchOptions,
+      headers: {
+        'User-Agent': BROWSER_USER_AGENT,
+        ...this.options.fetchOptions?.headers
+      }
+    });
+    
+    const version = VersionDetector.parseWebClientVersion(data);
+    if (!version) {
+      throw new Error('No client revision in the web client page');
+    }
+    
+    return version;
+  }
+  
+  /**
+   * Make new sockets connect with the detected version, an outdated one gets the connection closed (405).
+   * Only moves forward, so an asset served from a stale cache can't roll the version back
+   * @private
+   * @param {import('./types').ProtocolVersion} version - Detected version
+   */
+  _applyToConnectionConfig(version) {
+    const current = DEFAULT_CONNECTION_CONFIG.version;
+    const [major, minor, patch] = current;
+    if (VersionDetector.compareVersions(version, { major, minor, patch }) > 0) {
+      DEFAULT_CONNECTION_CONFIG.version = [version.major, version.minor, version.patch];
+      this.logger.info(`Default connection version updated: ${current.join('.')} -> ${version.fullVersion}`);
+    }
   }
   
   /**
@@ -154,6 +251,38 @@ class VersionDetector {
     return version1.major === version2.major;
   }
   
+  /**
+   * Order two versions
+   * @param {import('./types').ProtocolVersion} version1 - First version
+   * @param {import('./types').ProtocolVersion} version2 - Second version
+   * @returns {number} Negative if version1 is older, positive if newer, 0 if equal
+   */
+  static compareVersions(version1, version2) {
+    return (version1.major - version2.major)
+      || (version1.minor - version2.minor)
+      || (version1.patch - version2.patch);
+  }
+  
+  /**
+   * Read the web client version from its bootstrap page or service worker.
+   * Both embed the site data (`"client_revision":1019...`), the page also names its resource manifest after the revision
+   * @param {string} content - HTML or JS of the asset
+   * @returns {import('./types').ProtocolVersion|undefined} The version, undefined if not found
+   */
+  static parseWebClientVersion(content) {
+    if (typeof content !== 'string') {
+      return undefined;
+    }
+    
+    const match = content.match(/\\?"client_revision\\?":\s*(\d+)/)
+      || content.match(/data-btmanifest="(\d+)_/);
+    if (!match) {
+      return undefined;
+    }
+    
+    return VersionDetector.parseVersionString(`${WEB_CLIENT_MAJOR}.${WEB_CLIENT_MINOR}.${match[1]}`);
+  }
+  
   /**
    * Parse a version string into components
    * @param {string} versionString - Version string to parse
@@ -1,16 +1,33 @@
 /**
  * Enhanced WhatsApp Client with Protocol Adaptation
- * 
- * This client automatically adapts to WhatsApp protocol changes.
+ *
+ * A high-level facade over makeWASocket that automatically adapts to WhatsApp protocol changes.
  */
 
 'use strict';
 
 const EventEmitter = require('events');
 const ProtocolAdapter = require('./adapter');
-const ProtocolRegistry = require('./registry');
+const { CircuitBreaker } = require('./circuit-breaker');
 const Logger = require('../Utils/logger');
 const { ErrorReporter, ErrorType } = require('../Utils/error-reporter');
+const { DisconnectReason } = require('../Types');
+const { DEFAULT_CONNECTION_CONFIG } = require('../Defaults');
+const { useMultiFileAuthState } = require('../Utils/use-multi-file-auth-state');
+const { getContentType, extractMessageContent } = require('../Utils/messages');
+const { jidNormalizedUser } = require('../WABinary');
+
+// Disconnects after which reconnecting won't help: the session was ended or taken over by another client
+const FATAL_DISCONNECT_REASONS = [
+  DisconnectReason.loggedOut,
+  DisconnectReason.forbidden,
+  DisconnectReason.connectionReplaced,
+  DisconnectReason.multideviceMismatch
+];
+
+// Media types sendMedia accepts, in the shape of the socket's message content
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const CAPTIONED_MEDIA_TYPES = ['image', 'video', 'document'];
 
 /**
  * Enhanced WhatsApp Client with automatic protocol adaptation
@@ -20,13 +37,18 @@ class WhatsAppClient extends EventEmitter {
   /**
    * Create a new WhatsApp client
    * @param {Object} options - Client options
-   * @param {Object} [options.session] - Session data for restoration
+   * @param {Object} [options.auth] - Auth state to use, as returned by useMultiFileAuthState ({ state, saveCreds })
+   * @param {string} [options.authFolder='./auth'] - Folder to keep the auth state in, when `auth` is not given
+   * @param {string} [options.phoneNumber] - Log in with a pairing code for this number (digits only, with country code) instead of a QR code
+   * @param {Object} [options.socket] - Extra options for makeWASocket
+   * @param {Object} [options.store] - Store to bind to the socket (eg. makeInMemoryStore), used for contacts
    * @param {boolean} [options.autoReconnect=true] - Whether to automatically reconnect
    * @param {number} [options.reconnectInterval=5000] - Interval between reconnect attempts
    * @param {number} [options.maxReconnectAttempts=10] - Maximum number of reconnect attempts
    * @param {Object} [options.protocol] - Protocol adaptation options
-   * @param {Object} [options.proxy] - Proxy configuration
-   * @param {string} [options.userAgent] - User agent to use for requests
+   * @param {boolean|Object} [options.circuitBreaker=false] - Put socket calls behind per-feature circuits, with these CircuitBreaker options
+   * @param {Function} [options.onQr] - Callback with each QR code to scan
+   * @param {Function} [options.onPairingCode] - Callback with the pairing code to enter on the phone
    * @param {Function} [options.onAuthSuccess] - Callback for successful authentication
    * @param {Function} [options.onAuthFailure] - Callback for authentication failure
    * @param {Function} [options.onConnectionLost] - Callback for connection loss
@@ -35,11 +57,13 @@ class WhatsAppClient extends EventEmitter {
    */
   constructor(options = {}) {
     super();
-    
+
     this.options = {
+      authFolder: './auth',
       autoReconnect: true,
       reconnectInterval: 5000,
       maxReconnectAttempts: 10,
+      socket: {},
       protocol: {
         monitoringStrategy: 'hybrid',
         pollingInterval: 3600000,
@@ -48,245 +72,254 @@ class WhatsAppClient extends EventEmitter {
       },
       ...options
     };
-    
+
     this.logger = new Logger('WhatsAppClient');
     this.errorReporter = new ErrorReporter();
-    
+
     this.protocolAdapter = new ProtocolAdapter({
       strategy: this.options.protocol.monitoringStrategy,
       pollingInterval: this.options.protocol.pollingInterval,
       enableRuntimeChecks: this.options.protocol.enableRuntimeChecks,
       errorThreshold: this.options.protocol.errorThreshold,
-      userAgent: this.options.userAgent,
-      // For demonstration purposes
-      useMockVersion: true
+      useMockVersion: this.options.protocol.useMockVersion,
+      versionDetection: this.options.protocol.versionDetection,
+      configPath: this.options.protocol.configPath,
+      adapters: this.options.protocol.adapters,
+      minHealthScore: this.options.protocol.minHealthScore,
+      // Left out when not set, so the adapter's default user agent applies
+      ...(this.options.userAgent && { userAgent: this.options.userAgent })
     });
+
+    this.circuitBreaker = null;
+    if (this.options.circuitBreaker) {
+      // Failures show up in the adapter's error reports, without counting towards its adapter switches
+      this.circuitBreaker = new CircuitBreaker({
+        ...(this.options.circuitBreaker === true ? {} : this.options.circuitBreaker),
+        monitor: this.protocolAdapter.monitor
+      });
+    }
     
+    this.sock = null;
+    this.store = this.options.store || null;
+    this.contacts = {};
+    this.qr = null;
     this.isConnected = false;
     this.sessionData = null;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
-    
+    this.stopping = false;
+    // Whether the protocol adapter is running; reconnects reuse it, disconnect & logout shut it down
+    this.protocolStarted = false;
+
     this.registerProtocolAdapters();
     this.setupEventListeners();
-    
+
     this.logger.info('WhatsApp client created with protocol adaptation system');
   }
-  
+
   /**
-   * Register protocol adapters for different features and versions
+   * Register the features the client uses, implemented by the socket
    */
   registerProtocolAdapters() {
+    const [major, minor, patch] = DEFAULT_CONNECTION_CONFIG.version;
+    const socketVersion = { major, minor, patch, fullVersion: `${major}.${minor}.${patch}` };
+    const socketAdapterId = `socket-v${socketVersion.fullVersion}`;
+
     // Define features
     const features = [
       {
         id: 'sendMessage',
         name: 'Message Sending',
-        endpoints: ['message', 'text', 'chat'],
-        defaultImplementation: 'message-sending-v2.2345.12'
+        endpoints: ['message', 'text', 'chat']
       },
       {
         id: 'sendMedia',
         name: 'Media Message Sending',
-        endpoints: ['media', 'image', 'video', 'audio', 'document'],
-        defaultImplementation: 'message-sending-v2.2345.12'
+        endpoints: ['media', 'image', 'video', 'audio', 'document']
       },
       {
         id: 'messageParser',
         name: 'Message Parsing',
-        endpoints: ['receive', 'notification', 'event'],
-        defaultImplementation: 'message-receiving-v2.2345.12'
+        endpoints: ['receive', 'notification', 'event']
       },
       {
         id: 'notificationHandler',
         name: 'Notification Handling',
-        endpoints: ['notify', 'presence', 'status'],
-        defaultImplementation: 'message-receiving-v2.2345.12'
+        endpoints: ['notify', 'presence', 'status']
       },
       {
         id: 'getContacts',
         name: 'Contact Management',
-        endpoints: ['contacts', 'chats', 'users'],
-        defaultImplementation: 'contact-management-v2.2345.12'
+        endpoints: ['contacts', 'chats', 'users']
       },
       {
         id: 'getProfile',
         name: 'Profile Management',
-        endpoints: ['profile', 'info', 'about'],
-        defaultImplementation: 'contact-management-v2.2345.12'
+        endpoints: ['profile', 'info', 'about']
       }
     ];
-    
-    // Register features
+
+    // The socket implements every feature; it is the fallback for versions without a dedicated adapter
     for (const feature of features) {
-      this.protocolAdapter.registerFeature(feature);
+      this.protocolAdapter.registerFeature({ ...feature, defaultImplementation: socketAdapterId });
     }
-    
-    // Define current version
-    const currentVersion = {
-      major: 2,
-      minor: 2345,
-      patch: 12,
-      fullVersion: '2.2345.12'
-    };
-    
-    // Register implementation for message sending (v2.2345.12)
-    const messageSendingImpl = {
-      id: 'message-sending-v2.2345.12',
-      targetVersion: { ...currentVersion },
-      implementsFeatures: ['sendMessage', 'sendMedia'],
-      moduleFactory: () => ({
-        // Implementation for sending text messages
-        sendTextMessage: async (to, text, options = {}) => {
-          this.logger.info(`Using protocol v${currentVersion.fullVersion} adapter to send message to ${to}`);
-          // Simulate sending a message
-          return { id: '123', timestamp: Date.now() };
-        },
-        
-        // Implementation for sending media messages
-        sendMediaMessage: async (to, media, caption, options = {}) => {
-          // Simulate sending a media message
-          return { id: '124', timestamp: Date.now(), mediaUrl: 'https://example.com/media' };
-        }
-      })
-    };
-    
-    // Register implementation for message receiving (v2.2345.12)
-    const messageReceivingImpl = {
-      id: 'message-receiving-v2.2345.12',
-      targetVersion: { ...currentVersion },
-      implementsFeatures: ['messageParser', 'notificationHandler'],
+
+    this.protocolAdapter.registerAdapter({
+      id: socketAdapterId,
+      targetVersion: socketVersion,
+      implementsFeatures: features.map(feature => feature.id),
       moduleFactory: () => ({
-        // Implementation for parsing received messages
-        parseMessage: (rawMessage) => {
-          // Simulate parsing a message
-          return { 
-            id: rawMessage.id || 'unknown', 
-            from: rawMessage.from || 'unknown',
-            body: rawMessage.body || '',
-            timestamp: rawMessage.timestamp || Date.now()
+        // The socket is looked up on each call, as it is replaced when reconnecting
+        sendTextMessage: (to, text, options = {}) => this.getSocket().sendMessage(to, { text }, options),
+
+        sendMediaMessage: (to, content, options = {}) => this.getSocket().sendMessage(to, content, options),
+
+        parseMessage: (message) => {
+          const content = extractMessageContent(message.message);
+          const type = content ? getContentType(content) : undefined;
+          const body = content?.conversation
+            || content?.extendedTextMessage?.text
+            || content?.[type]?.caption
+            || '';
+          return {
+            id: message.key.id,
+            from: message.key.remoteJid,
+            sender: message.key.participant || message.key.remoteJid,
+            fromMe: !!message.key.fromMe,
+            pushName: message.pushName,
+            type,
+            body,
+            timestamp: Number(message.messageTimestamp || 0) * 1000
           };
         },
-        
-        // Implementation for handling notifications
+
         handleNotification: (notification) => {
-          // Simulate handling a notification
           return { processed: true, type: notification.type };
-        }
-      })
-    };
-    
-    // Register implementation for contact management (v2.2345.12)
-    const contactManagementImpl = {
-      id: 'contact-management-v2.2345.12',
-      targetVersion: { ...currentVersion },
-      implementsFeatures: ['getContacts', 'getProfile'],
-      moduleFactory: () => ({
-        // Implementation for getting contacts
+        },
+
         getContactList: async () => {
-          this.logger.info(`Using protocol v${currentVersion.fullVersion} adapter to get contacts`);
-          // Simulate getting contacts
-          return [
-            { id: '1234567890', name: 'John Doe', status: 'Hey there!' },
-            { id: '0987654321', name: 'Jane Smith', status: 'Busy' }
-          ];
+          const contacts = this.store?.contacts || this.contacts;
+          return Object.values(contacts);
         },
-        
-        // Implementation for getting profile information
+
         getProfileInfo: async (id) => {
-          // Simulate getting profile info
-          return { id, name: 'Test User', status: 'Available', picture: 'https://example.com/avatar.jpg' };
+          const sock = this.getSocket();
+          const jid = jidNormalizedUser(id);
+          const [status, picture] = await Promise.all([
+            sock.fetchStatus(jid).catch(() => undefined),
+            sock.profilePictureUrl(jid, 'image').catch(() => undefined)
+          ]);
+          const contact = (this.store?.contacts || this.contacts)[jid];
+          return {
+            id: jid,
+            name: contact?.name || contact?.notify,
+            status: Array.isArray(status) ? status[0]?.status?.status : status?.status,
+            picture
+          };
         }
       })
-    };
-    
-    // Register adapters
-    this.protocolAdapter.registerAdapter(messageSendingImpl);
-    this.protocolAdapter.registerAdapter(messageReceivingImpl);
-    this.protocolAdapter.registerAdapter(contactManagementImpl);
-    
-    this.logger.info(`Registered protocol adapters for version ${currentVersion.fullVersion}`);
+    });
+
+    this.logger.info(`Registered socket protocol adapter for version ${socketVersion.fullVersion}`);
   }
-  
+
   /**
    * Set up event listeners for protocol updates and client events
    */
   setupEventListeners() {
     this.protocolAdapter.on('version:updated', (oldVersion, newVersion) => {
       this.logger.info(`WhatsApp protocol updated: ${oldVersion.fullVersion} -> ${newVersion.fullVersion}`);
-      
+
       if (this.options.onProtocolUpdate) {
         this.options.onProtocolUpdate(oldVersion.fullVersion, newVersion.fullVersion);
       }
-      
+
       this.emit('protocol:updated', oldVersion, newVersion);
     });
-    
+
     this.protocolAdapter.on('adapter:updated', (featureId, oldAdapter, newAdapter) => {
       this.logger.info(`Adapter updated for feature ${featureId}: ${oldAdapter} -> ${newAdapter}`);
       this.emit('adapter:updated', featureId, oldAdapter, newAdapter);
     });
+    
+    this.circuitBreaker?.on('state:changed', (featureId, oldState, newState, error) => {
+      this.emit('circuit:changed', featureId, oldState, newState, error);
+    });
   }
-  
+
   /**
-   * Connect to WhatsApp
+   * Connect to WhatsApp; resolves once the connection is open.
+   * Without a saved session, scan the QR code from the `auth:qr` event
+   * (or enter the code from `auth:pairing_code`, when `phoneNumber` is set)
    * @returns {Promise<void>}
    */
   async connect() {
     try {
       this.logger.info('Connecting to WhatsApp...');
-      
-      // Initialize protocol adapter
-      await this.protocolAdapter.initialize();
-      
-      // If we have session data, try to restore the session
-      if (this.options.session && this.options.session.data) {
-        await this.restoreSession();
-      } else {
-        await this.startNewSession();
+      this.stopping = false;
+
+      // Initialize the protocol adapter, again after a disconnect shut it down
+      if (!this.protocolStarted) {
+        await this.protocolAdapter.initialize();
+        this.protocolStarted = true;
       }
-      
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-      
-      this.emit('connected');
-      
+
+      await this.startSocket();
+
     } catch (error) {
       this.errorReporter.reportError(
         error,
         ErrorType.CONNECTION_FAILED,
         { method: 'connect' }
       );
-      
+
       if (this.options.onAuthFailure) {
         this.options.onAuthFailure(error);
       }
-      
+
       this.emit('auth:failure', error);
-      
+
       throw error;
     }
   }
-  
+
   /**
-   * Disconnect from WhatsApp
+   * Disconnect from WhatsApp, keeping the session so the next connect logs in again
    * @returns {Promise<void>}
    */
   async disconnect() {
     this.logger.info('Disconnecting from WhatsApp...');
-    
+
+    this.stopping = true;
     this.clearReconnectTimer();
-    
+    this.sock?.end(undefined);
+
     // Shutdown the protocol adapter
     this.protocolAdapter.shutdown();
-    
+    this.protocolStarted = false;
+
     this.isConnected = false;
     this.emit('disconnected');
-    
+
     this.logger.info('Disconnected from WhatsApp');
-    console.log('Client disconnected');
   }
-  
+
+  /**
+   * Log out, unlinking this device from the phone
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    this.ensureConnected();
+    this.stopping = true;
+    this.clearReconnectTimer();
+    await this.sock.logout();
+    this.protocolAdapter.shutdown();
+    this.protocolStarted = false;
+    this.isConnected = false;
+    this.sessionData = null;
+    this.emit('disconnected');
+  }
+
   /**
    * Get current connection state
    * @returns {boolean} Whether the client is connected
@@ -294,78 +327,122 @@ class WhatsAppClient extends EventEmitter {
   isConnectedToWhatsApp() {
     return this.isConnected;
   }
-  
+
   /**
-   * Generate QR code for authentication
-   * @returns {Promise<string>} QR code data
+   * Get the underlying socket
+   * @returns {Object} The socket created by makeWASocket
    */
-  async generateQrCode() {
-    this.ensureConnected();
-    // In a real implementation, this would generate a QR code
-    return 'data:image/png;base64,QR_CODE_DATA';
+  getSocket() {
+    if (!this.sock) {
+      throw new Error('Client is not connected');
+    }
+    return this.sock;
+  }
+
+  /**
+   * Generate an image of the current QR code, waiting for one if needed.
+   * Requires the optional `qrcode` package; the raw QR string is also emitted as `auth:qr`
+   * @param {number} [timeoutMs=60000] - How long to wait for a QR code
+   * @returns {Promise<string>} QR code as a PNG data URL
+   */
+  async generateQrCode(timeoutMs = 60000) {
+    let QRCode;
+    try {
+      QRCode = require('qrcode');
+    } catch (error) {
+      throw new Error('The "qrcode" package is required to generate QR code images, or use the raw QR from the "auth:qr" event');
+    }
+
+    const qr = this.qr || await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off('auth:qr', onQr);
+        reject(new Error('Timed out waiting for a QR code'));
+      }, timeoutMs);
+      const onQr = (qr) => {
+        clearTimeout(timer);
+        resolve(qr);
+      };
+      this.once('auth:qr', onQr);
+    });
+
+    return QRCode.toDataURL(qr);
   }
-  
+
   /**
    * Send a text message
-   * @param {string} to - Recipient
+   * @param {string} to - Recipient, a jid or a phone number
    * @param {string} text - Message text
-   * @param {Object} options - Message options
-   * @returns {Promise<Object>} Message info
+   * @param {Object} options - Message options, passed to the socket's sendMessage
+   * @returns {Promise<Object>} The sent message
    */
   async sendMessage(to, text, options = {}) {
     this.ensureConnected();
-    
+
     try {
-      const messageSending = this.protocolAdapter.getFeatureImplementation('sendMessage');
-      const result = await messageSending.sendTextMessage(to, text, options);
-      console.log('Message sent:', result);
-      return result;
+      return await this.protocolAdapter.executeFeature('sendMessage', 'sendTextMessage', this.toJid(to), text, options);
     } catch (error) {
       this.errorReporter.reportError(
         error,
         ErrorType.IMPLEMENTATION_ERROR,
-        { method: 'sendMessage', to, text }
+        { method: 'sendMessage', to }
       );
       throw error;
     }
   }
-  
+
   /**
-   * Send media message (image, video, audio)
-   * @param {string} to - Recipient
-   * @param {Object} media - Media data
-   * @param {string} caption - Media caption
-   * @param {Object} options - Message options
-   * @returns {Promise<Object>} Message info
+   * Send media message (image, video, audio, document, sticker)
+   * @param {string} to - Recipient, a jid or a phone number
+   * @param {Object|Buffer|string} media - Message content (eg. `{ image: { url } }`), or a buffer, URL or file path
+   * @param {string} [caption] - Media caption, for images, videos & documents
+   * @param {Object} options - Message options, passed to the socket's sendMessage
+   * @param {string} [options.type='document'] - Media type, when `media` is not message content
+   * @param {string} [options.mimetype] - Mimetype of the media
+   * @returns {Promise<Object>} The sent message
    */
   async sendMedia(to, media, caption, options = {}) {
     this.ensureConnected();
-    
+
+    const { type = 'document', mimetype, ...sendOptions } = options;
+    let content;
+    if (media && !Buffer.isBuffer(media) && typeof media === 'object' && MEDIA_TYPES.some(key => key in media)) {
+      content = { ...media };
+    } else {
+      if (!MEDIA_TYPES.includes(type)) {
+        throw new Error(`Invalid media type: ${type}`);
+      }
+      content = { [type]: typeof media === 'string' ? { url: media } : media };
+    }
+
+    const mediaType = MEDIA_TYPES.find(key => key in content);
+    if (caption && CAPTIONED_MEDIA_TYPES.includes(mediaType)) {
+      content.caption = caption;
+    }
+    if (mimetype) {
+      content.mimetype = mimetype;
+    }
+
     try {
-      const messageSending = this.protocolAdapter.getFeatureImplementation('sendMedia');
-      return messageSending.sendMediaMessage(to, media, caption, options);
+      return await this.protocolAdapter.executeFeature('sendMedia', 'sendMediaMessage', this.toJid(to), content, sendOptions);
     } catch (error) {
       this.errorReporter.reportError(
         error,
         ErrorType.IMPLEMENTATION_ERROR,
-        { method: 'sendMedia', to, caption }
+        { method: 'sendMedia', to, mediaType }
       );
       throw error;
     }
   }
-  
+
   /**
-   * Get WhatsApp contacts
+   * Get WhatsApp contacts, from the store if one was given
    * @returns {Promise<Array>} List of contacts
    */
   async getContacts() {
     this.ensureConnected();
-    
+
     try {
-      const contactManagement = this.protocolAdapter.getFeatureImplementation('getContacts');
-      const contacts = await contactManagement.getContactList();
-      console.log(`Got ${contacts.length} contacts`);
-      return contacts;
+      return await this.protocolAdapter.executeFeature('getContacts', 'getContactList');
     } catch (error) {
       this.errorReporter.reportError(
         error,
@@ -375,7 +452,27 @@ class WhatsAppClient extends EventEmitter {
       throw error;
     }
   }
-  
+
+  /**
+   * Get the profile of a user: name, about & picture
+   * @param {string} id - A jid or a phone number
+   * @returns {Promise<Object>} Profile information
+   */
+  async getProfile(id) {
+    this.ensureConnected();
+
+    try {
+      return await this.protocolAdapter.executeFeature('getProfile', 'getProfileInfo', this.toJid(id));
+    } catch (error) {
+      this.errorReporter.reportError(
+        error,
+        ErrorType.IMPLEMENTATION_ERROR,
+        { method: 'getProfile', id }
+      );
+      throw error;
+    }
+  }
+
   /**
    * Get current session data for persistence
    * @returns {Object} Session data
@@ -383,7 +480,7 @@ class WhatsAppClient extends EventEmitter {
   getSessionData() {
     return this.sessionData;
   }
-  
+
   /**
    * Force check for WhatsApp protocol updates
    * @returns {Promise<boolean>} Whether an update was found
@@ -392,73 +489,171 @@ class WhatsAppClient extends EventEmitter {
     this.logger.info('Manually checking for protocol updates...');
     return this.protocolAdapter.checkForUpdates();
   }
-  
-  /**
-   * Restore an existing session
-   * @private
-   * @returns {Promise<void>}
-   */
-  async restoreSession() {
-    // In a real implementation, this would restore a WhatsApp session
-    this.sessionData = this.options.session.data;
-    
-    if (this.options.onAuthSuccess) {
-      this.options.onAuthSuccess(this.sessionData);
-    }
-    
-    this.emit('auth:success', this.sessionData);
-    this.logger.info('Restored existing session');
-  }
-  
+
   /**
-   * Start a new session
+   * Create a socket & wait for it to open. A restart requested by WhatsApp (after pairing) is followed right away
    * @private
    * @returns {Promise<void>}
    */
-  async startNewSession() {
-    // In a real implementation, this would start a new WhatsApp session
-    this.logger.info('Starting new session...');
-    
-    this.sessionData = {
-      id: `session_${Date.now()}`,
-      createdAt: new Date().toISOString()
-    };
-    
-    console.log('Authentication successful:', this.sessionData.id);
-    
-    if (this.options.onAuthSuccess) {
-      this.options.onAuthSuccess(this.sessionData);
-    }
-    
-    this.emit('auth:success', this.sessionData);
-    this.logger.info('Connected to WhatsApp');
+  async startSocket() {
+    const makeWASocket = require('../Socket').default;
+    const { state, saveCreds } = this.options.auth || await useMultiFileAuthState(this.options.authFolder);
+
+    const sock = makeWASocket({
+      ...this.options.socket,
+      // Reconnects are handled by the client, with a new socket
+      autoReconnect: false,
+      auth: state
+    });
+    this.sock = sock;
+    this.circuitBreaker?.wrapSocket(sock);
+    this.store?.bind(sock.ev);
+
+    let pairingCodeRequested = false;
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+
+      sock.ev.process(async (events) => {
+        try {
+          // Late events from a socket that was already replaced
+          if (this.sock !== sock) return;
+
+          if (events['creds.update']) {
+            await saveCreds();
+          }
+
+          if (events['contacts.upsert'] || events['contacts.update'] || events['messaging-history.set']) {
+            const contacts = [
+              ...(events['contacts.upsert'] || []),
+              ...(events['contacts.update'] || []),
+              ...(events['messaging-history.set']?.contacts || [])
+            ];
+            for (const contact of contacts) {
+              this.contacts[contact.id] = { ...this.contacts[contact.id], ...contact };
+            }
+          }
+
+          if (events['messages.upsert']?.type === 'notify') {
+            const messageParser = this.protocolAdapter.getFeatureImplementation('messageParser');
+            for (const message of events['messages.upsert'].messages) {
+              this.emit('message', messageParser.parseMessage(message), message);
+            }
+          }
+
+          const update = events['connection.update'];
+          if (!update) return;
+
+          if (update.qr) {
+            this.qr = update.qr;
+            if (this.options.phoneNumber && !state.creds.registered) {
+              // The pairing code can be requested once the socket is ready to log in
+              if (!pairingCodeRequested) {
+                pairingCodeRequested = true;
+                try {
+                  const code = await sock.requestPairingCode(this.options.phoneNumber.replace(/\D/g, ''));
+                  this.options.onPairingCode?.(code);
+                  this.emit('auth:pairing_code', code);
+                } catch (error) {
+                  this.logger.error('Failed to request a pairing code:', error.message);
+                }
+              }
+            } else {
+              this.options.onQr?.(update.qr);
+              this.emit('auth:qr', update.qr);
+            }
+          }
+
+          if (update.connection === 'open') {
+            opened = true;
+            this.qr = null;
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            this.sessionData = {
+              id: state.creds.me?.id,
+              name: state.creds.me?.name,
+              platform: state.creds.platform
+            };
+
+            this.options.onAuthSuccess?.(this.sessionData);
+            this.emit('auth:success', this.sessionData);
+            this.emit('connected');
+            this.logger.info(`Connected to WhatsApp as ${this.sessionData.id}`);
+            resolve();
+          }
+
+          if (update.connection === 'close') {
+            this.isConnected = false;
+            const error = update.lastDisconnect?.error;
+            const statusCode = error?.output?.statusCode;
+
+            if (this.stopping) {
+              resolve();
+              return;
+            }
+
+            // restartRequired comes right after pairing, the new socket logs in with the new credentials
+            if (statusCode === DisconnectReason.restartRequired) {
+              this.logger.info('Restart required by WhatsApp, reconnecting');
+              this.startSocket().then(resolve, reject);
+              return;
+            }
+
+            if (!opened) {
+              reject(error || new Error('Connection closed'));
+              return;
+            }
+
+            if (FATAL_DISCONNECT_REASONS.includes(statusCode)) {
+              this.logger.error(`Connection closed for good (${statusCode}), not reconnecting`);
+              this.sessionData = statusCode === DisconnectReason.loggedOut ? null : this.sessionData;
+              this.options.onAuthFailure?.(error);
+              this.emit('auth:failure', error);
+              this.emit('disconnected');
+              return;
+            }
+
+            this.logger.warn(`Connection lost (${statusCode}): ${error?.message}`);
+            this.options.onConnectionLost?.(error);
+            this.emit('connection:lost', error);
+            this.scheduleReconnect();
+          }
+        } catch (error) {
+          // A failing callback or 'message' listener must not become an unhandled rejection
+          this.logger.error('Failed to handle socket events:', error.message);
+          this.errorReporter.reportError(error, ErrorType.IMPLEMENTATION_ERROR, { method: 'startSocket' });
+          // Once open, the connection is usable even if a callback failed
+          if (opened) resolve();
+        }
+      });
+    });
   }
-  
+
   /**
    * Schedule a reconnection attempt
    * @private
    */
   scheduleReconnect() {
-    if (!this.options.autoReconnect || 
+    if (!this.options.autoReconnect ||
         this.reconnectAttempts >= this.options.maxReconnectAttempts) {
       this.logger.info('Not reconnecting: auto reconnect disabled or max attempts reached');
       return;
     }
-    
+
     this.clearReconnectTimer();
-    
+
     this.reconnectTimer = setTimeout(async () => {
       this.reconnectAttempts++;
-      
+
       this.logger.info(`Reconnect attempt ${this.reconnectAttempts}/${this.options.maxReconnectAttempts}`);
-      
+
       try {
         await this.connect();
-        
+
         if (this.options.onConnectionRestored) {
           this.options.onConnectionRestored();
         }
-        
+
         this.emit('connection:restored');
       } catch (error) {
         this.logger.error('Reconnect failed:', error.message);
@@ -466,7 +661,7 @@ class WhatsAppClient extends EventEmitter {
       }
     }, this.options.reconnectInterval);
   }
-  
+
   /**
    * Clear reconnect timer
    * @private
@@ -477,7 +672,17 @@ class WhatsAppClient extends EventEmitter {
       this.reconnectTimer = null;
     }
   }
-  
+
+  /**
+   * Turn a phone number into a jid, jids are left as is
+   * @private
+   * @param {string} id - A jid or a phone number
+   * @returns {string} The jid
+   */
+  toJid(id) {
+    return id.includes('@') ? id : `${id.replace(/\D/g, '')}@s.whatsapp.net`;
+  }
+
   /**
    * Ensure client is connected before operations
    * @private
@@ -489,4 +694,4 @@ class WhatsAppClient extends EventEmitter {
   }
 }
 
-module.exports = WhatsAppClient;
\ No newline at end of file
+module.exports = WhatsAppClient;
@@ -23,6 +23,7 @@ export declare const makeBusinessSocket: (config: SocketConfig) => {
     rejectCall: (callId: string, callFrom: string) => Promise<void>;
     fetchMessageHistory: (count: number, oldestMsgKey: import("../Types").WAProto.IMessageKey, oldestMsgTimestamp: number | import("long").Long) => Promise<string>;
     requestPlaceholderResend: (messageKey: import("../Types").WAProto.IMessageKey) => Promise<string | undefined>;
+    spamGuard: import("../Utils").SpamGuard;
     getPrivacyTokens: (jids: string[]) => Promise<BinaryNode>;
     assertSessions: (jids: string[], force: boolean) => Promise<boolean>;
     relayMessage: (jid: string, message: import("../Types").WAProto.IMessage, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, statusJidList }: import("../Types").MessageRelayOptions) => Promise<string>;
@@ -44,6 +45,31 @@ export declare const makeBusinessSocket: (config: SocketConfig) => {
     getUSyncDevices: (jids: string[], useCache: boolean, ignoreZeroDevices: boolean) => Promise<import("../WABinary").JidWithDevice[]>;
     updateMediaMessage: (message: import("../Types").WAProto.IWebMessageInfo) => Promise<import("../Types").WAProto.IWebMessageInfo>;
     sendMessage: (jid: string, content: import("../Types").AnyMessageContent, options?: import("../Types").MiscMessageGenerationOptions) => Promise<import("../Types").WAProto.WebMessageInfo | undefined>;
+    subscribeNewsletterUpdates: (jid: string) => Promise<{
+        duration: string;
+    } | undefined>;
+    newsletterReactionMode: (jid: string, mode: import("../Types").NewsletterReactionMode) => Promise<void>;
+    newsletterUpdateDescription: (jid: string, description?: string) => Promise<void>;
+    newsletterUpdateName: (jid: string, name: string) => Promise<void>;
+    newsletterUpdatePicture: (jid: string, content: import("../Types").WAMediaUpload) => Promise<void>;
+    newsletterRemovePicture: (jid: string) => Promise<void>;
+    newsletterUnmute: (jid: string) => Promise<void>;
+    newsletterMute: (jid: string) => Promise<void>;
+    newsletterFollow: (jid: string) => Promise<void>;
+    newsletterUnfollow: (jid: string) => Promise<void>;
+    newsletterAction: (jid: string, type: 'follow' | 'unfollow' | 'mute' | 'unmute') => Promise<void>;
+    newsletterCreate: (name: string, description?: string, reactionCodes?: import("../Types").NewsletterReactionMode) => Promise<import("../Types").NewsletterMetadata>;
+    newsletterMetadata: (type: 'invite' | 'jid', key: string, role?: import("../Types").NewsletterViewRole) => Promise<import("../Types").NewsletterMetadata>;
+    newsletterAdminCount: (jid: string) => Promise<number>;
+    /**user is Lid, not Jid */
+    newsletterChangeOwner: (jid: string, user: string) => Promise<void>;
+    /**user is Lid, not Jid */
+    newsletterDemote: (jid: string, user: string) => Promise<void>;
+    newsletterDelete: (jid: string) => Promise<void>;
+    /**if code wasn't passed, the reaction will be removed (if is reacted) */
+    newsletterReactMessage: (jid: string, serverId: string, code?: string) => Promise<void>;
+    newsletterFetchMessages: (type: 'invite' | 'jid', key: string, count: number, after?: number) => Promise<import("../Types").NewsletterFetchedUpdate[]>;
+    newsletterFetchUpdates: (jid: string, count: number, after?: number, since?: number) => Promise<import("../Types").NewsletterFetchedUpdate[]>;
     groupMetadata: (jid: string) => Promise<import("../Types").GroupMetadata>;
     groupCreate: (subject: string, participants: string[]) => Promise<import("../Types").GroupMetadata>;
     groupLeave: (id: string) => Promise<void>;
@@ -74,6 +100,17 @@ export declare const makeBusinessSocket: (config: SocketConfig) => {
     groupFetchAllParticipating: () => Promise<{
         [_: string]: import("../Types").GroupMetadata;
     }>;
+    communityCreate: (subject: string, description?: string) => Promise<import("../Types").GroupMetadata>;
+    communityCreateGroup: (subject: string, participants: string[], parentCommunityJid: string) => Promise<import("../Types").GroupMetadata>;
+    communityLinkGroup: (groupJid: string, parentCommunityJid: string) => Promise<void>;
+    communityUnlinkGroup: (groupJid: string, parentCommunityJid: string) => Promise<void>;
+    communityFetchLinkedGroups: (jid: string) => Promise<import("../Types").CommunityLinkedGroups>;
+    /**
+     * find the announcement group of a community, which is where messages to the whole community are posted
+     * @param jid jid of the community or of one of its subgroups
+     * @returns jid of the announcement group, or undefined if the community has none
+     */
+    communityFetchAnnouncementGroup: (jid: string) => Promise<string | undefined>;
     processingMutex: {
         mutex<T>(code: () => T | Promise<T>): Promise<T>;
     };
@@ -146,4 +183,10 @@ export declare const makeBusinessSocket: (config: SocketConfig) => {
     requestPairingCode: (phoneNumber: string) => Promise<string>;
     waitForConnectionUpdate: (check: (u: Partial<import("../Types").ConnectionState>) => Promise<boolean | undefined>, timeoutMs?: number | undefined) => Promise<void>;
     sendWAMBuffer: (wamBuffer: Buffer) => Promise<BinaryNode>;
+    metrics: import("../Utils").SocketMetrics;
+    tracer: import("../Utils").Tracer;
+    replayStanzas: (records: string | import("../Utils").StanzaRecord[], { delayIntervalMs }?: {
+        delayIntervalMs?: number;
+    }) => Promise<import("../Utils").StanzaReplayer>;
+    isReplaying: () => boolean;
 };
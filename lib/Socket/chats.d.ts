@@ -82,4 +82,10 @@ export declare const makeChatsSocket: (config: SocketConfig) => {
     requestPairingCode: (phoneNumber: string) => Promise<string>;
     waitForConnectionUpdate: (check: (u: Partial<import("../Types").ConnectionState>) => Promise<boolean | undefined>, timeoutMs?: number | undefined) => Promise<void>;
     sendWAMBuffer: (wamBuffer: Buffer) => Promise<BinaryNode>;
+    metrics: import("../Utils").SocketMetrics;
+    tracer: import("../Utils").Tracer;
+    replayStanzas: (records: string | import("../Utils").StanzaRecord[], { delayIntervalMs }?: {
+        delayIntervalMs?: number;
+    }) => Promise<import("../Utils").StanzaReplayer>;
+    isReplaying: () => boolean;
 };
@@ -19,7 +19,7 @@ const MAX_SYNC_ATTEMPTS = 2;
 const makeChatsSocket = (config) => {
     const { logger, markOnlineOnConnect, fireInitQueries, appStateMacVerification, shouldIgnoreJid, shouldSyncHistoryMessage, } = config;
     const sock = (0, usync_1.makeUSyncSocket)(config);
-    const { ev, ws, authState, generateMessageTag, sendNode, query, onUnexpectedError, } = sock;
+    const { ev, ws, authState, generateMessageTag, sendNode, query, onUnexpectedError, tracer, } = sock;
     let privacySettings;
     let needToFlushWithAppStateSync = false;
     let pendingAppStateSync = false;
@@ -736,7 +736,7 @@ const makeChatsSocket = (config) => {
                     await doAppStateSync();
                 }
             })(),
-            (0, process_message_1.default)(msg, {
+            tracer.traceIfActive('processMessage', { 'message.id': msg.key.id, 'upsert.type': type }, () => (0, process_message_1.default)(msg, {
                 shouldProcessHistoryMsg,
                 placeholderResendCache,
                 ev,
@@ -745,7 +745,7 @@ const makeChatsSocket = (config) => {
                 logger,
                 options: config.options,
                 getMessage: config.getMessage,
-            })
+            }))
         ]);
         if (((_c = (_b = msg.message) === null || _b === void 0 ? void 0 : _b.protocolMessage) === null || _c === void 0 ? void 0 : _c.appStateSyncKeyShare)
             && pendingAppStateSync) {
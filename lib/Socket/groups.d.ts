@@ -1,7 +1,7 @@
 /// <reference types="node" />
 /// <reference types="node" />
 import { proto } from '../../WAProto';
-import { GroupMetadata, ParticipantAction, SocketConfig } from '../Types';
+import { CommunityLinkedGroups, GroupMetadata, GroupSubgroup, ParticipantAction, SocketConfig } from '../Types';
 import { BinaryNode } from '../WABinary';
 export declare const makeGroupsSocket: (config: SocketConfig) => {
     groupMetadata: (jid: string) => Promise<GroupMetadata>;
@@ -45,6 +45,17 @@ export declare const makeGroupsSocket: (config: SocketConfig) => {
     groupFetchAllParticipating: () => Promise<{
         [_: string]: GroupMetadata;
     }>;
+    communityCreate: (subject: string, description?: string) => Promise<GroupMetadata>;
+    communityCreateGroup: (subject: string, participants: string[], parentCommunityJid: string) => Promise<GroupMetadata>;
+    communityLinkGroup: (groupJid: string, parentCommunityJid: string) => Promise<void>;
+    communityUnlinkGroup: (groupJid: string, parentCommunityJid: string) => Promise<void>;
+    communityFetchLinkedGroups: (jid: string) => Promise<CommunityLinkedGroups>;
+    /**
+     * find the announcement group of a community, which is where messages to the whole community are posted
+     * @param jid jid of the community or of one of its subgroups
+     * @returns jid of the announcement group, or undefined if the community has none
+     */
+    communityFetchAnnouncementGroup: (jid: string) => Promise<string | undefined>;
     processingMutex: {
         mutex<T>(code: () => T | Promise<T>): Promise<T>;
     };
@@ -120,5 +131,12 @@ export declare const makeGroupsSocket: (config: SocketConfig) => {
     requestPairingCode: (phoneNumber: string) => Promise<string>;
     waitForConnectionUpdate: (check: (u: Partial<import("../Types").ConnectionState>) => Promise<boolean | undefined>, timeoutMs?: number | undefined) => Promise<void>;
     sendWAMBuffer: (wamBuffer: Buffer) => Promise<BinaryNode>;
+    metrics: import("../Utils").SocketMetrics;
+    tracer: import("../Utils").Tracer;
+    replayStanzas: (records: string | import("../Utils").StanzaRecord[], { delayIntervalMs }?: {
+        delayIntervalMs?: number;
+    }) => Promise<import("../Utils").StanzaReplayer>;
+    isReplaying: () => boolean;
 };
 export declare const extractGroupMetadata: (result: BinaryNode) => GroupMetadata;
+export declare const extractSubgroups: (node: BinaryNode | undefined) => GroupSubgroup[];
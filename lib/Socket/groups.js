@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.extractGroupMetadata = exports.makeGroupsSocket = void 0;
+exports.extractSubgroups = exports.extractGroupMetadata = exports.makeGroupsSocket = void 0;
 const WAProto_1 = require("../../WAProto");
 const Types_1 = require("../Types");
 const Utils_1 = require("../Utils");
@@ -81,6 +81,22 @@ const makeGroupsSocket = (config) => {
         return data;
     };
 
+    // Lists the groups linked to a community; accepts either the community jid or one of its subgroups
+    const communityFetchLinkedGroups = async (jid) => {
+        let communityJid = jid;
+        let isCommunity = false;
+        const metadata = await groupMetadata(jid);
+        if (metadata.linkedParent) {
+            communityJid = metadata.linkedParent;
+        }
+        else {
+            isCommunity = true;
+        }
+        const result = await groupQuery(communityJid, 'get', [{ tag: 'sub_groups', attrs: {} }]);
+        const linkedGroups = extractSubgroups((0, WABinary_1.getBinaryNodeChild)(result, 'sub_groups'));
+        return { communityJid, isCommunity, linkedGroups };
+    };
+
     // Group update event
     sock.ws.on('CB:ib,,dirty', async (node) => {
         const { attrs } = (0, WABinary_1.getBinaryNodeChild)(node, 'dirty');
@@ -178,6 +194,224 @@ const makeGroupsSocket = (config) => {
                 }
             ]);
             await groupMetadata(jid, true); // Refresh cache
+        },
+        groupRequestParticipantsList: async (jid) => {
+            const result = await groupQuery(jid, 'get', [
+                {
+                    tag: 'membership_approval_requests',
+                    attrs: {}
+                }
+            ]);
+            const node = (0, WABinary_1.getBinaryNodeChild)(result, 'membership_approval_requests');
+            const participants = (0, WABinary_1.getBinaryNodeChildren)(node, 'membership_approval_request');
+            return participants.map(v => v.attrs);
+        },
+        groupRequestParticipantsUpdate: async (jid, participants, action) => {
+            const result = await groupQuery(jid, 'set', [{
+                    tag: 'membership_requests_action',
+                    attrs: {},
+                    content: [
+                        {
+                            tag: action,
+                            attrs: {},
+                            content: participants.map(jid => ({
+                                tag: 'participant',
+                                attrs: { jid }
+                            }))
+                        }
+                    ]
+                }]);
+            const node = (0, WABinary_1.getBinaryNodeChild)(result, 'membership_requests_action');
+            const nodeAction = (0, WABinary_1.getBinaryNodeChild)(node, action);
+            const participantsAffected = (0, WABinary_1.getBinaryNodeChildren)(nodeAction, 'participant');
+            if (action === 'approve') {
+                groupMetadataCache.delete(jid); // Participant list changed
+            }
+            return participantsAffected.map(p => {
+                return { status: p.attrs.error || '200', jid: p.attrs.jid };
+            });
+        },
+        groupInviteCode: async (jid) => {
+            const result = await groupQuery(jid, 'get', [{ tag: 'invite', attrs: {} }]);
+            const inviteNode = (0, WABinary_1.getBinaryNodeChild)(result, 'invite');
+            return inviteNode === null || inviteNode === void 0 ? void 0 : inviteNode.attrs.code;
+        },
+        groupRevokeInvite: async (jid) => {
+            const result = await groupQuery(jid, 'set', [{ tag: 'invite', attrs: {} }]);
+            const inviteNode = (0, WABinary_1.getBinaryNodeChild)(result, 'invite');
+            return inviteNode === null || inviteNode === void 0 ? void 0 : inviteNode.attrs.code;
+        },
+        groupAcceptInvite: async (code) => {
+            const results = await groupQuery('@g.us', 'set', [{ tag: 'invite', attrs: { code } }]);
+            const result = (0, WABinary_1.getBinaryNodeChild)(results, 'group');
+            return result === null || result === void 0 ? void 0 : result.attrs.jid;
+        },
+        /**
+         * revoke a v4 invite for someone
+         * @param groupJid group jid
+         * @param invitedJid jid of person you invited
+         * @returns true if successful
+         */
+        groupRevokeInviteV4: async (groupJid, invitedJid) => {
+            const result = await groupQuery(groupJid, 'set', [{ tag: 'revoke', attrs: {}, content: [{ tag: 'participant', attrs: { jid: invitedJid } }] }]);
+            return !!result;
+        },
+        /**
+         * accept a GroupInviteMessage
+         * @param key the key of the invite message, or optionally only provide the jid of the person who sent the invite
+         * @param inviteMessage the message to accept
+         */
+        groupAcceptInviteV4: ev.createBufferedFunction(async (key, inviteMessage) => {
+            var _a;
+            key = typeof key === 'string' ? { remoteJid: key } : key;
+            const results = await groupQuery(inviteMessage.groupJid, 'set', [{
+                    tag: 'accept',
+                    attrs: {
+                        code: inviteMessage.inviteCode,
+                        expiration: inviteMessage.inviteExpiration.toString(),
+                        admin: key.remoteJid
+                    }
+                }]);
+            // if we have the full message key
+            // update the invite message to be expired
+            if (key.id) {
+                // create new invite message that is expired
+                inviteMessage = WAProto_1.proto.Message.GroupInviteMessage.fromObject(inviteMessage);
+                inviteMessage.inviteExpiration = 0;
+                inviteMessage.inviteCode = '';
+                ev.emit('messages.update', [
+                    {
+                        key,
+                        update: {
+                            message: {
+                                groupInviteMessage: inviteMessage
+                            }
+                        }
+                    }
+                ]);
+            }
+            // generate the group add message
+            await upsertMessage({
+                key: {
+                    remoteJid: inviteMessage.groupJid,
+                    id: (0, Utils_1.generateMessageIDV2)((_a = sock.user) === null || _a === void 0 ? void 0 : _a.id),
+                    fromMe: false,
+                    participant: key.remoteJid,
+                },
+                messageStubType: Types_1.WAMessageStubType.GROUP_PARTICIPANT_ADD,
+                messageStubParameters: [
+                    authState.creds.me.id
+                ],
+                participant: key.remoteJid,
+                messageTimestamp: (0, Utils_1.unixTimestampSeconds)()
+            }, 'notify');
+            return results.attrs.from;
+        }),
+        groupGetInviteInfo: async (code) => {
+            const results = await groupQuery('@g.us', 'get', [{ tag: 'invite', attrs: { code } }]);
+            return extractGroupMetadata(results);
+        },
+        groupToggleEphemeral: async (jid, ephemeralExpiration) => {
+            const content = ephemeralExpiration ?
+                { tag: 'ephemeral', attrs: { expiration: ephemeralExpiration.toString() } } :
+                { tag: 'not_ephemeral', attrs: {} };
+            await groupQuery(jid, 'set', [content]);
+            groupMetadataCache.delete(jid); // Invalidate cached ephemeral state
+        },
+        groupSettingUpdate: async (jid, setting) => {
+            await groupQuery(jid, 'set', [{ tag: setting, attrs: {} }]);
+            groupMetadataCache.delete(jid); // Invalidate cached announce/restrict state
+        },
+        groupMemberAddMode: async (jid, mode) => {
+            await groupQuery(jid, 'set', [{ tag: 'member_add_mode', attrs: {}, content: mode }]);
+            groupMetadataCache.delete(jid);
+        },
+        groupJoinApprovalMode: async (jid, mode) => {
+            await groupQuery(jid, 'set', [{ tag: 'membership_approval_mode', attrs: {}, content: [{ tag: 'group_join', attrs: { state: mode } }] }]);
+            groupMetadataCache.delete(jid);
+        },
+        groupFetchAllParticipating,
+        communityCreate: async (subject, description) => {
+            const result = await groupQuery('@g.us', 'set', [
+                {
+                    tag: 'create',
+                    attrs: { subject },
+                    content: [
+                        {
+                            tag: 'description',
+                            attrs: { id: (0, Utils_1.generateMessageID)().substring(0, 12) },
+                            content: [
+                                { tag: 'body', attrs: {}, content: Buffer.from(description || '', 'utf-8') }
+                            ]
+                        },
+                        { tag: 'parent', attrs: { 'default_membership_approval_mode': 'request_required' } },
+                        { tag: 'allow_non_admin_sub_group_creation', attrs: {} },
+                        { tag: 'create_general_chat', attrs: {} }
+                    ]
+                }
+            ]);
+            const meta = extractGroupMetadata(result);
+            groupMetadataCache.set(meta.id, { metadata: meta, timestamp: Date.now() });
+            return meta;
+        },
+        communityCreateGroup: async (subject, participants, parentCommunityJid) => {
+            const key = (0, Utils_1.generateMessageID)();
+            const result = await groupQuery('@g.us', 'set', [
+                {
+                    tag: 'create',
+                    attrs: {
+                        subject,
+                        key
+                    },
+                    content: [
+                        ...participants.map(jid => ({
+                            tag: 'participant',
+                            attrs: { jid }
+                        })),
+                        { tag: 'linked_parent', attrs: { jid: parentCommunityJid } }
+                    ]
+                }
+            ]);
+            const meta = extractGroupMetadata(result);
+            groupMetadataCache.set(meta.id, { metadata: meta, timestamp: Date.now() });
+            return meta;
+        },
+        communityLinkGroup: async (groupJid, parentCommunityJid) => {
+            await groupQuery(parentCommunityJid, 'set', [
+                {
+                    tag: 'links',
+                    attrs: {},
+                    content: [
+                        {
+                            tag: 'link',
+                            attrs: { 'link_type': 'sub_group' },
+                            content: [{ tag: 'group', attrs: { jid: groupJid } }]
+                        }
+                    ]
+                }
+            ]);
+            groupMetadataCache.delete(groupJid); // linkedParent changed
+        },
+        communityUnlinkGroup: async (groupJid, parentCommunityJid) => {
+            await groupQuery(parentCommunityJid, 'set', [
+                {
+                    tag: 'unlink',
+                    attrs: { 'unlink_type': 'sub_group' },
+                    content: [{ tag: 'group', attrs: { jid: groupJid } }]
+                }
+            ]);
+            groupMetadataCache.delete(groupJid); // linkedParent changed
+        },
+        communityFetchLinkedGroups,
+        /**
+         * find the announcement group of a community, which is where messages to the whole community are posted
+         * @param jid jid of the community or of one of its subgroups
+         * @returns jid of the announcement group, or undefined if the community has none
+         */
+        communityFetchAnnouncementGroup: async (jid) => {
+            const { linkedGroups } = await communityFetchLinkedGroups(jid);
+            const announce = linkedGroups.find(g => g.isDefaultSubgroup);
+            return announce === null || announce === void 0 ? void 0 : announce.id;
         }
     };
 };
@@ -197,6 +431,7 @@ const extractGroupMetadata = (result) => {
     const groupId = group.attrs.id.includes('@') ? group.attrs.id : (0, WABinary_1.jidEncode)(group.attrs.id, 'g.us');
     const eph = (_a = (0, WABinary_1.getBinaryNodeChild)(group, 'ephemeral')) === null || _a === void 0 ? void 0 : _a.attrs.expiration;
     const memberAddMode = (0, WABinary_1.getBinaryNodeChildString)(group, 'member_add_mode') === 'all_member_add';
+    const subGroupsChild = (0, WABinary_1.getBinaryNodeChild)(group, 'sub_groups');
     const metadata = {
         id: groupId,
         subject: group.attrs.subject,
@@ -218,8 +453,24 @@ const extractGroupMetadata = (result) => {
             id: attrs.jid,
             admin: (attrs.type || null),
         })),
-        ephemeralDuration: eph ? +eph : undefined
+        ephemeralDuration: eph ? +eph : undefined,
+        subgroups: subGroupsChild ? extractSubgroups(subGroupsChild) : undefined
     };
     return metadata;
 };
 exports.extractGroupMetadata = extractGroupMetadata;
+
+const extractSubgroups = (node) => {
+    return (0, WABinary_1.getBinaryNodeChildren)(node, 'group').map(groupNode => {
+        const { attrs } = groupNode;
+        return {
+            id: attrs.id.includes('@') ? attrs.id : (0, WABinary_1.jidEncode)(attrs.id, 'g.us'),
+            subject: attrs.subject || '',
+            creation: attrs.creation ? +attrs.creation : undefined,
+            owner: attrs.creator ? (0, WABinary_1.jidNormalizedUser)(attrs.creator) : undefined,
+            size: attrs.size ? +attrs.size : undefined,
+            isDefaultSubgroup: !!(0, WABinary_1.getBinaryNodeChild)(groupNode, 'default_sub_group')
+        };
+    });
+};
+exports.extractSubgroups = extractSubgroups;
@@ -42,36 +42,24 @@ const retryOperation = async (operation, maxAttempts = 3, initialDelay = 500, la
   }
 };
 
-//
-// Variabile globale pentru detectarea flood-ului
-//
-const messageTimestamps = new Map();
-/**
- * Verifică dacă într-o fereastră de timp (default 10 secunde) sunt prea multe mesaje de la același JID.
- * Dacă se depășește pragul (config.floodThreshold, implicit 50), loghează un avertisment.
- */
-const checkFlood = (jid, floodWindowMs = 10000, threshold = 50) => {
-  const now = Date.now();
-  let timestamps = messageTimestamps.get(jid) || [];
-  // Filtrăm timpii mai vechi decât floodWindowMs
-  timestamps = timestamps.filter(time => now - time < floodWindowMs);
-  timestamps.push(now);
-  messageTimestamps.set(jid, timestamps);
-  if (timestamps.length > threshold) {
-    console.warn(`Flood detected: ${timestamps.length} mesaje în ultimele ${floodWindowMs / 1000} secunde de la ${jid}`);
-    return true;
-  }
-  return false;
-};
-
 const makeMessagesRecvSocket = (config) => {
   const { logger, retryRequestDelayMs, maxMsgRetryCount, getMessage, shouldIgnoreJid } = config;
-  // Rate limit: dacă config definește floodThreshold, folosim acel prag; altfel default 50 mesaje în 10 secunde
-  const floodThreshold = config.floodThreshold || 50;
-  const floodWindowMs = config.floodWindowMs || 10000;
+  // Protecție anti-spam; floodThreshold și floodWindowMs sunt păstrate pentru compatibilitate
+  const legacyFlood = {};
+  if (config.floodThreshold) legacyFlood.limit = config.floodThreshold;
+  if (config.floodWindowMs) legacyFlood.windowMs = config.floodWindowMs;
+  const spamRules = config.spamProtection?.rules || {};
+  const spamGuard = (0, Utils_1.makeSpamGuard)({
+    ...config.spamProtection,
+    rules: {
+      ...spamRules,
+      senderFlood: spamRules.senderFlood === false ? false : { ...legacyFlood, ...spamRules.senderFlood },
+      groupFlood: spamRules.groupFlood === false ? false : { ...legacyFlood, ...spamRules.groupFlood }
+    }
+  });
   
   const sock = (0, messages_send_1.makeMessagesSocket)(config);
-  const { ev, authState, ws, processingMutex, signalRepository, query, upsertMessage, resyncAppState, onUnexpectedError, assertSessions, sendNode, relayMessage, sendReceipt, uploadPreKeys, sendPeerDataOperationMessage } = sock;
+  const { ev, authState, ws, processingMutex, signalRepository, query, upsertMessage, resyncAppState, onUnexpectedError, assertSessions, sendNode, relayMessage, sendReceipt, uploadPreKeys, sendPeerDataOperationMessage, metrics, tracer } = sock;
   
   // Mutex pentru a asigura execuția secvențială a retry-request-urilor
   const retryMutex = (0, make_mutex_1.makeMutex)();
@@ -154,6 +142,7 @@ const makeMessagesRecvSocket = (config) => {
     }
     retryCount++;
     msgRetryCache.set(key, retryCount);
+    metrics.retryRequests.inc();
     const { account, signedPreKey, signedIdentityKey: identityKey } = authState.creds;
     if (retryCount === 1) {
       // Cerere de resend placeholder via telefon
@@ -336,6 +325,64 @@ const makeMessagesRecvSocket = (config) => {
         }
     }
   };
+
+  const handleNewsletterNotification = (id, node) => {
+    const messages = (0, WABinary_1.getBinaryNodeChild)(node, 'messages');
+    const message = (0, WABinary_1.getBinaryNodeChild)(messages, 'message');
+    if (!message) {
+      return;
+    }
+    const serverId = message.attrs.server_id;
+    const reactionsList = (0, WABinary_1.getBinaryNodeChild)(message, 'reactions');
+    const viewsList = (0, WABinary_1.getBinaryNodeChildren)(message, 'views_count');
+    if (reactionsList) {
+      const reactions = (0, WABinary_1.getBinaryNodeChildren)(reactionsList, 'reaction');
+      if (reactions.length === 0) {
+        ev.emit('newsletter.reaction', { id, 'server_id': serverId, reaction: { removed: true } });
+      }
+      for (const item of reactions) {
+        ev.emit('newsletter.reaction', { id, 'server_id': serverId, reaction: { code: item.attrs.code, count: +item.attrs.count } });
+      }
+    }
+    for (const item of viewsList) {
+      ev.emit('newsletter.view', { id, 'server_id': serverId, count: +item.attrs.count });
+    }
+  };
+
+  const handleMexNewsletterNotification = (id, node) => {
+    const operation = node?.attrs.op_name;
+    let content;
+    try {
+      content = JSON.parse(node?.content?.toString() || '{}');
+    } catch (error) {
+      logger.warn({ id, operation, error: error.message }, 'malformed mex notification');
+      return;
+    }
+    if (operation === Types_1.MexOperations.PROMOTE || operation === Types_1.MexOperations.DEMOTE) {
+      const isPromote = operation === Types_1.MexOperations.PROMOTE;
+      const contentPath = content.data?.[isPromote ? Types_1.XWAPaths.PROMOTE : Types_1.XWAPaths.DEMOTE];
+      if (!contentPath?.user) {
+        logger.warn({ id, operation }, 'malformed mex notification');
+        return;
+      }
+      ev.emit('newsletter-participants.update', {
+        id,
+        author: contentPath.actor?.pn,
+        user: contentPath.user.pn,
+        'new_role': contentPath.user_new_role,
+        action: isPromote ? 'promote' : 'demote'
+      });
+    } else if (operation === Types_1.MexOperations.UPDATE) {
+      const contentPath = content.data?.[Types_1.XWAPaths.METADATA_UPDATE];
+      if (!contentPath?.thread_metadata) {
+        logger.warn({ id, operation }, 'malformed mex notification');
+        return;
+      }
+      ev.emit('newsletter-settings.update', { id, update: contentPath.thread_metadata.settings });
+    } else {
+      logger.debug({ id, operation }, 'unhandled mex notification');
+    }
+  };
   
   const processNotification = async (node) => {
     const result = {};
@@ -356,6 +403,12 @@ const makeMessagesRecvSocket = (config) => {
       case 'w:gp2':
         handleGroupNotification(node.attrs.participant, child, result);
         break;
+      case 'newsletter':
+        handleNewsletterNotification(node.attrs.from, child);
+        break;
+      case 'mex':
+        handleMexNewsletterNotification(node.attrs.from, child);
+        break;
       case 'mediaretry':
         {
           const event = (0, Utils_1.decodeMediaRetryNode)(node);
@@ -634,12 +687,62 @@ const makeMessagesRecvSocket = (config) => {
     }
   };
   
-  const handleMessage = async (node) => {
-    // Verificare flood: dacă de la același JID se primesc multe mesaje, se oprește procesarea suplimentară
-    if (checkFlood(node.attrs.from, floodWindowMs, floodThreshold)) {
-      logger.warn(`Flood detected from ${node.attrs.from}, ignor mesajul cu id ${node.attrs.id}`);
-      await sendMessageAck(node);
-      return;
+  const handleMessage = (node) => tracer.trace('handleMessage', {
+    'message.id': node.attrs.id,
+    jid: node.attrs.from,
+    participant: node.attrs.participant,
+    offline: !!node.attrs.offline
+  }, () => handleMessageNode(node));
+
+  /** Anunță spam-ul detectat și aplică acțiunile configurate, în afară de 'ignore' */
+  const onSpamDetected = (verdict) => {
+    logger.warn({ verdict }, 'spam detected');
+    if (verdict.actions.includes('ignore')) {
+      metrics.spamDropped.inc({ rule: verdict.rule });
+    }
+    ev.emit('spam.detected', verdict);
+    const { chat, sender, isGroup } = verdict;
+    // groupFlood numără mesajele tuturor membrilor; expeditorul verdictului e doar cel care a depășit limita
+    const isSenderRule = verdict.rule !== 'groupFlood';
+    const applyAction = async (action) => {
+      if (action !== 'ignore' && !isSenderRule) {
+        logger.debug({ action, rule: verdict.rule }, 'skipping sender action for a group-wide rule');
+        return;
+      }
+      switch (action) {
+        case 'warn':
+          if (spamGuard.shouldTakeAction('warn', `${chat}:${sender}`)) {
+            const text = spamGuard.options.warnMessage(verdict);
+            await sock.sendMessage(chat, { text, mentions: [sender] });
+          }
+          break;
+        case 'block':
+          if (spamGuard.shouldTakeAction('block', sender)) {
+            await sock.updateBlockStatus(sender, 'block');
+          }
+          break;
+        case 'remove':
+          if (isGroup && spamGuard.shouldTakeAction('remove', `${chat}:${sender}`)) {
+            await sock.groupParticipantsUpdate(chat, [sender], 'remove');
+          }
+          break;
+      }
+    };
+    for (const action of verdict.actions) {
+      applyAction(action).catch(error => logger.warn({ error, action, verdict }, 'failed to apply spam action'));
+    }
+  };
+
+  const handleMessageNode = async (node) => {
+    // Verificare flood înainte de decriptare, ca un raid să nu consume resurse
+    const isOwnNode = (0, WABinary_1.areJidsSameUser)(node.attrs.participant || node.attrs.from, authState.creds.me.id);
+    const floodVerdict = !isOwnNode && spamGuard.checkNode(node);
+    if (floodVerdict) {
+      onSpamDetected(floodVerdict);
+      if (floodVerdict.actions.includes('ignore')) {
+        await sendMessageAck(node);
+        return;
+      }
     }
     if (shouldIgnoreJid(node.attrs.from) && node.attrs.from !== '@s.whatsapp.net') {
       logger.debug({ key: node.attrs.key }, 'ignored message');
@@ -671,9 +774,11 @@ const makeMessagesRecvSocket = (config) => {
       await processingMutex.mutex(async () => {
         // Retry decriptare cu backoff, dacă este necesar
         await retryOperation(async () => {
-          await decrypt();
+          await tracer.traceIfActive('decryptMessageNode', { 'message.id': msg.key.id, category, author }, () => decrypt());
         }, maxMsgRetryCount, retryRequestDelayMs || 500, 'decryptMessage');
         if (msg.messageStubType === WAProto_1.proto.WebMessageInfo.StubType.CIPHERTEXT) {
+          metrics.decryptFailures.inc();
+          tracer.activeSpan()?.setStatus('error', `decryption failed: ${msg.messageStubParameters?.[0]}`);
           if (msg.messageStubParameters?.[0] === Utils_1.MISSING_KEYS_ERROR_TEXT) {
             return sendMessageAck(node, Utils_1.NACK_REASONS.ParsingError);
           }
@@ -688,6 +793,7 @@ const makeMessagesRecvSocket = (config) => {
             }
           });
         } else {
+          metrics.messagesReceived.inc({ type: (0, Utils_1.getContentType)((0, Utils_1.normalizeMessageContent)(msg.message)) || 'unknown' });
           let type = undefined;
           let participant = msg.key.participant;
           if (category === 'peer') {
@@ -709,10 +815,18 @@ const makeMessagesRecvSocket = (config) => {
         }
         (0, Utils_1.cleanMessage)(msg, authState.creds.me.id);
         await sendMessageAck(node);
+        const spamVerdict = spamGuard.checkMessage(msg);
+        if (spamVerdict) {
+          onSpamDetected(spamVerdict);
+          if (spamVerdict.actions.includes('ignore')) {
+            return;
+          }
+        }
         await upsertMessage(msg, node.attrs.offline ? 'append' : 'notify');
       });
     } catch (error) {
       logger.error({ error, node }, 'error in handling message');
+      tracer.activeSpan()?.recordException(error);
     }
   };
   
@@ -831,14 +945,14 @@ const makeMessagesRecvSocket = (config) => {
       if (isProcessing) return;
       isProcessing = true;
       const processBatch = async () => {
-        while (nodes.length && ws.isOpen) {
+        while (nodes.length && (ws.isOpen || sock.isReplaying())) {
           const { type, node } = nodes.shift();
           const nodeProcessor = nodeProcessorMap.get(type);
           if (!nodeProcessor) {
             onUnexpectedError(new Error(`unknown offline node type: ${type}`), 'processing offline node');
             continue;
           }
-          await nodeProcessor(node);
+          await tracer.trace('processNode', getNodeTraceAttributes(node), () => nodeProcessor(node));
         }
         isProcessing = false;
       };
@@ -847,13 +961,22 @@ const makeMessagesRecvSocket = (config) => {
     return { enqueue };
   };
   
+  /** attributes correlating the spans of an incoming stanza */
+  const getNodeTraceAttributes = (node) => ({
+    'stanza.tag': node.tag,
+    'stanza.id': node.attrs.id,
+    'stanza.type': node.attrs.type,
+    'stanza.from': node.attrs.from,
+    offline: !!node.attrs.offline
+  });
+
   const offlineNodeProcessor = makeOfflineNodeProcessor();
   const processNode = (type, node, identifier, exec) => {
     const isOffline = !!node.attrs.offline;
     if (isOffline) {
       offlineNodeProcessor.enqueue(type, node);
     } else {
-      processNodeWithBuffer(node, identifier, exec);
+      tracer.trace('processNode', getNodeTraceAttributes(node), () => processNodeWithBuffer(node, identifier, exec));
     }
   };
   
@@ -906,6 +1029,7 @@ const makeMessagesRecvSocket = (config) => {
     rejectCall,
     fetchMessageHistory,
     requestPlaceholderResend,
+    spamGuard,
   };
 };
 exports.makeMessagesRecvSocket = makeMessagesRecvSocket;
@@ -6,18 +6,19 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.makeMessagesSocket = void 0;
 const node_cache_1 = __importDefault(require("@cacheable/node-cache"));
 const boom_1 = require("@hapi/boom");
+const stream_1 = require("stream");
 const WAProto_1 = require("../../WAProto");
 const Defaults_1 = require("../Defaults");
 const Utils_1 = require("../Utils");
 const link_preview_1 = require("../Utils/link-preview");
 const WABinary_1 = require("../WABinary");
 const WAUSync_1 = require("../WAUSync");
-const groups_1 = require("./groups");
+const newsletter_1 = require("./newsletter");
 
 const makeMessagesSocket = (config) => {
     const { logger, linkPreviewImageThumbnailWidth, generateHighQualityLinkPreview, options: axiosOptions, patchMessageBeforeSending, cachedGroupMetadata, } = config;
-    const sock = (0, groups_1.makeGroupsSocket)(config);
-    const { ev, authState, processingMutex, signalRepository, upsertMessage, query, fetchPrivacySettings, sendNode, groupMetadata, groupToggleEphemeral, } = sock;
+    const sock = (0, newsletter_1.makeNewsletterSocket)(config);
+    const { ev, authState, processingMutex, signalRepository, upsertMessage, query, fetchPrivacySettings, sendNode, groupMetadata, groupToggleEphemeral, metrics, tracer, } = sock;
     const userDevicesCache = config.userDevicesCache || new node_cache_1.default({
         stdTTL: Defaults_1.DEFAULT_CACHE_TTLS.USER_DEVICES,
         useClones: false
@@ -182,7 +183,7 @@ const makeMessagesSocket = (config) => {
         return deviceResults;
     };
 
-    const assertSessions = async (jids, force) => {
+    const assertSessions = (jids, force) => tracer.traceIfActive('assertSessions', { 'jids.count': jids.length, force: !!force }, async (span) => {
         let didFetchNewSession = false;
         let jidsRequiringFetch = [];
         if (force) {
@@ -223,8 +224,9 @@ const makeMessagesSocket = (config) => {
             await (0, Utils_1.parseAndInjectE2ESessions)(result, signalRepository);
             didFetchNewSession = true;
         }
+        span.setAttribute('sessions.fetched', jidsRequiringFetch.length);
         return didFetchNewSession;
-    };
+    });
 
     const sendPeerDataOperationMessage = async (pdoMessage) => {
         var _a;
@@ -277,7 +279,7 @@ const makeMessagesSocket = (config) => {
         return { nodes, shouldIncludeDeviceIdentity };
     };
 
-    const relayMessage = async (jid, message, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, statusJidList }) => {
+    const relayMessageToDevices = async (jid, message, { messageId: msgId, participant, additionalAttributes, additionalNodes, useUserDevicesCache, useCachedGroupMetadata, statusJidList }) => {
         var _a;
         const meId = authState.creds.me.id;
         let shouldIncludeDeviceIdentity = false;
@@ -286,6 +288,7 @@ const makeMessagesSocket = (config) => {
         const isGroup = server === 'g.us';
         const isStatus = jid === statusJid;
         const isLid = server === 'lid';
+        const isNewsletter = server === 'newsletter';
         msgId = msgId || (0, Utils_1.generateMessageIDV2)((_a = sock.user) === null || _a === void 0 ? void 0 : _a.id);
         useUserDevicesCache = useUserDevicesCache !== false;
         useCachedGroupMetadata = useCachedGroupMetadata !== false && !isStatus;
@@ -316,6 +319,37 @@ const makeMessagesSocket = (config) => {
             if ((_a = (0, Utils_1.normalizeMessageContent)(message)) === null || _a === void 0 ? void 0 : _a.pinInChatMessage) {
                 extraAttrs['decrypt-fail'] = 'hide';
             }
+            if (isNewsletter) {
+                var _f, _g, _h;
+                // newsletter messages are not end-to-end encrypted, edits & deletes target the original id
+                if ((_f = message.protocolMessage) === null || _f === void 0 ? void 0 : _f.editedMessage) {
+                    msgId = (_g = message.protocolMessage.key) === null || _g === void 0 ? void 0 : _g.id;
+                    message = message.protocolMessage.editedMessage;
+                }
+                else if (((_h = message.protocolMessage) === null || _h === void 0 ? void 0 : _h.type) === WAProto_1.proto.Message.ProtocolMessage.Type.REVOKE) {
+                    msgId = message.protocolMessage.key.id;
+                    message = {};
+                }
+                const patched = await patchMessageBeforeSending(message, []);
+                binaryNodeContent.push({
+                    tag: 'plaintext',
+                    attrs: mediaType ? { mediatype: mediaType } : {},
+                    content: WAProto_1.proto.Message.encode(patched).finish()
+                });
+                const stanza = {
+                    tag: 'message',
+                    attrs: {
+                        to: jid,
+                        id: msgId,
+                        type: getMessageType(message),
+                        ...(additionalAttributes || {})
+                    },
+                    content: binaryNodeContent
+                };
+                logger.debug({ msgId }, `sending newsletter message to ${jid}`);
+                await sendNode(stanza);
+                return;
+            }
             if (isGroup || isStatus) {
                 const [groupData, senderKeyMap] = await Promise.all([
                     (async () => {
@@ -471,6 +505,26 @@ const makeMessagesSocket = (config) => {
         return msgId;
     };
 
+    /** relays the message, recording its latency & outcome per content type */
+    const relayMessage = (jid, message, opts) => tracer.trace('relayMessage', { jid, 'message.id': opts === null || opts === void 0 ? void 0 : opts.messageId }, async (span) => {
+        const type = (0, Utils_1.getContentType)((0, Utils_1.normalizeMessageContent)(message)) || 'unknown';
+        span.setAttribute('message.type', type);
+        const stopTimer = metrics.relayMessageDuration.startTimer({ type });
+        try {
+            const msgId = await relayMessageToDevices(jid, message, opts);
+            span.setAttribute('message.id', msgId);
+            metrics.messagesSent.inc({ type });
+            return msgId;
+        }
+        catch (error) {
+            metrics.relayMessageErrors.inc({ type });
+            throw error;
+        }
+        finally {
+            stopTimer();
+        }
+    });
+
     const getMessageType = (message) => {
         if (message.pollCreationMessage || message.pollCreationMessageV2 || message.pollCreationMessageV3) {
             return 'poll';
@@ -553,7 +607,12 @@ const makeMessagesSocket = (config) => {
         return result;
     };
 
-    const waUploadToServer = (0, Utils_1.getWAUploadToServer)(config, refreshMediaConn);
+    const uploadToServer = (0, Utils_1.getWAUploadToServer)(config, refreshMediaConn);
+    /** uploads the media, counting the uploaded bytes */
+    const waUploadToServer = (stream, opts) => {
+        const counter = (0, Utils_1.makeByteCounter)(bytes => metrics.mediaUploadBytes.inc({ media_type: opts.mediaType }, bytes));
+        return uploadToServer((0, stream_1.pipeline)(stream, counter, () => { }), opts);
+    };
     const waitForMsgMediaUpdate = (0, Utils_1.bindWaitForEvent)(ev, 'messages.media-update');
     return {
         ...sock,
@@ -610,7 +669,7 @@ const makeMessagesSocket = (config) => {
             ]);
             return message;
         },
-        sendMessage: async (jid, content, options = {}) => {
+        sendMessage: (jid, content, options = {}) => tracer.trace('sendMessage', { jid }, async (span) => {
             var _a, _b, _c;
             const userJid = authState.creds.me.id;
             if (typeof content === 'object' &&
@@ -624,7 +683,7 @@ const makeMessagesSocket = (config) => {
                 await groupToggleEphemeral(jid, value);
             }
             else {
-                const fullMsg = await (0, Utils_1.generateWAMessage)(jid, content, {
+                const fullMsg = await tracer.trace('generateWAMessage', { jid }, () => (0, Utils_1.generateWAMessage)(jid, content, {
                     logger,
                     userJid,
                     getUrlInfo: text => (0, link_preview_1.getUrlInfo)(text, {
@@ -641,10 +700,12 @@ const makeMessagesSocket = (config) => {
                     getProfilePicUrl: sock.profilePictureUrl,
                     upload: waUploadToServer,
                     mediaCache: config.mediaCache,
+                    mediaTranscoder: config.mediaTranscoder,
                     options: config.options,
                     messageId: (0, Utils_1.generateMessageIDV2)((_a = sock.user) === null || _a === void 0 ? void 0 : _a.id),
                     ...options,
-                });
+                }));
+                span.setAttribute('message.id', fullMsg.key.id);
                 const isDeleteMsg = 'delete' in content && !!content.delete;
                 const isEditMsg = 'edit' in content && !!content.edit;
                 const isPinMsg = 'pin' in content && !!content.pin;
@@ -684,7 +745,7 @@ const makeMessagesSocket = (config) => {
                 }
                 return fullMsg;
             }
-        }
+        })
     };
     return {
         ...sock,
@@ -772,6 +833,7 @@ const makeMessagesSocket = (config) => {
                     getProfilePicUrl: sock.profilePictureUrl,
                     upload: waUploadToServer,
                     mediaCache: config.mediaCache,
+                    mediaTranscoder: config.mediaTranscoder,
                     options: config.options,
                     messageId: (0, Utils_1.generateMessageIDV2)((_a = sock.user) === null || _a === void 0 ? void 0 : _a.id),
                     ...options,
@@ -70,7 +70,15 @@ const makeSocket = (config) => {
   });
   
   ws.connect();
-  const ev = (0, Utils_1.makeEventBuffer)(logger);
+  /** counters & latencies for this socket, exportable in the Prometheus text format or as JSON */
+  const metrics = (0, Utils_1.makeSocketMetrics)(config.metrics);
+  /** spans for the send & receive pipelines, a no-op unless a tracer is configured */
+  const tracer = config.tracer || Utils_1.NOOP_TRACER;
+  const ev = (0, Utils_1.makeEventBuffer)(logger, metrics);
+  /** receives every stanza sent & received, see `captureStanzaStream` */
+  const stanzaRecorder = config.stanzaRecorder;
+  /** set while replaying a capture, stanzas are then handed to it instead of being sent */
+  let replayer;
   
   /** Ephemeral key pair used to encrypt/decrypt communication. Unique for each connection. */
   const ephemeralKeyPair = Utils_1.Curve.generateKeyPair();
@@ -116,13 +124,30 @@ const makeSocket = (config) => {
     if (logger.level === 'trace') {
       logger.trace({ xml: (0, WABinary_1.binaryNodeToString)(frame), msg: 'xml send' });
     }
+    if (replayer) {
+      const response = replayer.respond(frame);
+      if (response) {
+        // answered async, like a response from the server
+        setImmediate(() => dispatchNode(response));
+      }
+      return Promise.resolve();
+    }
+    stanzaRecorder?.record('send', frame);
     const buff = (0, WABinary_1.encodeBinaryNode)(frame);
-    return sendRawMessage(buff);
+    // only traced as part of a larger stage, so keep-alives & acks outside of one don't create traces
+    return tracer.traceIfActive('sendNode', {
+      'stanza.tag': frame.tag,
+      'stanza.id': frame.attrs?.id,
+      'stanza.type': frame.attrs?.type,
+      'stanza.to': frame.attrs?.to,
+      'stanza.bytes': buff.length
+    }, () => sendRawMessage(buff));
   };
 
   /** Log & process any unexpected errors. */
   const onUnexpectedError = (err, msg) => {
     logger.error({ err }, `unexpected error in '${msg}'`);
+    tracer.activeSpan()?.recordException(err);
   };
 
   /** Await the next incoming message; optionally send a message immediately. */
@@ -234,7 +259,9 @@ const makeSocket = (config) => {
       content: [{ tag: 'count', attrs: {} }]
     });
     const countChild = (0, WABinary_1.getBinaryNodeChild)(result, 'count');
-    return +countChild.attrs.value;
+    const count = +countChild.attrs.value;
+    metrics.preKeysOnServer.set(count);
+    return count;
   };
 
   /** Generates and uploads a set of pre-keys to the server. */
@@ -244,6 +271,7 @@ const makeSocket = (config) => {
       const { update, node } = await (0, Utils_1.getNextPreKeysNode)({ creds, keys }, count);
       await query(node);
       ev.emit('creds.update', update);
+      metrics.preKeysUploaded.inc(count);
       logger.info({ count }, 'uploaded pre-keys');
     });
   };
@@ -256,39 +284,73 @@ const makeSocket = (config) => {
     }
   };
 
+  /** Emits a received frame to its listeners. */
+  const dispatchNode = (frame) => {
+    var _a;
+    let anyTriggered = false;
+    anyTriggered = ws.emit('frame', frame);
+    // If it's a binary node.
+    if (!(frame instanceof Uint8Array)) {
+      const msgId = frame.attrs.id;
+      if (logger.level === 'trace') {
+        logger.trace({ xml: (0, WABinary_1.binaryNodeToString)(frame), msg: 'recv xml' });
+      }
+      /* Check if this is a response to a message we sent */
+      anyTriggered = ws.emit(`${Defaults_1.DEF_TAG_PREFIX}${msgId}`, frame) || anyTriggered;
+      /* Check if this is a response to a message we are expecting */
+      const l0 = frame.tag;
+      const l1 = frame.attrs || {};
+      const l2 = Array.isArray(frame.content) ? (_a = frame.content[0]) === null || _a === void 0 ? void 0 : _a.tag : '';
+      for (const key of Object.keys(l1)) {
+        anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},${key}:${l1[key]},${l2}`, frame) || anyTriggered;
+        anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},${key}:${l1[key]}`, frame) || anyTriggered;
+        anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},${key}`, frame) || anyTriggered;
+      }
+      anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},,${l2}`, frame) || anyTriggered;
+      anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0}`, frame) || anyTriggered;
+      if (!anyTriggered && logger.level === 'debug') {
+        logger.debug({ unhandled: true, msgId, fromMe: false, frame }, 'communication recv');
+      }
+    }
+  };
+
   const onMessageReceived = (data) => {
     noise.decodeFrame(data, frame => {
-      var _a;
       // Reset ping timeout.
       lastDateRecv = new Date();
-      let anyTriggered = false;
-      anyTriggered = ws.emit('frame', frame);
-      // If it's a binary node.
       if (!(frame instanceof Uint8Array)) {
-        const msgId = frame.attrs.id;
-        if (logger.level === 'trace') {
-          logger.trace({ xml: (0, WABinary_1.binaryNodeToString)(frame), msg: 'recv xml' });
-        }
-        /* Check if this is a response to a message we sent */
-        anyTriggered = ws.emit(`${Defaults_1.DEF_TAG_PREFIX}${msgId}`, frame) || anyTriggered;
-        /* Check if this is a response to a message we are expecting */
-        const l0 = frame.tag;
-        const l1 = frame.attrs || {};
-        const l2 = Array.isArray(frame.content) ? (_a = frame.content[0]) === null || _a === void 0 ? void 0 : _a.tag : '';
-        for (const key of Object.keys(l1)) {
-          anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},${key}:${l1[key]},${l2}`, frame) || anyTriggered;
-          anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},${key}:${l1[key]}`, frame) || anyTriggered;
-          anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},${key}`, frame) || anyTriggered;
-        }
-        anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0},,${l2}`, frame) || anyTriggered;
-        anyTriggered = ws.emit(`${Defaults_1.DEF_CALLBACK_PREFIX}${l0}`, frame) || anyTriggered;
-        if (!anyTriggered && logger.level === 'debug') {
-          logger.debug({ unhandled: true, msgId, fromMe: false, frame }, 'communication recv');
-        }
+        stanzaRecorder?.record('recv', frame);
       }
+      dispatchNode(frame);
     });
   };
 
+  /**
+   * Replays the received stanzas of a capture through the socket's handlers, as if they came from WA.
+   * Replaying is done offline, so the connection is closed first. The socket then stays in replay mode:
+   * stanzas are collected instead of sent, and queries get the responses recorded for them
+   * @param records the capture, or the file it was saved to
+   */
+  const replayStanzas = async (records, { delayIntervalMs = 0 } = {}) => {
+    if (typeof records === 'string') {
+      records = await (0, Utils_1.readStanzaStream)(records);
+    }
+    if (!replayer) {
+      end(undefined);
+      // the connection may still be opening, its error would otherwise go unhandled
+      ws.on('error', error => logger.debug({ error }, 'connection error while replaying'));
+      // also stops the client from reconnecting by itself
+      await ws.close();
+    }
+    replayer = (0, Utils_1.makeStanzaReplayer)(records);
+    logger.info({ stanzas: replayer.received.length }, 'replaying stanzas');
+    for (const node of replayer.received) {
+      dispatchNode(node);
+      delayIntervalMs && await (0, Utils_1.delay)(delayIntervalMs);
+    }
+    return replayer;
+  };
+
   /* ========= Auto-Reconnect Logic (V2) ========= */
   const shouldAutoReconnect = config.autoReconnect !== false; // Defaults true if not set to false.
   const maxReconnectAttempts = config.maxReconnectAttempts ?? 5;
@@ -318,8 +380,10 @@ const makeSocket = (config) => {
         await waitForSocketOpen();
         await validateConnection();
         currentReconnectAttempts = 0;
+        metrics.reconnectAttempts.inc({ result: 'success' });
         logger.info('Reconnected successfully');
       } catch (err) {
+        metrics.reconnectAttempts.inc({ result: 'failure' });
         logger.error({ err }, 'Reconnection attempt failed');
         handleDisconnect(err);
       }
@@ -730,6 +794,11 @@ const makeSocket = (config) => {
     /** Waits for the connection to WA to reach a certain state. */
     waitForConnectionUpdate: (0, Utils_1.bindWaitForConnectionUpdate)(ev),
     sendWAMBuffer,
+    metrics,
+    tracer,
+    replayStanzas,
+    /** whether the socket is replaying a capture, instead of being connected to WA */
+    isReplaying: () => !!replayer,
   };
 };
 exports.makeSocket = makeSocket;
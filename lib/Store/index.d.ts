@@ -1,3 +1,4 @@
 import makeCacheManagerAuthState from './make-cache-manager-store';
 import makeInMemoryStore from './make-in-memory-store';
-export { makeInMemoryStore, makeCacheManagerAuthState };
+import makeSqliteStore from './make-sqlite-store';
+export { makeInMemoryStore, makeCacheManagerAuthState, makeSqliteStore };
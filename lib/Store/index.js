@@ -3,8 +3,10 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.makeCacheManagerAuthState = exports.makeInMemoryStore = void 0;
+exports.makeSqliteStore = exports.makeCacheManagerAuthState = exports.makeInMemoryStore = void 0;
 const make_cache_manager_store_1 = __importDefault(require("./make-cache-manager-store"));
 exports.makeCacheManagerAuthState = make_cache_manager_store_1.default;
 const make_in_memory_store_1 = __importDefault(require("./make-in-memory-store"));
 exports.makeInMemoryStore = make_in_memory_store_1.default;
+const make_sqlite_store_1 = __importDefault(require("./make-sqlite-store"));
+exports.makeSqliteStore = make_sqlite_store_1.default;
@@ -0,0 +1,100 @@
+import { proto } from '../../WAProto';
+import type makeMDSocket from '../Socket';
+import type { BaileysEventEmitter, Chat, ConnectionState, Contact, GroupMetadata, PresenceData, WAMessage, WAMessageCursor, WAMessageKey } from '../Types';
+import { Label } from '../Types/Label';
+import { LabelAssociation } from '../Types/LabelAssociation';
+import { ILogger } from '../Utils/logger';
+type WASocket = ReturnType<typeof makeMDSocket>;
+export type BaileysSqliteStoreConfig = {
+    /** path to the database file, or ':memory:' */
+    path: string;
+    logger?: ILogger;
+    socket?: WASocket;
+};
+/** extracts the searchable text of a message -- the body of text messages or the caption of media */
+export declare const getMessageText: (msg: WAMessage) => string | undefined;
+/**
+ * makes a store backed by a SQLite database.
+ * Listens to the same events as the in memory store, but writes every change as it happens
+ * instead of keeping everything in RAM & dumping it to a file -- so it scales to large histories.
+ *
+ * Requires `better-sqlite3`, or node >= 22.5 for the built-in `node:sqlite`
+ */
+declare const _default: (config: BaileysSqliteStoreConfig) => {
+    state: ConnectionState;
+    presences: {
+        [id: string]: {
+            [participant: string]: PresenceData;
+        };
+    };
+    bind: (ev: BaileysEventEmitter) => void;
+    /** chats, pinned first & most recent first, same order as the in memory store */
+    getChats: ({ limit, offset }?: {
+        limit?: number;
+        offset?: number;
+    }) => Chat[];
+    getChat: (id: string) => Chat | undefined;
+    getContacts: () => Contact[];
+    getContact: (id: string) => Contact | undefined;
+    /**
+     * loads messages from the store, in chronological order
+     * @param jid the chat to load messages from
+     * @param count maximum number of messages to load
+     * @param cursor load the messages before or after this message, loads the latest messages if not provided
+     */
+    loadMessages: (jid: string, count: number, cursor?: WAMessageCursor) => Promise<proto.WebMessageInfo[]>;
+    /**
+     * full-text search over the text & captions of stored messages, most recent first
+     * @param query the text to search for
+     * @param options.jid only search in this chat
+     * @param options.limit maximum number of results (default 50)
+     */
+    searchMessages: (query: string, options?: {
+        jid?: string;
+        limit?: number;
+    }) => Promise<proto.WebMessageInfo[]>;
+    loadMessage: (jid: string, id: string) => Promise<proto.WebMessageInfo | undefined>;
+    mostRecentMessage: (jid: string) => Promise<proto.WebMessageInfo | undefined>;
+    /**
+     * Get all available labels for profile
+     *
+     * Keep in mind that the list is formed from predefined tags and tags
+     * that were "caught" during their editing.
+     */
+    getLabels: () => Label[];
+    /**
+     * Get labels for chat
+     *
+     * @returns Label associations
+     **/
+    getChatLabels: (chatId: string) => LabelAssociation[];
+    /**
+     * Get labels for message
+     *
+     * @returns Label IDs
+     **/
+    getMessageLabels: (messageId: string) => string[];
+    fetchImageUrl: (jid: string, sock: WASocket | undefined) => Promise<string | null | undefined>;
+    fetchGroupMetadata: (jid: string, sock: WASocket | undefined) => Promise<GroupMetadata | undefined>;
+    fetchMessageReceipts: ({ remoteJid, id }: WAMessageKey) => Promise<proto.IUserReceipt[] | null | undefined>;
+    /**
+     * imports a snapshot made by the in memory store (`toJSON`/`writeToFile`),
+     * use this to migrate an existing in memory store to SQLite
+     */
+    fromJSON: (json: {
+        chats: Chat[];
+        contacts: {
+            [id: string]: Contact;
+        };
+        messages: {
+            [id: string]: proto.IWebMessageInfo[];
+        };
+        labels?: {
+            [labelId: string]: Label;
+        };
+        labelAssociations?: LabelAssociation[];
+    }) => void;
+    /** closes the database, the store must not be used afterwards */
+    close: () => void;
+};
+export default _default;
@@ -0,0 +1,525 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getMessageText = void 0;
+const WAProto_1 = require("../../WAProto");
+const Defaults_1 = require("../Defaults");
+const LabelAssociation_1 = require("../Types/LabelAssociation");
+const Utils_1 = require("../Utils");
+const sqlite_1 = require("../Utils/sqlite");
+const WABinary_1 = require("../WABinary");
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS chats (
+    id TEXT PRIMARY KEY,
+    conversation_timestamp INTEGER NOT NULL DEFAULT 0,
+    pinned INTEGER NOT NULL DEFAULT 0,
+    archived INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS contacts (
+    id TEXT PRIMARY KEY,
+    notify_hash TEXT,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS contacts_notify_hash ON contacts (notify_hash);
+CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    jid TEXT NOT NULL,
+    id TEXT NOT NULL,
+    timestamp INTEGER NOT NULL DEFAULT 0,
+    text TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (jid, id)
+);
+CREATE INDEX IF NOT EXISTS messages_jid_order ON messages (jid, timestamp, seq);
+CREATE TABLE IF NOT EXISTS group_metadata (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS labels (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS label_associations (
+    type TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    message_id TEXT NOT NULL DEFAULT '',
+    label_id TEXT NOT NULL,
+    PRIMARY KEY (type, chat_id, message_id, label_id)
+);
+`;
+const FTS_SCHEMA = `
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(text, content='messages', content_rowid='seq');
+CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, text) VALUES (new.seq, new.text);
+END;
+CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.seq, old.text);
+END;
+CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.seq, old.text);
+    INSERT INTO messages_fts (rowid, text) VALUES (new.seq, new.text);
+END;
+`;
+/** extracts the searchable text of a message -- the body of text messages or the caption of media */
+const getMessageText = (msg) => {
+    var _a, _b, _c, _d, _e;
+    const content = (0, Utils_1.normalizeMessageContent)(msg.message);
+    if (!content) {
+        return undefined;
+    }
+    return content.conversation
+        || ((_a = content.extendedTextMessage) === null || _a === void 0 ? void 0 : _a.text)
+        || ((_b = content.imageMessage) === null || _b === void 0 ? void 0 : _b.caption)
+        || ((_c = content.videoMessage) === null || _c === void 0 ? void 0 : _c.caption)
+        || ((_d = content.documentMessage) === null || _d === void 0 ? void 0 : _d.caption)
+        || ((_e = content.pollCreationMessage) === null || _e === void 0 ? void 0 : _e.name)
+        || undefined;
+};
+exports.getMessageText = getMessageText;
+const serialize = (value) => JSON.stringify(value, Utils_1.BufferJSON.replacer);
+const deserialize = (value) => JSON.parse(value, Utils_1.BufferJSON.reviver);
+const serializeMessage = (msg) => JSON.stringify(WAProto_1.proto.WebMessageInfo.fromObject(msg));
+const deserializeMessage = (value) => WAProto_1.proto.WebMessageInfo.fromObject(JSON.parse(value));
+/** hash WhatsApp uses in notifications to refer to contacts that are not saved */
+const contactNotifyHash = (id) => {
+    const { user } = (0, WABinary_1.jidDecode)(id) || {};
+    return user ? (0, Utils_1.md5)(Buffer.from(user + 'WA_ADD_NOTIF', 'utf8')).toString('base64').slice(0, 3) : null;
+};
+/**
+ * makes a store backed by a SQLite database.
+ * Listens to the same events as the in memory store, but writes every change as it happens
+ * instead of keeping everything in RAM & dumping it to a file -- so it scales to large histories.
+ *
+ * Requires `better-sqlite3`, or node >= 22.5 for the built-in `node:sqlite`
+ */
+exports.default = (config) => {
+    const socket = config.socket;
+    const logger = config.logger || Defaults_1.DEFAULT_CONNECTION_CONFIG.logger.child({ stream: 'sqlite-store' });
+    const db = (0, sqlite_1.openSqliteDatabase)(config.path);
+    db.exec(SCHEMA);
+    let hasFullTextSearch = true;
+    try {
+        db.exec(FTS_SCHEMA);
+    }
+    catch (error) {
+        hasFullTextSearch = false;
+        logger.warn({ error: error.message }, 'FTS5 not available, falling back to LIKE search');
+    }
+    // connection state & presences are volatile, no point persisting them
+    const state = { connection: 'close' };
+    const presences = {};
+    const getChat = (id) => {
+        const row = db.get('SELECT data FROM chats WHERE id = ?', id);
+        return row ? deserialize(row.data) : undefined;
+    };
+    const writeChat = (chat) => {
+        db.run(`INSERT INTO chats (id, conversation_timestamp, pinned, archived, data) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET conversation_timestamp = excluded.conversation_timestamp, pinned = excluded.pinned, archived = excluded.archived, data = excluded.data`, chat.id, (0, Utils_1.toNumber)(chat.conversationTimestamp) || 0, chat.pinned ? 1 : 0, chat.archived ? 1 : 0, serialize(chat));
+    };
+    const getContact = (id) => {
+        const row = db.get('SELECT data FROM contacts WHERE id = ?', id);
+        return row ? deserialize(row.data) : undefined;
+    };
+    const writeContact = (contact) => {
+        db.run('INSERT INTO contacts (id, notify_hash, data) VALUES (?, ?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data', contact.id, contactNotifyHash(contact.id), serialize(contact));
+    };
+    const contactsUpsert = (newContacts) => {
+        for (const contact of newContacts) {
+            writeContact(Object.assign(getContact(contact.id) || {}, contact));
+        }
+    };
+    const getMessage = (jid, id) => {
+        const row = db.get('SELECT data FROM messages WHERE jid = ? AND id = ?', jid, id);
+        return row ? deserializeMessage(row.data) : undefined;
+    };
+    const writeMessage = (jid, msg) => {
+        db.run(`INSERT INTO messages (jid, id, timestamp, text, data) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (jid, id) DO UPDATE SET timestamp = excluded.timestamp, text = excluded.text, data = excluded.data`, jid, msg.key.id, (0, Utils_1.toNumber)(msg.messageTimestamp) || 0, (0, exports.getMessageText)(msg) || null, serializeMessage(msg));
+    };
+    const getGroupMetadata = (id) => {
+        const row = db.get('SELECT data FROM group_metadata WHERE id = ?', id);
+        return row ? deserialize(row.data) : undefined;
+    };
+    const writeGroupMetadata = (metadata) => {
+        db.run('INSERT INTO group_metadata (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data', metadata.id, serialize(metadata));
+    };
+    /**
+     * binds to a BaileysEventEmitter.
+     * It listens to all events and persists each change to the database as it arrives.
+     * @param ev typically the event emitter from the socket connection
+     */
+    const bind = (ev) => {
+        ev.on('connection.update', update => {
+            Object.assign(state, update);
+        });
+        ev.on('messaging-history.set', ({ chats: newChats, contacts: newContacts, messages: newMessages, isLatest, syncType }) => {
+            // on demand syncs bring older messages of a chat, they are added to what is stored
+            const isOnDemand = syncType === WAProto_1.proto.HistorySync.HistorySyncType.ON_DEMAND;
+            db.transaction(() => {
+                if (isLatest && !isOnDemand) {
+                    db.run('DELETE FROM chats');
+                    db.run('DELETE FROM messages');
+                }
+                let chatsAdded = 0;
+                for (const chat of newChats) {
+                    if (!db.get('SELECT 1 FROM chats WHERE id = ?', chat.id)) {
+                        writeChat(chat);
+                        chatsAdded += 1;
+                    }
+                }
+                logger.debug({ chatsAdded }, 'synced chats');
+                if (isLatest && !isOnDemand) {
+                    const ids = new Set(newContacts.map(c => c.id));
+                    for (const { id } of db.all('SELECT id FROM contacts')) {
+                        if (!ids.has(id)) {
+                            db.run('DELETE FROM contacts WHERE id = ?', id);
+                        }
+                    }
+                }
+                contactsUpsert(newContacts);
+                logger.debug({ newContacts: newContacts.length }, 'synced contacts');
+                for (const msg of newMessages) {
+                    writeMessage((0, WABinary_1.jidNormalizedUser)(msg.key.remoteJid), msg);
+                }
+                logger.debug({ messages: newMessages.length }, 'synced messages');
+            });
+        });
+        ev.on('contacts.upsert', contacts => {
+            db.transaction(() => contactsUpsert(contacts));
+        });
+        ev.on('contacts.update', async (updates) => {
+            for (const update of updates) {
+                let contact = getContact(update.id);
+                if (!contact) {
+                    // find contact by attrs.hash, when user is not saved as a contact
+                    const row = db.get('SELECT data FROM contacts WHERE notify_hash = ?', update.id);
+                    contact = row ? deserialize(row.data) : undefined;
+                }
+                if (!contact) {
+                    logger.debug({ update }, 'got update for non-existant contact');
+                    continue;
+                }
+                if (update.imgUrl === 'changed') {
+                    contact.imgUrl = socket ? await (socket === null || socket === void 0 ? void 0 : socket.profilePictureUrl(contact.id)) : undefined;
+                }
+                else if (update.imgUrl === 'removed') {
+                    delete contact.imgUrl;
+                }
+                writeContact(contact);
+            }
+        });
+        ev.on('chats.upsert', newChats => {
+            db.transaction(() => {
+                for (const chat of newChats) {
+                    writeChat(Object.assign(getChat(chat.id) || {}, chat));
+                }
+            });
+        });
+        ev.on('chats.update', updates => {
+            db.transaction(() => {
+                for (let update of updates) {
+                    const chat = getChat(update.id);
+                    if (!chat) {
+                        logger.debug({ update }, 'got update for non-existant chat');
+                        continue;
+                    }
+                    if (update.unreadCount > 0) {
+                        update = { ...update };
+                        update.unreadCount = (chat.unreadCount || 0) + update.unreadCount;
+                    }
+                    writeChat(Object.assign(chat, update));
+                }
+            });
+        });
+        ev.on('chats.delete', deletions => {
+            db.transaction(() => {
+                for (const item of deletions) {
+                    db.run('DELETE FROM chats WHERE id = ?', item);
+                }
+            });
+        });
+        ev.on('labels.edit', (label) => {
+            if (label.deleted) {
+                db.run('DELETE FROM labels WHERE id = ?', label.id);
+                return;
+            }
+            const exists = db.get('SELECT 1 FROM labels WHERE id = ?', label.id);
+            // WhatsApp can store only up to 20 labels
+            if (!exists && db.get('SELECT COUNT(*) AS count FROM labels').count >= 20) {
+                logger.error('Labels count exceed');
+                return;
+            }
+            db.run('INSERT INTO labels (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data', label.id, serialize(label));
+        });
+        ev.on('labels.association', ({ type, association }) => {
+            const params = [association.type, association.chatId, association.messageId || '', association.labelId];
+            switch (type) {
+                case 'add':
+                    db.run('INSERT OR IGNORE INTO label_associations (type, chat_id, message_id, label_id) VALUES (?, ?, ?, ?)', ...params);
+                    break;
+                case 'remove':
+                    db.run('DELETE FROM label_associations WHERE type = ? AND chat_id = ? AND message_id = ? AND label_id = ?', ...params);
+                    break;
+                default:
+                    logger.error(`unknown operation type [${type}]`);
+            }
+        });
+        ev.on('presence.update', ({ id, presences: update }) => {
+            presences[id] = presences[id] || {};
+            Object.assign(presences[id], update);
+        });
+        ev.on('messages.upsert', ({ messages: newMessages, type }) => {
+            switch (type) {
+                case 'append':
+                case 'notify':
+                    db.transaction(() => {
+                        for (const msg of newMessages) {
+                            const jid = (0, WABinary_1.jidNormalizedUser)(msg.key.remoteJid);
+                            writeMessage(jid, msg);
+                            if (type === 'notify' && !db.get('SELECT 1 FROM chats WHERE id = ?', jid)) {
+                                ev.emit('chats.upsert', [
+                                    {
+                                        id: jid,
+                                        conversationTimestamp: (0, Utils_1.toNumber)(msg.messageTimestamp),
+                                        unreadCount: 1
+                                    }
+                                ]);
+                            }
+                        }
+                    });
+                    break;
+            }
+        });
+        ev.on('messages.update', updates => {
+            var _a;
+            db.transaction(() => {
+                for (const { update, key } of updates) {
+                    const jid = (0, WABinary_1.jidNormalizedUser)(key.remoteJid);
+                    const msg = getMessage(jid, key.id);
+                    if (!msg) {
+                        logger.debug({ update }, 'got update for non-existent message');
+                        continue;
+                    }
+                    if (update === null || update === void 0 ? void 0 : update.status) {
+                        const storedStatus = (_a = msg.status) !== null && _a !== void 0 ? _a : 0;
+                        if (storedStatus && update.status <= storedStatus) {
+                            logger.debug({ update, storedStatus }, 'status stored newer then update');
+                            delete update.status;
+                        }
+                    }
+                    writeMessage(jid, Object.assign(msg, update));
+                }
+            });
+        });
+        ev.on('messages.delete', item => {
+            if ('all' in item) {
+                db.run('DELETE FROM messages WHERE jid = ?', item.jid);
+            }
+            else {
+                db.transaction(() => {
+                    for (const key of item.keys) {
+                        db.run('DELETE FROM messages WHERE jid = ? AND id = ?', (0, WABinary_1.jidNormalizedUser)(key.remoteJid), key.id);
+                    }
+                });
+            }
+        });
+        ev.on('groups.update', updates => {
+            db.transaction(() => {
+                for (const update of updates) {
+                    const metadata = getGroupMetadata(update.id);
+                    if (metadata) {
+                        writeGroupMetadata(Object.assign(metadata, update));
+                    }
+                    else {
+                        logger.debug({ update }, 'got update for non-existant group metadata');
+                    }
+                }
+            });
+        });
+        ev.on('group-participants.update', ({ id, participants, action }) => {
+            const metadata = getGroupMetadata(id);
+            if (metadata) {
+                switch (action) {
+                    case 'add':
+                        metadata.participants.push(...participants.map(id => ({ id, isAdmin: false, isSuperAdmin: false })));
+                        break;
+                    case 'demote':
+                    case 'promote':
+                        for (const participant of metadata.participants) {
+                            if (participants.includes(participant.id)) {
+                                participant.isAdmin = action === 'promote';
+                            }
+                        }
+                        break;
+                    case 'remove':
+                        metadata.participants = metadata.participants.filter(p => !participants.includes(p.id));
+                        break;
+                }
+                writeGroupMetadata(metadata);
+            }
+        });
+        ev.on('message-receipt.update', updates => {
+            db.transaction(() => {
+                for (const { key, receipt } of updates) {
+                    const jid = (0, WABinary_1.jidNormalizedUser)(key.remoteJid);
+                    const msg = getMessage(jid, key.id);
+                    if (msg) {
+                        (0, Utils_1.updateMessageWithReceipt)(msg, receipt);
+                        writeMessage(jid, msg);
+                    }
+                }
+            });
+        });
+        ev.on('messages.reaction', (reactions) => {
+            db.transaction(() => {
+                for (const { key, reaction } of reactions) {
+                    const jid = (0, WABinary_1.jidNormalizedUser)(key.remoteJid);
+                    const msg = getMessage(jid, key.id);
+                    if (msg) {
+                        (0, Utils_1.updateMessageWithReaction)(msg, reaction);
+                        writeMessage(jid, msg);
+                    }
+                }
+            });
+        });
+    };
+    return {
+        state,
+        presences,
+        bind,
+        /** chats, pinned first & most recent first, same order as the in memory store */
+        getChats: ({ limit = -1, offset = 0 } = {}) => (db.all('SELECT data FROM chats ORDER BY pinned DESC, archived ASC, conversation_timestamp DESC LIMIT ? OFFSET ?', limit, offset)
+            .map(row => deserialize(row.data))),
+        getChat,
+        getContacts: () => db.all('SELECT data FROM contacts').map(row => deserialize(row.data)),
+        getContact,
+        /**
+         * loads messages from the store, in chronological order
+         * @param jid the chat to load messages from
+         * @param count maximum number of messages to load
+         * @param cursor load the messages before or after this message, loads the latest messages if not provided
+         */
+        loadMessages: async (jid, count, cursor) => {
+            const mode = !cursor || 'before' in cursor ? 'before' : 'after';
+            const cursorKey = !!cursor ? ('before' in cursor ? cursor.before : cursor.after) : undefined;
+            let rows;
+            if (cursorKey) {
+                const cursorRow = db.get('SELECT timestamp, seq FROM messages WHERE jid = ? AND id = ?', jid, cursorKey.id);
+                if (!cursorRow) {
+                    return [];
+                }
+                rows = mode === 'before'
+                    ? db.all('SELECT data FROM messages WHERE jid = ? AND (timestamp, seq) < (?, ?) ORDER BY timestamp DESC, seq DESC LIMIT ?', jid, cursorRow.timestamp, cursorRow.seq, count).reverse()
+                    : db.all('SELECT data FROM messages WHERE jid = ? AND (timestamp, seq) > (?, ?) ORDER BY timestamp ASC, seq ASC LIMIT ?', jid, cursorRow.timestamp, cursorRow.seq, count);
+            }
+            else {
+                rows = db.all('SELECT data FROM messages WHERE jid = ? ORDER BY timestamp DESC, seq DESC LIMIT ?', jid, count).reverse();
+            }
+            return rows.map(row => deserializeMessage(row.data));
+        },
+        /**
+         * full-text search over the text & captions of stored messages, most recent first
+         * @param query the text to search for
+         * @param options.jid only search in this chat
+         * @param options.limit maximum number of results (default 50)
+         */
+        searchMessages: async (query, { jid, limit = 50 } = {}) => {
+            let rows;
+            if (hasFullTextSearch) {
+                // quote every term so user input can't be interpreted as FTS syntax
+                const match = query.split(/\s+/).filter(Boolean).map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+                if (!match) {
+                    return [];
+                }
+                rows = jid
+                    ? db.all('SELECT m.data FROM messages_fts f JOIN messages m ON m.seq = f.rowid WHERE messages_fts MATCH ? AND m.jid = ? ORDER BY m.timestamp DESC LIMIT ?', match, jid, limit)
+                    : db.all('SELECT m.data FROM messages_fts f JOIN messages m ON m.seq = f.rowid WHERE messages_fts MATCH ? ORDER BY m.timestamp DESC LIMIT ?', match, limit);
+            }
+            else {
+                const like = `%${query.replace(/[\\%_]/g, c => '\\' + c)}%`;
+                rows = jid
+                    ? db.all('SELECT data FROM messages WHERE text LIKE ? ESCAPE \'\\\' AND jid = ? ORDER BY timestamp DESC LIMIT ?', like, jid, limit)
+                    : db.all('SELECT data FROM messages WHERE text LIKE ? ESCAPE \'\\\' ORDER BY timestamp DESC LIMIT ?', like, limit);
+            }
+            return rows.map(row => deserializeMessage(row.data));
+        },
+        loadMessage: async (jid, id) => getMessage(jid, id),
+        mostRecentMessage: async (jid) => {
+            const row = db.get('SELECT data FROM messages WHERE jid = ? ORDER BY timestamp DESC, seq DESC LIMIT 1', jid);
+            return row ? deserializeMessage(row.data) : undefined;
+        },
+        /**
+         * Get all available labels for profile
+         *
+         * Keep in mind that the list is formed from predefined tags and tags
+         * that were "caught" during their editing.
+         */
+        getLabels: () => db.all('SELECT data FROM labels').map(row => deserialize(row.data)),
+        /**
+         * Get labels for chat
+         *
+         * @returns Label associations
+         **/
+        getChatLabels: (chatId) => (db.all('SELECT label_id FROM label_associations WHERE type = ? AND chat_id = ?', LabelAssociation_1.LabelAssociationType.Chat, chatId)
+            .map(({ label_id: labelId }) => ({ type: LabelAssociation_1.LabelAssociationType.Chat, chatId, labelId }))),
+        /**
+         * Get labels for message
+         *
+         * @returns Label IDs
+         **/
+        getMessageLabels: (messageId) => (db.all('SELECT label_id FROM label_associations WHERE type = ? AND message_id = ?', LabelAssociation_1.LabelAssociationType.Message, messageId)
+            .map(({ label_id: labelId }) => labelId)),
+        fetchImageUrl: async (jid, sock) => {
+            const contact = getContact(jid);
+            if (!contact) {
+                return sock === null || sock === void 0 ? void 0 : sock.profilePictureUrl(jid);
+            }
+            if (typeof contact.imgUrl === 'undefined') {
+                contact.imgUrl = await (sock === null || sock === void 0 ? void 0 : sock.profilePictureUrl(jid));
+                writeContact(contact);
+            }
+            return contact.imgUrl;
+        },
+        fetchGroupMetadata: async (jid, sock) => {
+            let metadata = getGroupMetadata(jid);
+            if (!metadata) {
+                metadata = await (sock === null || sock === void 0 ? void 0 : sock.groupMetadata(jid));
+                if (metadata) {
+                    writeGroupMetadata(metadata);
+                }
+            }
+            return metadata;
+        },
+        fetchMessageReceipts: async ({ remoteJid, id }) => {
+            const msg = getMessage((0, WABinary_1.jidNormalizedUser)(remoteJid), id);
+            return msg === null || msg === void 0 ? void 0 : msg.userReceipt;
+        },
+        /**
+         * imports a snapshot made by the in memory store (`toJSON`/`writeToFile`),
+         * use this to migrate an existing in memory store to SQLite
+         */
+        fromJSON: (json) => {
+            db.transaction(() => {
+                for (const chat of json.chats || []) {
+                    writeChat(chat);
+                }
+                contactsUpsert(Object.values(json.contacts || {}));
+                for (const label of Object.values(json.labels || {})) {
+                    db.run('INSERT INTO labels (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data', label.id, serialize(label));
+                }
+                for (const la of json.labelAssociations || []) {
+                    db.run('INSERT OR IGNORE INTO label_associations (type, chat_id, message_id, label_id) VALUES (?, ?, ?, ?)', la.type, la.chatId, la.messageId || '', la.labelId);
+                }
+                for (const jid in json.messages) {
+                    for (const msg of json.messages[jid]) {
+                        writeMessage(jid, WAProto_1.proto.WebMessageInfo.fromObject(msg));
+                    }
+                }
+            });
+        },
+        /** closes the database, the store must not be used afterwards */
+        close: () => {
+            db.close();
+        }
+    };
+};
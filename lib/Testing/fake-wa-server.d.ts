@@ -0,0 +1,165 @@
+/// <reference types="node" />
+import { EventEmitter } from 'events';
+import type { Logger } from 'pino';
+import { proto } from '../../WAProto';
+import { AuthenticationCreds, SignalKeyStore } from '../Types';
+import { BinaryNode } from '../WABinary';
+/** jid given to a device paired without specifying one */
+export declare const DEFAULT_FAKE_JID = "10000000000:1@s.whatsapp.net";
+/**
+ * a signal key store that lives in memory,
+ * implements just enough for the socket & libsignal
+ */
+export declare const makeInMemoryKeyStore: () => SignalKeyStore;
+/**
+ * auth state that is never persisted, for tests.
+ * `myAppStateKeyId` is pre-set, so events are not held back waiting for an app state sync the fake server does not do
+ * @param me the account to log in as, leave empty to go through QR pairing
+ */
+export declare const useInMemoryAuthState: (me?: string | AuthenticationCreds['me']) => {
+    state: {
+        creds: AuthenticationCreds;
+        keys: SignalKeyStore;
+    };
+    saveCreds: () => Promise<void>;
+};
+export type FakeWAConnection = {
+    id: number;
+    /** the device logged in on this connection, undefined until logged in */
+    jid: string | undefined;
+    clientPayload: proto.ClientPayload | undefined;
+    /** refs sent to a device that is not logged in, used in its QR codes */
+    pairingRefs: string[] | undefined;
+    readonly isOpen: boolean;
+    /** sends a stanza, returns false if the connection is not ready */
+    sendNode(node: BinaryNode): boolean;
+    /** closes the connection, as when the server goes away */
+    end(): void;
+};
+/** a message the socket sent to a peer, decrypted */
+export type FakeWAReceivedMessage = {
+    id: string;
+    /** device that sent the message */
+    from: string;
+    /** peer the message was encrypted for */
+    to: string;
+    message: proto.IMessage;
+    node: BinaryNode;
+};
+/**
+ * a simulated WhatsApp user with its own signal identity;
+ * it can receive the messages the socket sends & send messages back
+ */
+export type FakeWAPeer = {
+    jid: string;
+    /** messages the socket sent to this peer */
+    messages: FakeWAReceivedMessage[];
+    /**
+     * sends an end-to-end encrypted message to a logged in device
+     * @returns the ID of the message sent
+     */
+    sendMessage(message: proto.IMessage, opts?: {
+        /** device to send to, defaults to the most recent logged in connection */
+        to?: string;
+        id?: string;
+        pushName?: string;
+        type?: string;
+    }): Promise<string>;
+    /** sends a delivery/read receipt for messages the socket sent */
+    sendReceipt(ids: string | string[], type?: 'read' | 'played' | 'sender' | 'inactive', opts?: {
+        to?: string;
+    }): void;
+};
+export type FakeWANodeFilter = ((node: BinaryNode) => boolean) | {
+    tag?: string;
+    attrs?: {
+        [key: string]: string;
+    };
+    /** tag of a child the node must have */
+    child?: string;
+};
+/**
+ * answers an IQ, the returned content is sent in an IQ result.
+ * Throw a Boom to reply with an error, its status code is used as the error code
+ */
+export type FakeWAIqHandler = (node: BinaryNode, connection: FakeWAConnection) => Promise<BinaryNode['content'] | void>;
+export type FakeWAServerOptions = {
+    /** defaults to a silent logger */
+    logger?: Logger;
+    /** decides whether a login is accepted, return a number to fail with that reason */
+    authorize?: (payload: proto.ClientPayload) => boolean | number;
+    /** extra IQ handlers by xmlns, they override the built-in ones */
+    iqHandlers?: {
+        [xmlns: string]: FakeWAIqHandler;
+    };
+};
+export type FakeWAServer = {
+    /**
+     * emits 'connection' & 'close' (connection), 'login' (connection),
+     * 'stanza' (node, connection) & 'message' (FakeWAReceivedMessage)
+     */
+    ev: EventEmitter;
+    /** open connections, in the order they were made */
+    connections: FakeWAConnection[];
+    /** every stanza received from the clients */
+    stanzas: BinaryNode[];
+    /** the ws:// URL to pass as `waWebSocketUrl`, available once listening */
+    url: string | undefined;
+    /**
+     * starts listening
+     * @param port defaults to a random free port
+     * @returns the URL to pass as `waWebSocketUrl`
+     */
+    listen(port?: number, host?: string): Promise<string>;
+    /** disconnects all clients & stops listening */
+    close(): Promise<void>;
+    /** the most recent logged in connection, or the one logged in as the given jid */
+    getConnection(jid?: string): FakeWAConnection;
+    /** the simulated user behind the jid, created on first use */
+    getPeer(jid: string): FakeWAPeer;
+    /** takes a one-time pre-key uploaded by a device, to start a session with it */
+    takeKeyBundle(jid: string): {
+        registrationId: number;
+        identityKey: Buffer;
+        signedPreKey: {
+            keyId: number;
+            publicKey: Buffer;
+            signature: Buffer;
+        };
+        preKey?: {
+            keyId: number;
+            publicKey: Buffer;
+        };
+    };
+    /** sends a stanza to the most recent logged in connection */
+    sendNode(node: BinaryNode): boolean;
+    /**
+     * waits for the next stanza from a client to match the filter
+     * @param filter a predicate, or the tag, attrs & child tag to match
+     */
+    waitForStanza(filter: FakeWANodeFilter, timeoutMs?: number): Promise<BinaryNode>;
+    /** waits for the next message sent to a peer to match the filter */
+    waitForMessage(filter?: (received: FakeWAReceivedMessage) => boolean, timeoutMs?: number): Promise<FakeWAReceivedMessage>;
+    /**
+     * acts as the phone scanning a QR code: signs the device identity & completes pairing.
+     * Like WhatsApp, the connection is then restarted (stream error 515) so the client logs in again
+     * @param qr the QR string from `connection.update`
+     * @param jid the jid the device is paired as
+     */
+    pair(qr: string, opts?: {
+        jid?: string;
+        platform?: string;
+        timeoutMs?: number;
+    }): Promise<string>;
+};
+/**
+ * a local server that speaks enough of the WhatsApp protocol for a socket to connect, log in,
+ * send & receive messages -- so socket level behaviour can be tested without a network.
+ *
+ * Every user is simulated with a single device (the phone), which gets its own signal identity.
+ * Devices that are not logged in receive QR refs & can be paired with `pair()`
+ * @param logger defaults to a silent logger
+ * @param authorize decides whether a login is accepted, return a number to fail with that reason
+ * @param iqHandlers extra IQ handlers by xmlns, they override the built-in ones
+ */
+export declare const makeFakeWAServer: ({ logger, authorize, iqHandlers }?: FakeWAServerOptions) => FakeWAServer;
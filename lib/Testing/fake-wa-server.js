@@ -0,0 +1,729 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.makeFakeWAServer = exports.useInMemoryAuthState = exports.makeInMemoryKeyStore = exports.DEFAULT_FAKE_JID = void 0;
+const boom_1 = require("@hapi/boom");
+const crypto_1 = require("crypto");
+const events_1 = require("events");
+const pino_1 = __importDefault(require("pino"));
+const ws_1 = __importDefault(require("ws"));
+const WAProto_1 = require("../../WAProto");
+const Defaults_1 = require("../Defaults");
+const libsignal_1 = require("../Signal/libsignal");
+const Utils_1 = require("../Utils");
+const WABinary_1 = require("../WABinary");
+/** jid given to a device paired without specifying one */
+exports.DEFAULT_FAKE_JID = '10000000000:1@s.whatsapp.net';
+/** number of QR refs sent to a device that is not logged in */
+const QR_REF_COUNT = 5;
+/**
+ * a signal key store that lives in memory,
+ * implements just enough for the socket & libsignal
+ */
+const makeInMemoryKeyStore = () => {
+    const data = {};
+    return {
+        get: async (type, ids) => {
+            const result = {};
+            for (const id of ids) {
+                const value = data[type] && data[type][id];
+                if (value !== undefined) {
+                    result[id] = value;
+                }
+            }
+            return result;
+        },
+        set: async (update) => {
+            for (const type in update) {
+                data[type] = data[type] || {};
+                for (const id in update[type]) {
+                    const value = update[type][id];
+                    if (value) {
+                        data[type][id] = value;
+                    }
+                    else {
+                        delete data[type][id];
+                    }
+                }
+            }
+        }
+    };
+};
+exports.makeInMemoryKeyStore = makeInMemoryKeyStore;
+/**
+ * auth state that is never persisted, for tests.
+ * `myAppStateKeyId` is pre-set, so events are not held back waiting for an app state sync the fake server does not do
+ * @param me the account to log in as, leave empty to go through QR pairing
+ */
+const useInMemoryAuthState = (me) => {
+    const creds = {
+        ...(0, Utils_1.initAuthCreds)(),
+        myAppStateKeyId: 'AAAAAA==',
+        me: typeof me === 'string' ? { id: me } : me
+    };
+    return {
+        state: { creds, keys: (0, exports.makeInMemoryKeyStore)() },
+        saveCreds: async () => { }
+    };
+};
+exports.useInMemoryAuthState = useInMemoryAuthState;
+/** normalizes a device jid, so "1@s.whatsapp.net" & "1:0@s.whatsapp.net" refer to the same device */
+const toDeviceJid = (jid) => {
+    const { user, server, device } = (0, WABinary_1.jidDecode)(jid);
+    return (0, WABinary_1.jidEncode)(user, server, device);
+};
+const matchesNode = (node, filter) => {
+    if (typeof filter === 'function') {
+        return filter(node);
+    }
+    const { tag, attrs = {}, child } = filter;
+    if (tag && node.tag !== tag) {
+        return false;
+    }
+    if (child && !(0, WABinary_1.getBinaryNodeChild)(node, child)) {
+        return false;
+    }
+    return Object.entries(attrs).every(([key, value]) => node.attrs[key] === value);
+};
+/**
+ * server side of the noise handshake, the counterpart of `makeNoiseHandler`
+ * @param header the intro header sent by the client
+ * @param clientEphemeral the client's ephemeral public key, from the client hello
+ */
+const makeServerNoiseHandler = (header, clientEphemeral) => {
+    const data = Buffer.from(Defaults_1.NOISE_MODE);
+    let hash = data.byteLength === 32 ? data : (0, Utils_1.sha256)(data);
+    let salt = hash;
+    let encKey = hash;
+    let decKey = hash;
+    let readCounter = 0;
+    let writeCounter = 0;
+    let isFinished = false;
+    const generateIV = (counter) => {
+        const iv = Buffer.alloc(12);
+        iv.writeUInt32BE(counter, 8);
+        return iv;
+    };
+    const authenticate = (data) => {
+        if (!isFinished) {
+            hash = (0, Utils_1.sha256)(Buffer.concat([hash, data]));
+        }
+    };
+    const encrypt = (plaintext) => {
+        const result = (0, Utils_1.aesEncryptGCM)(plaintext, encKey, generateIV(writeCounter), hash);
+        writeCounter += 1;
+        authenticate(result);
+        return result;
+    };
+    const decrypt = (ciphertext) => {
+        // same as the client, a single counter is used until the handshake is finished
+        const iv = generateIV(isFinished ? readCounter : writeCounter);
+        const result = (0, Utils_1.aesDecryptGCM)(ciphertext, decKey, iv, hash);
+        if (isFinished) {
+            readCounter += 1;
+        }
+        else {
+            writeCounter += 1;
+        }
+        authenticate(ciphertext);
+        return result;
+    };
+    const mixIntoKey = async (data) => {
+        const key = await (0, Utils_1.hkdf)(Buffer.from(data), 64, { salt, info: '' });
+        salt = key.slice(0, 32);
+        encKey = key.slice(32);
+        decKey = encKey;
+        readCounter = 0;
+        writeCounter = 0;
+    };
+    authenticate(header);
+    authenticate(clientEphemeral);
+    const ephemeralKeyPair = Utils_1.Curve.generateKeyPair();
+    return {
+        get isFinished() {
+            return isFinished;
+        },
+        encrypt,
+        decrypt,
+        /** creates the server hello, the certificate only has to carry the expected issuer serial */
+        async makeServerHello(staticKeyPair) {
+            authenticate(ephemeralKeyPair.public);
+            await mixIntoKey(Utils_1.Curve.sharedKey(ephemeralKeyPair.private, clientEphemeral));
+            const staticEnc = encrypt(staticKeyPair.public);
+            await mixIntoKey(Utils_1.Curve.sharedKey(staticKeyPair.private, clientEphemeral));
+            const details = WAProto_1.proto.CertChain.NoiseCertificate.Details.encode({
+                serial: 1,
+                issuerSerial: Defaults_1.WA_CERT_DETAILS.SERIAL,
+                key: staticKeyPair.public
+            }).finish();
+            const cert = WAProto_1.proto.CertChain.encode({
+                leaf: { details, signature: Buffer.alloc(64) },
+                intermediate: { details, signature: Buffer.alloc(64) }
+            }).finish();
+            return {
+                ephemeral: ephemeralKeyPair.public,
+                static: staticEnc,
+                payload: encrypt(cert)
+            };
+        },
+        /** processes the client finish & returns the decrypted client payload */
+        async processClientFinish({ static: staticEnc, payload }) {
+            const clientStatic = decrypt(staticEnc);
+            await mixIntoKey(Utils_1.Curve.sharedKey(ephemeralKeyPair.private, clientStatic));
+            const result = decrypt(payload);
+            // the client writes with the first key & reads with the second, so we do the opposite
+            const key = await (0, Utils_1.hkdf)(Buffer.alloc(0), 64, { salt, info: '' });
+            decKey = key.slice(0, 32);
+            encKey = key.slice(32);
+            hash = Buffer.alloc(0);
+            readCounter = 0;
+            writeCounter = 0;
+            isFinished = true;
+            return WAProto_1.proto.ClientPayload.decode(result);
+        }
+    };
+};
+/**
+ * a simulated WhatsApp user with its own signal identity;
+ * it can receive the messages the socket sends & send messages back
+ */
+const makeFakePeer = (jid, server) => {
+    const creds = (0, Utils_1.initAuthCreds)();
+    const keys = (0, exports.makeInMemoryKeyStore)();
+    const repository = (0, libsignal_1.makeLibSignalRepository)({ creds, keys });
+    let nextPreKeyId = 1;
+    const peer = {
+        jid,
+        /** messages the socket sent to this peer */
+        messages: [],
+        /** generates a fresh one-time pre-key & returns this peer's key bundle */
+        async getKeyBundleNode() {
+            const keyId = nextPreKeyId++;
+            const preKey = Utils_1.Curve.generateKeyPair();
+            await keys.set({ 'pre-key': { [keyId]: preKey } });
+            return {
+                tag: 'user',
+                attrs: { jid },
+                content: [
+                    { tag: 'registration', attrs: {}, content: (0, Utils_1.encodeBigEndian)(creds.registrationId) },
+                    { tag: 'type', attrs: {}, content: Defaults_1.KEY_BUNDLE_TYPE },
+                    { tag: 'identity', attrs: {}, content: creds.signedIdentityKey.public },
+                    (0, Utils_1.xmppSignedPreKey)(creds.signedPreKey),
+                    (0, Utils_1.xmppPreKey)(preKey, keyId)
+                ]
+            };
+        },
+        /** decrypts a message the socket encrypted for this peer */
+        async decrypt(senderJid, enc) {
+            const plaintext = await repository.decryptMessage({
+                jid: senderJid,
+                type: enc.attrs.type,
+                ciphertext: enc.content
+            });
+            return WAProto_1.proto.Message.decode((0, Utils_1.unpadRandomMax16)(plaintext));
+        },
+        /**
+         * sends an end-to-end encrypted message to a logged in device
+         * @returns the ID of the message sent
+         */
+        async sendMessage(message, { to, id = (0, Utils_1.generateMessageID)(), pushName, type = 'text' } = {}) {
+            const connection = server.getConnection(to);
+            const address = repository.jidToSignalProtocolAddress(connection.jid);
+            const { [address]: session } = await keys.get('session', [address]);
+            if (!session) {
+                await repository.injectE2ESession({ jid: connection.jid, session: server.takeKeyBundle(connection.jid) });
+            }
+            const { type: encType, ciphertext } = await repository.encryptMessage({
+                jid: connection.jid,
+                data: (0, Utils_1.encodeWAMessage)(message)
+            });
+            connection.sendNode({
+                tag: 'message',
+                attrs: {
+                    id,
+                    from: jid,
+                    type,
+                    t: (0, Utils_1.unixTimestampSeconds)().toString(),
+                    ...(pushName ? { notify: pushName } : {})
+                },
+                content: [{ tag: 'enc', attrs: { v: '2', type: encType }, content: ciphertext }]
+            });
+            return id;
+        },
+        /** sends a delivery/read receipt for messages the socket sent */
+        sendReceipt(ids, type, { to } = {}) {
+            const [id, ...rest] = Array.isArray(ids) ? ids : [ids];
+            server.getConnection(to).sendNode({
+                tag: 'receipt',
+                attrs: {
+                    id,
+                    from: jid,
+                    t: (0, Utils_1.unixTimestampSeconds)().toString(),
+                    ...(type ? { type } : {})
+                },
+                content: rest.length
+                    ? [{ tag: 'list', attrs: {}, content: rest.map(id => ({ tag: 'item', attrs: { id } })) }]
+                    : undefined
+            });
+        }
+    };
+    return peer;
+};
+/**
+ * a local server that speaks enough of the WhatsApp protocol for a socket to connect, log in,
+ * send & receive messages -- so socket level behaviour can be tested without a network.
+ *
+ * Every user is simulated with a single device (the phone), which gets its own signal identity.
+ * Devices that are not logged in receive QR refs & can be paired with `pair()`
+ * @param logger defaults to a silent logger
+ * @param authorize decides whether a login is accepted, return a number to fail with that reason
+ * @param iqHandlers extra IQ handlers by xmlns, they override the built-in ones
+ */
+const makeFakeWAServer = ({ logger = (0, pino_1.default)({ level: 'silent' }), authorize = () => true, iqHandlers: customIqHandlers = {} } = {}) => {
+    logger = logger.child({ class: 'fake-wa-server' });
+    const ev = new events_1.EventEmitter();
+    const staticKeyPair = Utils_1.Curve.generateKeyPair();
+    const connections = [];
+    const stanzas = [];
+    const peers = new Map();
+    /** key bundles uploaded by logged in devices, by device jid */
+    const keyBundles = new Map();
+    /** responses to IQs sent by the server, by ID */
+    const pendingResponses = new Map();
+    let wss;
+    let connectionCount = 0;
+    const getPeer = (jid) => {
+        jid = toDeviceJid(jid);
+        let peer = peers.get(jid);
+        if (!peer) {
+            peer = makeFakePeer(jid, server);
+            peers.set(jid, peer);
+        }
+        return peer;
+    };
+    /** the most recent logged in connection, or the one logged in as the given jid */
+    const getConnection = (jid) => {
+        const connection = [...connections]
+            .reverse()
+            .find(conn => conn.jid && (!jid || toDeviceJid(conn.jid) === toDeviceJid(jid)));
+        if (!connection) {
+            throw new boom_1.Boom(jid ? `no connection logged in as ${jid}` : 'no connection is logged in', { statusCode: 404 });
+        }
+        return connection;
+    };
+    /** takes a one-time pre-key uploaded by a device, to start a session with it */
+    const takeKeyBundle = (jid) => {
+        const bundle = keyBundles.get(toDeviceJid(jid));
+        if (!bundle) {
+            throw new boom_1.Boom(`${jid} has not uploaded any pre-keys`, { statusCode: 404 });
+        }
+        const [preKeyId] = bundle.preKeys.keys();
+        const preKey = preKeyId !== undefined ? bundle.preKeys.get(preKeyId) : undefined;
+        bundle.preKeys.delete(preKeyId);
+        return {
+            registrationId: bundle.registrationId,
+            identityKey: (0, Utils_1.generateSignalPubKey)(bundle.identity),
+            signedPreKey: bundle.signedPreKey,
+            preKey: preKey && { keyId: preKeyId, publicKey: (0, Utils_1.generateSignalPubKey)(preKey) }
+        };
+    };
+    const makeResult = (node, content) => ({
+        tag: 'iq',
+        attrs: { id: node.attrs.id, from: WABinary_1.S_WHATSAPP_NET, type: 'result' },
+        content
+    });
+    const builtInIqHandlers = {
+        encrypt: async (node, conn) => {
+            const { type } = node.attrs;
+            if (type === 'get' && (0, WABinary_1.getBinaryNodeChild)(node, 'count')) {
+                const bundle = keyBundles.get(toDeviceJid(conn.jid));
+                return [{ tag: 'count', attrs: { value: String(bundle ? bundle.preKeys.size : 0) } }];
+            }
+            if (type === 'get' && (0, WABinary_1.getBinaryNodeChild)(node, 'key')) {
+                const users = (0, WABinary_1.getBinaryNodeChildren)((0, WABinary_1.getBinaryNodeChild)(node, 'key'), 'user');
+                const bundles = await Promise.all(users.map(({ attrs }) => getPeer(attrs.jid).getKeyBundleNode()));
+                return [{ tag: 'list', attrs: {}, content: bundles }];
+            }
+            if (type === 'set' && (0, WABinary_1.getBinaryNodeChild)(node, 'list')) {
+                const jid = toDeviceJid(conn.jid);
+                const skey = (0, WABinary_1.getBinaryNodeChild)(node, 'skey');
+                const bundle = keyBundles.get(jid) || { preKeys: new Map() };
+                bundle.registrationId = (0, WABinary_1.getBinaryNodeChildUInt)(node, 'registration', 4);
+                bundle.identity = (0, WABinary_1.getBinaryNodeChildBuffer)(node, 'identity');
+                bundle.signedPreKey = {
+                    keyId: (0, WABinary_1.getBinaryNodeChildUInt)(skey, 'id', 3),
+                    publicKey: (0, Utils_1.generateSignalPubKey)((0, WABinary_1.getBinaryNodeChildBuffer)(skey, 'value')),
+                    signature: (0, WABinary_1.getBinaryNodeChildBuffer)(skey, 'signature')
+                };
+                for (const key of (0, WABinary_1.getBinaryNodeChildren)((0, WABinary_1.getBinaryNodeChild)(node, 'list'), 'key')) {
+                    bundle.preKeys.set((0, WABinary_1.getBinaryNodeChildUInt)(key, 'id', 3), (0, WABinary_1.getBinaryNodeChildBuffer)(key, 'value'));
+                }
+                keyBundles.set(jid, bundle);
+                logger.debug({ jid, count: bundle.preKeys.size }, 'stored pre-keys');
+            }
+        },
+        usync: async (node) => {
+            const usync = (0, WABinary_1.getBinaryNodeChild)(node, 'usync');
+            const protocols = (0, WABinary_1.getAllBinaryNodeChildren)((0, WABinary_1.getBinaryNodeChild)(usync, 'query')).map(({ tag }) => tag);
+            const users = (0, WABinary_1.getBinaryNodeChildren)((0, WABinary_1.getBinaryNodeChild)(usync, 'list'), 'user').map(user => {
+                const contact = (0, WABinary_1.getBinaryNodeChild)(user, 'contact');
+                const jid = user.attrs.jid
+                    || `${String((contact === null || contact === void 0 ? void 0 : contact.content) || '').replace(/\D/g, '')}${WABinary_1.S_WHATSAPP_NET}`;
+                const content = [];
+                if (protocols.includes('devices')) {
+                    content.push({
+                        tag: 'devices',
+                        attrs: {},
+                        content: [{ tag: 'device-list', attrs: {}, content: [{ tag: 'device', attrs: { id: '0' } }] }]
+                    });
+                }
+                if (protocols.includes('contact')) {
+                    content.push({ tag: 'contact', attrs: { type: 'in' } });
+                }
+                return { tag: 'user', attrs: { jid }, content };
+            });
+            return [{
+                    tag: 'usync',
+                    attrs: { ...usync.attrs },
+                    content: [{ tag: 'list', attrs: {}, content: users }]
+                }];
+        },
+        passive: async (node, conn) => {
+            if ((0, WABinary_1.getBinaryNodeChild)(node, 'active')) {
+                // no offline messages are kept, tell the client straight away
+                setImmediate(() => conn.sendNode({
+                    tag: 'ib',
+                    attrs: { from: WABinary_1.S_WHATSAPP_NET },
+                    content: [{ tag: 'offline', attrs: { count: '0' } }]
+                }));
+            }
+        },
+        w: async () => [{ tag: 'props', attrs: { protocol: '2', hash: '' } }],
+        blocklist: async (node) => (node.attrs.type === 'get' ? [{ tag: 'list', attrs: {} }] : undefined),
+        privacy: async (node) => (node.attrs.type === 'get'
+            ? [{
+                    tag: 'privacy',
+                    attrs: {},
+                    content: ['readreceipts', 'last', 'online', 'profile', 'status', 'groupadd', 'calladd']
+                        .map(name => ({ tag: 'category', attrs: { name, value: name === 'readreceipts' ? 'all' : 'contacts' } }))
+                }]
+            : undefined)
+    };
+    const iqHandlers = { ...builtInIqHandlers, ...customIqHandlers };
+    const handleIq = async (node, conn) => {
+        const { id, type, xmlns } = node.attrs;
+        if (type === 'result' || type === 'error') {
+            const pending = pendingResponses.get(id);
+            if (pending) {
+                pendingResponses.delete(id);
+                pending(node);
+            }
+            return;
+        }
+        const handler = iqHandlers[xmlns];
+        try {
+            conn.sendNode(makeResult(node, handler ? await handler(node, conn) : undefined));
+        }
+        catch (error) {
+            logger.debug({ error, xmlns }, 'IQ handler failed');
+            conn.sendNode({
+                tag: 'iq',
+                attrs: { id, from: WABinary_1.S_WHATSAPP_NET, type: 'error' },
+                content: [{
+                        tag: 'error',
+                        attrs: { code: String(error.output ? error.output.statusCode : 500), text: error.message }
+                    }]
+            });
+        }
+    };
+    const handleMessage = async (node, conn) => {
+        const { id, to } = node.attrs;
+        conn.sendNode({
+            tag: 'ack',
+            attrs: { class: 'message', id, from: to, t: (0, Utils_1.unixTimestampSeconds)().toString() }
+        });
+        const participants = (0, WABinary_1.getBinaryNodeChild)(node, 'participants');
+        const recipients = participants
+            ? (0, WABinary_1.getBinaryNodeChildren)(participants, 'to')
+            : [{ attrs: { jid: to }, content: [(0, WABinary_1.getBinaryNodeChild)(node, 'enc')] }];
+        for (const recipient of recipients) {
+            const enc = recipient.content && recipient.content.find(child => (child === null || child === void 0 ? void 0 : child.tag) === 'enc');
+            if (!enc || !(0, WABinary_1.isJidUser)(recipient.attrs.jid)) {
+                continue;
+            }
+            const peer = getPeer(recipient.attrs.jid);
+            try {
+                const message = await peer.decrypt(conn.jid, enc);
+                const received = { id, from: conn.jid, to: peer.jid, message, node };
+                peer.messages.push(received);
+                ev.emit('message', received);
+            }
+            catch (error) {
+                logger.warn({ error, id, to: peer.jid }, 'failed to decrypt message');
+            }
+        }
+    };
+    const handleNode = async (node, conn) => {
+        stanzas.push(node);
+        ev.emit('stanza', node, conn);
+        switch (node.tag) {
+            case 'iq':
+                await handleIq(node, conn);
+                break;
+            case 'message':
+                await handleMessage(node, conn);
+                break;
+            case 'receipt':
+                conn.sendNode({
+                    tag: 'ack',
+                    attrs: { class: 'receipt', id: node.attrs.id, from: node.attrs.to || WABinary_1.S_WHATSAPP_NET }
+                });
+                break;
+        }
+    };
+    const handleLogin = (payload, conn) => {
+        conn.clientPayload = payload;
+        if (payload.devicePairingData) {
+            conn.pairingRefs = Array.from({ length: QR_REF_COUNT }, () => (0, crypto_1.randomBytes)(16).toString('base64'));
+            conn.sendNode({
+                tag: 'iq',
+                attrs: { id: (0, Utils_1.generateMessageID)(), from: WABinary_1.S_WHATSAPP_NET, type: 'set', xmlns: 'md' },
+                content: [{
+                        tag: 'pair-device',
+                        attrs: {},
+                        content: conn.pairingRefs.map(ref => ({ tag: 'ref', attrs: {}, content: Buffer.from(ref) }))
+                    }]
+            });
+            return;
+        }
+        const jid = (0, WABinary_1.jidEncode)(payload.username.toString(), 's.whatsapp.net', payload.device);
+        const authorized = authorize(payload);
+        if (authorized !== true) {
+            conn.sendNode({ tag: 'failure', attrs: { reason: String(typeof authorized === 'number' ? authorized : 401) } });
+            return;
+        }
+        conn.jid = jid;
+        conn.sendNode({ tag: 'success', attrs: { t: (0, Utils_1.unixTimestampSeconds)().toString(), props: '0', location: 'fake' } });
+        logger.debug({ jid }, 'logged in');
+        ev.emit('login', conn);
+    };
+    const handleConnection = (ws) => {
+        let inBytes = Buffer.alloc(0);
+        let introHeader;
+        let noise;
+        const conn = {
+            id: ++connectionCount,
+            jid: undefined,
+            clientPayload: undefined,
+            pairingRefs: undefined,
+            get isOpen() {
+                return ws.readyState === ws_1.default.OPEN;
+            },
+            sendNode(node) {
+                if (!conn.isOpen || !noise || !noise.isFinished) {
+                    return false;
+                }
+                sendFrame(noise.encrypt((0, WABinary_1.encodeBinaryNode)(node)));
+                return true;
+            },
+            /** closes the connection, as when the server goes away */
+            end() {
+                ws.close();
+            }
+        };
+        const sendFrame = (data) => {
+            const frame = Buffer.alloc(3 + data.length);
+            frame.writeUInt8(data.length >> 16, 0);
+            frame.writeUInt16BE(data.length & 65535, 1);
+            frame.set(data, 3);
+            ws.send(frame);
+        };
+        /** strips the intro, which may be preceded by routing info */
+        const readIntro = () => {
+            const hasRoutingInfo = inBytes.slice(0, 2).toString() === 'ED';
+            const routingInfoLength = hasRoutingInfo && inBytes.length >= 7 ? (inBytes.readUInt8(4) << 16) | inBytes.readUInt16BE(5) : 0;
+            const introLength = hasRoutingInfo ? 7 + routingInfoLength + Defaults_1.NOISE_WA_HEADER.length : Defaults_1.NOISE_WA_HEADER.length;
+            if ((hasRoutingInfo && inBytes.length < 7) || inBytes.length < introLength) {
+                return false;
+            }
+            introHeader = inBytes.slice(introLength - Defaults_1.NOISE_WA_HEADER.length, introLength);
+            inBytes = inBytes.slice(introLength);
+            return true;
+        };
+        const handleFrame = async (frame) => {
+            if (!noise) {
+                const { clientHello } = WAProto_1.proto.HandshakeMessage.decode(frame);
+                noise = makeServerNoiseHandler(introHeader, clientHello.ephemeral);
+                const serverHello = await noise.makeServerHello(staticKeyPair);
+                sendFrame(WAProto_1.proto.HandshakeMessage.encode({ serverHello }).finish());
+            }
+            else if (!noise.isFinished) {
+                const { clientFinish } = WAProto_1.proto.HandshakeMessage.decode(frame);
+                handleLogin(await noise.processClientFinish(clientFinish), conn);
+            }
+            else {
+                await handleNode(await (0, WABinary_1.decodeBinaryNode)(noise.decrypt(frame)), conn);
+            }
+        };
+        // frames are handled one at a time, in the order they arrive
+        let queue = Promise.resolve();
+        ws.on('message', (data) => {
+            inBytes = Buffer.concat([inBytes, data]);
+            if (!introHeader && !readIntro()) {
+                return;
+            }
+            while (inBytes.length >= 3) {
+                const size = (inBytes.readUInt8(0) << 16) | inBytes.readUInt16BE(1);
+                if (inBytes.length < size + 3) {
+                    break;
+                }
+                const frame = inBytes.slice(3, size + 3);
+                inBytes = inBytes.slice(size + 3);
+                queue = queue
+                    .then(() => handleFrame(frame))
+                    .catch(error => {
+                    logger.error({ error }, 'failed to handle frame, closing connection');
+                    ws.close();
+                });
+            }
+        });
+        ws.on('close', () => {
+            connections.splice(connections.indexOf(conn), 1);
+            ev.emit('close', conn);
+        });
+        connections.push(conn);
+        ev.emit('connection', conn);
+    };
+    const server = {
+        ev,
+        /** open connections, in the order they were made */
+        connections,
+        /** every stanza received from the clients */
+        stanzas,
+        /** the ws:// URL to pass as `waWebSocketUrl`, available once listening */
+        url: undefined,
+        /**
+         * starts listening
+         * @param port defaults to a random free port
+         * @returns the URL to pass as `waWebSocketUrl`
+         */
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                wss = new ws_1.default.Server({ port, host });
+                wss.once('error', reject);
+                wss.once('listening', () => {
+                    server.url = `ws://${host}:${wss.address().port}/ws/chat`;
+                    resolve(server.url);
+                });
+                wss.on('connection', handleConnection);
+            });
+        },
+        /** disconnects all clients & stops listening */
+        close() {
+            for (const pending of pendingResponses.values()) {
+                pending(undefined);
+            }
+            pendingResponses.clear();
+            if (!wss) {
+                return Promise.resolve();
+            }
+            for (const client of wss.clients) {
+                client.terminate();
+            }
+            return new Promise(resolve => wss.close(() => resolve()));
+        },
+        getConnection,
+        /** the simulated user behind the jid, created on first use */
+        getPeer,
+        takeKeyBundle,
+        /** sends a stanza to the most recent logged in connection */
+        sendNode: (node) => getConnection().sendNode(node),
+        /**
+         * waits for the next stanza from a client to match the filter
+         * @param filter a predicate, or the tag, attrs & child tag to match
+         */
+        waitForStanza(filter, timeoutMs = 5000) {
+            let listener;
+            return (0, Utils_1.promiseTimeout)(timeoutMs, resolve => {
+                listener = (node) => {
+                    if (matchesNode(node, filter)) {
+                        resolve(node);
+                    }
+                };
+                ev.on('stanza', listener);
+            }).finally(() => ev.off('stanza', listener));
+        },
+        /** waits for the next message sent to a peer to match the filter */
+        waitForMessage(filter = () => true, timeoutMs = 5000) {
+            let listener;
+            return (0, Utils_1.promiseTimeout)(timeoutMs, resolve => {
+                listener = (received) => {
+                    if (filter(received)) {
+                        resolve(received);
+                    }
+                };
+                ev.on('message', listener);
+            }).finally(() => ev.off('message', listener));
+        },
+        /**
+         * acts as the phone scanning a QR code: signs the device identity & completes pairing.
+         * Like WhatsApp, the connection is then restarted (stream error 515) so the client logs in again
+         * @param qr the QR string from `connection.update`
+         * @param jid the jid the device is paired as
+         */
+        async pair(qr, { jid = exports.DEFAULT_FAKE_JID, platform = 'android', timeoutMs = 5000 } = {}) {
+            const [ref, , identityKeyB64, advSecretKeyB64] = qr.split(',');
+            const conn = connections.find(conn => conn.pairingRefs && conn.pairingRefs.includes(ref));
+            if (!conn) {
+                throw new boom_1.Boom('no connection is waiting to pair with this QR', { statusCode: 404 });
+            }
+            const accountKeyPair = Utils_1.Curve.generateKeyPair();
+            const deviceDetails = WAProto_1.proto.ADVDeviceIdentity.encode({
+                rawId: (0, crypto_1.randomBytes)(4).readUInt32BE(),
+                timestamp: (0, Utils_1.unixTimestampSeconds)(),
+                keyIndex: 1
+            }).finish();
+            const accountSignature = Utils_1.Curve.sign(accountKeyPair.private, Buffer.concat([
+                Buffer.from([6, 0]),
+                deviceDetails,
+                Buffer.from(identityKeyB64, 'base64')
+            ]));
+            const details = WAProto_1.proto.ADVSignedDeviceIdentity.encode({
+                details: deviceDetails,
+                accountSignatureKey: accountKeyPair.public,
+                accountSignature
+            }).finish();
+            const hmac = (0, Utils_1.hmacSign)(details, Buffer.from(advSecretKeyB64, 'base64'));
+            const id = (0, Utils_1.generateMessageID)();
+            const response = (0, Utils_1.promiseTimeout)(timeoutMs, resolve => pendingResponses.set(id, resolve));
+            conn.sendNode({
+                tag: 'iq',
+                attrs: { id, from: WABinary_1.S_WHATSAPP_NET, type: 'set', xmlns: 'md' },
+                content: [{
+                        tag: 'pair-success',
+                        attrs: {},
+                        content: [
+                            {
+                                tag: 'device-identity',
+                                attrs: { 'key-index': '1' },
+                                content: WAProto_1.proto.ADVSignedDeviceIdentityHMAC.encode({ details, hmac }).finish()
+                            },
+                            { tag: 'platform', attrs: { name: platform } },
+                            { tag: 'device', attrs: { jid } }
+                        ]
+                    }]
+            });
+            const reply = await response.finally(() => pendingResponses.delete(id));
+            if (!reply || !(0, WABinary_1.getBinaryNodeChild)(reply, 'pair-device-sign')) {
+                throw new boom_1.Boom('device did not sign the pairing', { statusCode: 400, data: reply });
+            }
+            conn.pairingRefs = undefined;
+            conn.sendNode({ tag: 'stream:error', attrs: { code: '515' } });
+            return jid;
+        }
+    };
+    return server;
+};
+exports.makeFakeWAServer = makeFakeWAServer;
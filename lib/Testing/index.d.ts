@@ -0,0 +1 @@
+export * from './fake-wa-server';
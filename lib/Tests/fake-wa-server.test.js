@@ -0,0 +1,132 @@
+'use strict';
+
+const P = require('pino');
+const { default: makeWASocket } = require('../Socket');
+const { makeFakeWAServer, useInMemoryAuthState } = require('../Testing');
+
+const logger = P({ level: 'silent' });
+
+jest.setTimeout(30000);
+
+/** resolves with the first `connection.update` matching the filter */
+const waitForConnectionUpdate = (sock, filter) => new Promise(resolve => {
+  const listener = update => {
+    if (filter(update)) {
+      sock.ev.off('connection.update', listener);
+      resolve(update);
+    }
+  };
+  sock.ev.on('connection.update', listener);
+});
+
+/** resolves once every query the socket sent has been answered, so no query timer outlives the test */
+const waitForPendingQueries = async (sock) => {
+  while (sock.ws.eventNames().some(event => String(event).startsWith('TAG:'))) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('fake WhatsApp server', () => {
+  let server;
+  let url;
+  let sockets;
+
+  const connect = (state, config = {}) => {
+    const sock = makeWASocket({ auth: state, waWebSocketUrl: url, logger, autoReconnect: false, ...config });
+    sockets.push(sock);
+    return sock;
+  };
+
+  beforeEach(async () => {
+    server = makeFakeWAServer({ logger });
+    url = await server.listen();
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    for (const sock of sockets) {
+      await waitForPendingQueries(sock);
+      sock.end(undefined);
+    }
+    await server.close();
+  });
+
+  it('logs in with an existing session', async () => {
+    const { state } = useInMemoryAuthState('123:1@s.whatsapp.net');
+    const sock = connect(state);
+
+    await waitForConnectionUpdate(sock, ({ connection }) => connection === 'open');
+    expect(server.getConnection().jid).toBe('123:1@s.whatsapp.net');
+  });
+
+  it('receives & sends end-to-end encrypted messages', async () => {
+    const { state } = useInMemoryAuthState('123:1@s.whatsapp.net');
+    const sock = connect(state);
+    const received = new Promise(resolve => {
+      sock.ev.on('messages.upsert', ({ messages, type }) => {
+        if (type === 'notify') {
+          resolve(messages[0]);
+        }
+      });
+    });
+    await waitForConnectionUpdate(sock, ({ connection }) => connection === 'open');
+
+    const alice = server.getPeer('456@s.whatsapp.net');
+    await alice.sendMessage({ conversation: 'ping' }, { pushName: 'Alice' });
+    const msg = await received;
+    expect(msg.key.remoteJid).toBe(alice.jid);
+    expect(msg.pushName).toBe('Alice');
+    expect(msg.message.conversation).toBe('ping');
+
+    await sock.sendMessage(alice.jid, { text: 'pong' });
+    const reply = await server.waitForMessage(({ to }) => to === alice.jid);
+    expect(reply.message.conversation || reply.message.extendedTextMessage?.text).toBe('pong');
+  });
+
+  it('drops & counts a flood, then keeps handling messages', async () => {
+    const { state } = useInMemoryAuthState('123:1@s.whatsapp.net');
+    const sock = connect(state, { spamProtection: { rules: { senderFlood: { limit: 2, windowMs: 60000, action: 'ignore' } } } });
+    const received = [];
+    sock.ev.on('messages.upsert', ({ messages, type }) => {
+      if (type === 'notify') {
+        received.push(...messages);
+      }
+    });
+    await waitForConnectionUpdate(sock, ({ connection }) => connection === 'open');
+
+    const mallory = server.getPeer('666@s.whatsapp.net');
+    for (let i = 0; i < 4; i++) {
+      await mallory.sendMessage({ conversation: `spam ${i}` });
+    }
+    const alice = server.getPeer('456@s.whatsapp.net');
+    const fromAlice = new Promise(resolve => {
+      sock.ev.on('messages.upsert', ({ messages }) => {
+        if (messages.some(msg => msg.key.remoteJid === alice.jid)) {
+          resolve();
+        }
+      });
+    });
+    await alice.sendMessage({ conversation: 'hi' });
+    await fromAlice;
+
+    expect(sock.metrics.spamDropped.get({ rule: 'senderFlood' })).toBe(2);
+    expect(received.map(msg => msg.message.conversation)).toEqual(['spam 0', 'spam 1', 'hi']);
+  });
+
+  it('pairs a new device over QR & restarts the connection', async () => {
+    const { state } = useInMemoryAuthState();
+    const sock = connect(state);
+
+    const { qr } = await waitForConnectionUpdate(sock, update => !!update.qr);
+    const closed = waitForConnectionUpdate(sock, ({ connection }) => connection === 'close');
+    await server.pair(qr, { jid: '789:2@s.whatsapp.net' });
+
+    const { lastDisconnect } = await closed;
+    expect(lastDisconnect.error.output.statusCode).toBe(515);
+    expect(state.creds.me.id).toBe('789:2@s.whatsapp.net');
+
+    const restarted = connect(state);
+    await waitForConnectionUpdate(restarted, ({ connection }) => connection === 'open');
+    expect(server.getConnection().jid).toBe('789:2@s.whatsapp.net');
+  });
+});
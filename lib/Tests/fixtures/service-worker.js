@@ -0,0 +1,4 @@
+/*FB_PKG_DELIM*/
+
+self.__swData=JSON.parse(/*BTDS*/"{\"dynamic_data\":{\"SiteData\":{\"server_revision\":1019180562,\"client_revision\":1019180562,\"push_phase\":\"C3\",\"pkg_cohort\":\"BP:whatsapp_www_pkg\",\"haste_session\":\"20379.HYP:whatsapp_web_pkg.2.1...0\",\"pr\":1,\"haste_site\":\"whatsapp\"}}}");
+importScripts("https:\/\/static.whatsapp.net\/rsrc.php\/v4\/yP\/r\/8tgrLxsVkDH.js");
@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * jest 27 ignores the "exports" field of package.json.
+ * Some dependencies point "main" to an ES module & expose CommonJS only through "exports", so their "require" entry is used
+ */
+module.exports = (request, options) => options.defaultResolver(request, {
+  ...options,
+  packageFilter: pkg => {
+    const exported = pkg.exports && (pkg.exports['.'] || pkg.exports);
+    const entry = exported && exported.require;
+    const main = entry && typeof entry === 'object' ? entry.default : entry;
+    return typeof main === 'string' ? { ...pkg, main } : pkg;
+  }
+});
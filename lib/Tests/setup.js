@@ -0,0 +1,6 @@
+'use strict';
+
+// jest 27 does not expose the WebCrypto global that lib/Utils/crypto.js relies on
+if (!globalThis.crypto) {
+  globalThis.crypto = require('crypto').webcrypto;
+}
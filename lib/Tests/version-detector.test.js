@@ -0,0 +1,70 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const VersionDetector = require('../Protocol/version-detector');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf-8');
+
+describe('VersionDetector.parseWebClientVersion', () => {
+  it('reads the client revision from the service worker', () => {
+    const version = VersionDetector.parseWebClientVersion(readFixture('service-worker.js'));
+    expect(version).toEqual({ major: 2, minor: 3000, patch: 1019180562, fullVersion: '2.3000.1019180562' });
+  });
+
+  it('reads the client revision from unescaped site data', () => {
+    const version = VersionDetector.parseWebClientVersion('{"SiteData":{"client_revision": 1019180600}}');
+    expect(version.fullVersion).toBe('2.3000.1019180600');
+  });
+
+  it('reads the revision from the resource manifest of the web client page', () => {
+    const version = VersionDetector.parseWebClientVersion(readFixture('web-client.html'));
+    expect(version.fullVersion).toBe('2.3000.1019180471');
+  });
+
+  it('returns undefined when there is no revision', () => {
+    expect(VersionDetector.parseWebClientVersion('<html><body>Update your browser</body></html>')).toBeUndefined();
+    expect(VersionDetector.parseWebClientVersion(undefined)).toBeUndefined();
+  });
+});
+
+describe('VersionDetector.detectVersion', () => {
+  /** serves the fixtures in place of web.whatsapp.com */
+  const makeAdapter = (assets) => async (config) => {
+    const data = assets[new URL(config.url).pathname];
+    if (data === undefined) {
+      throw new Error(`unexpected request to ${config.url}`);
+    }
+    return { data, status: 200, statusText: 'OK', headers: {}, config };
+  };
+
+  it('uses the newer of the page & service worker revisions', async () => {
+    const detector = new VersionDetector({
+      updateConnectionConfig: false,
+      fetchOptions: {
+        adapter: makeAdapter({
+          '/': readFixture('web-client.html'),
+          '/sw.js': readFixture('service-worker.js')
+        })
+      }
+    });
+
+    const version = await detector.detectVersion();
+    expect(version.fullVersion).toBe('2.3000.1019180562');
+  });
+
+  it('falls back to the page when the service worker has no revision', async () => {
+    const detector = new VersionDetector({
+      updateConnectionConfig: false,
+      fetchOptions: {
+        adapter: makeAdapter({
+          '/': readFixture('web-client.html'),
+          '/sw.js': 'importScripts("/sw-main.js");'
+        })
+      }
+    });
+
+    const version = await detector.detectVersion();
+    expect(version.fullVersion).toBe('2.3000.1019180471');
+  });
+});
@@ -8,7 +8,9 @@ import { GroupMetadata, ParticipantAction, RequestJoinAction, RequestJoinMethod
 import { Label } from './Label';
 import { LabelAssociation } from './LabelAssociation';
 import { MessageUpsertType, MessageUserReceiptUpdate, WAMessage, WAMessageKey, WAMessageUpdate } from './Message';
+import { NewsletterSettingsUpdate, SubscriberAction } from './Newsletter';
 import { ConnectionState } from './State';
+import type { SpamVerdict } from '../Utils/spam-guard';
 export type BaileysEventMap = {
     /** connection state has been updated -- WS closed, opened, connecting etc. */
     'connection.update': Partial<ConnectionState>;
@@ -90,6 +92,32 @@ export type BaileysEventMap = {
         action: RequestJoinAction;
         method: RequestJoinMethod;
     };
+    'newsletter.reaction': {
+        id: string;
+        server_id: string;
+        reaction: {
+            code?: string;
+            count?: number;
+            removed?: boolean;
+        };
+    };
+    'newsletter.view': {
+        id: string;
+        server_id: string;
+        count: number;
+    };
+    /**don't handles subscribe/unsubscribe actions */
+    'newsletter-participants.update': {
+        id: string;
+        author: string;
+        user: string;
+        new_role: string;
+        action: SubscriberAction;
+    };
+    'newsletter-settings.update': {
+        id: string;
+        update: NewsletterSettingsUpdate;
+    };
     'blocklist.set': {
         blocklist: string[];
     };
@@ -99,6 +127,8 @@ export type BaileysEventMap = {
     };
     /** Receive an update on a call, including when the call was received, rejected, accepted */
     'call': WACallEvent[];
+    /** an incoming message broke a spam protection rule; the configured actions are applied after this is emitted */
+    'spam.detected': SpamVerdict;
     'labels.edit': Label;
     'labels.association': {
         association: LabelAssociation;
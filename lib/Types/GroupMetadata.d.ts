@@ -7,6 +7,22 @@ export type GroupParticipant = (Contact & {
 export type ParticipantAction = 'add' | 'remove' | 'promote' | 'demote' | 'modify';
 export type RequestJoinAction = 'created' | 'revoked' | 'rejected';
 export type RequestJoinMethod = 'invite_link' | 'linked_group_join' | 'non_admin_add' | undefined;
+export interface GroupSubgroup {
+    id: string;
+    subject: string;
+    creation?: number;
+    owner?: string;
+    size?: number;
+    /** is this the announcement group of the community */
+    isDefaultSubgroup: boolean;
+}
+export interface CommunityLinkedGroups {
+    /** jid of the community the groups are linked to */
+    communityJid: string;
+    /** whether the jid that was queried is the community itself */
+    isCommunity: boolean;
+    linkedGroups: GroupSubgroup[];
+}
 export interface GroupMetadata {
     id: string;
     owner: string | undefined;
@@ -33,6 +49,8 @@ export interface GroupMetadata {
     isCommunity?: boolean;
     /** is this the announce of a community */
     isCommunityAnnounce?: boolean;
+    /** groups linked to this community, only present when the server includes them */
+    subgroups?: GroupSubgroup[];
     /** number of group participants */
     size?: number;
     participants: GroupParticipant[];
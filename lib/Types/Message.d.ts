@@ -8,6 +8,7 @@ import type { URL } from 'url';
 import { proto } from '../../WAProto';
 import { MEDIA_HKDF_KEY_MAPPING } from '../Defaults';
 import { BinaryNode } from '../WABinary';
+import type { MediaTranscoder, StickerMetadata } from '../Utils/media-transcoder';
 import type { GroupMetadata } from './GroupMetadata';
 import { CacheStore } from './Socket';
 export { proto as WAProto };
@@ -109,6 +110,8 @@ export type AnyMediaMessageContent = (({
 } | ({
     sticker: WAMediaUpload;
     isAnimated?: boolean;
+    /** pack metadata embedded by the `mediaTranscoder`, if one is configured */
+    stickerMetadata?: StickerMetadata;
 } & WithDimensions) | ({
     document: WAMediaUpload;
     mimetype: string;
@@ -233,6 +236,8 @@ export type MediaGenerationOptions = {
     upload: WAMediaUploadFunction;
     /** cache media so it does not have to be uploaded again */
     mediaCache?: CacheStore;
+    /** transcodes voice notes, stickers & videos before upload */
+    mediaTranscoder?: MediaTranscoder;
     mediaUploadTimeoutMs?: number;
     options?: AxiosRequestConfig;
     backgroundColor?: string;
@@ -0,0 +1,32 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.QueryIds = exports.XWAPaths = exports.MexOperations = void 0;
+var MexOperations;
+(function (MexOperations) {
+    MexOperations["PROMOTE"] = "NotificationNewsletterAdminPromote";
+    MexOperations["DEMOTE"] = "NotificationNewsletterAdminDemote";
+    MexOperations["UPDATE"] = "NotificationNewsletterUpdate";
+})(MexOperations = exports.MexOperations || (exports.MexOperations = {}));
+var XWAPaths;
+(function (XWAPaths) {
+    XWAPaths["PROMOTE"] = "xwa2_notify_newsletter_admin_promote";
+    XWAPaths["DEMOTE"] = "xwa2_notify_newsletter_admin_demote";
+    XWAPaths["ADMIN_COUNT"] = "xwa2_newsletter_admin";
+    XWAPaths["CREATE"] = "xwa2_newsletter_create";
+    XWAPaths["NEWSLETTER"] = "xwa2_newsletter";
+    XWAPaths["METADATA_UPDATE"] = "xwa2_notify_newsletter_on_metadata_update";
+})(XWAPaths = exports.XWAPaths || (exports.XWAPaths = {}));
+var QueryIds;
+(function (QueryIds) {
+    QueryIds["JOB_MUTATION"] = "7150902998257522";
+    QueryIds["METADATA"] = "6620195908089573";
+    QueryIds["UNFOLLOW"] = "7238632346214362";
+    QueryIds["FOLLOW"] = "7871414976211147";
+    QueryIds["UNMUTE"] = "7337137176362961";
+    QueryIds["MUTE"] = "25151904754424642";
+    QueryIds["CREATE"] = "6996806640408138";
+    QueryIds["ADMIN_COUNT"] = "7130823597031706";
+    QueryIds["CHANGE_OWNER"] = "7341777602580933";
+    QueryIds["DELETE"] = "8316537688363079";
+    QueryIds["DEMOTE"] = "6551828931592903";
+})(QueryIds = exports.QueryIds || (exports.QueryIds = {}));
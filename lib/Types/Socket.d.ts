@@ -5,6 +5,11 @@ import type { Agent } from 'https';
 import type { URL } from 'url';
 import { proto } from '../../WAProto';
 import { ILogger } from '../Utils/logger';
+import type { MediaTranscoder } from '../Utils/media-transcoder';
+import type { MetricsRegistry } from '../Utils/metrics';
+import type { SpamProtectionConfig } from '../Utils/spam-guard';
+import type { StanzaRecorder } from '../Utils/stanza-stream';
+import type { Tracer } from '../Utils/tracing';
 import { AuthenticationState, SignalAuthState, TransactionCapabilityOptions } from './Auth';
 import { GroupMetadata } from './GroupMetadata';
 import { MediaConnInfo } from './Message';
@@ -68,6 +73,11 @@ export type SocketConfig = {
     countryCode: string;
     /** provide a cache to store media, so does not have to be re-uploaded */
     mediaCache?: CacheStore;
+    /**
+     * converts outgoing voice notes, stickers & videos to the formats WhatsApp clients expect,
+     * see `makeMediaTranscoder`; media is uploaded as given if not provided
+     */
+    mediaTranscoder?: MediaTranscoder;
     /**
      * map to store the retry counts for failed messages;
      * used to determine whether to retry a message or not */
@@ -78,6 +88,30 @@ export type SocketConfig = {
     callOfferCache?: CacheStore;
     /** cache to track placeholder resends */
     placeholderResendCache?: CacheStore;
+    /**
+     * registry to record the socket's metrics in, eg. to share one registry between sockets;
+     * by default each socket creates its own. Read them via `sock.metrics`
+     */
+    metrics?: MetricsRegistry;
+    /**
+     * records spans for each stage of the send & receive pipelines,
+     * see `makeTracer`; tracing is disabled if not provided
+     */
+    tracer?: Tracer;
+    /**
+     * receives every stanza sent & received, eg. to capture them for a replay;
+     * see `captureStanzaStream` & `sock.replayStanzas`
+     */
+    stanzaRecorder?: StanzaRecorder;
+    /**
+     * flood, duplicate & link spam detection for incoming messages, see `DEFAULT_SPAM_PROTECTION`.
+     * Detections are emitted as `spam.detected`
+     */
+    spamProtection?: SpamProtectionConfig;
+    /** @deprecated use `spamProtection.rules.senderFlood.limit` */
+    floodThreshold?: number;
+    /** @deprecated use `spamProtection.rules.senderFlood.windowMs` */
+    floodWindowMs?: number;
     /** width for link preview images */
     linkPreviewImageThumbnailWidth: number;
     /** Should Baileys ask the phone for full history, will be received async */
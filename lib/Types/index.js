@@ -26,6 +26,7 @@ __exportStar(require("./Events"), exports);
 __exportStar(require("./Product"), exports);
 __exportStar(require("./Call"), exports);
 __exportStar(require("./Signal"), exports);
+__exportStar(require("./Newsletter"), exports);
 var DisconnectReason;
 (function (DisconnectReason) {
     DisconnectReason[DisconnectReason["connectionClosed"] = 428] = "connectionClosed";
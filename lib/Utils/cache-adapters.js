@@ -0,0 +1,357 @@
+/**
+ * Backend-uri de stocare pentru EnhancedCache
+ * Toate adaptoarele sunt sincrone, ca EnhancedCache să poată fi folosit direct ca CacheStore
+ * (msgRetryCounterCache, userDevicesCache, mediaCache). O intrare are forma { value, expiresAt },
+ * unde expiresAt = 0 înseamnă fără expirare.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BufferJSON } = require('./generics');
+
+/**
+ * Estimează memoria ocupată de o valoare
+ * @param {any} value Valoarea
+ * @returns {number} Dimensiunea aproximativă în bytes
+ */
+function estimateSize(value) {
+  if (value === undefined || value === null) return 8;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return value.byteLength;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value === 'number' || typeof value === 'boolean') return 8;
+  try {
+    return JSON.stringify(value, BufferJSON.replacer).length * 2;
+  } catch (error) {
+    return 1024;
+  }
+}
+
+/**
+ * Verifică dacă o intrare a expirat
+ * @param {Object} entry Intrarea
+ * @param {number} now Momentul curent
+ * @returns {boolean}
+ */
+function isExpired(entry, now = Date.now()) {
+  return !!entry.expiresAt && entry.expiresAt <= now;
+}
+
+/**
+ * Stocare în memorie, cu eliminarea celor mai puțin folosite intrări peste o limită de chei sau de memorie
+ */
+class LruAdapter {
+  /**
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {number} options.maxKeys Numărul maxim de chei (implicit nelimitat)
+   * @param {number} options.maxMemory Memoria maximă estimată, în bytes (implicit nelimitat)
+   */
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || Infinity;
+    this.maxMemory = options.maxMemory || Infinity;
+    // Map păstrează ordinea inserării; mutăm la final intrările accesate
+    this.entries = new Map();
+    this.memory = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Obține o intrare
+   * @param {string} key Cheia
+   * @returns {Object|undefined} Intrarea { value, expiresAt } sau undefined dacă nu există ori a expirat
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (isExpired(entry)) {
+      this.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Salvează o intrare
+   * @param {string} key Cheia
+   * @param {any} value Valoarea
+   * @param {number} expiresAt Momentul expirării (timestamp în ms, 0 pentru fără expirare)
+   */
+  set(key, value, expiresAt) {
+    this.delete(key);
+    const size = estimateSize(value) + key.length * 2;
+    this.entries.set(key, { value, expiresAt, size });
+    this.memory += size;
+    this.evict();
+  }
+
+  /**
+   * Șterge o intrare
+   * @param {string} key Cheia
+   * @returns {boolean} True dacă intrarea exista
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.memory -= entry.size;
+    this.entries.delete(key);
+    return true;
+  }
+
+  /**
+   * Șterge toate intrările care încep cu un prefix (namespace)
+   * @param {string} prefix Prefixul (implicit toate)
+   */
+  clear(prefix = '') {
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) this.delete(key);
+    }
+  }
+
+  /**
+   * Obține cheile valide care încep cu un prefix
+   * @param {string} prefix Prefixul (implicit toate)
+   * @returns {string[]} Cheile
+   */
+  keys(prefix = '') {
+    const now = Date.now();
+    return [...this.entries].filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry, now)).map(([key]) => key);
+  }
+
+  /**
+   * Elimină intrările expirate
+   * @returns {number} Numărul de intrări eliminate
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry, now)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Elimină cele mai vechi intrări până când limitele sunt respectate
+   * @private
+   */
+  evict() {
+    while (this.entries.size > this.maxKeys || (this.memory > this.maxMemory && this.entries.size > 1)) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * Stocare într-un fișier JSON, cu aceeași interfață ca LruAdapter; întregul conținut este ținut în memorie și rescris atomic (fișier temporar + rename).
+ * Fiecare scriere rescrie tot fișierul, așa că modificările individuale sunt grupate și salvate după saveDelay
+ */
+class FileAdapter {
+  /**
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string} options.path Calea fișierului (implicit './cache-data.json')
+   * @param {number} options.saveDelay După câte milisecunde se scriu modificările făcute cu set/delete/clear; 0 scrie imediat (implicit 1000)
+   */
+  constructor(options = {}) {
+    this.path = options.path || './cache-data.json';
+    this.saveDelay = options.saveDelay ?? 1000;
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry && !isExpired(entry) ? entry : undefined;
+  }
+
+  set(key, value, expiresAt) {
+    this.entries.set(key, { value, expiresAt });
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    const deleted = this.entries.delete(key);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  clear(prefix = '') {
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+    this.scheduleSave();
+  }
+
+  keys(prefix = '') {
+    const now = Date.now();
+    return [...this.entries].filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry, now)).map(([key]) => key);
+  }
+
+  /**
+   * Aplică mai multe modificări și scrie fișierul o singură dată (folosit de modul write-behind)
+   * @param {Array<[string, Object|null]>} changes Perechi [cheie, intrare]; null înseamnă ștergere
+   */
+  batch(changes) {
+    for (const [key, entry] of changes) {
+      if (entry) this.entries.set(key, entry);
+      else this.entries.delete(key);
+    }
+    this.save();
+  }
+
+  /**
+   * Programează scrierea fișierului, ca mai multe modificări apropiate să fie scrise o singură dată
+   * @private
+   */
+  scheduleSave() {
+    if (!this.saveDelay) {
+      this.save();
+      return;
+    }
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (error) {
+        console.error('Eroare la salvarea cache-ului:', error);
+      }
+    }, this.saveDelay);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Scrie fișierul atomic, fără intrările expirate
+   * @private
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const now = Date.now();
+    const data = {};
+    for (const [key, entry] of this.entries) {
+      if (!isExpired(entry, now)) data[key] = entry;
+    }
+    const tmpPath = `${this.path}.tmp`;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, BufferJSON.replacer));
+    fs.renameSync(tmpPath, this.path);
+  }
+
+  /**
+   * Încarcă fișierul; acceptă și formatul vechi { cheie: valoare }
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.path)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'), BufferJSON.reviver);
+      for (const [key, entry] of Object.entries(data)) {
+        const isEntry = entry && typeof entry === 'object' && 'value' in entry && 'expiresAt' in entry;
+        this.entries.set(key, isEntry ? entry : { value: entry, expiresAt: 0 });
+      }
+    } catch (error) {
+      console.error('Eroare la încărcarea cache-ului:', error);
+    }
+  }
+
+  /**
+   * Scrie modificările care nu au fost încă salvate
+   */
+  close() {
+    if (this.saveTimer) this.save();
+  }
+}
+
+/**
+ * Stocare într-o bază de date SQLite (better-sqlite3 sau node:sqlite), cu aceeași interfață ca LruAdapter
+ */
+class SqliteAdapter {
+  /**
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string} options.path Calea bazei de date (implicit './cache-data.db')
+   * @param {string} options.table Numele tabelului (implicit 'cache')
+   */
+  constructor(options = {}) {
+    const { openSqliteDatabase } = require('./sqlite');
+    this.db = openSqliteDatabase(options.path || './cache-data.db');
+    this.table = options.table || 'cache';
+    if (!/^\w+$/.test(this.table)) {
+      throw new Error(`Nume de tabel invalid: ${this.table}`);
+    }
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL DEFAULT 0
+    ) WITHOUT ROWID`);
+  }
+
+  get(key) {
+    const row = this.db.get(`SELECT value, expires_at FROM ${this.table} WHERE key = ?`, key);
+    if (!row) return undefined;
+    const entry = { value: JSON.parse(row.value, BufferJSON.reviver), expiresAt: Number(row.expires_at) };
+    if (isExpired(entry)) {
+      this.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  set(key, value, expiresAt) {
+    this.db.run(
+      `INSERT INTO ${this.table} (key, value, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+      key, JSON.stringify(value, BufferJSON.replacer), expiresAt || 0
+    );
+  }
+
+  delete(key) {
+    return Number(this.db.run(`DELETE FROM ${this.table} WHERE key = ?`, key).changes) > 0;
+  }
+
+  clear(prefix = '') {
+    // substr evită caracterele speciale din LIKE
+    this.db.run(`DELETE FROM ${this.table} WHERE substr(key, 1, ?) = ?`, prefix.length, prefix);
+  }
+
+  keys(prefix = '') {
+    return this.db
+      .all(`SELECT key FROM ${this.table} WHERE substr(key, 1, ?) = ? AND (expires_at = 0 OR expires_at > ?)`, prefix.length, prefix, Date.now())
+      .map(row => row.key);
+  }
+
+  batch(changes) {
+    this.db.transaction(() => {
+      for (const [key, entry] of changes) {
+        if (entry) this.set(key, entry.value, entry.expiresAt);
+        else this.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Elimină intrările expirate
+   * @returns {number} Numărul de intrări eliminate
+   */
+  prune() {
+    return Number(this.db.run(`DELETE FROM ${this.table} WHERE expires_at != 0 AND expires_at <= ?`, Date.now()).changes);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  LruAdapter,
+  FileAdapter,
+  SqliteAdapter,
+  estimateSize
+};
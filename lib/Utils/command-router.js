@@ -0,0 +1,431 @@
+/**
+ * Router de comenzi pentru boți construiți cu @borutowaileys/library
+ * Acest modul parsează comenzile din messages.upsert, validează argumentele,
+ * aplică permisiuni și cooldown-uri și răspunde citând mesajul care a declanșat comanda
+ */
+
+const { extractMessageContent, getContentType } = require('./messages');
+const { isJidGroup, jidNormalizedUser, areJidsSameUser } = require('../WABinary');
+const RateLimiter = require('./rate-limiter');
+
+/**
+ * Eroare al cărei mesaj este trimis ca răspuns utilizatorului
+ */
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+// Răspunsurile implicite; pot fi înlocuite prin options.messages
+const DEFAULT_MESSAGES = {
+  cooldown: seconds => `Please wait ${seconds}s before using this command again.`,
+  ownerOnly: () => 'This command is reserved for the bot owner.',
+  adminOnly: () => 'Only group admins can use this command.',
+  botAdmin: () => 'I need to be a group admin to do that.',
+  groupOnly: () => 'This command only works in groups.',
+  privateOnly: () => 'This command only works in private chats.',
+  usage: (command, prefix) => `Usage: ${prefix}${command.name}${command.usage ? ' ' + command.usage : ''}`,
+  error: () => 'Something went wrong while running this command.'
+};
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, on: true, '1': true,
+  false: false, no: false, off: false, '0': false
+};
+
+/**
+ * Extrage textul unui mesaj, inclusiv din răspunsurile la butoane și liste
+ * @param {Object} msg Mesajul WhatsApp
+ * @returns {string|undefined} Textul mesajului
+ */
+function getMessageBody(msg) {
+  const content = extractMessageContent(msg.message);
+  const type = getContentType(content);
+  if (!type) return undefined;
+  const inner = content[type];
+  switch (type) {
+    case 'conversation':
+      return inner;
+    case 'buttonsResponseMessage':
+      return inner.selectedButtonId;
+    case 'listResponseMessage':
+      return inner.singleSelectReply?.selectedRowId;
+    case 'templateButtonReplyMessage':
+      return inner.selectedId;
+    default:
+      return inner?.text ?? inner?.caption;
+  }
+}
+
+/**
+ * Împarte textul în argumente, păstrând împreună textul dintre ghilimele
+ * @param {string} text Textul de împărțit
+ * @returns {string[]} Argumentele
+ */
+function tokenize(text) {
+  const tokens = [];
+  const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = regex.exec(text))) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+class CommandRouter {
+  /**
+   * Creează un nou router de comenzi
+   * @param {Object} sock Instanța socket-ului WhatsApp
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string|string[]} options.prefix Prefixul sau prefixele comenzilor (implicit '!')
+   * @param {string[]} options.owners JID-urile proprietarilor botului
+   * @param {string[]|Function} options.blocked JID-uri ignorate, sau o funcție (jid) => boolean|Promise<boolean>
+   * @param {boolean} options.ignoreSelf Ignoră mesajele trimise de bot (implicit true)
+   * @param {boolean} options.caseSensitive Numele comenzilor sunt sensibile la majuscule (implicit false)
+   * @param {boolean} options.help Înregistrează automat comanda 'help' (implicit true)
+   * @param {Object} options.messages Texte proprii pentru răspunsurile automate (vezi DEFAULT_MESSAGES)
+   */
+  constructor(sock, options = {}) {
+    this.sock = sock;
+    this.prefixes = [].concat(options.prefix || '!');
+    this.owners = (options.owners || []).map(jid => jidNormalizedUser(jid));
+    this.blocked = options.blocked || [];
+    this.ignoreSelf = options.ignoreSelf ?? true;
+    this.caseSensitive = options.caseSensitive || false;
+    this.messages = { ...DEFAULT_MESSAGES, ...options.messages };
+
+    this.commands = new Map();
+    this.aliases = new Map();
+    this.middlewares = [];
+    this.cooldowns = new Map();
+
+    if (options.help !== false) {
+      this.registerHelp();
+    }
+  }
+
+  /**
+   * Înregistrează o comandă
+   * @param {Object} command Definiția comenzii
+   * @param {string} command.name Numele comenzii
+   * @param {string[]} command.aliases Nume alternative
+   * @param {string} command.description Descrierea afișată în help
+   * @param {Array<Object>} command.args Argumentele: { name, type: 'string'|'number'|'integer'|'boolean'|'user'|'rest', required, default, choices }
+   * @param {number|Object} command.cooldown Cooldown per utilizator în milisecunde, sau opțiuni RateLimiter ({ maxRequests, timeWindow, algorithm })
+   * @param {boolean} command.ownerOnly Doar proprietarii botului
+   * @param {boolean} command.adminOnly Doar adminii grupului
+   * @param {boolean} command.botAdmin Botul trebuie să fie admin în grup
+   * @param {boolean} command.groupOnly Doar în grupuri
+   * @param {boolean} command.privateOnly Doar în conversații private
+   * @param {Function} command.handler Funcția (ctx) => any executată pentru comandă
+   * @returns {CommandRouter} Router-ul, pentru chaining
+   */
+  command(command) {
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('Comanda necesită `name` și `handler`');
+    }
+
+    const normalized = {
+      aliases: [],
+      args: [],
+      ...command,
+      name: this.normalizeName(command.name)
+    };
+    normalized.usage = command.usage ?? normalized.args
+      .map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`))
+      .join(' ');
+
+    this.commands.set(normalized.name, normalized);
+    for (const alias of normalized.aliases) {
+      this.aliases.set(this.normalizeName(alias), normalized.name);
+    }
+
+    if (command.cooldown) {
+      const limits = typeof command.cooldown === 'number'
+        ? { maxRequests: 1, timeWindow: command.cooldown }
+        : command.cooldown;
+      this.cooldowns.set(normalized.name, new RateLimiter(limits));
+    }
+    return this;
+  }
+
+  /**
+   * Adaugă un middleware executat înaintea fiecărei comenzi
+   * @param {Function} middleware Funcția (ctx, next) => any; comanda rulează doar dacă se apelează next()
+   * @returns {CommandRouter} Router-ul, pentru chaining
+   */
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * Ascultă mesajele noi de pe socket
+   * @returns {Function} Funcție care oprește ascultarea
+   */
+  attach() {
+    return this.sock.ev.process(async (events) => {
+      const upsert = events['messages.upsert'];
+      if (upsert?.type !== 'notify') return;
+      for (const msg of upsert.messages) {
+        // O eroare nu trebuie să oprească procesarea celorlalte mesaje și nici să ajungă în event buffer
+        try {
+          await this.handle(msg);
+        } catch (error) {
+          console.error('Eroare la procesarea mesajului în router:', error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Procesează un mesaj și execută comanda găsită în el
+   * @param {Object} msg Mesajul WhatsApp
+   * @returns {Promise<boolean>} True dacă mesajul conținea o comandă cunoscută
+   */
+  async handle(msg) {
+    if (!msg.message || (msg.key.fromMe && this.ignoreSelf)) return false;
+
+    const body = getMessageBody(msg);
+    const prefix = body && this.prefixes.find(p => body.startsWith(p));
+    if (!prefix) return false;
+
+    const [rawName = '', ...rawArgs] = tokenize(body.slice(prefix.length));
+    const name = this.normalizeName(rawName);
+    const command = this.commands.get(name) || this.commands.get(this.aliases.get(name));
+    if (!command) return false;
+
+    const ctx = this.createContext(msg, command, { prefix, body, name, rawArgs });
+    if (await this.isBlocked(ctx.sender)) return false;
+
+    try {
+      await this.runMiddlewares(ctx, async () => {
+        if (!(await this.checkGuards(ctx))) return;
+        ctx.args = this.parseArgs(ctx);
+        if (!this.checkCooldown(ctx)) return;
+        await command.handler(ctx);
+      });
+    } catch (error) {
+      if (error instanceof CommandError) {
+        await ctx.reply(error.message).catch(() => {});
+      } else {
+        console.error(`Eroare la executarea comenzii ${command.name}:`, error);
+        await ctx.reply(this.messages.error(error)).catch(() => {});
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Construiește contextul primit de middleware-uri și de handler
+   * @private
+   */
+  createContext(msg, command, { prefix, body, name, rawArgs }) {
+    const jid = msg.key.remoteJid;
+    const isGroup = isJidGroup(jid);
+    const sender = jidNormalizedUser(isGroup ? msg.key.participant || msg.participant : (msg.key.fromMe ? this.sock.user?.id : jid));
+    const content = extractMessageContent(msg.message);
+    let metadata;
+
+    const ctx = {
+      sock: this.sock,
+      router: this,
+      msg,
+      jid,
+      sender,
+      isGroup,
+      prefix,
+      body,
+      command,
+      alias: name,
+      rawArgs,
+      args: {},
+      content,
+      contentType: getContentType(content),
+      isOwner: this.owners.some(owner => areJidsSameUser(owner, sender)),
+      /**
+       * Răspunde în aceeași conversație, citând mesajul comenzii
+       * @param {string|Object} reply Textul sau conținutul răspunsului
+       * @param {Object} options Opțiuni pentru sendMessage
+       */
+      reply: (reply, options = {}) => this.sock.sendMessage(
+        jid,
+        typeof reply === 'string' ? { text: reply } : reply,
+        { quoted: msg, ...options }
+      ),
+      react: (emoji) => this.sock.sendMessage(jid, { react: { text: emoji, key: msg.key } }),
+      groupMetadata: async () => {
+        if (!isGroup) return undefined;
+        metadata = metadata || await this.sock.groupMetadata(jid);
+        return metadata;
+      },
+      isAdmin: async (user = sender) => {
+        const meta = await ctx.groupMetadata();
+        const participant = meta?.participants.find(p => areJidsSameUser(p.id, user));
+        return !!participant?.admin;
+      }
+    };
+    return ctx;
+  }
+
+  /**
+   * Rulează middleware-urile în ordine, apoi funcția finală
+   * @private
+   */
+  runMiddlewares(ctx, final) {
+    const dispatch = (index) => {
+      const middleware = this.middlewares[index];
+      if (!middleware) return final();
+      return middleware(ctx, () => dispatch(index + 1));
+    };
+    return dispatch(0);
+  }
+
+  /**
+   * Verifică permisiunile comenzii și răspunde dacă nu sunt îndeplinite
+   * @returns {Promise<boolean>} True dacă comanda poate rula
+   * @private
+   */
+  async checkGuards(ctx) {
+    const { command } = ctx;
+    const fail = async (message) => {
+      await ctx.reply(message).catch(() => {});
+      return false;
+    };
+
+    if (command.ownerOnly && !ctx.isOwner) return fail(this.messages.ownerOnly());
+    if (command.groupOnly && !ctx.isGroup) return fail(this.messages.groupOnly());
+    if (command.privateOnly && ctx.isGroup) return fail(this.messages.privateOnly());
+    if ((command.adminOnly || command.botAdmin) && !ctx.isGroup) return fail(this.messages.groupOnly());
+    // Proprietarii pot folosi comenzile de admin și fără drepturi în grup
+    if (command.adminOnly && !ctx.isOwner && !(await ctx.isAdmin())) return fail(this.messages.adminOnly());
+    if (command.botAdmin && !(await ctx.isAdmin(jidNormalizedUser(this.sock.user?.id)))) return fail(this.messages.botAdmin());
+    return true;
+  }
+
+  /**
+   * Aplică cooldown-ul comenzii pentru utilizatorul curent
+   * @returns {boolean} True dacă utilizatorul poate folosi comanda acum
+   * @private
+   */
+  checkCooldown(ctx) {
+    const limiter = this.cooldowns.get(ctx.command.name);
+    if (!limiter || ctx.isOwner) return true;
+    if (limiter.canMakeRequest(ctx.sender)) return true;
+
+    const seconds = Math.ceil(limiter.getRemainingTime(ctx.sender) / 1000);
+    ctx.reply(this.messages.cooldown(seconds)).catch(() => {});
+    return false;
+  }
+
+  /**
+   * Convertește argumentele brute în valorile tipizate declarate de comandă
+   * @returns {Object} Argumentele, după nume
+   * @private
+   */
+  parseArgs(ctx) {
+    const { command, rawArgs } = ctx;
+    const usage = this.messages.usage(command, ctx.prefix);
+    const mentioned = [...(ctx.content?.[ctx.contentType]?.contextInfo?.mentionedJid || [])];
+    const args = {};
+
+    let index = 0;
+    for (const arg of command.args) {
+      const type = arg.type || 'string';
+      const raw = type === 'rest' ? rawArgs.slice(index).join(' ') : rawArgs[index];
+      index++;
+
+      if (raw === undefined || raw === '') {
+        if (arg.required) throw new CommandError(`Missing argument: ${arg.name}\n${usage}`);
+        args[arg.name] = arg.default;
+        continue;
+      }
+
+      let value;
+      switch (type) {
+        case 'number':
+        case 'integer':
+          value = Number(raw);
+          if (Number.isNaN(value) || (type === 'integer' && !Number.isInteger(value))) {
+            throw new CommandError(`Argument ${arg.name} must be ${type === 'integer' ? 'an integer' : 'a number'}\n${usage}`);
+          }
+          break;
+        case 'boolean':
+          value = BOOLEAN_VALUES[raw.toLowerCase()];
+          if (value === undefined) throw new CommandError(`Argument ${arg.name} must be yes or no\n${usage}`);
+          break;
+        case 'user':
+          // @mențiunile vin ca text '@123', iar jid-ul real este în contextInfo.mentionedJid
+          value = raw.startsWith('@') && mentioned.length
+            ? mentioned.shift()
+            : `${raw.replace(/\D/g, '')}@s.whatsapp.net`;
+          if (value === '@s.whatsapp.net') throw new CommandError(`Argument ${arg.name} must be a user\n${usage}`);
+          break;
+        default:
+          value = raw;
+      }
+
+      if (arg.choices && !arg.choices.includes(value)) {
+        throw new CommandError(`Argument ${arg.name} must be one of: ${arg.choices.join(', ')}`);
+      }
+      args[arg.name] = value;
+      if (type === 'rest') break;
+    }
+    return args;
+  }
+
+  /**
+   * Verifică dacă un utilizator este blocat
+   * @private
+   */
+  async isBlocked(jid) {
+    if (typeof this.blocked === 'function') return !!(await this.blocked(jid));
+    return this.blocked.some(blocked => areJidsSameUser(blocked, jid));
+  }
+
+  /**
+   * Normalizează numele unei comenzi
+   * @private
+   */
+  normalizeName(name) {
+    return this.caseSensitive ? name : name.toLowerCase();
+  }
+
+  /**
+   * Înregistrează comanda 'help', care listează comenzile sau descrie una anume
+   * @private
+   */
+  registerHelp() {
+    this.command({
+      name: 'help',
+      description: 'List commands or show details for one',
+      args: [{ name: 'command', type: 'string' }],
+      handler: async (ctx) => {
+        const prefix = ctx.prefix;
+        if (ctx.args.command) {
+          const name = this.normalizeName(ctx.args.command);
+          const command = this.commands.get(name) || this.commands.get(this.aliases.get(name));
+          if (!command) throw new CommandError(`Unknown command: ${ctx.args.command}`);
+          const lines = [this.messages.usage(command, prefix)];
+          if (command.description) lines.push(command.description);
+          if (command.aliases.length) lines.push(`Aliases: ${command.aliases.join(', ')}`);
+          return ctx.reply(lines.join('\n'));
+        }
+
+        const lines = [];
+        for (const command of this.commands.values()) {
+          if (command.hidden || (command.ownerOnly && !ctx.isOwner)) continue;
+          lines.push(`${prefix}${command.name}${command.description ? ' - ' + command.description : ''}`);
+        }
+        return ctx.reply(lines.join('\n'));
+      }
+    });
+  }
+}
+
+// Exportăm clasa pentru a fi utilizată în alte module
+module.exports = CommandRouter;
+module.exports.CommandError = CommandError;
+module.exports.getMessageBody = getMessageBody;
@@ -0,0 +1,426 @@
+/**
+ * Motor de conversații în mai mulți pași pentru @borutowaileys/library
+ * Acest modul păstrează starea fiecărui dialog per (chat, participant), trimite întrebările,
+ * validează răspunsurile și avansează fluxul, inclusiv din răspunsurile la butoane și liste
+ */
+
+const EventEmitter = require('events');
+const { isJidGroup, jidNormalizedUser } = require('../WABinary');
+const { getMessageBody } = require('./command-router');
+
+/**
+ * Eroare de validare al cărei mesaj este trimis ca răspuns utilizatorului
+ */
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Store implicit, în memorie; are aceeași interfață ca EnhancedCache (ttl în secunde)
+ */
+class MemoryConversationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key Cheia
+   * @returns {Object|undefined} Starea salvată
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry?.value;
+  }
+
+  /**
+   * @param {string} key Cheia
+   * @param {Object} value Starea
+   * @param {number} ttl Timpul de viață în secunde
+   */
+  set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  /**
+   * @param {string} key Cheia
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+class ConversationManager extends EventEmitter {
+  /**
+   * Creează un nou motor de conversații
+   * @param {Object} sock Instanța socket-ului WhatsApp
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {Object} options.store Store pentru stări, cu get/set(key, value, ttlSecunde)/delete, ex. EnhancedCache (implicit în memorie)
+   * @param {number} options.timeout După câte milisecunde de inactivitate expiră o conversație (implicit 600000 - 10 minute)
+   * @param {string[]} options.cancelWords Cuvinte care anulează conversația curentă (implicit ['cancel'])
+   * @param {string} options.cancelMessage Mesajul trimis la anulare (opțional)
+   * @param {string} options.timeoutMessage Mesajul trimis când o conversație expiră (opțional)
+   * @param {string} options.invalidMessage Mesajul implicit pentru răspunsuri invalide
+   */
+  constructor(sock, options = {}) {
+    super();
+    this.sock = sock;
+    this.store = options.store || new MemoryConversationStore();
+    this.timeout = options.timeout || 600000;
+    this.cancelWords = (options.cancelWords || ['cancel']).map(word => word.toLowerCase());
+    this.cancelMessage = options.cancelMessage || null;
+    this.timeoutMessage = options.timeoutMessage || null;
+    this.invalidMessage = options.invalidMessage || 'Invalid answer, please try again.';
+
+    this.flows = new Map();
+    // Conversațiile pornite în acest proces, verificate periodic pentru expirare
+    this.active = new Set();
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.timeout, 60000));
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Definește un flux de conversație
+   * @param {string} name Numele fluxului
+   * @param {Object} flow Definiția fluxului
+   * @param {string} flow.start Primul pas (implicit primul din `steps`)
+   * @param {Object} flow.steps Pașii: { nume: { prompt, options, parse, validate, next, field } }
+   * @param {Function} flow.onComplete Funcția (data, ctx) apelată la finalul fluxului
+   * @param {Function} flow.onCancel Funcția (data, ctx) apelată la anulare, expirare sau la o eroare într-un pas (ctx.reason, ctx.error)
+   * @returns {ConversationManager} Motorul, pentru chaining
+   * @throws {Error} Dacă fluxul nu are pași sau trimite către un pas inexistent
+   */
+  define(name, flow) {
+    const stepNames = Object.keys(flow.steps || {});
+    if (!stepNames.length) {
+      throw new Error(`Fluxul ${name} nu are pași`);
+    }
+    const definition = { start: stepNames[0], ...flow };
+    if (!flow.steps[definition.start]) {
+      throw new Error(`Pasul de start ${definition.start} nu există în fluxul ${name}`);
+    }
+    // `next` ca funcție este verificat abia când răspunde utilizatorul
+    for (const [stepName, step] of Object.entries(flow.steps)) {
+      if (typeof step.next === 'string' && !flow.steps[step.next]) {
+        throw new Error(`Pasul ${stepName} trimite către pasul ${step.next}, care nu există în fluxul ${name}`);
+      }
+    }
+    this.flows.set(name, definition);
+    return this;
+  }
+
+  /**
+   * Pornește un flux pentru un chat (și, în grupuri, pentru un participant)
+   * @param {string} jid Chat-ul
+   * @param {string} flowName Numele fluxului
+   * @param {Object} options Opțiuni suplimentare
+   * @param {string} options.participant Participantul, pentru conversații în grupuri
+   * @param {Object} options.data Date inițiale
+   * @param {Object} options.quoted Mesajul citat de prima întrebare
+   * @returns {Promise<Object>} Starea conversației
+   */
+  async start(jid, flowName, options = {}) {
+    const flow = this.flows.get(flowName);
+    if (!flow) {
+      throw new Error(`Fluxul ${flowName} nu există`);
+    }
+
+    const state = {
+      flow: flowName,
+      step: flow.start,
+      data: { ...options.data },
+      jid,
+      participant: options.participant ? jidNormalizedUser(options.participant) : undefined,
+      startedAt: Date.now()
+    };
+    this.emit('start', state);
+    try {
+      await this.enterStep(state, flow, options.quoted);
+    } catch (error) {
+      // Utilizatorul nu a primit prima întrebare, deci nu rămâne blocat într-o conversație pe care nu o vede
+      await this.end(state, 'cancel', undefined, error);
+      throw error;
+    }
+    return state;
+  }
+
+  /**
+   * Ascultă mesajele noi de pe socket și avansează conversațiile active
+   * @returns {Function} Funcție care oprește ascultarea
+   */
+  attach() {
+    return this.sock.ev.process(async (events) => {
+      const upsert = events['messages.upsert'];
+      if (upsert?.type !== 'notify') return;
+      for (const msg of upsert.messages) {
+        // O eroare nu trebuie să oprească procesarea celorlalte mesaje și nici să ajungă în event buffer
+        try {
+          await this.handle(msg);
+        } catch (error) {
+          console.error('Eroare la procesarea mesajului în conversații:', error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Procesează un mesaj; dacă expeditorul are o conversație activă, îl folosește ca răspuns
+   * @param {Object} msg Mesajul WhatsApp
+   * @returns {Promise<boolean>} True dacă mesajul a fost consumat de o conversație
+   */
+  async handle(msg) {
+    if (!msg.message || msg.key.fromMe) return false;
+
+    const jid = msg.key.remoteJid;
+    const participant = isJidGroup(jid) ? jidNormalizedUser(msg.key.participant || msg.participant) : undefined;
+    const state = await this.get(jid, participant);
+    if (!state) return false;
+
+    const flow = this.flows.get(state.flow);
+    const step = flow?.steps[state.step];
+    if (!step) {
+      await this.end(state, 'cancel');
+      return false;
+    }
+
+    const input = (getMessageBody(msg) || '').trim();
+    const ctx = { sock: this.sock, msg, jid, participant, data: state.data, state };
+
+    if (this.cancelWords.includes(input.toLowerCase())) {
+      await this.end(state, 'cancel', ctx);
+      if (this.cancelMessage) await this.reply(jid, this.cancelMessage, msg).catch(() => {});
+      return true;
+    }
+
+    let value;
+    try {
+      value = await this.readAnswer(step, input, ctx);
+    } catch (error) {
+      // Doar erorile de validare (sau cu `userMessage` explicit) ajung la utilizator; restul pot conține detalii interne
+      let message = error?.userMessage;
+      if (!message && error instanceof ValidationError) {
+        message = error.message;
+      }
+      if (!message) {
+        console.error(`Eroare la citirea răspunsului pentru pasul ${state.step} al fluxului ${state.flow}:`, error);
+      }
+      await this.reply(jid, message || this.invalidMessage, msg).catch(() => {});
+      // Reîmprospătăm termenul, utilizatorul este încă activ
+      await this.save(state);
+      return true;
+    }
+
+    state.data[step.field || state.step] = value;
+    this.emit('step', { ...state, answered: state.step, value });
+
+    try {
+      const nextStep = typeof step.next === 'function'
+        ? await step.next(value, state.data, ctx)
+        : step.next;
+      if (!nextStep) {
+        await this.end(state, 'complete', ctx);
+        return true;
+      }
+      if (!flow.steps[nextStep]) {
+        throw new Error(`Pasul ${nextStep} nu există în fluxul ${state.flow}`);
+      }
+
+      state.step = nextStep;
+      await this.enterStep(state, flow, msg);
+    } catch (error) {
+      // Un pas defect ar bloca utilizatorul în conversație; o încheiem
+      console.error(`Eroare în pasul ${state.step} al fluxului ${state.flow}:`, error);
+      await this.end(state, 'cancel', ctx, error);
+    }
+    return true;
+  }
+
+  /**
+   * Convertește și validează răspunsul pentru un pas
+   * @param {Object} step Pasul curent
+   * @param {string} input Textul primit (sau ID-ul butonului/rândului selectat)
+   * @param {Object} ctx Contextul conversației
+   * @returns {Promise<any>} Valoarea acceptată
+   * @throws {ValidationError} Cu mesajul de trimis utilizatorului, dacă răspunsul nu este valid
+   * @private
+   */
+  async readAnswer(step, input, ctx) {
+    let value = input;
+
+    // Opțiunile pot fi alese după ID (butoane/liste), după text sau după numărul din listă
+    if (step.options) {
+      const index = Number(input) - 1;
+      const option = step.options.find(o => o.id === input || o.text.toLowerCase() === input.toLowerCase())
+        || (Number.isInteger(index) ? step.options[index] : undefined);
+      if (!option) throw new ValidationError(step.invalid || this.invalidMessage);
+      value = option.id;
+    }
+
+    if (step.parse) {
+      value = await step.parse(value, ctx);
+    }
+    if (step.validate) {
+      const result = await step.validate(value, ctx);
+      if (result === false) throw new ValidationError(step.invalid || this.invalidMessage);
+      if (typeof result === 'string') throw new ValidationError(result);
+    }
+    return value;
+  }
+
+  /**
+   * Salvează starea și trimite întrebarea pasului curent
+   * @private
+   */
+  async enterStep(state, flow, quoted) {
+    await this.save(state);
+    const step = flow.steps[state.step];
+    const ctx = { sock: this.sock, jid: state.jid, participant: state.participant, data: state.data, state };
+    let prompt = typeof step.prompt === 'function' ? await step.prompt(state.data, ctx) : step.prompt;
+    if (!prompt) return;
+
+    if (typeof prompt === 'string' && step.options) {
+      prompt = [prompt, ...step.options.map((o, i) => `${i + 1}. ${o.text}`)].join('\n');
+    }
+    await this.reply(state.jid, prompt, quoted);
+  }
+
+  /**
+   * Încheie o conversație
+   * @param {Object} state Starea conversației
+   * @param {string} reason 'complete', 'cancel' sau 'expire'
+   * @param {Object} ctx Contextul conversației
+   * @param {Error} error Eroarea care a întrerupt conversația (opțional)
+   * @private
+   */
+  async end(state, reason, ctx = { sock: this.sock, jid: state.jid, participant: state.participant, state }, error) {
+    const key = this.getKey(state.jid, state.participant);
+    await this.store.delete(key);
+    this.active.delete(key);
+
+    const flow = this.flows.get(state.flow);
+    ctx.data = state.data;
+    this.emit(reason, error ? { ...state, error } : state);
+    try {
+      if (reason === 'complete') {
+        await flow?.onComplete?.(state.data, ctx);
+      } else {
+        await flow?.onCancel?.(state.data, { ...ctx, reason: error ? 'error' : reason, error });
+      }
+    } catch (callbackError) {
+      console.error(`Eroare la finalizarea conversației ${state.flow}:`, callbackError);
+    }
+  }
+
+  /**
+   * Salvează starea unei conversații și îi reînnoiește termenul de expirare
+   * @private
+   */
+  async save(state) {
+    state.expiresAt = Date.now() + this.timeout;
+    const key = this.getKey(state.jid, state.participant);
+    // Store-ul păstrează starea mai mult decât termenul, ca expirarea să fie observată și anunțată de noi
+    await this.store.set(key, state, Math.ceil(this.timeout * 2 / 1000));
+    this.active.add(key);
+  }
+
+  /**
+   * Obține conversația activă dintr-un chat
+   * @param {string} jid Chat-ul
+   * @param {string} participant Participantul, pentru grupuri
+   * @returns {Promise<Object|undefined>} Starea sau undefined dacă nu există ori a expirat
+   */
+  async get(jid, participant) {
+    const key = this.getKey(jid, participant && jidNormalizedUser(participant));
+    const state = await this.store.get(key);
+    if (!state) {
+      this.active.delete(key);
+      return undefined;
+    }
+    // Store-urile fără TTL (de exemplu pe disc) pot păstra stări expirate
+    if (state.expiresAt <= Date.now()) {
+      await this.expire(state);
+      return undefined;
+    }
+    return state;
+  }
+
+  /**
+   * Anulează conversația activă dintr-un chat
+   * @param {string} jid Chat-ul
+   * @param {string} participant Participantul, pentru grupuri
+   * @returns {Promise<boolean>} True dacă exista o conversație activă
+   */
+  async cancel(jid, participant) {
+    const state = await this.get(jid, participant);
+    if (!state) return false;
+    await this.end(state, 'cancel');
+    return true;
+  }
+
+  /**
+   * Încheie o conversație expirată și anunță utilizatorul
+   * @private
+   */
+  async expire(state) {
+    await this.end(state, 'expire');
+    if (this.timeoutMessage) {
+      await this.reply(state.jid, this.timeoutMessage).catch(() => {});
+    }
+  }
+
+  /**
+   * Verifică periodic conversațiile active pentru expirare
+   * @private
+   */
+  async sweep() {
+    for (const key of [...this.active]) {
+      try {
+        const state = await this.store.get(key);
+        if (!state) {
+          this.active.delete(key);
+        } else if (state.expiresAt <= Date.now()) {
+          await this.expire(state);
+        }
+      } catch (error) {
+        console.error('Eroare la verificarea conversațiilor expirate:', error);
+      }
+    }
+  }
+
+  /**
+   * Trimite un mesaj în chat
+   * @private
+   */
+  reply(jid, content, quoted) {
+    return this.sock.sendMessage(
+      jid,
+      typeof content === 'string' ? { text: content } : content,
+      quoted ? { quoted } : {}
+    );
+  }
+
+  /**
+   * Cheia sub care se salvează conversația
+   * @private
+   */
+  getKey(jid, participant) {
+    return participant ? `conversation:${jid}:${participant}` : `conversation:${jid}`;
+  }
+
+  /**
+   * Oprește verificarea periodică a expirărilor
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+// Exportăm clasa pentru a fi utilizată în alte module
+module.exports = ConversationManager;
+module.exports.ValidationError = ValidationError;
@@ -0,0 +1,64 @@
+import type { AxiosRequestConfig } from 'axios';
+import { AuthenticationState, SignalDataTypeMap, SocketConfig, WAVersion } from '../Types';
+import { ILogger } from './logger';
+export type DiagnosticStatus = 'ok' | 'warn' | 'error' | 'skip';
+export type DiagnosticCheck = {
+    /** eg. 'pre-keys', 'sessions', 'probe' */
+    id: string;
+    title: string;
+    status: DiagnosticStatus;
+    message: string;
+    /** what to do about a problem */
+    fix?: string;
+};
+export type DiagnosticReport = {
+    /** false if any check found an error */
+    ok: boolean;
+    account: string | undefined;
+    generatedAt: Date;
+    checks: DiagnosticCheck[];
+};
+export type AuthFolderKeys = {
+    hasCreds: boolean;
+    /** stored key ids by type */
+    keys: {
+        [T in keyof SignalDataTypeMap]?: string[];
+    };
+    /** files that are not creds or keys */
+    unknownFiles: string[];
+};
+export type DiagnoseOptions = {
+    /** ids of the stored keys, needed to check sessions & sender keys -- see `listAuthFolderKeys` */
+    keyIds?: AuthFolderKeys['keys'];
+    /** the version the socket connects with, defaults to the bundled version */
+    version?: WAVersion;
+    /** compare the version & clock with WhatsApp */
+    online?: boolean;
+    /** log in & query the server */
+    probe?: boolean;
+    /** saves the creds updated while probing (eg. after uploading pre-keys) */
+    saveCreds?: () => Promise<void>;
+    /** extra config for the probing socket */
+    socketConfig?: Partial<SocketConfig>;
+    probeTimeoutMs?: number;
+    maxClockSkewMs?: number;
+    fetchOptions?: AxiosRequestConfig<{}>;
+    logger?: ILogger;
+};
+/**
+ * lists the keys stored in a `useMultiFileAuthState` folder, to pass as `keyIds` to `diagnose`
+ * @param folder the auth folder
+ */
+export declare const listAuthFolderKeys: (folder: string) => Promise<AuthFolderKeys>;
+/**
+ * inspects an auth state & reports what would keep it from connecting, with a fix for each problem.
+ * The checks are offline by default; `online` compares the version & clock with WhatsApp, `probe` logs in.
+ * Stop any other socket using the same auth state before probing, or it'll be disconnected
+ * @param authState the creds & keys to inspect
+ */
+export declare const diagnose: (authState: AuthenticationState, options?: DiagnoseOptions) => Promise<DiagnosticReport>;
+/**
+ * formats a report from `diagnose` for the terminal
+ * @param report the report
+ */
+export declare const formatDiagnosticReport: (report: DiagnosticReport) => string;
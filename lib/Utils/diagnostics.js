@@ -0,0 +1,335 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.formatDiagnosticReport = exports.diagnose = exports.listAuthFolderKeys = void 0;
+const promises_1 = require("fs/promises");
+const axios_1 = __importDefault(require("axios"));
+const libsignal_1 = require("libsignal");
+const pino_1 = __importDefault(require("pino"));
+const WASignalGroup_1 = require("../../WASignalGroup");
+const Defaults_1 = require("../Defaults");
+const Types_1 = require("../Types");
+const WABinary_1 = require("../WABinary");
+const crypto_1 = require("./crypto");
+const generics_1 = require("./generics");
+/** key types stored by `useMultiFileAuthState`, longest first so file names match the right one */
+const KEY_TYPES = [
+    'app-state-sync-version',
+    'app-state-sync-key',
+    'sender-key-memory',
+    'sender-key',
+    'pre-key',
+    'session'
+];
+/** how far back pre-keys are looked up when the stored ids are not known */
+const PRE_KEY_SCAN_LIMIT = 1000;
+/** keys are read in batches, a store may read a file per key */
+const KEY_BATCH_SIZE = 100;
+/** at most this many ids are named in a check's message */
+const MAX_LISTED_IDS = 5;
+/** what a disconnect during the probe means, & what to do about it */
+const DISCONNECT_ADVICE = {
+    [Types_1.DisconnectReason.loggedOut]: ['The device was logged out from the phone', 'Delete the auth folder and link the device again'],
+    [Types_1.DisconnectReason.forbidden]: ['WhatsApp refused the account (403), it may be banned', 'Check the account in the WhatsApp app on the phone'],
+    [Types_1.DisconnectReason.badSession]: ['The session keys were rejected', 'Delete the auth folder and link the device again'],
+    [Types_1.DisconnectReason.multideviceMismatch]: ['The account is not set up for multi-device', 'Update WhatsApp on the phone and link the device again'],
+    [Types_1.DisconnectReason.connectionReplaced]: ['Another client connected with this session', 'Stop the other process using this auth folder before probing'],
+    [Types_1.DisconnectReason.timedOut]: ['Could not reach WhatsApp in time', 'Check the network connection, proxy and firewall'],
+    [Types_1.DisconnectReason.connectionClosed]: ['The connection was closed before logging in', 'Check the network connection, proxy and firewall'],
+    405: ['WhatsApp rejected the client version (405)', 'Use the latest version: pass `version` from fetchLatestWaWebVersion() to makeWASocket']
+};
+/**
+ * lists the keys stored in a `useMultiFileAuthState` folder, to pass as `keyIds` to `diagnose`
+ * @param folder the auth folder
+ */
+const listAuthFolderKeys = async (folder) => {
+    const files = await (0, promises_1.readdir)(folder);
+    const keys = {};
+    const unknownFiles = [];
+    for (const file of files) {
+        if (!file.endsWith('.json') || file === 'creds.json') {
+            continue;
+        }
+        const name = file.slice(0, -'.json'.length);
+        const type = KEY_TYPES.find(type => name.startsWith(`${type}-`));
+        if (!type) {
+            unknownFiles.push(file);
+            continue;
+        }
+        // reverses the file name escaping of useMultiFileAuthState
+        const id = name.slice(type.length + 1).replace(/__/g, '/').replace(/--/g, '::');
+        keys[type] = keys[type] || [];
+        keys[type].push(id);
+    }
+    return { hasCreds: files.includes('creds.json'), keys, unknownFiles };
+};
+exports.listAuthFolderKeys = listAuthFolderKeys;
+const check = (id, title, status, message, fix) => ({ id, title, status, message, fix });
+const listIds = (ids) => (ids.slice(0, MAX_LISTED_IDS).join(', ') + (ids.length > MAX_LISTED_IDS ? `, +${ids.length - MAX_LISTED_IDS} more` : ''));
+const getKeys = async (keys, type, ids) => {
+    const result = {};
+    for (let i = 0; i < ids.length; i += KEY_BATCH_SIZE) {
+        Object.assign(result, await keys.get(type, ids.slice(i, i + KEY_BATCH_SIZE)));
+    }
+    return result;
+};
+const checkCredentials = (creds) => {
+    var _a;
+    if (!creds) {
+        return check('credentials', 'Credentials', 'error', 'No credentials found', 'Link the device by scanning the QR code or with a pairing code');
+    }
+    if (!((_a = creds.me) === null || _a === void 0 ? void 0 : _a.id)) {
+        return check('credentials', 'Credentials', 'error', creds.pairingCode
+            ? 'Pairing was started but never completed'
+            : 'The device is not linked to an account', 'Connect and scan the QR code, or enter the pairing code on the phone');
+    }
+    return check('credentials', 'Credentials', 'ok', `Linked as ${creds.me.id}${creds.me.name ? ` (${creds.me.name})` : ''}`);
+};
+const checkIdentity = (creds) => {
+    var _a, _b;
+    const missing = ['noiseKey', 'signedIdentityKey', 'signedPreKey', 'advSecretKey'].filter(key => !creds[key]);
+    if (missing.length) {
+        return check('identity', 'Identity keys', 'error', `Missing from the credentials: ${missing.join(', ')}`, 'The credentials are incomplete, delete the auth folder and link the device again');
+    }
+    const { keyPair, signature } = creds.signedPreKey;
+    const isValid = !!signature && crypto_1.Curve.verify(creds.signedIdentityKey.public, (0, crypto_1.generateSignalPubKey)(keyPair.public), signature);
+    if (!isValid) {
+        return check('identity', 'Identity keys', 'error', 'The signed pre-key signature does not match the identity key', 'The credentials are corrupt, delete the auth folder and link the device again');
+    }
+    if (((_a = creds.me) === null || _a === void 0 ? void 0 : _a.id) && !((_b = creds.account) === null || _b === void 0 ? void 0 : _b.details)) {
+        return check('identity', 'Identity keys', 'error', 'The device identity signed by the phone is missing', 'Delete the auth folder and link the device again');
+    }
+    return check('identity', 'Identity keys', 'ok', `Identity & signed pre-key #${creds.signedPreKey.keyId} are consistent`);
+};
+const checkPreKeys = async ({ creds, keys }, storedIds) => {
+    const { nextPreKeyId, firstUnuploadedPreKeyId } = creds;
+    if (nextPreKeyId < firstUnuploadedPreKeyId) {
+        return check('pre-keys', 'Pre-keys', 'error', `The pre-key counters are inconsistent (next #${nextPreKeyId} < first unuploaded #${firstUnuploadedPreKeyId})`, 'Delete the auth folder and link the device again');
+    }
+    if (firstUnuploadedPreKeyId <= 1) {
+        return check('pre-keys', 'Pre-keys', creds.me ? 'warn' : 'ok', 'No pre-keys were uploaded yet', creds.me ? 'Connect once, the socket uploads pre-keys after logging in' : undefined);
+    }
+    // pre-keys are deleted once used, the ones left below firstUnuploadedPreKeyId are still on the server
+    const ids = storedIds
+        ? storedIds.filter(id => +id < firstUnuploadedPreKeyId)
+        : Array.from({ length: Math.min(firstUnuploadedPreKeyId - 1, PRE_KEY_SCAN_LIMIT) }, (_, i) => (firstUnuploadedPreKeyId - 1 - i).toString());
+    const stored = await getKeys(keys, 'pre-key', ids);
+    const count = Object.values(stored).filter(Boolean).length;
+    if (count <= Defaults_1.MIN_PREKEY_COUNT) {
+        return check('pre-keys', 'Pre-keys', 'warn', `Only ${count} uploaded pre-key(s) left, new contacts may fail to message you`, 'Connect, the socket uploads more pre-keys when the server runs low');
+    }
+    return check('pre-keys', 'Pre-keys', 'ok', `${count} uploaded pre-keys left (next id #${nextPreKeyId})`);
+};
+const checkAppStateKeys = async ({ creds, keys }, storedIds) => {
+    var _a;
+    if (!creds.myAppStateKeyId) {
+        return check('app-state-keys', 'App state keys', creds.me ? 'warn' : 'ok', 'No app state sync key received yet, chats, contacts & labels will not sync', creds.me ? 'Keep the phone online and reconnect; if it persists, link the device again' : undefined);
+    }
+    const { [creds.myAppStateKeyId]: key } = await keys.get('app-state-sync-key', [creds.myAppStateKeyId]);
+    if (!(key === null || key === void 0 ? void 0 : key.keyData)) {
+        return check('app-state-keys', 'App state keys', 'error', `App state sync key ${creds.myAppStateKeyId} is missing from the key store`, 'Link the device again so the phone sends the keys');
+    }
+    const count = (_a = storedIds === null || storedIds === void 0 ? void 0 : storedIds.length) !== null && _a !== void 0 ? _a : 1;
+    return check('app-state-keys', 'App state keys', 'ok', `${count} app state sync key(s), the current one is present`);
+};
+const checkSessions = async ({ keys }, ids) => {
+    if (!ids) {
+        return check('sessions', 'Signal sessions', 'skip', 'Stored session ids are unknown, pass `keyIds` to check them');
+    }
+    const stored = await getKeys(keys, 'session', ids);
+    const corrupt = [];
+    let closed = 0;
+    for (const id of ids) {
+        try {
+            if (!stored[id]) {
+                throw new Error('unreadable');
+            }
+            const record = libsignal_1.SessionRecord.deserialize(stored[id]);
+            if (!record.haveOpenSession()) {
+                closed++;
+            }
+        }
+        catch (error) {
+            corrupt.push(id);
+        }
+    }
+    if (corrupt.length) {
+        return check('sessions', 'Signal sessions', 'error', `${corrupt.length} of ${ids.length} session(s) cannot be read: ${listIds(corrupt)}`, 'Delete these session files, they are re-created with the next message');
+    }
+    return check('sessions', 'Signal sessions', 'ok', `${ids.length} session(s)` + (closed ? `, ${closed} without an open session (re-established on the next message)` : ''));
+};
+const checkSenderKeys = async ({ keys }, ids) => {
+    if (!ids) {
+        return check('sender-keys', 'Sender keys', 'skip', 'Stored sender key ids are unknown, pass `keyIds` to check them');
+    }
+    const stored = await getKeys(keys, 'sender-key', ids);
+    const corrupt = [];
+    let empty = 0;
+    for (const id of ids) {
+        try {
+            if (!stored[id]) {
+                throw new Error('unreadable');
+            }
+            const record = new WASignalGroup_1.SenderKeyRecord(stored[id]);
+            if (record.isEmpty()) {
+                empty++;
+            }
+            for (const state of record.senderKeyStates) {
+                if (typeof state.getKeyId() !== 'number' || !state.getSenderChainKey() || !state.getSigningKeyPublic()) {
+                    throw new Error('incomplete state');
+                }
+            }
+        }
+        catch (error) {
+            corrupt.push(id);
+        }
+    }
+    if (corrupt.length) {
+        return check('sender-keys', 'Sender keys', 'error', `${corrupt.length} of ${ids.length} sender key(s) cannot be read: ${listIds(corrupt)}`, 'Delete these sender key files; group messages from those senders decrypt again once they resend their keys');
+    }
+    return check('sender-keys', 'Sender keys', 'ok', `${ids.length} sender key(s)` + (empty ? `, ${empty} empty` : ''));
+};
+const compareVersions = (a, b) => (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+const checkVersion = async (version, online, fetchOptions) => {
+    if (!online) {
+        return check('version', 'Client version', 'skip', `Using ${version.join('.')}, not compared with WhatsApp Web (offline)`);
+    }
+    const latest = await (0, generics_1.fetchLatestWaWebVersion)(fetchOptions);
+    if (!latest.isLatest) {
+        return check('version', 'Client version', 'skip', `Using ${version.join('.')}, could not fetch the latest version: ${latest.error.message}`);
+    }
+    if (compareVersions(version, latest.version) < 0) {
+        return check('version', 'Client version', 'warn', `Using ${version.join('.')}, WhatsApp Web is at ${latest.version.join('.')}; stale versions get disconnected (405)`, 'Pass `version` from fetchLatestWaWebVersion() to makeWASocket');
+    }
+    return check('version', 'Client version', 'ok', `Using ${version.join('.')}, the latest is ${latest.version.join('.')}`);
+};
+const checkClock = async (online, maxClockSkewMs, fetchOptions) => {
+    if (!online) {
+        return check('clock', 'Clock', 'skip', 'Not compared with WhatsApp (offline)');
+    }
+    try {
+        const { headers } = await axios_1.default.head('https://web.whatsapp.com/', { timeout: 10000, ...fetchOptions });
+        const serverTime = Date.parse(headers.date);
+        if (Number.isNaN(serverTime)) {
+            throw new Error('no date in the response');
+        }
+        // the Date header has second precision
+        const skewMs = Date.now() - serverTime;
+        if (Math.abs(skewMs) > maxClockSkewMs) {
+            return check('clock', 'Clock', 'error', `The local clock is ${Math.round(Math.abs(skewMs) / 1000)}s ${skewMs > 0 ? 'ahead' : 'behind'}; message timestamps & retries misbehave`, 'Sync the system clock (eg. enable NTP)');
+        }
+        return check('clock', 'Clock', 'ok', `Within ${Math.max(1, Math.round(Math.abs(skewMs) / 1000))}s of WhatsApp`);
+    }
+    catch (error) {
+        return check('clock', 'Clock', 'skip', `Could not reach WhatsApp: ${error.message}`);
+    }
+};
+const probeConnection = async (authState, { version, saveCreds, socketConfig, probeTimeoutMs, logger }) => {
+    var _a;
+    if (!((_a = authState.creds.me) === null || _a === void 0 ? void 0 : _a.id)) {
+        return check('probe', 'Connection', 'skip', 'Not linked, nothing to log in with');
+    }
+    // required lazily, the socket depends on the Utils
+    const makeWASocket = require('../Socket').default;
+    const sock = makeWASocket({
+        logger,
+        version,
+        ...socketConfig,
+        auth: authState,
+        autoReconnect: false,
+        printQRInTerminal: false,
+        markOnlineOnConnect: false
+    });
+    if (saveCreds) {
+        sock.ev.on('creds.update', saveCreds);
+    }
+    try {
+        const result = await new Promise(resolve => {
+            const timeout = setTimeout(() => resolve({ error: new Error('timed out') }), probeTimeoutMs);
+            sock.ev.on('connection.update', ({ connection, lastDisconnect, qr }) => {
+                if (connection === 'open') {
+                    clearTimeout(timeout);
+                    resolve({});
+                }
+                else if (connection === 'close' || qr) {
+                    clearTimeout(timeout);
+                    resolve({ error: (lastDisconnect === null || lastDisconnect === void 0 ? void 0 : lastDisconnect.error) || new Error('the server asked to link the device again') });
+                }
+            });
+        });
+        if (result.error) {
+            const statusCode = result.error.output ? result.error.output.statusCode : undefined;
+            const [message, fix] = DISCONNECT_ADVICE[statusCode] || [`Could not log in: ${result.error.message}`, 'Check the network connection, then run the offline checks for corrupt keys'];
+            return check('probe', 'Connection', 'error', statusCode ? `${message} (${statusCode})` : message, fix);
+        }
+        const countNode = await sock.query({
+            tag: 'iq',
+            attrs: { xmlns: 'encrypt', type: 'get', to: WABinary_1.S_WHATSAPP_NET },
+            content: [{ tag: 'count', attrs: {} }]
+        });
+        const preKeyCount = +(0, WABinary_1.getBinaryNodeChild)(countNode, 'count').attrs.value;
+        if (preKeyCount <= Defaults_1.MIN_PREKEY_COUNT) {
+            return check('probe', 'Connection', 'warn', `Logged in, but only ${preKeyCount} pre-key(s) are on the server`, 'Reconnect with `saveCreds` set, so the socket can upload more pre-keys');
+        }
+        return check('probe', 'Connection', 'ok', `Logged in, ${preKeyCount} pre-keys on the server`);
+    }
+    catch (error) {
+        return check('probe', 'Connection', 'error', `Logged in, but a query failed: ${error.message}`, 'Check the network connection, then try again');
+    }
+    finally {
+        sock.end(undefined);
+    }
+};
+/**
+ * inspects an auth state & reports what would keep it from connecting, with a fix for each problem.
+ * The checks are offline by default; `online` compares the version & clock with WhatsApp, `probe` logs in.
+ * Stop any other socket using the same auth state before probing, or it'll be disconnected
+ * @param authState the creds & keys to inspect
+ */
+const diagnose = async (authState, { keyIds, version = Defaults_1.DEFAULT_CONNECTION_CONFIG.version, online = false, probe = false, saveCreds, socketConfig, probeTimeoutMs = 30000, maxClockSkewMs = 30000, fetchOptions, logger = (0, pino_1.default)({ level: 'silent' }) } = {}) => {
+    var _a;
+    const { creds } = authState;
+    const checks = [checkCredentials(creds)];
+    if (creds) {
+        checks.push(checkIdentity(creds));
+        checks.push(await checkPreKeys(authState, keyIds === null || keyIds === void 0 ? void 0 : keyIds['pre-key']));
+        checks.push(await checkAppStateKeys(authState, keyIds === null || keyIds === void 0 ? void 0 : keyIds['app-state-sync-key']));
+        checks.push(await checkSessions(authState, keyIds && (keyIds['session'] || [])));
+        checks.push(await checkSenderKeys(authState, keyIds && (keyIds['sender-key'] || [])));
+    }
+    checks.push(await checkVersion(version, online, fetchOptions));
+    checks.push(await checkClock(online, maxClockSkewMs, fetchOptions));
+    if (probe && creds) {
+        checks.push(await probeConnection(authState, { version, saveCreds, socketConfig, probeTimeoutMs, logger }));
+    }
+    return {
+        ok: !checks.some(({ status }) => status === 'error'),
+        account: (_a = creds === null || creds === void 0 ? void 0 : creds.me) === null || _a === void 0 ? void 0 : _a.id,
+        generatedAt: new Date(),
+        checks
+    };
+};
+exports.diagnose = diagnose;
+const STATUS_SYMBOLS = { ok: '✔', warn: '⚠', error: '✖', skip: '–' };
+/**
+ * formats a report from `diagnose` for the terminal
+ * @param report the report
+ */
+const formatDiagnosticReport = (report) => {
+    const lines = [`WhatsApp connection diagnostics${report.account ? ` for ${report.account}` : ''}`, ''];
+    for (const { status, title, message, fix } of report.checks) {
+        lines.push(`${STATUS_SYMBOLS[status]} ${title}: ${message}`);
+        if (fix && (status === 'error' || status === 'warn')) {
+            lines.push(`    → ${fix}`);
+        }
+    }
+    const errors = report.checks.filter(({ status }) => status === 'error').length;
+    const warnings = report.checks.filter(({ status }) => status === 'warn').length;
+    lines.push('', errors || warnings
+        ? `${errors} problem(s), ${warnings} warning(s)`
+        : 'No problems found');
+    return lines.join('\n');
+};
+exports.formatDiagnosticReport = formatDiagnosticReport;
@@ -3,86 +3,149 @@
  * Acest modul oferă funcționalități avansate de cache, inclusiv persistență și TTL configurabil
  */
 
-const fs = require('fs');
-const NodeCache = require('@cacheable/node-cache');
+const { LruAdapter, FileAdapter, SqliteAdapter } = require('./cache-adapters');
 
 class EnhancedCache {
   /**
    * Creează o nouă instanță de cache îmbunătățit
    * @param {Object} options Opțiuni pentru configurare
-   * @param {number} options.ttl Timpul de viață în secunde (implicit 3600 - 1 oră)
+   * @param {number} options.ttl Timpul de viață în secunde, 0 pentru fără expirare (implicit 3600 - 1 oră)
    * @param {number} options.checkPeriod Perioada de verificare în secunde (implicit 120 - 2 minute)
-   * @param {boolean} options.persistence Activează persistența pe disc (implicit false)
-   * @param {string} options.persistencePath Calea fișierului pentru persistență (implicit './cache-data.json')
+   * @param {string|Object} options.store Backend-ul persistent: 'memory' (fără), 'file', 'sqlite' sau un adaptor propriu (implicit 'memory')
+   * @param {string} options.path Calea fișierului sau a bazei de date pentru 'file' și 'sqlite'
+   * @param {string} options.writeMode 'write-through' (scriere imediată) sau 'write-behind' (scriere periodică) (implicit 'write-behind' pentru 'file', altfel 'write-through')
+   * @param {number} options.flushInterval Intervalul de scriere pentru 'write-behind' în milisecunde (implicit 5000)
+   * @param {number} options.maxKeys Numărul maxim de chei ținute în memorie (implicit nelimitat)
+   * @param {number} options.maxMemory Memoria maximă estimată pentru cheile din memorie, în bytes (implicit nelimitat)
+   * @param {string} options.namespace Prefix pentru toate cheile acestei instanțe (opțional)
+   * @param {boolean} options.persistence Compatibilitate: echivalent cu store 'file' + 'write-behind' la 5 minute
+   * @param {string} options.persistencePath Compatibilitate: calea fișierului (implicit './cache-data.json')
    */
   constructor(options = {}) {
-    this.cache = new NodeCache({
-      stdTTL: options.ttl || 3600, // 1 oră în secunde
-      checkperiod: options.checkPeriod || 120, // 2 minute în secunde
-      useClones: false
-    });
-    
-    this.persistenceEnabled = options.persistence || false;
-    this.persistencePath = options.persistencePath || './cache-data.json';
-    if (this.persistenceEnabled) {
-      this.setupPersistence();
+    this.ttl = options.ttl ?? 3600; // 1 oră în secunde
+    this.prefix = options.namespace ? `${options.namespace}:` : '';
+    this.memory = new LruAdapter({ maxKeys: options.maxKeys, maxMemory: options.maxMemory });
+
+    let store = options.store || 'memory';
+    // Fișierul este rescris complet la fiecare scriere, deci nu îl scriem la fiecare set()
+    let writeMode = options.writeMode || (store === 'file' ? 'write-behind' : 'write-through');
+    let flushInterval = options.flushInterval || 5000;
+    const storePath = options.path || options.persistencePath;
+    if (options.persistence && !options.store) {
+      store = 'file';
+      writeMode = options.writeMode || 'write-behind';
+      flushInterval = options.flushInterval || 300000; // 5 minute, ca înainte
+    }
+
+    this.persistenceEnabled = store !== 'memory' && store !== 'lru';
+    this.backend = this.createBackend(store, storePath || (store === 'sqlite' ? './cache-data.db' : './cache-data.json'));
+    this.writeBehind = !!this.backend && writeMode === 'write-behind';
+    this.pending = new Map();
+    this.stats = { hits: 0, misses: 0 };
+    // Prefixele namespace-urilor interne (ex. cache-urile socket-ului), ignorate de clear() și keys() ale părinților
+    this.internalPrefixes = new Set();
+
+    this.pruneInterval = setInterval(() => this.prune(), (options.checkPeriod || 120) * 1000);
+    this.pruneInterval.unref?.();
+    if (this.writeBehind) {
+      this.persistenceInterval = setInterval(() => this.flush(), flushInterval);
+      this.persistenceInterval.unref?.();
     }
   }
 
   /**
-   * Configurează persistența cache-ului
+   * Creează backend-ul persistent
+   * @param {string|Object} store Tipul de backend sau un adaptor propriu
+   * @param {string} storePath Calea pentru 'file' și 'sqlite'
+   * @returns {Object|null} Adaptorul sau null pentru cache doar în memorie
    * @private
    */
-  setupPersistence() {
-    // Salvare cache la interval regulat
-    this.persistenceInterval = setInterval(() => {
-      this.saveToFile();
-    }, 300000); // 5 minute
-    
-    // Salvare cache la închiderea aplicației
-    process.on('SIGINT', () => {
-      this.saveToFile();
-      clearInterval(this.persistenceInterval);
-      process.exit(0);
-    });
-    
-    // Încărcare cache din fișier la pornire
-    this.loadFromFile();
-  }
-
-  /**
-   * Salvează cache-ul în fișier
+  createBackend(store, storePath) {
+    if (typeof store === 'object') return store;
+    switch (store) {
+      case 'memory':
+      case 'lru':
+        return null;
+      case 'file':
+        return new FileAdapter({ path: storePath });
+      case 'sqlite':
+        return new SqliteAdapter({ path: storePath });
+      default:
+        throw new Error(`Backend de cache necunoscut: ${store}`);
+    }
+  }
+
+  /**
+   * Creează o vedere a cache-ului cu chei separate, care folosește aceeași memorie și același backend
+   * @param {string} name Numele namespace-ului
+   * @param {Object} options Opțiuni pentru namespace
+   * @param {number} options.ttl Timpul de viață implicit în secunde pentru acest namespace
+   * @param {boolean} options.internal Cheile namespace-ului nu apar în keys() și nu sunt șterse de clear() ale părinților (implicit false)
+   * @returns {EnhancedCache} Cache-ul pentru namespace
+   */
+  namespace(name, options = {}) {
+    const child = Object.create(this);
+    child.prefix = `${this.prefix}${name}:`;
+    child.ttl = options.ttl ?? this.ttl;
+    if (options.internal) this.internalPrefixes.add(child.prefix);
+    return child;
+  }
+
+  /**
+   * Verifică dacă o cheie aparține unui namespace intern aflat sub namespace-ul curent
+   * @param {string} fullKey Cheia, cu prefixul namespace-ului
+   * @returns {boolean} True dacă cheia trebuie ignorată de clear() și keys()
+   * @private
+   */
+  isInternalKey(fullKey) {
+    for (const prefix of this.internalPrefixes) {
+      if (prefix.length > this.prefix.length && prefix.startsWith(this.prefix) && fullKey.startsWith(prefix)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Salvează modificările în așteptare în backend (modul 'write-behind')
    * @returns {boolean} Succesul operațiunii
    */
-  saveToFile() {
+  flush() {
+    if (!this.backend || !this.pending.size) return true;
+    const changes = [...this.pending];
+    this.pending.clear();
     try {
-      const data = JSON.stringify(this.cache.mget(this.cache.keys()));
-      fs.writeFileSync(this.persistencePath, data);
+      if (this.backend.batch) {
+        this.backend.batch(changes);
+      } else {
+        for (const [key, entry] of changes) {
+          if (entry) this.backend.set(key, entry.value, entry.expiresAt);
+          else this.backend.delete(key);
+        }
+      }
       return true;
     } catch (error) {
+      // Păstrăm modificările pentru următoarea încercare, fără să suprascriem scrieri mai noi
+      for (const [key, entry] of changes) {
+        if (!this.pending.has(key)) this.pending.set(key, entry);
+      }
       console.error('Eroare la salvarea cache-ului:', error);
       return false;
     }
   }
 
   /**
-   * Încarcă cache-ul din fișier
+   * Salvează cache-ul în backend
    * @returns {boolean} Succesul operațiunii
    */
+  saveToFile() {
+    return this.flush();
+  }
+
+  /**
+   * Încarcă cache-ul din backend; datele sunt citite la cerere, deci doar verifică dacă există un backend
+   * @returns {boolean} True dacă cache-ul are un backend persistent
+   */
   loadFromFile() {
-    try {
-      if (fs.existsSync(this.persistencePath)) {
-        const data = JSON.parse(fs.readFileSync(this.persistencePath, 'utf8'));
-        Object.entries(data).forEach(([key, value]) => {
-          this.cache.set(key, value);
-        });
-        return true;
-      }
-      return false;
-    } catch (error) {
-      console.error('Eroare la încărcarea cache-ului:', error);
-      return false;
-    }
+    return !!this.backend;
   }
 
   /**
@@ -92,8 +155,16 @@ class EnhancedCache {
    * @param {number} ttl Timpul de viață în secunde (opțional)
    * @returns {boolean} Succesul operațiunii
    */
-  set(key, value, ttl) {
-    return this.cache.set(key, value, ttl);
+  set(key, value, ttl = this.ttl) {
+    const fullKey = this.prefix + key;
+    const expiresAt = ttl ? Date.now() + ttl * 1000 : 0;
+    this.memory.set(fullKey, value, expiresAt);
+    if (this.writeBehind) {
+      this.pending.set(fullKey, { value, expiresAt });
+    } else if (this.backend) {
+      this.backend.set(fullKey, value, expiresAt);
+    }
+    return true;
   }
 
   /**
@@ -102,7 +173,34 @@ class EnhancedCache {
    * @returns {any} Valoarea sau undefined dacă nu există
    */
   get(key) {
-    return this.cache.get(key);
+    const entry = this.getEntry(this.prefix + key);
+    if (entry) {
+      this.stats.hits++;
+      return entry.value;
+    }
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Caută o intrare în memorie, apoi în modificările în așteptare, apoi în backend
+   * @param {string} fullKey Cheia, cu prefixul namespace-ului
+   * @returns {Object|undefined} Intrarea { value, expiresAt }
+   * @private
+   */
+  getEntry(fullKey) {
+    const cached = this.memory.get(fullKey);
+    if (cached) return cached;
+    if (this.pending.has(fullKey)) {
+      const pending = this.pending.get(fullKey);
+      return pending && (!pending.expiresAt || pending.expiresAt > Date.now()) ? pending : undefined;
+    }
+
+    const stored = this.backend?.get(fullKey);
+    if (stored) {
+      this.memory.set(fullKey, stored.value, stored.expiresAt);
+    }
+    return stored;
   }
 
   /**
@@ -111,7 +209,7 @@ class EnhancedCache {
    * @returns {boolean} True dacă există, false altfel
    */
   has(key) {
-    return this.cache.has(key);
+    return !!this.getEntry(this.prefix + key);
   }
 
   /**
@@ -120,15 +218,59 @@ class EnhancedCache {
    * @returns {number} Numărul de elemente șterse
    */
   delete(key) {
-    return this.cache.del(key);
+    const fullKey = this.prefix + key;
+    const existed = !!this.getEntry(fullKey);
+    this.memory.delete(fullKey);
+    if (this.writeBehind) {
+      this.pending.set(fullKey, null);
+    } else if (this.backend) {
+      this.backend.delete(fullKey);
+    }
+    return existed ? 1 : 0;
+  }
+
+  /**
+   * Alias pentru delete, pentru compatibilitate cu CacheStore (msgRetryCounterCache etc.)
+   * @param {string} key Cheia
+   * @returns {number} Numărul de elemente șterse
+   */
+  del(key) {
+    return this.delete(key);
   }
 
   /**
-   * Golește tot cache-ul
+   * Golește tot cache-ul (doar namespace-ul curent, dacă există)
    * @returns {void}
    */
   clear() {
-    return this.cache.flushAll();
+    const hasInternal = [...this.internalPrefixes].some(prefix => prefix.length > this.prefix.length && prefix.startsWith(this.prefix));
+    if (!hasInternal) {
+      this.memory.clear(this.prefix);
+      for (const key of [...this.pending.keys()]) {
+        if (key.startsWith(this.prefix)) this.pending.delete(key);
+      }
+      this.backend?.clear(this.prefix);
+      return;
+    }
+
+    // Ștergem cheie cu cheie, ocolind namespace-urile interne
+    for (const key of this.memory.keys(this.prefix)) {
+      if (!this.isInternalKey(key)) this.memory.delete(key);
+    }
+    for (const key of [...this.pending.keys()]) {
+      if (key.startsWith(this.prefix) && !this.isInternalKey(key)) this.pending.delete(key);
+    }
+    for (const key of this.backend?.keys(this.prefix) || []) {
+      if (!this.isInternalKey(key)) this.backend.delete(key);
+    }
+  }
+
+  /**
+   * Alias pentru clear, pentru compatibilitate cu CacheStore
+   * @returns {void}
+   */
+  flushAll() {
+    return this.clear();
   }
 
   /**
@@ -136,7 +278,26 @@ class EnhancedCache {
    * @returns {string[]} Array cu toate cheile
    */
   keys() {
-    return this.cache.keys();
+    const keys = new Set([...this.memory.keys(this.prefix), ...(this.backend?.keys(this.prefix) || [])]);
+    for (const [key, entry] of this.pending) {
+      if (!key.startsWith(this.prefix)) continue;
+      if (entry) keys.add(key);
+      else keys.delete(key);
+    }
+    return [...keys].filter(key => !this.isInternalKey(key)).map(key => key.slice(this.prefix.length));
+  }
+
+  /**
+   * Elimină intrările expirate din memorie și din backend
+   * @returns {number} Numărul de intrări eliminate din memorie
+   */
+  prune() {
+    try {
+      this.backend?.prune?.();
+    } catch (error) {
+      console.error('Eroare la curățarea cache-ului:', error);
+    }
+    return this.memory.prune();
   }
 
   /**
@@ -144,9 +305,31 @@ class EnhancedCache {
    * @returns {Object} Statistici
    */
   getStats() {
-    return this.cache.getStats();
+    return {
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      keys: this.memory.entries.size,
+      memory: this.memory.memory,
+      evictions: this.memory.evictions,
+      pending: this.pending.size
+    };
+  }
+
+  /**
+   * Salvează modificările în așteptare, oprește timer-ele și închide backend-ul.
+   * Nu instalează handlere pentru semnale; apelați close() din logica proprie de oprire.
+   * @returns {void}
+   */
+  close() {
+    clearInterval(this.pruneInterval);
+    clearInterval(this.persistenceInterval);
+    this.flush();
+    this.backend?.close?.();
   }
 }
 
 // Exportăm clasa pentru a fi utilizată în alte module
-module.exports = EnhancedCache;
\ No newline at end of file
+module.exports = EnhancedCache;
+module.exports.LruAdapter = LruAdapter;
+module.exports.FileAdapter = FileAdapter;
+module.exports.SqliteAdapter = SqliteAdapter;
@@ -1,5 +1,6 @@
 import { BaileysEventEmitter, BaileysEventMap } from '../Types';
 import { ILogger } from './logger';
+import { SocketMetrics } from './metrics';
 /**
  * A map that contains a list of all events that have been triggered
  *
@@ -30,6 +31,7 @@ type BaileysBufferableEventEmitter = BaileysEventEmitter & {
  * The event buffer logically consolidates different events into a single event
  * making the data processing more efficient.
  * @param ev the baileys event emitter
+ * @param metrics if provided, the size of every flush is recorded
  */
-export declare const makeEventBuffer: (logger: ILogger) => BaileysBufferableEventEmitter;
+export declare const makeEventBuffer: (logger: ILogger, metrics?: SocketMetrics) => BaileysBufferableEventEmitter;
 export {};
@@ -28,8 +28,9 @@ const BUFFERABLE_EVENT_SET = new Set(BUFFERABLE_EVENT);
  * The event buffer logically consolidates different events into a single event
  * making the data processing more efficient.
  * @param ev the baileys event emitter
+ * @param metrics if provided, the size of every flush is recorded
  */
-const makeEventBuffer = (logger) => {
+const makeEventBuffer = (logger, metrics) => {
     const ev = new events_1.default();
     const historyCache = new Set();
     let data = makeBufferData();
@@ -70,6 +71,9 @@ const makeEventBuffer = (logger) => {
         }
         const consolidatedData = consolidateEvents(data);
         if (Object.keys(consolidatedData).length) {
+            if (metrics) {
+                metrics.eventBufferFlushSize.observe(countEvents(consolidatedData));
+            }
             ev.emit('event', consolidatedData);
         }
         data = newData;
@@ -116,6 +120,23 @@ const makeEventBuffer = (logger) => {
     };
 };
 exports.makeEventBuffer = makeEventBuffer;
+/** counts the items in a consolidated event map, eg. 3 upserted messages & 1 chat update => 4 */
+const countEvents = (map) => {
+    let count = 0;
+    for (const event in map) {
+        const data = map[event];
+        if (Array.isArray(data)) {
+            count += data.length;
+        }
+        else if (Array.isArray(data === null || data === void 0 ? void 0 : data.messages)) {
+            count += data.messages.length;
+        }
+        else {
+            count += 1;
+        }
+    }
+    return count;
+};
 const makeBufferData = () => {
     return {
         historySets: {
@@ -3,15 +3,20 @@
  * Acest modul oferă funcționalități avansate pentru administrarea și monitorizarea grupurilor
  */
 
+const Scheduler = require('./scheduler');
+
 class GroupManager {
   /**
    * Creează o nouă instanță pentru gestionarea grupurilor
    * @param {Object} sock Instanța socket-ului WhatsApp
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {Scheduler} options.scheduler Planificatorul folosit pentru acțiunile programate (implicit unul nou, fără persistență)
    */
-  constructor(sock) {
+  constructor(sock, options = {}) {
     this.sock = sock;
     this.groups = new Map();
-    this.scheduledActions = new Map();
+    this.scheduler = options.scheduler || new Scheduler(sock);
+    this.scheduler.registerHandler('group-action', (job) => this.runAction(job.jid, job.data.action, job.data.params));
   }
 
   /**
@@ -62,6 +67,84 @@ class GroupManager {
     }
   }
 
+  /**
+   * Creează o comunitate nouă, opțional cu subgrupuri create direct în ea
+   * @param {string} name Numele comunității
+   * @param {Object} options Opțiuni suplimentare
+   * @param {string} options.description Descrierea comunității
+   * @param {Array<{name: string, participants: string[]}>} options.subgroups Subgrupuri de creat în comunitate
+   * @returns {Promise<Object>} Informațiile comunității create, cu lista de subgrupuri
+   */
+  async createCommunity(name, options = {}) {
+    try {
+      const community = await this.sock.communityCreate(name, options.description);
+      const subgroups = [];
+      for (const { name: subject, participants = [] } of options.subgroups || []) {
+        subgroups.push(await this.sock.communityCreateGroup(subject, participants, community.id));
+      }
+
+      await this.loadGroups();
+      return { ...community, subgroups };
+    } catch (error) {
+      console.error('Eroare la crearea comunității:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obține structura completă a unei comunități: metadatele ei și grupurile legate
+   * @param {string} communityId ID-ul comunității sau al unuia dintre subgrupurile ei
+   * @returns {Promise<Object>} Metadatele comunității, cu `subgroups` populat
+   */
+  async getCommunityTree(communityId) {
+    const { communityJid, linkedGroups } = await this.sock.communityFetchLinkedGroups(communityId);
+    const community = await this.sock.groupMetadata(communityJid);
+    const tree = { ...community, subgroups: linkedGroups };
+    this.groups.set(communityJid, tree);
+    return tree;
+  }
+
+  /**
+   * Leagă grupuri existente de o comunitate
+   * @param {string} communityId ID-ul comunității
+   * @param {string[]} groupIds Lista de grupuri de legat
+   * @returns {Promise<Object>} Structura actualizată a comunității
+   */
+  async linkGroups(communityId, groupIds) {
+    for (const groupId of groupIds) {
+      await this.sock.communityLinkGroup(groupId, communityId);
+    }
+    return this.getCommunityTree(communityId);
+  }
+
+  /**
+   * Dezleagă grupuri de o comunitate
+   * @param {string} communityId ID-ul comunității
+   * @param {string[]} groupIds Lista de grupuri de dezlegat
+   * @returns {Promise<Object>} Structura actualizată a comunității
+   */
+  async unlinkGroups(communityId, groupIds) {
+    for (const groupId of groupIds) {
+      await this.sock.communityUnlinkGroup(groupId, communityId);
+    }
+    return this.getCommunityTree(communityId);
+  }
+
+  /**
+   * Trimite un mesaj în grupul de anunțuri al unei comunități
+   * @param {string} communityId ID-ul comunității sau al unuia dintre subgrupurile ei
+   * @param {Object} content Conținutul mesajului
+   * @param {Object} options Opțiuni pentru sendMessage
+   * @returns {Promise<Object>} Mesajul trimis
+   */
+  async sendCommunityAnnouncement(communityId, content, options = {}) {
+    const announceId = await this.sock.communityFetchAnnouncementGroup(communityId);
+    if (!announceId) {
+      throw new Error(`Comunitatea ${communityId} nu are un grup de anunțuri`);
+    }
+    return await this.sock.sendMessage(announceId, content, options);
+  }
+
   /**
    * Monitorizează schimbările din grupuri
    * @param {Function} callback Funcția apelată la schimbări
@@ -120,77 +203,69 @@ class GroupManager {
   }
 
   /**
-   * Programează o acțiune pentru un grup la un moment specific
+   * Programează o acțiune pentru un grup la un moment specific sau recurent
    * @param {string} groupId ID-ul grupului
    * @param {string} action Acțiunea de efectuat
-   * @param {Date|number} time Momentul execuției (Date sau timestamp)
+   * @param {Date|number|string|Object} time Momentul execuției (Date, timestamp, oră locală 'YYYY-MM-DD HH:mm')
+   * sau un obiect { at | cron, timezone, catchUp, maxRuns } pentru opțiuni avansate
    * @param {Object} params Parametrii pentru acțiune
-   * @returns {Promise<boolean>} True dacă acțiunea a fost programată, false altfel
+   * @returns {Promise<string|false>} ID-ul acțiunii programate, sau false dacă momentul a trecut deja
    */
   async scheduleAction(groupId, action, time, params = {}) {
-    const timestamp = typeof time === 'number' ? time : time.getTime();
-    const delay = timestamp - Date.now();
-    
-    if (delay <= 0) {
-      console.error('Timpul programat a trecut deja');
+    const when = typeof time === 'object' && !(time instanceof Date) ? time : { at: time };
+    try {
+      return await this.scheduler.schedule({ ...when, type: 'group-action', jid: groupId, data: { action, params } });
+    } catch (error) {
+      console.error('Eroare la programarea acțiunii:', error.message);
       return false;
     }
-    
-    // Generăm un ID unic pentru acțiunea programată
-    const actionId = `${groupId}_${action}_${timestamp}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Salvăm acțiunea în lista de acțiuni programate
-    this.scheduledActions.set(actionId, { groupId, action, time: timestamp, params });
-    
-    // Programăm acțiunea
-    setTimeout(async () => {
-      try {
-        switch (action) {
-          case 'message':
-            await this.sock.sendMessage(groupId, params.message);
-            break;
-          case 'title':
-            await this.sock.groupUpdateSubject(groupId, params.title);
-            break;
-          case 'description':
-            await this.sock.groupUpdateDescription(groupId, params.description);
-            break;
-          case 'remove':
-            await this.sock.groupParticipantsUpdate(groupId, params.participants, 'remove');
-            break;
-          case 'add':
-            await this.sock.groupParticipantsUpdate(groupId, params.participants, 'add');
-            break;
-          case 'promote':
-            await this.setGroupAdmins(groupId, params.participants, false);
-            break;
-          case 'demote':
-            await this.setGroupAdmins(groupId, params.participants, true);
-            break;
-          case 'announce':
-            await this.sock.groupSettingUpdate(groupId, 'announcement');
-            break;
-          case 'not_announce':
-            await this.sock.groupSettingUpdate(groupId, 'not_announcement');
-            break;
-          case 'restrict':
-            await this.sock.groupSettingUpdate(groupId, 'locked');
-            break;
-          case 'unrestrict':
-            await this.sock.groupSettingUpdate(groupId, 'unlocked');
-            break;
-          default:
-            console.error('Acțiune necunoscută:', action);
-        }
-        
-        // Eliminăm acțiunea din lista de acțiuni programate
-        this.scheduledActions.delete(actionId);
-      } catch (error) {
-        console.error('Eroare la executarea acțiunii programate:', error);
-      }
-    }, delay);
-    
-    return true;
+  }
+
+  /**
+   * Execută o acțiune asupra unui grup
+   * @param {string} groupId ID-ul grupului
+   * @param {string} action Acțiunea de efectuat
+   * @param {Object} params Parametrii pentru acțiune
+   * @returns {Promise<void>}
+   */
+  async runAction(groupId, action, params = {}) {
+    switch (action) {
+      case 'message':
+        await this.sock.sendMessage(groupId, params.message);
+        break;
+      case 'title':
+        await this.sock.groupUpdateSubject(groupId, params.title);
+        break;
+      case 'description':
+        await this.sock.groupUpdateDescription(groupId, params.description);
+        break;
+      case 'remove':
+        await this.sock.groupParticipantsUpdate(groupId, params.participants, 'remove');
+        break;
+      case 'add':
+        await this.sock.groupParticipantsUpdate(groupId, params.participants, 'add');
+        break;
+      case 'promote':
+        await this.setGroupAdmins(groupId, params.participants, false);
+        break;
+      case 'demote':
+        await this.setGroupAdmins(groupId, params.participants, true);
+        break;
+      case 'announce':
+        await this.sock.groupSettingUpdate(groupId, 'announcement');
+        break;
+      case 'not_announce':
+        await this.sock.groupSettingUpdate(groupId, 'not_announcement');
+        break;
+      case 'restrict':
+        await this.sock.groupSettingUpdate(groupId, 'locked');
+        break;
+      case 'unrestrict':
+        await this.sock.groupSettingUpdate(groupId, 'unlocked');
+        break;
+      default:
+        throw new Error(`Acțiune necunoscută: ${action}`);
+    }
   }
 
   /**
@@ -199,7 +274,11 @@ class GroupManager {
    * @returns {boolean} True dacă s-a anulat, False dacă nu există
    */
   cancelScheduledAction(actionId) {
-    return this.scheduledActions.delete(actionId);
+    const job = this.scheduler.get(actionId);
+    if (!job || job.type !== 'group-action' || job.status !== 'scheduled') return false;
+    // Sarcina este scoasă imediat; doar salvarea pe disc continuă în fundal
+    this.scheduler.cancel(actionId);
+    return true;
   }
 
   /**
@@ -208,13 +287,14 @@ class GroupManager {
    * @returns {Array} Lista de acțiuni programate
    */
   getScheduledActions(groupId = null) {
-    const actions = [];
-    for (const [id, action] of this.scheduledActions.entries()) {
-      if (!groupId || action.groupId === groupId) {
-        actions.push({ id, ...action });
-      }
-    }
-    return actions;
+    return this.scheduler.list({ type: 'group-action', jid: groupId }).map(job => ({
+      id: job.id,
+      groupId: job.jid,
+      action: job.data.action,
+      time: job.runAt,
+      cron: job.cron,
+      params: job.data.params
+    }));
   }
 
   /**
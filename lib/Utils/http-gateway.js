@@ -0,0 +1,328 @@
+/**
+ * Gateway HTTP pentru @borutowaileys/library
+ * Acest modul expune un socket pornit prin endpoint-uri REST autentificate și Server-Sent Events,
+ * ca alte servicii să poată trimite mesaje fără să încarce biblioteca (perechea de intrare a WebhookSender)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { Boom } = require('@hapi/boom');
+const { BufferJSON } = require('./generics');
+const { PROMETHEUS_CONTENT_TYPE } = require('./metrics');
+
+class HttpGateway {
+  /**
+   * Creează un nou gateway HTTP pentru un socket
+   * @param {Object} sock Instanța socket-ului WhatsApp
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string} options.token Token-ul acceptat în headerul `Authorization: Bearer <token>`
+   * @param {Function} options.authenticate Funcție proprie de autentificare (req) => boolean|Promise<boolean>, în locul token-ului
+   * @param {number} options.port Portul pe care ascultă serverul (implicit 3000)
+   * @param {string} options.host Adresa pe care ascultă serverul (implicit '127.0.0.1')
+   * @param {string} options.basePath Prefix pentru toate rutele (implicit '')
+   * @param {number} options.maxBodySize Dimensiunea maximă a corpului cererii în bytes (implicit 10 MB)
+   */
+  constructor(sock, options = {}) {
+    if (!options.token && !options.authenticate) {
+      throw new Error('Gateway-ul HTTP necesită `token` sau `authenticate`');
+    }
+
+    this.sock = sock;
+    this.token = options.token || null;
+    this.authenticate = options.authenticate || null;
+    this.port = options.port ?? 3000;
+    this.host = options.host || '127.0.0.1';
+    this.basePath = (options.basePath || '').replace(/\/$/, '');
+    this.maxBodySize = options.maxBodySize || 10 * 1024 * 1024;
+
+    this.server = null;
+    this.sseClients = new Set();
+    // Gateway-ul este pornit de obicei pe un socket deja conectat, care nu mai emite 'open'
+    this.connectionState = { connection: sock.user && sock.ws?.isOpen ? 'open' : 'connecting' };
+    this.routes = this.createRoutes();
+
+    // Folosim ev.process, care primește toate evenimentele, inclusiv pe cele din buffer
+    this.stopListening = sock.ev.process(events => this.handleEvents(events));
+  }
+
+  /**
+   * Definește rutele gateway-ului
+   * @returns {Array} Lista de rute [metodă, expresie, handler]
+   * @private
+   */
+  createRoutes() {
+    return [
+      ['GET', /^\/health$/, () => ({
+        status: 'ok',
+        connection: this.connectionState.connection
+      })],
+      ['GET', /^\/auth\/state$/, () => this.getAuthState()],
+      ['GET', /^\/auth\/qr$/, () => {
+        if (!this.connectionState.qr) {
+          throw new Boom('Nu există un cod QR activ', { statusCode: 404 });
+        }
+        return { qr: this.connectionState.qr };
+      }],
+      ['POST', /^\/messages$/, async (req, params, body) => {
+        const { jid, content, options } = body;
+        if (!jid || !content) {
+          throw new Boom('Câmpurile `jid` și `content` sunt obligatorii', { statusCode: 400 });
+        }
+        return await this.sock.sendMessage(jid, content, options);
+      }],
+      ['GET', /^\/groups\/([^/]+)\/metadata$/, async (req, [jid]) => {
+        return await this.sock.groupMetadata(jid);
+      }],
+      ['POST', /^\/on-whatsapp$/, async (req, params, body) => {
+        if (!Array.isArray(body.jids) || !body.jids.length) {
+          throw new Boom('Câmpul `jids` trebuie să fie o listă nevidă', { statusCode: 400 });
+        }
+        return (await this.sock.onWhatsApp(...body.jids)) || [];
+      }],
+      ['GET', /^\/contacts\/([^/]+)\/profile-picture$/, async (req, [jid], body, query) => {
+        const url = await this.sock.profilePictureUrl(jid, query.get('type') || 'preview');
+        return { url: url || null };
+      }],
+      ['POST', /^\/chats\/([^/]+)\/modify$/, async (req, [jid], body) => {
+        if (!body.mod) {
+          throw new Boom('Câmpul `mod` este obligatoriu', { statusCode: 400 });
+        }
+        await this.sock.chatModify(body.mod, jid);
+        return { success: true };
+      }],
+      ['GET', /^\/metrics$/, (req, params, body, query, res) => {
+        if (!this.sock.metrics) {
+          throw new Boom('Socket-ul nu expune metrici', { statusCode: 404 });
+        }
+        if (query.get('format') === 'json') {
+          return this.sock.metrics.toJSON();
+        }
+        res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+        res.end(this.sock.metrics.toPrometheus());
+      }],
+      ['GET', /^\/events$/, (req, params, body, query, res) => this.openEventStream(req, res, query)]
+    ];
+  }
+
+  /**
+   * Pornește serverul HTTP
+   * @returns {Promise<Object>} Adresa pe care ascultă serverul
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Oprește serverul și închide conexiunile SSE
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.stopListening();
+    for (const client of this.sseClients) {
+      clearInterval(client.keepAlive);
+      client.res.end();
+    }
+    this.sseClients.clear();
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Tratează o cerere HTTP
+   * @param {http.IncomingMessage} req Cererea
+   * @param {http.ServerResponse} res Răspunsul
+   * @private
+   */
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (!url.pathname.startsWith(this.basePath)) {
+        throw new Boom('Ruta nu există', { statusCode: 404 });
+      }
+      const pathname = url.pathname.slice(this.basePath.length) || '/';
+
+      // EventSource nu poate trimite headere, așa că doar fluxul SSE acceptă token-ul în URL
+      const allowQueryToken = req.method === 'GET' && pathname === '/events';
+      if (!(await this.isAuthorized(req, allowQueryToken ? url.searchParams : null))) {
+        throw new Boom('Neautorizat', { statusCode: 401 });
+      }
+
+      let params;
+      const route = this.routes.find(([method, pattern]) => {
+        const match = pattern.exec(pathname);
+        if (method === req.method && match) {
+          params = match.slice(1).map(decodeURIComponent);
+          return true;
+        }
+        return false;
+      });
+      if (!route) {
+        throw new Boom('Ruta nu există', { statusCode: 404 });
+      }
+
+      const body = req.method === 'POST' ? await this.readBody(req) : {};
+      const result = await route[2](req, params, body, url.searchParams, res);
+      // Rutele care scriu singure răspunsul (SSE) returnează undefined
+      if (result !== undefined) {
+        this.sendJson(res, 200, result);
+      }
+    } catch (error) {
+      const statusCode = error?.output?.statusCode || 500;
+      if (statusCode >= 500) {
+        console.error('Eroare în gateway-ul HTTP:', error);
+      }
+      if (!res.headersSent) {
+        const errorName = error?.output?.payload?.error || 'Internal Server Error';
+        // Erorile interne rămân în log; clientul primește doar tipul lor
+        this.sendJson(res, statusCode, { error: errorName, message: statusCode >= 500 ? errorName : error.message });
+      }
+    }
+  }
+
+  /**
+   * Verifică autentificarea unei cereri
+   * @param {http.IncomingMessage} req Cererea
+   * @param {URLSearchParams|null} query Parametrii din URL, unde `token` este acceptat; null pentru rutele care cer headerul
+   * @returns {Promise<boolean>} True dacă cererea este autentificată
+   * @private
+   */
+  async isAuthorized(req, query) {
+    if (this.authenticate) {
+      return !!(await this.authenticate(req));
+    }
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : query?.get('token');
+    if (!provided) return false;
+    const expected = Buffer.from(this.token);
+    const received = Buffer.from(provided);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Citește și parsează corpul JSON al unei cereri; buffer-ele pot fi trimise ca { type: 'Buffer', data: '<base64>' }
+   * @param {http.IncomingMessage} req Cererea
+   * @returns {Promise<Object>} Corpul parsat
+   * @private
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject(new Boom('Corpul cererii este prea mare', { statusCode: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (!chunks.length) return resolve({});
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'), BufferJSON.reviver));
+        } catch (error) {
+          reject(new Boom('Corpul cererii nu este JSON valid', { statusCode: 400 }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Trimite un răspuns JSON
+   * @param {http.ServerResponse} res Răspunsul
+   * @param {number} statusCode Codul HTTP
+   * @param {any} data Datele de trimis
+   * @private
+   */
+  sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, BufferJSON.replacer));
+  }
+
+  /**
+   * Obține starea autentificării și a conexiunii
+   * @returns {Object} Starea curentă
+   * @private
+   */
+  getAuthState() {
+    const creds = this.sock.authState?.creds;
+    return {
+      ...this.connectionState,
+      user: this.sock.user || null,
+      registered: !!creds?.registered
+    };
+  }
+
+  /**
+   * Deschide un flux Server-Sent Events pentru evenimentele socket-ului
+   * @param {http.IncomingMessage} req Cererea
+   * @param {http.ServerResponse} res Răspunsul
+   * @param {URLSearchParams} query Parametrii din URL; `events` filtrează evenimentele (separate prin virgulă)
+   * @private
+   */
+  openEventStream(req, res, query) {
+    const filter = query.get('events');
+    const client = {
+      res,
+      events: filter ? new Set(filter.split(',')) : null,
+      // Comentariile periodice țin conexiunea deschisă prin proxy-uri
+      keepAlive: setInterval(() => res.write(': keep-alive\n\n'), 15000)
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`event: connection.update\ndata: ${JSON.stringify(this.connectionState)}\n\n`);
+
+    this.sseClients.add(client);
+    req.on('close', () => {
+      clearInterval(client.keepAlive);
+      this.sseClients.delete(client);
+    });
+  }
+
+  /**
+   * Actualizează starea conexiunii și trimite evenimentele către clienții SSE
+   * @param {Object} events Evenimentele primite prin ev.process
+   * @private
+   */
+  handleEvents(events) {
+    if (events['connection.update']) {
+      const update = events['connection.update'];
+      this.connectionState = { ...this.connectionState, ...update };
+      if (update.connection === 'open') {
+        delete this.connectionState.qr;
+      }
+      // Eroarea de deconectare nu poate fi serializată direct
+      if (update.lastDisconnect) {
+        this.connectionState.lastDisconnect = {
+          date: update.lastDisconnect.date,
+          statusCode: update.lastDisconnect.error?.output?.statusCode,
+          message: update.lastDisconnect.error?.message
+        };
+      }
+    }
+
+    for (const client of this.sseClients) {
+      for (const [event, data] of Object.entries(events)) {
+        if (client.events && !client.events.has(event)) continue;
+        const payload = event === 'connection.update' ? this.connectionState : data;
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(payload, BufferJSON.replacer)}\n\n`);
+      }
+    }
+  }
+}
+
+// Exportăm clasa pentru a fi utilizată în alte module
+module.exports = HttpGateway;
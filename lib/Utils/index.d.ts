@@ -12,6 +12,13 @@ export * from './lt-hash';
 export * from './auth-utils';
 export * from './baileys-event-stream';
 export * from './use-multi-file-auth-state';
+export * from './use-sqlite-auth-state';
 export * from './link-preview';
 export * from './event-buffer';
+export * from './metrics';
+export * from './tracing';
+export * from './spam-guard';
+export * from './stanza-stream';
+export * from './media-transcoder';
+export * from './diagnostics';
 export * from './process-message';
@@ -28,6 +28,13 @@ __exportStar(require("./lt-hash"), exports);
 __exportStar(require("./auth-utils"), exports);
 __exportStar(require("./baileys-event-stream"), exports);
 __exportStar(require("./use-multi-file-auth-state"), exports);
+__exportStar(require("./use-sqlite-auth-state"), exports);
 __exportStar(require("./link-preview"), exports);
 __exportStar(require("./event-buffer"), exports);
+__exportStar(require("./metrics"), exports);
+__exportStar(require("./tracing"), exports);
+__exportStar(require("./spam-guard"), exports);
+__exportStar(require("./stanza-stream"), exports);
+__exportStar(require("./media-transcoder"), exports);
+__exportStar(require("./diagnostics"), exports);
 __exportStar(require("./process-message"), exports);
@@ -0,0 +1,143 @@
+/// <reference types="node" />
+import type { AxiosRequestConfig } from 'axios';
+import { CacheStore, MediaType, WAMediaUpload } from '../Types';
+import { ILogger } from './logger';
+/** metadata WhatsApp shows for a sticker's pack */
+export type StickerMetadata = {
+    /** random if not given */
+    packId?: string;
+    packName?: string;
+    publisher?: string;
+    emojis?: string[];
+};
+export type PttTranscodeOptions = {
+    bitrateKbps?: number;
+};
+export type StickerTranscodeOptions = {
+    /** default pack metadata, overridden by `stickerMetadata` in the message */
+    metadata?: StickerMetadata;
+    /** limit for static stickers */
+    maxBytes?: number;
+    maxAnimatedBytes?: number;
+    /** animated stickers are cut at this length */
+    maxAnimatedSeconds?: number;
+};
+export type VideoTranscodeOptions = {
+    maxBytes?: number;
+    /** the longest side is scaled down to this */
+    maxDimension?: number;
+    audioBitrateKbps?: number;
+};
+export type TranscodeTarget = 'ptt' | 'sticker' | 'video';
+export type TranscodeResult = {
+    media: Buffer;
+    mimetype: string;
+    seconds?: number;
+    isAnimated?: boolean;
+    width?: number;
+    height?: number;
+};
+export type TranscodeProgress = {
+    target: TranscodeTarget;
+    /** SHA256 (hex) of the original media */
+    sha256: string;
+    /** 0 to 1; intermediate values are only reported by FFmpeg, when the duration of the media is known */
+    progress: number;
+    /** whether the result came from the cache */
+    cached: boolean;
+};
+export type MediaTranscoderOptions = {
+    /** defaults to "ffmpeg", found in the PATH */
+    ffmpegPath?: string;
+    ptt?: PttTranscodeOptions | false;
+    sticker?: StickerTranscodeOptions | false;
+    video?: VideoTranscodeOptions | false;
+    /** results by content hash, kept for an hour in memory by default */
+    cache?: CacheStore;
+    /** most bytes of media the default cache holds, the least recently used results are dropped first. Defaults to 64MB */
+    cacheMaxBytes?: number;
+    onProgress?: (progress: TranscodeProgress) => void;
+    logger?: ILogger;
+};
+export declare const DEFAULT_MEDIA_TRANSCODING: {
+    ffmpegPath: string;
+    ptt: Required<PttTranscodeOptions>;
+    sticker: Required<Omit<StickerTranscodeOptions, 'metadata'>>;
+    video: Required<VideoTranscodeOptions>;
+};
+export type WebpInfo = {
+    width: number;
+    height: number;
+    isAnimated: boolean;
+    hasAlpha: boolean;
+};
+/**
+ * reads the canvas size of a WebP image & whether it is animated
+ * @returns undefined if the buffer is not a WebP image
+ */
+export declare const getWebpInfo: (webp: Buffer) => WebpInfo | undefined;
+/**
+ * embeds the sticker pack metadata WhatsApp reads from the EXIF of a WebP sticker,
+ * replacing any EXIF already present
+ */
+export declare const addStickerMetadata: (webp: Buffer, { packId, packName, publisher, emojis }: StickerMetadata) => Buffer;
+/**
+ * runs FFmpeg, reporting progress as it goes
+ * @param args arguments, after the input file & before the output file
+ * @param onProgress called with the fraction (0-1) of the input processed, when its duration is known
+ * @returns the duration of the input in seconds, if FFmpeg reported it
+ */
+export declare const runFFmpeg: (input: string, output: string, args: string[], { ffmpegPath, onProgress }?: {
+    ffmpegPath?: string;
+    onProgress?: (fraction: number) => void;
+}) => Promise<number | undefined>;
+type TranscodeFnOptions = {
+    ffmpegPath?: string;
+    onProgress?: (fraction: number) => void;
+};
+/**
+ * transcodes audio to mono Opus in an OGG container, as voice notes (ptt) are expected to be
+ * @param input path of the file to transcode
+ */
+export declare const transcodeToOpus: (input: string, { bitrateKbps, ffmpegPath, onProgress }?: PttTranscodeOptions & TranscodeFnOptions) => Promise<TranscodeResult>;
+/**
+ * converts an image, GIF or video to a 512x512 WebP sticker with transparent padding,
+ * lowering the quality until it fits WhatsApp's size limits
+ * @param input path of the file to convert
+ */
+export declare const transcodeToSticker: (input: string, { animated, metadata, maxBytes, maxAnimatedBytes, maxAnimatedSeconds, ffmpegPath, onProgress }?: StickerTranscodeOptions & TranscodeFnOptions & {
+    /** detected from GIF & WebP input if not given */
+    animated?: boolean;
+}) => Promise<TranscodeResult>;
+/**
+ * transcodes video to H.264/AAC in an MP4 container, scaled down to fit `maxDimension`.
+ * The bitrate is capped so the output fits `maxBytes`
+ * @param input path of the file to transcode
+ */
+export declare const transcodeToMp4: (input: string, { maxBytes, maxDimension, audioBitrateKbps, ffmpegPath, onProgress }?: VideoTranscodeOptions & TranscodeFnOptions) => Promise<TranscodeResult>;
+export type MediaTranscoder = {
+    transcode(target: TranscodeTarget, media: WAMediaUpload, opts?: {
+        metadata?: StickerMetadata;
+        animated?: boolean;
+        fetchOpts?: AxiosRequestConfig;
+    }): Promise<TranscodeResult>;
+    /**
+     * transcodes the media of an outgoing message, if it needs it
+     * @returns the fields to override in the message, undefined if left as is
+     */
+    transcodeForMessage(mediaType: MediaType, uploadData: {
+        media: WAMediaUpload;
+        ptt?: boolean;
+        isAnimated?: boolean;
+        stickerMetadata?: StickerMetadata;
+    }, fetchOpts?: AxiosRequestConfig): Promise<TranscodeResult | undefined>;
+};
+/**
+ * creates an opt-in transcoding stage for outgoing media, pass it as `mediaTranscoder` in the socket config:
+ * voice notes become Opus/OGG, stickers 512x512 WebP with the pack metadata & videos H.264/AAC MP4.
+ * Results are cached by the hash of the original content, so the same media is only transcoded once.
+ * Audio & video need FFmpeg; static stickers use sharp if installed, FFmpeg otherwise
+ * @param config transcoding options, `false` for a target leaves that media as is
+ */
+export declare const makeMediaTranscoder: ({ ffmpegPath, ptt, sticker, video, cacheMaxBytes, cache, onProgress, logger }?: MediaTranscoderOptions) => MediaTranscoder;
+export {};
@@ -0,0 +1,488 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.makeMediaTranscoder = exports.transcodeToMp4 = exports.transcodeToSticker = exports.transcodeToOpus = exports.runFFmpeg = exports.getWebpInfo = exports.addStickerMetadata = exports.DEFAULT_MEDIA_TRANSCODING = void 0;
+const boom_1 = require("@hapi/boom");
+const child_process_1 = require("child_process");
+const Crypto = __importStar(require("crypto"));
+const fs_1 = require("fs");
+const os_1 = require("os");
+const path_1 = require("path");
+const stream_1 = require("stream");
+const promises_1 = require("stream/promises");
+const generics_1 = require("./generics");
+const messages_media_1 = require("./messages-media");
+exports.DEFAULT_MEDIA_TRANSCODING = {
+    ffmpegPath: 'ffmpeg',
+    ptt: {
+        bitrateKbps: 64
+    },
+    sticker: {
+        // WhatsApp rejects static stickers over 100KB & animated ones over 500KB
+        maxBytes: 100 * 1024,
+        maxAnimatedBytes: 500 * 1024,
+        maxAnimatedSeconds: 10
+    },
+    video: {
+        maxBytes: 16 * 1024 * 1024,
+        maxDimension: 1280,
+        audioBitrateKbps: 128
+    }
+};
+const STICKER_SIZE = 512;
+/** qualities tried in order, until the sticker fits the size limit */
+const STICKER_QUALITIES = [80, 60, 40, 20];
+const MIMETYPE_OGG_OPUS = 'audio/ogg; codecs=opus';
+const getTmpPath = (ext) => (0, path_1.join)((0, os_1.tmpdir)(), (0, generics_1.generateMessageID)() + ext);
+const removeFiles = (...paths) => Promise.all(paths.map(path => fs_1.promises.unlink(path).catch(() => { })));
+const makeRiffChunk = (type, data) => {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'ascii');
+    header.writeUInt32LE(data.length, 4);
+    // chunks are padded to an even size
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+};
+const parseRiffChunks = (webp) => {
+    if (webp.length < 12 || webp.toString('ascii', 0, 4) !== 'RIFF' || webp.toString('ascii', 8, 12) !== 'WEBP') {
+        throw new boom_1.Boom('Not a WebP image', { statusCode: 400 });
+    }
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= webp.length) {
+        const type = webp.toString('ascii', offset, offset + 4);
+        const size = webp.readUInt32LE(offset + 4);
+        chunks.push({ type, data: webp.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2);
+    }
+    return chunks;
+};
+/**
+ * reads the canvas size of a WebP image & whether it is animated
+ * @returns undefined if the buffer is not a WebP image
+ */
+const getWebpInfo = (webp) => {
+    let chunks;
+    try {
+        chunks = parseRiffChunks(webp);
+    }
+    catch (_a) {
+        return undefined;
+    }
+    const [first] = chunks;
+    if ((first === null || first === void 0 ? void 0 : first.type) === 'VP8X') {
+        return {
+            width: first.data.readUIntLE(4, 3) + 1,
+            height: first.data.readUIntLE(7, 3) + 1,
+            isAnimated: !!(first.data[0] & 0x02),
+            hasAlpha: !!(first.data[0] & 0x10)
+        };
+    }
+    if ((first === null || first === void 0 ? void 0 : first.type) === 'VP8 ') {
+        return {
+            width: first.data.readUInt16LE(6) & 0x3fff,
+            height: first.data.readUInt16LE(8) & 0x3fff,
+            isAnimated: false,
+            hasAlpha: false
+        };
+    }
+    if ((first === null || first === void 0 ? void 0 : first.type) === 'VP8L') {
+        const bits = first.data.readUInt32LE(1);
+        return {
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >> 14) & 0x3fff) + 1,
+            isAnimated: false,
+            hasAlpha: !!((bits >> 28) & 1)
+        };
+    }
+    return undefined;
+};
+exports.getWebpInfo = getWebpInfo;
+/**
+ * embeds the sticker pack metadata WhatsApp reads from the EXIF of a WebP sticker,
+ * replacing any EXIF already present
+ */
+const addStickerMetadata = (webp, { packId = (0, generics_1.generateMessageID)(), packName = '', publisher = '', emojis = [] }) => {
+    const info = (0, exports.getWebpInfo)(webp);
+    if (!info) {
+        throw new boom_1.Boom('Not a WebP image', { statusCode: 400 });
+    }
+    const json = Buffer.from(JSON.stringify({
+        'sticker-pack-id': packId,
+        'sticker-pack-name': packName,
+        'sticker-pack-publisher': publisher,
+        emojis
+    }), 'utf-8');
+    // little endian TIFF header, with a single IFD entry (tag 0x5741, type "undefined") pointing at the JSON
+    const tiff = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x41, 0x57, 0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00]);
+    tiff.writeUInt32LE(json.length, 14);
+    const exif = Buffer.concat([tiff, json]);
+    const chunks = parseRiffChunks(webp).filter(({ type }) => type !== 'EXIF');
+    // extended format (VP8X) is needed to carry EXIF
+    if (chunks[0].type !== 'VP8X') {
+        const vp8x = Buffer.alloc(10);
+        vp8x.writeUIntLE(info.width - 1, 4, 3);
+        vp8x.writeUIntLE(info.height - 1, 7, 3);
+        if (info.hasAlpha) {
+            vp8x[0] |= 0x10;
+        }
+        chunks.unshift({ type: 'VP8X', data: vp8x });
+    }
+    const vp8x = Buffer.from(chunks[0].data);
+    vp8x[0] |= 0x08;
+    chunks[0] = { type: 'VP8X', data: vp8x };
+    chunks.push({ type: 'EXIF', data: exif });
+    const body = Buffer.concat([Buffer.from('WEBP', 'ascii'), ...chunks.map(({ type, data }) => makeRiffChunk(type, data))]);
+    const header = Buffer.alloc(8);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body]);
+};
+exports.addStickerMetadata = addStickerMetadata;
+const parseTimestamp = (str) => {
+    const [hours, minutes, seconds] = str.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+};
+/**
+ * runs FFmpeg, reporting progress as it goes
+ * @param args arguments, after the input file & before the output file
+ * @param onProgress called with the fraction (0-1) of the input processed, when its duration is known
+ * @returns the duration of the input in seconds, if FFmpeg reported it
+ */
+const runFFmpeg = (input, output, args, { ffmpegPath = exports.DEFAULT_MEDIA_TRANSCODING.ffmpegPath, onProgress } = {}) => new Promise((resolve, reject) => {
+    const proc = (0, child_process_1.spawn)(ffmpegPath, ['-hide_banner', '-nostdin', '-y', '-i', input, ...args, '-progress', 'pipe:1', '-nostats', output], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let duration;
+    let stderr = '';
+    proc.stderr.on('data', (data) => {
+        // only the tail is kept, for the error message
+        stderr = (stderr + data.toString()).slice(-4096);
+        if (duration === undefined) {
+            const match = stderr.match(/Duration: (\d+:\d+:\d+(?:\.\d+)?)/);
+            if (match) {
+                duration = parseTimestamp(match[1]);
+            }
+        }
+    });
+    proc.stdout.on('data', (data) => {
+        // only the latest position in the chunk matters
+        const matches = [...data.toString().matchAll(/out_time_us=(\d+)/g)];
+        const last = matches[matches.length - 1];
+        if (last && duration) {
+            onProgress === null || onProgress === void 0 ? void 0 : onProgress(Math.min(1, +last[1] / 1e6 / duration));
+        }
+    });
+    proc.on('error', (error) => {
+        reject(error.code === 'ENOENT'
+            ? new boom_1.Boom(`FFmpeg not found at "${ffmpegPath}", it is required for transcoding`, { statusCode: 500, data: error })
+            : error);
+    });
+    proc.on('close', (code) => {
+        if (code === 0) {
+            resolve(duration);
+        }
+        else {
+            reject(new boom_1.Boom(`FFmpeg exited with code ${code}`, { statusCode: 400, data: { stderr } }));
+        }
+    });
+});
+exports.runFFmpeg = runFFmpeg;
+/** saves the media to a temporary file, hashing it on the way */
+const saveToTmpFile = async (media, opts) => {
+    const path = getTmpPath('');
+    const hash = Crypto.createHash('sha256');
+    const { stream } = await (0, messages_media_1.getStream)(media, opts);
+    try {
+        await (0, promises_1.pipeline)(stream, new stream_1.Transform({
+            transform(chunk, _, callback) {
+                hash.update(chunk);
+                callback(null, chunk);
+            }
+        }), (0, fs_1.createWriteStream)(path));
+    }
+    catch (error) {
+        await removeFiles(path);
+        throw error;
+    }
+    return { path, sha256: hash.digest('hex') };
+};
+const loadSharp = async () => {
+    const sharp = await (Promise.resolve().then(() => __importStar(require('sharp'))).catch(() => { }));
+    return typeof (sharp === null || sharp === void 0 ? void 0 : sharp.default) === 'function' ? sharp.default : undefined;
+};
+/**
+ * transcodes audio to mono Opus in an OGG container, as voice notes (ptt) are expected to be
+ * @param input path of the file to transcode
+ */
+const transcodeToOpus = async (input, { bitrateKbps = exports.DEFAULT_MEDIA_TRANSCODING.ptt.bitrateKbps, ffmpegPath, onProgress } = {}) => {
+    const output = getTmpPath('.ogg');
+    try {
+        const seconds = await (0, exports.runFFmpeg)(input, output, [
+            '-vn', '-map_metadata', '-1',
+            '-ac', '1', '-ar', '48000',
+            '-c:a', 'libopus', '-b:a', `${bitrateKbps}k`, '-application', 'voip',
+            '-f', 'ogg'
+        ], { ffmpegPath, onProgress });
+        return {
+            media: await fs_1.promises.readFile(output),
+            mimetype: MIMETYPE_OGG_OPUS,
+            seconds: seconds === undefined ? undefined : Math.round(seconds)
+        };
+    }
+    finally {
+        await removeFiles(output);
+    }
+};
+exports.transcodeToOpus = transcodeToOpus;
+/**
+ * converts an image, GIF or video to a 512x512 WebP sticker with transparent padding,
+ * lowering the quality until it fits WhatsApp's size limits
+ * @param input path of the file to convert
+ */
+const transcodeToSticker = async (input, { animated, metadata, maxBytes = exports.DEFAULT_MEDIA_TRANSCODING.sticker.maxBytes, maxAnimatedBytes = exports.DEFAULT_MEDIA_TRANSCODING.sticker.maxAnimatedBytes, maxAnimatedSeconds = exports.DEFAULT_MEDIA_TRANSCODING.sticker.maxAnimatedSeconds, ffmpegPath, onProgress } = {}) => {
+    const original = await fs_1.promises.readFile(input);
+    const info = (0, exports.getWebpInfo)(original);
+    if (animated === undefined) {
+        animated = (info === null || info === void 0 ? void 0 : info.isAnimated) || original.toString('ascii', 0, 4) === 'GIF8';
+    }
+    const limit = animated ? maxAnimatedBytes : maxBytes;
+    let webp;
+    if ((info === null || info === void 0 ? void 0 : info.width) === STICKER_SIZE && info.height === STICKER_SIZE && original.length <= limit) {
+        // already a valid sticker
+        webp = original;
+    }
+    else {
+        const sharp = !animated && await loadSharp();
+        const output = getTmpPath('.webp');
+        try {
+            for (let i = 0; i < STICKER_QUALITIES.length; i++) {
+                const quality = STICKER_QUALITIES[i];
+                if (sharp) {
+                    webp = await sharp(original)
+                        .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+                        .webp({ quality })
+                        .toBuffer();
+                }
+                else {
+                    await (0, exports.runFFmpeg)(input, output, [
+                        '-vf', `${animated ? 'fps=15,' : ''}scale=${STICKER_SIZE}:${STICKER_SIZE}:force_original_aspect_ratio=decrease,format=rgba,pad=${STICKER_SIZE}:${STICKER_SIZE}:(ow-iw)/2:(oh-ih)/2:color=#00000000`,
+                        '-c:v', 'libwebp', '-quality', `${quality}`,
+                        ...(animated ? ['-loop', '0', '-t', `${maxAnimatedSeconds}`, '-an', '-fps_mode', 'passthrough'] : ['-frames:v', '1']),
+                        '-f', 'webp'
+                    ], { ffmpegPath, onProgress: onProgress && (fraction => onProgress((i + fraction) / STICKER_QUALITIES.length)) });
+                    webp = await fs_1.promises.readFile(output);
+                }
+                if (webp.length <= limit) {
+                    break;
+                }
+            }
+        }
+        finally {
+            await removeFiles(output);
+        }
+        if (webp.length > limit) {
+            throw new boom_1.Boom(`Sticker is ${webp.length} bytes, over the limit of ${limit} even at the lowest quality`, { statusCode: 413 });
+        }
+    }
+    return {
+        media: metadata ? (0, exports.addStickerMetadata)(webp, metadata) : webp,
+        mimetype: 'image/webp',
+        isAnimated: animated,
+        width: STICKER_SIZE,
+        height: STICKER_SIZE
+    };
+};
+exports.transcodeToSticker = transcodeToSticker;
+/**
+ * transcodes video to H.264/AAC in an MP4 container, scaled down to fit `maxDimension`.
+ * The bitrate is capped so the output fits `maxBytes`
+ * @param input path of the file to transcode
+ */
+const transcodeToMp4 = async (input, { maxBytes = exports.DEFAULT_MEDIA_TRANSCODING.video.maxBytes, maxDimension = exports.DEFAULT_MEDIA_TRANSCODING.video.maxDimension, audioBitrateKbps = exports.DEFAULT_MEDIA_TRANSCODING.video.audioBitrateKbps, ffmpegPath, onProgress } = {}) => {
+    const output = getTmpPath('.mp4');
+    try {
+        // a first pass without output, just to read the duration
+        const duration = await (0, exports.runFFmpeg)(input, '-', ['-t', '0', '-f', 'null'], { ffmpegPath });
+        const rateArgs = [];
+        if (duration) {
+            // 5% is left for the container overhead
+            const videoKbps = Math.floor((maxBytes * 8 * 0.95) / duration / 1000) - audioBitrateKbps;
+            if (videoKbps < 100) {
+                throw new boom_1.Boom(`Video is too long (${Math.round(duration)}s) to fit ${maxBytes} bytes`, { statusCode: 413 });
+            }
+            rateArgs.push('-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`);
+        }
+        await (0, exports.runFFmpeg)(input, output, [
+            '-vf', `scale='min(${maxDimension},iw)':'min(${maxDimension},ih)':force_original_aspect_ratio=decrease,scale=trunc(iw/2)*2:trunc(ih/2)*2`,
+            '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-profile:v', 'high', '-pix_fmt', 'yuv420p',
+            ...rateArgs,
+            '-c:a', 'aac', '-b:a', `${audioBitrateKbps}k`, '-ac', '2',
+            '-movflags', '+faststart',
+            '-f', 'mp4'
+        ], { ffmpegPath, onProgress });
+        const media = await fs_1.promises.readFile(output);
+        if (media.length > maxBytes) {
+            throw new boom_1.Boom(`Transcoded video is ${media.length} bytes, over the limit of ${maxBytes}`, { statusCode: 413 });
+        }
+        return {
+            media,
+            mimetype: 'video/mp4',
+            seconds: duration === undefined ? undefined : Math.round(duration)
+        };
+    }
+    finally {
+        await removeFiles(output);
+    }
+};
+exports.transcodeToMp4 = transcodeToMp4;
+/** which transcoding, if any, the media of a message needs */
+const getTranscodeTarget = (mediaType, uploadData) => {
+    if (mediaType === 'audio' && uploadData.ptt) {
+        return 'ptt';
+    }
+    if (mediaType === 'sticker') {
+        return 'sticker';
+    }
+    if (mediaType === 'video') {
+        return 'video';
+    }
+    return undefined;
+};
+/**
+ * in-memory cache of transcoded media, holding at most `maxBytes` of media.
+ * The least recently used results are dropped first, & every result expires after `ttlMs`
+ */
+const makeTranscodeCache = (maxBytes, ttlMs) => {
+    // Map iteration follows insertion order, entries are re-inserted when used
+    const entries = new Map();
+    let totalBytes = 0;
+    const del = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            entries.delete(key);
+            totalBytes -= entry.bytes;
+        }
+    };
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            del(key);
+            if (entry.expiresAt <= Date.now()) {
+                return undefined;
+            }
+            entries.set(key, entry);
+            totalBytes += entry.bytes;
+            return entry.value;
+        },
+        set(key, value) {
+            del(key);
+            const bytes = value.media.length;
+            if (bytes > maxBytes) {
+                return;
+            }
+            for (const oldest of entries.keys()) {
+                if (totalBytes + bytes <= maxBytes) {
+                    break;
+                }
+                del(oldest);
+            }
+            entries.set(key, { value, bytes, expiresAt: Date.now() + ttlMs });
+            totalBytes += bytes;
+        },
+        del,
+        flushAll() {
+            entries.clear();
+            totalBytes = 0;
+        }
+    };
+};
+/**
+ * creates an opt-in transcoding stage for outgoing media, pass it as `mediaTranscoder` in the socket config:
+ * voice notes become Opus/OGG, stickers 512x512 WebP with the pack metadata & videos H.264/AAC MP4.
+ * Results are cached by the hash of the original content, so the same media is only transcoded once.
+ * Audio & video need FFmpeg; static stickers use sharp if installed, FFmpeg otherwise
+ * @param config transcoding options, `false` for a target leaves that media as is
+ */
+const makeMediaTranscoder = ({ ffmpegPath = exports.DEFAULT_MEDIA_TRANSCODING.ffmpegPath, ptt = exports.DEFAULT_MEDIA_TRANSCODING.ptt, sticker = exports.DEFAULT_MEDIA_TRANSCODING.sticker, video = exports.DEFAULT_MEDIA_TRANSCODING.video, cacheMaxBytes = 64 * 1024 * 1024, cache = makeTranscodeCache(cacheMaxBytes, 60 * 60 * 1000), onProgress, logger } = {}) => {
+    const targets = {
+        ptt: ptt && { ...exports.DEFAULT_MEDIA_TRANSCODING.ptt, ...ptt },
+        sticker: sticker && { ...exports.DEFAULT_MEDIA_TRANSCODING.sticker, ...sticker },
+        video: video && { ...exports.DEFAULT_MEDIA_TRANSCODING.video, ...video }
+    };
+    const transcoders = {
+        ptt: transcodeToOpus,
+        sticker: transcodeToSticker,
+        video: transcodeToMp4
+    };
+    const transcode = async (target, media, { metadata, animated, fetchOpts } = {}) => {
+        const options = { ...targets[target], ffmpegPath };
+        if (target === 'sticker') {
+            options.metadata = metadata || options.metadata;
+            options.animated = animated;
+        }
+        const { path, sha256 } = await saveToTmpFile(media, fetchOpts);
+        try {
+            const cacheKey = `${target}:${sha256}:${JSON.stringify(options)}`;
+            const cached = cache.get(cacheKey);
+            if (cached) {
+                logger === null || logger === void 0 ? void 0 : logger.debug({ target, sha256 }, 'got transcoded media cache hit');
+                onProgress === null || onProgress === void 0 ? void 0 : onProgress({ target, sha256, progress: 1, cached: true });
+                return cached;
+            }
+            onProgress === null || onProgress === void 0 ? void 0 : onProgress({ target, sha256, progress: 0, cached: false });
+            const result = await transcoders[target](path, {
+                ...options,
+                onProgress: onProgress && (progress => onProgress({ target, sha256, progress, cached: false }))
+            });
+            logger === null || logger === void 0 ? void 0 : logger.debug({ target, sha256, bytes: result.media.length }, 'transcoded media');
+            onProgress === null || onProgress === void 0 ? void 0 : onProgress({ target, sha256, progress: 1, cached: false });
+            cache.set(cacheKey, result);
+            return result;
+        }
+        finally {
+            await removeFiles(path);
+        }
+    };
+    return {
+        transcode,
+        /**
+         * transcodes the media of an outgoing message, if it needs it
+         * @returns the fields to override in the message, undefined if left as is
+         */
+        async transcodeForMessage(mediaType, uploadData, fetchOpts) {
+            const target = getTranscodeTarget(mediaType, uploadData);
+            if (!target || !targets[target]) {
+                return undefined;
+            }
+            return transcode(target, uploadData.media, {
+                metadata: uploadData.stickerMetadata,
+                animated: uploadData.isAnimated,
+                fetchOpts
+            });
+        }
+    };
+};
+exports.makeMediaTranscoder = makeMediaTranscoder;
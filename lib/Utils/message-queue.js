@@ -0,0 +1,416 @@
+/**
+ * Coadă persistentă pentru mesajele trimise de @borutowaileys/library
+ * Acest modul păstrează mesajele în așteptare pe disc, respectă rate limiting-ul,
+ * reîncearcă erorile temporare și reia trimiterea după reconectare sau repornire
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { BufferJSON, generateMessageID } = require('./generics');
+
+/**
+ * Stările prin care trece un mesaj din coadă
+ * @enum {string}
+ */
+const MessageState = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  SERVER_ACK: 'server-ack',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Ordinea stărilor, ca o confirmare întârziată să nu suprascrie una mai nouă
+const STATE_ORDER = [
+  MessageState.QUEUED,
+  MessageState.SENDING,
+  MessageState.SENT,
+  MessageState.SERVER_ACK,
+  MessageState.DELIVERED,
+  MessageState.READ
+];
+
+// proto.WebMessageInfo.Status -> starea din coadă
+const STATUS_TO_STATE = {
+  2: MessageState.SERVER_ACK,
+  3: MessageState.DELIVERED,
+  4: MessageState.READ,
+  5: MessageState.READ
+};
+
+// Coduri Boom după care merită să reîncercăm: conexiune închisă/pierdută, erori de server, restart
+const TRANSIENT_STATUS_CODES = [408, 428, 429, 440, 500, 502, 503, 504, 515];
+
+class MessageQueue extends EventEmitter {
+  /**
+   * Creează o nouă coadă de mesaje
+   * @param {Object} sock Instanța socket-ului WhatsApp
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string} options.storagePath Fișierul în care se salvează coada (implicit fără persistență)
+   * @param {Object} options.rateLimiter Instanță RateLimiter respectată înainte de fiecare trimitere (opțional)
+   * @param {number} options.maxRetries Numărul maxim de reîncercări pentru erori temporare (implicit 5)
+   * @param {number} options.retryDelay Întârzierea inițială între reîncercări în milisecunde, dublată la fiecare încercare (implicit 2000)
+   * @param {number} options.keepCompleted Câte mesaje finalizate se păstrează pentru interogarea stării (implicit 1000)
+   */
+  constructor(sock, options = {}) {
+    super();
+    this.sock = sock;
+    this.storagePath = options.storagePath || null;
+    this.rateLimiter = options.rateLimiter || null;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.retryDelay = options.retryDelay || 2000;
+    this.keepCompleted = options.keepCompleted ?? 1000;
+
+    this.entries = new Map();
+    this.isOpen = false;
+    this.isProcessing = false;
+    this.retryTimer = null;
+    this.writeChain = Promise.resolve();
+
+    this.loadFromFile();
+    this.bindEvents();
+  }
+
+  /**
+   * Ascultă evenimentele socket-ului pentru conexiune și confirmări
+   * @private
+   */
+  bindEvents() {
+    this.sock.ev.on('connection.update', ({ connection }) => {
+      if (connection === 'open') {
+        this.isOpen = true;
+        this.startProcessing();
+      } else if (connection === 'close') {
+        this.isOpen = false;
+      }
+    });
+
+    this.sock.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates) {
+        const state = STATUS_TO_STATE[update?.status];
+        if (key?.fromMe && state) {
+          this.advance(key.id, state);
+        }
+      }
+    });
+
+    // Confirmările din grupuri vin per participant
+    this.sock.ev.on('message-receipt.update', (updates) => {
+      for (const { key, receipt } of updates) {
+        if (receipt.readTimestamp || receipt.playedTimestamp) {
+          this.advance(key.id, MessageState.READ);
+        } else if (receipt.receiptTimestamp) {
+          this.advance(key.id, MessageState.DELIVERED);
+        }
+      }
+    });
+  }
+
+  /**
+   * Adaugă un mesaj în coadă
+   * @param {string} jid Destinatarul
+   * @param {Object} content Conținutul mesajului (la fel ca pentru sendMessage)
+   * @param {Object} options Opțiuni pentru sendMessage
+   * @returns {Promise<string>} ID-ul mesajului, folosit și ca ID-ul mesajului WhatsApp
+   */
+  async enqueue(jid, content, options = {}) {
+    const id = options.messageId || generateMessageID();
+    const entry = {
+      id,
+      jid,
+      content,
+      options: { ...options, messageId: id },
+      state: MessageState.QUEUED,
+      attempts: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      error: undefined
+    };
+    this.entries.set(id, entry);
+    await this.save();
+    this.emit('status', { id, jid, state: entry.state });
+    this.startProcessing();
+    return id;
+  }
+
+  /**
+   * Procesează mesajele în așteptare, câte unul, cât timp conexiunea e deschisă
+   * @private
+   */
+  async process() {
+    if (this.isProcessing || !this.isOpen) return;
+    this.isProcessing = true;
+    try {
+      let entry;
+      while (this.isOpen && (entry = this.nextPending())) {
+        await this.waitForRateLimit(entry.jid);
+        if (!this.isOpen) break;
+        if (entry.state === MessageState.CANCELLED) continue;
+        await this.sendEntry(entry);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Pornește procesarea fără a o aștepta (din evenimente și timere), logând erorile ca save()
+   * @private
+   */
+  startProcessing() {
+    this.process().catch(error => {
+      console.error('Eroare la procesarea cozii de mesaje:', error);
+    });
+  }
+
+  /**
+   * Trimite un mesaj și tratează erorile
+   * @param {Object} entry Mesajul din coadă
+   * @private
+   */
+  async sendEntry(entry) {
+    entry.attempts++;
+    this.setState(entry, MessageState.SENDING);
+    try {
+      await this.sock.sendMessage(entry.jid, entry.content, entry.options);
+      entry.error = undefined;
+      // O confirmare poate sosi înainte ca sendMessage să se termine; nu o suprascriem
+      if (STATE_ORDER.indexOf(entry.state) < STATE_ORDER.indexOf(MessageState.SENT)) {
+        this.setState(entry, MessageState.SENT);
+      }
+    } catch (error) {
+      entry.error = error.message;
+      const statusCode = error?.output?.statusCode;
+      if (isTransientError(error) && entry.attempts <= this.maxRetries) {
+        // Așteptăm cu backoff exponențial înainte să reîncercăm mesajul
+        entry.nextAttemptAt = Date.now() + this.retryDelay * Math.pow(2, entry.attempts - 1);
+        this.setState(entry, MessageState.QUEUED, true);
+        this.scheduleRetry(entry.nextAttemptAt);
+        // Dacă socket-ul s-a închis, așteptăm evenimentul 'open'
+        if (statusCode === 428 || statusCode === 408) this.isOpen = false;
+      } else {
+        this.setState(entry, MessageState.FAILED);
+        this.emit('failed', { id: entry.id, jid: entry.jid, error });
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Așteaptă până când rate limiter-ul permite trimiterea către jid
+   * @param {string} jid Destinatarul
+   * @private
+   */
+  async waitForRateLimit(jid) {
+    if (!this.rateLimiter) return;
+    await this.rateLimiter.acquire(jid);
+  }
+
+  /**
+   * Programează reluarea procesării pentru o reîncercare
+   * @param {number} at Momentul reîncercării (timestamp)
+   * @private
+   */
+  scheduleRetry(at) {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.startProcessing();
+    }, Math.max(at - Date.now(), 0));
+  }
+
+  /**
+   * Găsește următorul mesaj care poate fi trimis acum
+   * @returns {Object|undefined} Mesajul sau undefined dacă nu există
+   * @private
+   */
+  nextPending() {
+    const now = Date.now();
+    let nextRetry;
+    for (const entry of this.entries.values()) {
+      if (entry.state !== MessageState.QUEUED) continue;
+      if (!entry.nextAttemptAt || entry.nextAttemptAt <= now) return entry;
+      nextRetry = Math.min(nextRetry ?? Infinity, entry.nextAttemptAt);
+    }
+    if (nextRetry && !this.retryTimer) this.scheduleRetry(nextRetry);
+    return undefined;
+  }
+
+  /**
+   * Actualizează starea unui mesaj dintr-o confirmare, doar dacă starea e mai nouă
+   * @param {string} id ID-ul mesajului
+   * @param {string} state Noua stare
+   * @private
+   */
+  advance(id, state) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    if (STATE_ORDER.indexOf(state) <= STATE_ORDER.indexOf(entry.state)) return;
+    this.setState(entry, state);
+    this.save();
+  }
+
+  /**
+   * Setează starea unui mesaj și notifică ascultătorii
+   * @param {Object} entry Mesajul
+   * @param {string} state Noua stare
+   * @param {boolean} isRetry True dacă mesajul revine în coadă pentru reîncercare
+   * @private
+   */
+  setState(entry, state, isRetry = false) {
+    entry.state = state;
+    entry.updatedAt = Date.now();
+    if (state !== MessageState.QUEUED) delete entry.nextAttemptAt;
+    this.emit('status', { id: entry.id, jid: entry.jid, state, attempts: entry.attempts, error: entry.error, isRetry });
+    this.pruneCompleted();
+  }
+
+  /**
+   * Elimină cele mai vechi mesaje finalizate peste limita keepCompleted
+   * @private
+   */
+  pruneCompleted() {
+    const completed = [...this.entries.values()].filter(e => !isPending(e));
+    const excess = completed.length - this.keepCompleted;
+    for (let i = 0; i < excess; i++) {
+      this.entries.delete(completed[i].id);
+    }
+  }
+
+  /**
+   * Obține starea unui mesaj
+   * @param {string} id ID-ul mesajului
+   * @returns {Object|null} Starea, numărul de încercări și ultima eroare, sau null dacă nu există
+   */
+  getStatus(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    const { state, attempts, error, createdAt, updatedAt, jid } = entry;
+    return { id, jid, state, attempts, error, createdAt, updatedAt };
+  }
+
+  /**
+   * Obține mesajele care nu au fost încă trimise
+   * @returns {Array} Lista de mesaje în așteptare
+   */
+  getPending() {
+    return [...this.entries.values()].filter(isPending).map(e => this.getStatus(e.id));
+  }
+
+  /**
+   * Anulează un mesaj care nu a fost încă trimis
+   * @param {string} id ID-ul mesajului
+   * @returns {Promise<boolean>} True dacă s-a anulat, false dacă nu există sau a fost deja trimis
+   */
+  async cancel(id) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.state !== MessageState.QUEUED) return false;
+    this.setState(entry, MessageState.CANCELLED);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Repune în coadă un mesaj eșuat
+   * @param {string} id ID-ul mesajului
+   * @returns {Promise<boolean>} True dacă mesajul a fost repus în coadă
+   */
+  async retry(id) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.state !== MessageState.FAILED) return false;
+    entry.attempts = 0;
+    this.setState(entry, MessageState.QUEUED);
+    await this.save();
+    this.startProcessing();
+    return true;
+  }
+
+  /**
+   * Pornește procesarea manual, pentru cozile create după ce conexiunea era deja deschisă
+   */
+  start() {
+    this.isOpen = true;
+    this.startProcessing();
+  }
+
+  /**
+   * Oprește procesarea și salvează coada
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isOpen = false;
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    await this.save();
+  }
+
+  /**
+   * Salvează coada pe disc (scriere atomică prin fișier temporar + rename)
+   * @returns {Promise<void>}
+   * @private
+   */
+  save() {
+    if (!this.storagePath) return Promise.resolve();
+    const data = JSON.stringify([...this.entries.values()], BufferJSON.replacer);
+    this.writeChain = this.writeChain.then(async () => {
+      const tmpPath = `${this.storagePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.storagePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, this.storagePath);
+    }).catch(error => {
+      console.error('Eroare la salvarea cozii de mesaje:', error);
+    });
+    return this.writeChain;
+  }
+
+  /**
+   * Încarcă coada de pe disc; mesajele rămase în trimitere la oprire revin în coadă
+   * @private
+   */
+  loadFromFile() {
+    if (!this.storagePath || !fs.existsSync(this.storagePath)) return;
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'), BufferJSON.reviver);
+      for (const entry of entries) {
+        if (entry.state === MessageState.SENDING) {
+          // Nu știm dacă a ajuns la server; îl retrimitem cu același ID, deci fără duplicate
+          entry.state = MessageState.QUEUED;
+        }
+        this.entries.set(entry.id, entry);
+      }
+    } catch (error) {
+      console.error('Eroare la încărcarea cozii de mesaje:', error);
+    }
+  }
+}
+
+/**
+ * Verifică dacă un mesaj așteaptă încă să fie trimis
+ * @param {Object} entry Mesajul
+ * @returns {boolean}
+ */
+function isPending(entry) {
+  return entry.state === MessageState.QUEUED || entry.state === MessageState.SENDING;
+}
+
+/**
+ * Verifică dacă o eroare este temporară și merită reîncercată
+ * @param {Error} error Eroarea
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const statusCode = error?.output?.statusCode;
+  if (!error?.isBoom) {
+    // Erori de rețea (ECONNRESET, ETIMEDOUT etc.)
+    return typeof error?.code === 'string';
+  }
+  return TRANSIENT_STATUS_CODES.includes(statusCode);
+}
+
+// Exportăm clasa pentru a fi utilizată în alte module
+module.exports = MessageQueue;
+module.exports.MessageState = MessageState;
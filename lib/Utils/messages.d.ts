@@ -6,6 +6,7 @@ import { proto } from '../../WAProto';
 import { AnyMediaMessageContent, AnyMessageContent, MediaGenerationOptions, MessageContentGenerationOptions, MessageGenerationOptions, MessageGenerationOptionsFromContent, MessageUserReceipt, WAMessage, WAMessageContent, WAProto } from '../Types';
 import { ILogger } from './logger';
 import { MediaDownloadOptions } from './messages-media';
+import { SocketMetrics } from './metrics';
 /**
  * Uses a regex to test whether the string contains a URL, and returns the URL if it does.
  * @param text eg. hello https://google.com
@@ -68,6 +69,8 @@ export declare const aggregateMessageKeysNotFromMe: (keys: proto.IMessageKey[])
 type DownloadMediaMessageContext = {
     reuploadRequest: (msg: WAMessage) => Promise<WAMessage>;
     logger: ILogger;
+    /** if provided, the downloaded bytes are counted, eg. `sock.metrics` */
+    metrics?: SocketMetrics;
 };
 /**
  * Downloads the given message. Throws an error if it's not a media message
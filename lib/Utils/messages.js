@@ -8,6 +8,7 @@ const boom_1 = require("@hapi/boom");
 const axios_1 = __importDefault(require("axios"));
 const crypto_1 = require("crypto");
 const fs_1 = require("fs");
+const stream_1 = require("stream");
 const WAProto_1 = require("../../WAProto");
 const Defaults_1 = require("../Defaults");
 const Types_1 = require("../Types");
@@ -15,6 +16,7 @@ const WABinary_1 = require("../WABinary");
 const crypto_2 = require("./crypto");
 const generics_1 = require("./generics");
 const messages_media_1 = require("./messages-media");
+const metrics_1 = require("./metrics");
 const MIMETYPE_MAP = {
     image: 'image/jpeg',
     video: 'video/mp4',
@@ -80,6 +82,9 @@ const prepareWAMessageMedia = async (message, options) => {
         media: message[mediaType]
     };
     delete uploadData[mediaType];
+    // only used by the transcoder
+    const { stickerMetadata } = uploadData;
+    delete uploadData.stickerMetadata;
     // check if cacheable + generate cache key
     const cacheableKey = typeof uploadData.media === 'object' &&
         ('url' in uploadData.media) &&
@@ -104,6 +109,13 @@ const prepareWAMessageMedia = async (message, options) => {
             return obj;
         }
     }
+    if (options.mediaTranscoder) {
+        const transcoded = await options.mediaTranscoder.transcodeForMessage(mediaType, { ...uploadData, stickerMetadata }, options.options);
+        if (transcoded) {
+            Object.assign(uploadData, (0, generics_1.trimUndefined)({ ...transcoded }));
+            logger === null || logger === void 0 ? void 0 : logger.debug({ mediaType, mimetype: uploadData.mimetype }, 'transcoded media');
+        }
+    }
     const requiresDurationComputation = mediaType === 'audio' && typeof uploadData.seconds === 'undefined';
     const requiresThumbnailComputation = (mediaType === 'image' || mediaType === 'video') &&
         (typeof uploadData['jpegThumbnail'] === 'undefined');
@@ -732,7 +744,11 @@ const downloadMediaMessage = async (message, type, options, ctx) => {
         else {
             download = media;
         }
-        const stream = await (0, messages_media_1.downloadContentFromMessage)(download, mediaType, options);
+        let stream = await (0, messages_media_1.downloadContentFromMessage)(download, mediaType, options);
+        if (ctx === null || ctx === void 0 ? void 0 : ctx.metrics) {
+            const counter = (0, metrics_1.makeByteCounter)(bytes => ctx.metrics.mediaDownloadBytes.inc({ media_type: mediaType }, bytes));
+            stream = (0, stream_1.pipeline)(stream, counter, () => { });
+        }
         if (type === 'buffer') {
             const bufferArray = [];
             for await (const chunk of stream) {
@@ -0,0 +1,112 @@
+/// <reference types="node" />
+import { Transform } from 'stream';
+/** histogram buckets (in seconds) used for latencies */
+export declare const DEFAULT_LATENCY_BUCKETS: number[];
+/** histogram buckets used for counts, like the number of events in a flush */
+export declare const DEFAULT_SIZE_BUCKETS: number[];
+/** content type of the Prometheus text exposition format */
+export declare const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+export type MetricLabels = {
+    [label: string]: string | number | boolean | undefined;
+};
+export type MetricOptions = {
+    name: string;
+    help: string;
+    labelNames?: string[];
+};
+export type Counter = {
+    inc(value?: number): void;
+    inc(labels: MetricLabels, value?: number): void;
+    get(labels?: MetricLabels): number;
+};
+export type Gauge = {
+    set(value: number): void;
+    set(labels: MetricLabels, value: number): void;
+    inc(value?: number): void;
+    inc(labels: MetricLabels, value?: number): void;
+    dec(value?: number): void;
+    dec(labels: MetricLabels, value?: number): void;
+    get(labels?: MetricLabels): number;
+};
+export type HistogramValue = {
+    /** cumulative count of observations per bucket */
+    buckets: number[];
+    sum: number;
+    count: number;
+};
+export type Histogram = {
+    observe(value: number): void;
+    observe(labels: MetricLabels, value: number): void;
+    /** starts timing, call the returned function to observe the elapsed seconds */
+    startTimer(labels?: MetricLabels): (extraLabels?: MetricLabels) => number;
+    get(labels?: MetricLabels): HistogramValue;
+};
+export type MetricsSnapshot = {
+    [name: string]: {
+        type: 'counter' | 'gauge' | 'histogram';
+        help: string;
+        values: {
+            labels: {
+                [label: string]: string;
+            };
+            value: number | {
+                buckets: {
+                    [le: string]: number;
+                };
+                sum: number;
+                count: number;
+            };
+        }[];
+    };
+};
+export type MetricsRegistry = {
+    counter(opts: MetricOptions): Counter;
+    gauge(opts: MetricOptions): Gauge;
+    histogram(opts: MetricOptions & {
+        buckets?: number[];
+    }): Histogram;
+    /** exports all metrics in the Prometheus text exposition format */
+    toPrometheus(): string;
+    /** exports all metrics as a JSON serializable snapshot */
+    toJSON(): MetricsSnapshot;
+    /** resets all samples, keeping the registered metrics */
+    reset(): void;
+};
+/**
+ * creates a registry of counters, gauges & histograms,
+ * that can be exported in the Prometheus text format or as a JSON snapshot
+ * @param prefix prefix added to every metric name
+ * @param labels labels added to every exported sample, eg. the session ID
+ */
+export declare const makeMetricsRegistry: ({ prefix, labels }?: {
+    prefix?: string;
+    labels?: MetricLabels;
+}) => MetricsRegistry;
+export type SocketMetrics = {
+    registry: MetricsRegistry;
+    messagesSent: Counter;
+    messagesReceived: Counter;
+    relayMessageDuration: Histogram;
+    relayMessageErrors: Counter;
+    decryptFailures: Counter;
+    retryRequests: Counter;
+    spamDropped: Counter;
+    reconnectAttempts: Counter;
+    preKeysOnServer: Gauge;
+    preKeysUploaded: Counter;
+    mediaUploadBytes: Counter;
+    mediaDownloadBytes: Counter;
+    eventBufferFlushSize: Histogram;
+    toPrometheus(): string;
+    toJSON(): MetricsSnapshot;
+};
+/**
+ * registers the metrics tracked by a socket
+ * @param registry registry to register the metrics in, a new one prefixed with "baileys_" is created if not provided
+ */
+export declare const makeSocketMetrics: (registry?: MetricsRegistry) => SocketMetrics;
+/**
+ * creates a pass-through stream that reports the number of bytes flowing through it
+ * @param onEnd called with the total once the stream finishes or is destroyed
+ */
+export declare const makeByteCounter: (onEnd: (bytes: number) => void) => Transform;
@@ -0,0 +1,296 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.makeByteCounter = exports.makeSocketMetrics = exports.makeMetricsRegistry = exports.PROMETHEUS_CONTENT_TYPE = exports.DEFAULT_SIZE_BUCKETS = exports.DEFAULT_LATENCY_BUCKETS = void 0;
+const stream_1 = require("stream");
+/** histogram buckets (in seconds) used for latencies */
+exports.DEFAULT_LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+/** histogram buckets used for counts, like the number of events in a flush */
+exports.DEFAULT_SIZE_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+/** content type of the Prometheus text exposition format */
+exports.PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const escapeLabelValue = (value) => (String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"'));
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (!entries.length) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+const formatNumber = (value) => {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+};
+/**
+ * creates a registry of counters, gauges & histograms,
+ * that can be exported in the Prometheus text format or as a JSON snapshot
+ * @param prefix prefix added to every metric name
+ * @param labels labels added to every exported sample, eg. the session ID
+ */
+const makeMetricsRegistry = ({ prefix = '', labels: defaultLabels = {} } = {}) => {
+    const metrics = new Map();
+    const define = (type, { name, help, labelNames = [], buckets }, makeValue) => {
+        const fullName = prefix + name;
+        const existing = metrics.get(fullName);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`metric "${fullName}" is already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+        const metric = {
+            type,
+            name: fullName,
+            help,
+            labelNames,
+            buckets: buckets ? [...buckets].sort((a, b) => a - b) : undefined,
+            values: new Map()
+        };
+        /** finds (or creates) the sample for the given labels */
+        metric.sample = (labels = {}) => {
+            const key = labelNames.map(label => { var _a; return (_a = labels[label]) !== null && _a !== void 0 ? _a : ''; }).join('\u0000');
+            let sample = metric.values.get(key);
+            if (!sample) {
+                const sampleLabels = {};
+                for (const label of labelNames) {
+                    if (labels[label] !== undefined) {
+                        sampleLabels[label] = String(labels[label]);
+                    }
+                }
+                sample = { labels: sampleLabels, value: makeValue(metric) };
+                metric.values.set(key, sample);
+            }
+            return sample;
+        };
+        metrics.set(fullName, metric);
+        return metric;
+    };
+    // allows calling inc(5) as well as inc({ type: 'text' }, 5)
+    const parseArgs = (labelsOrValue, value) => (typeof labelsOrValue === 'number'
+        ? { labels: {}, value: labelsOrValue }
+        : { labels: labelsOrValue || {}, value });
+    return {
+        counter(opts) {
+            const metric = define('counter', opts, () => 0);
+            return {
+                inc(labelsOrValue, value) {
+                    const args = parseArgs(labelsOrValue, value);
+                    const amount = args.value === undefined ? 1 : args.value;
+                    if (amount < 0) {
+                        throw new Error(`counter "${metric.name}" cannot be decreased`);
+                    }
+                    metric.sample(args.labels).value += amount;
+                },
+                get: (labels) => metric.sample(labels).value
+            };
+        },
+        gauge(opts) {
+            const metric = define('gauge', opts, () => 0);
+            return {
+                set(labelsOrValue, value) {
+                    const args = parseArgs(labelsOrValue, value);
+                    metric.sample(args.labels).value = args.value;
+                },
+                inc(labelsOrValue, value) {
+                    const args = parseArgs(labelsOrValue, value);
+                    metric.sample(args.labels).value += args.value === undefined ? 1 : args.value;
+                },
+                dec(labelsOrValue, value) {
+                    const args = parseArgs(labelsOrValue, value);
+                    metric.sample(args.labels).value -= args.value === undefined ? 1 : args.value;
+                },
+                get: (labels) => metric.sample(labels).value
+            };
+        },
+        histogram(opts) {
+            const metric = define('histogram', { buckets: exports.DEFAULT_LATENCY_BUCKETS, ...opts }, ({ buckets }) => ({
+                buckets: buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            }));
+            const observe = (labelsOrValue, value) => {
+                const args = parseArgs(labelsOrValue, value);
+                const sample = metric.sample(args.labels).value;
+                for (let i = 0; i < metric.buckets.length; i++) {
+                    if (args.value <= metric.buckets[i]) {
+                        sample.buckets[i] += 1;
+                    }
+                }
+                sample.sum += args.value;
+                sample.count += 1;
+            };
+            return {
+                observe,
+                /** starts timing, call the returned function to observe the elapsed seconds */
+                startTimer(labels = {}) {
+                    const start = process.hrtime.bigint();
+                    return (extraLabels = {}) => {
+                        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                        observe({ ...labels, ...extraLabels }, seconds);
+                        return seconds;
+                    };
+                },
+                get: (labels) => ({ ...metric.sample(labels).value })
+            };
+        },
+        /** exports all metrics in the Prometheus text exposition format */
+        toPrometheus() {
+            const lines = [];
+            for (const metric of metrics.values()) {
+                lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                for (const { labels, value } of metric.values.values()) {
+                    const allLabels = { ...defaultLabels, ...labels };
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(allLabels)} ${formatNumber(value)}`);
+                        continue;
+                    }
+                    metric.buckets.forEach((le, i) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...allLabels, le: formatNumber(le) })} ${value.buckets[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...allLabels, le: '+Inf' })} ${value.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(allLabels)} ${value.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(allLabels)} ${value.count}`);
+                }
+            }
+            return lines.join('\n') + '\n';
+        },
+        /** exports all metrics as a JSON serializable snapshot */
+        toJSON() {
+            const snapshot = {};
+            for (const metric of metrics.values()) {
+                snapshot[metric.name] = {
+                    type: metric.type,
+                    help: metric.help,
+                    values: [...metric.values.values()].map(({ labels, value }) => ({
+                        labels: { ...defaultLabels, ...labels },
+                        value: metric.type === 'histogram'
+                            ? {
+                                buckets: Object.fromEntries(metric.buckets.map((le, i) => [formatNumber(le), value.buckets[i]])),
+                                sum: value.sum,
+                                count: value.count
+                            }
+                            : value
+                    }))
+                };
+            }
+            return snapshot;
+        },
+        /** resets all samples, keeping the registered metrics */
+        reset() {
+            for (const metric of metrics.values()) {
+                metric.values.clear();
+            }
+        }
+    };
+};
+exports.makeMetricsRegistry = makeMetricsRegistry;
+/**
+ * registers the metrics tracked by a socket
+ * @param registry registry to register the metrics in, a new one prefixed with "baileys_" is created if not provided
+ */
+const makeSocketMetrics = (registry = (0, exports.makeMetricsRegistry)({ prefix: 'baileys_' })) => {
+    return {
+        registry,
+        messagesSent: registry.counter({
+            name: 'messages_sent_total',
+            help: 'Messages relayed to WhatsApp, by content type',
+            labelNames: ['type']
+        }),
+        messagesReceived: registry.counter({
+            name: 'messages_received_total',
+            help: 'Messages received & decrypted, by content type',
+            labelNames: ['type']
+        }),
+        relayMessageDuration: registry.histogram({
+            name: 'relay_message_duration_seconds',
+            help: 'Time taken to encrypt & relay a message, by content type',
+            labelNames: ['type']
+        }),
+        relayMessageErrors: registry.counter({
+            name: 'relay_message_errors_total',
+            help: 'Messages that failed to relay, by content type',
+            labelNames: ['type']
+        }),
+        decryptFailures: registry.counter({
+            name: 'decrypt_failures_total',
+            help: 'Messages that could not be decrypted'
+        }),
+        retryRequests: registry.counter({
+            name: 'retry_requests_total',
+            help: 'Retry receipts sent to ask the sender to resend a message'
+        }),
+        spamDropped: registry.counter({
+            name: 'spam_dropped_messages_total',
+            help: 'Incoming messages dropped by spam protection, by rule',
+            labelNames: ['rule']
+        }),
+        reconnectAttempts: registry.counter({
+            name: 'reconnect_attempts_total',
+            help: 'Reconnection attempts, by result',
+            labelNames: ['result']
+        }),
+        preKeysOnServer: registry.gauge({
+            name: 'prekeys_on_server',
+            help: 'Pre-keys available on the server, as of the last check'
+        }),
+        preKeysUploaded: registry.counter({
+            name: 'prekeys_uploaded_total',
+            help: 'Pre-keys uploaded to the server'
+        }),
+        mediaUploadBytes: registry.counter({
+            name: 'media_upload_bytes_total',
+            help: 'Encrypted media bytes uploaded, by media type',
+            labelNames: ['media_type']
+        }),
+        mediaDownloadBytes: registry.counter({
+            name: 'media_download_bytes_total',
+            help: 'Decrypted media bytes downloaded, by media type',
+            labelNames: ['media_type']
+        }),
+        eventBufferFlushSize: registry.histogram({
+            name: 'event_buffer_flush_size',
+            help: 'Number of consolidated events released per event buffer flush',
+            buckets: exports.DEFAULT_SIZE_BUCKETS
+        }),
+        toPrometheus: () => registry.toPrometheus(),
+        toJSON: () => registry.toJSON()
+    };
+};
+exports.makeSocketMetrics = makeSocketMetrics;
+/**
+ * creates a pass-through stream that reports the number of bytes flowing through it
+ * @param onEnd called with the total once the stream finishes or is destroyed
+ */
+const makeByteCounter = (onEnd) => {
+    let bytes = 0;
+    let reported = false;
+    const report = () => {
+        if (!reported) {
+            reported = true;
+            onEnd(bytes);
+        }
+    };
+    return new stream_1.Transform({
+        transform(chunk, _, callback) {
+            bytes += chunk.length;
+            callback(null, chunk);
+        },
+        flush(callback) {
+            report();
+            callback();
+        },
+        destroy(error, callback) {
+            report();
+            callback(error);
+        }
+    });
+};
+exports.makeByteCounter = makeByteCounter;
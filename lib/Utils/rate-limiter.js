@@ -3,83 +3,519 @@
  * Acest modul gestionează limitarea numărului de cereri pentru a preveni blocarea de către WhatsApp
  */
 
+const { makeMutex } = require('./make-mutex');
+
+/**
+ * Algoritmii de limitare disponibili. Fiecare primește starea curentă (sau undefined)
+ * și calculează dacă o cerere de un anumit cost încape, fără să modifice starea primită.
+ */
+const ALGORITHMS = {
+  // Fereastră fixă: cel mult maxRequests de la începutul ferestrei curente
+  'fixed-window': {
+    evaluate(state, cost, now, tier) {
+      const fresh = !state || now - state.timestamp > tier.timeWindow;
+      const current = fresh ? { requests: 0, timestamp: now } : state;
+      const allowed = current.requests + cost <= tier.maxRequests;
+      return {
+        allowed,
+        state: allowed ? { requests: current.requests + cost, timestamp: current.timestamp } : current,
+        remaining: tier.maxRequests - current.requests,
+        resetIn: fresh ? 0 : Math.max(tier.timeWindow - (now - current.timestamp), 0),
+        retryAfter: allowed ? 0 : Math.max(tier.timeWindow - (now - current.timestamp), 0)
+      };
+    },
+    idleTime: tier => tier.timeWindow
+  },
+
+  // Fereastră glisantă: cel mult maxRequests în ultimele timeWindow milisecunde
+  'sliding-window': {
+    evaluate(state, cost, now, tier) {
+      const log = (state?.log || []).filter(([timestamp]) => now - timestamp < tier.timeWindow);
+      const used = log.reduce((sum, [, weight]) => sum + weight, 0);
+      const allowed = used + cost <= tier.maxRequests;
+
+      // Cât trebuie să așteptăm până expiră destule cereri vechi pentru costul cerut
+      let retryAfter = 0;
+      if (!allowed) {
+        let freed = tier.maxRequests - used;
+        for (const [timestamp, weight] of log) {
+          freed += weight;
+          if (freed >= cost) {
+            retryAfter = tier.timeWindow - (now - timestamp);
+            break;
+          }
+        }
+      }
+
+      return {
+        allowed,
+        state: { log: allowed ? [...log, [now, cost]] : log },
+        remaining: tier.maxRequests - used,
+        resetIn: log.length ? tier.timeWindow - (now - log[0][0]) : 0,
+        retryAfter
+      };
+    },
+    idleTime: tier => tier.timeWindow
+  },
+
+  // Token bucket: maxRequests jetoane reumplute pe parcursul timeWindow, cu rafale de până la burst
+  'token-bucket': {
+    evaluate(state, cost, now, tier) {
+      const capacity = tier.burst || tier.maxRequests;
+      const rate = tier.maxRequests / tier.timeWindow;
+      const tokens = state
+        ? Math.min(capacity, state.tokens + (now - state.timestamp) * rate)
+        : capacity;
+      const allowed = tokens >= cost;
+      return {
+        allowed,
+        state: { tokens: allowed ? tokens - cost : tokens, timestamp: now },
+        remaining: Math.floor(tokens),
+        resetIn: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / rate),
+        retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / rate)
+      };
+    },
+    idleTime: tier => Math.ceil((tier.burst || tier.maxRequests) / (tier.maxRequests / tier.timeWindow))
+  }
+};
+
+// De câte ori reîncercăm o cerere când alt proces a modificat starea între citire și scriere
+const MAX_COMMIT_ATTEMPTS = 10;
+
+/**
+ * Backend de stocare implicit, în memorie, cu eliminarea intrărilor inactive.
+ * Un backend partajat (de exemplu Redis) trebuie să implementeze aceleași metode;
+ * acestea pot returna valori sau Promise-uri. compareAndSet trebuie să fie atomică
+ * (în Redis, de exemplu, un script Lua care compară valoarea serializată).
+ */
+class MemoryStorage {
+  /**
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {number} options.cleanupInterval Intervalul de curățare a intrărilor expirate în milisecunde (implicit 60000)
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), options.cleanupInterval || 60000);
+    // Nu ținem procesul pornit doar pentru curățare
+    this.cleanupTimer.unref?.();
+  }
+
+  /**
+   * Obține starea unei chei
+   * @param {string} key Cheia
+   * @returns {Object|undefined} Starea sau undefined dacă nu există ori a expirat
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Salvează starea unei chei
+   * @param {string} key Cheia
+   * @param {Object} value Starea
+   * @param {number} ttl După câte milisecunde de inactivitate poate fi eliminată
+   */
+  set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  /**
+   * Salvează starea unei chei doar dacă nu a fost modificată de la citire
+   * @param {string} key Cheia
+   * @param {Object|undefined} expected Starea citită cu get (undefined dacă cheia nu exista)
+   * @param {Object|undefined} value Noua stare; undefined șterge cheia
+   * @param {number} ttl După câte milisecunde de inactivitate poate fi eliminată
+   * @returns {boolean} True dacă starea a fost salvată
+   */
+  compareAndSet(key, expected, value, ttl) {
+    if (this.get(key) !== expected) return false;
+    if (value === undefined) {
+      this.delete(key);
+    } else {
+      this.set(key, value, ttl);
+    }
+    return true;
+  }
+
+  /**
+   * Șterge o cheie
+   * @param {string} key Cheia
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Șterge toate cheile
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Elimină intrările inactive
+   * @returns {number} Numărul de intrări eliminate
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Oprește curățarea periodică
+   */
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
 class RateLimiter {
   /**
    * Creează o nouă instanță de rate limiter
    * @param {Object} options Opțiuni pentru configurare
    * @param {number} options.maxRequests Numărul maxim de cereri într-o fereastră de timp (implicit 10)
    * @param {number} options.timeWindow Fereastra de timp în milisecunde (implicit 60000 - 1 minut)
+   * @param {string} options.algorithm Algoritmul: 'fixed-window', 'sliding-window' sau 'token-bucket' (implicit 'fixed-window')
+   * @param {number} options.burst Capacitatea maximă pentru 'token-bucket' (implicit maxRequests)
+   * @param {Object} options.tiers Niveluri suplimentare, de forma { nume: { maxRequests, timeWindow, algorithm, burst } }
+   * @param {Object} options.storage Backend de stocare (implicit MemoryStorage), partajabil între procese; trebuie să aibă compareAndSet
+   * @param {number} options.cleanupInterval Intervalul de eliminare a intrărilor inactive în milisecunde (implicit 60000)
    */
   constructor(options = {}) {
-    this.limits = {};
     this.maxRequests = options.maxRequests || 10;
     this.timeWindow = options.timeWindow || 60000; // 1 minut în ms
+    this.storage = options.storage || new MemoryStorage({ cleanupInterval: options.cleanupInterval });
+    // Fără o scriere atomică, două procese pot consuma același loc
+    if (typeof this.storage.compareAndSet !== 'function') {
+      throw new Error('Backend-ul de stocare trebuie să implementeze compareAndSet(key, expected, value, ttl)');
+    }
+
+    this.tiers = {};
+    this.tiers.default = this.normalizeTier({
+      maxRequests: this.maxRequests,
+      timeWindow: this.timeWindow,
+      algorithm: options.algorithm,
+      burst: options.burst
+    });
+    for (const [name, tier] of Object.entries(options.tiers || {})) {
+      this.tiers[name] = this.normalizeTier(tier);
+    }
+
+    this.waiters = new Map();
+    this.storageMutex = makeMutex();
   }
 
   /**
-   * Verifică dacă se poate face o cerere pentru un ID specificat
-   * @param {string} id Identificatorul unic pentru limitare (exemplu: jid sau chatId)
-   * @returns {boolean} True dacă cererea este permisă, false dacă a depășit limita
+   * Validează și completează configurația unui nivel
+   * @param {Object} tier Configurația nivelului
+   * @returns {Object} Configurația completă
+   * @private
+   */
+  normalizeTier(tier) {
+    const algorithm = tier.algorithm || 'fixed-window';
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(`Algoritm de rate limiting necunoscut: ${algorithm}`);
+    }
+    return {
+      algorithm,
+      maxRequests: tier.maxRequests || this.maxRequests,
+      timeWindow: tier.timeWindow || this.timeWindow,
+      burst: tier.burst
+    };
+  }
+
+  /**
+   * Transformă un identificator în perechi [nivel, id]
+   * @param {string|Object} id Un ID pentru nivelul implicit, sau un obiect { nivel: id } pentru mai multe niveluri
+   * @returns {Array<[string, string]>} Perechile de verificat
+   * @private
    */
-  canMakeRequest(id) {
+  resolveTiers(id) {
+    const pairs = typeof id === 'object' && id !== null ? Object.entries(id) : [['default', id]];
+    for (const [name] of pairs) {
+      if (!this.tiers[name]) {
+        throw new Error(`Nivel de rate limiting necunoscut: ${name}`);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Evaluează o cerere pe toate nivelurile; cererea trece doar dacă încape în toate
+   * @param {Array<[string, string]>} pairs Perechile [nivel, id]
+   * @param {Array<Object>} states Stările curente, în aceeași ordine
+   * @param {number} cost Costul cererii
+   * @returns {Object} Rezultatul combinat și stările noi
+   * @private
+   */
+  evaluate(pairs, states, cost) {
     const now = Date.now();
-    if (!this.limits[id]) {
-      this.limits[id] = { requests: 1, timestamp: now };
-      return true;
+    const results = pairs.map(([name], i) => {
+      const tier = this.tiers[name];
+      return ALGORITHMS[tier.algorithm].evaluate(states[i], cost, now, tier);
+    });
+    return {
+      allowed: results.every(r => r.allowed),
+      retryAfter: Math.max(...results.map(r => r.retryAfter)),
+      remaining: Math.min(...results.map(r => r.remaining)),
+      resetIn: Math.max(...results.map(r => r.resetIn)),
+      states: results.map(r => r.state)
+    };
+  }
+
+  /**
+   * Citește sincron starea unei chei; disponibil doar cu un backend sincron
+   * @param {string} key Cheia
+   * @returns {Object|undefined} Starea
+   * @private
+   */
+  getSync(key) {
+    const state = this.storage.get(key);
+    if (typeof state?.then === 'function') {
+      throw new Error('Backend-ul de stocare este asincron; folosiți acquire() sau tryAcquire()');
+    }
+    return state;
+  }
+
+  /**
+   * Verifică dacă se poate face o cerere pentru un ID specificat și o consumă
+   * @param {string|Object} id Identificatorul unic pentru limitare (exemplu: jid sau chatId), sau { nivel: id }
+   * @param {number} cost Costul cererii (implicit 1)
+   * @returns {boolean} True dacă cererea este permisă, false dacă a depășit limita
+   */
+  canMakeRequest(id, cost = 1) {
+    const pairs = this.resolveTiers(id);
+    for (let attempt = 1; ; attempt++) {
+      const states = pairs.map(([name, key]) => this.getSync(`${name}:${key}`));
+      const result = this.evaluate(pairs, states, cost);
+      if (!result.allowed) return false;
+
+      const written = [];
+      const committed = pairs.every(([name, key], i) => {
+        const stored = this.storage.compareAndSet(`${name}:${key}`, states[i], result.states[i], this.getIdleTime(name));
+        if (stored) written.push(i);
+        return stored;
+      });
+      if (committed) return true;
+
+      // Alt proces a modificat un nivel între timp; dăm înapoi ce am consumat pe celelalte
+      for (const i of written) {
+        const [name, key] = pairs[i];
+        this.storage.compareAndSet(`${name}:${key}`, result.states[i], states[i], this.getIdleTime(name));
+      }
+      if (attempt >= MAX_COMMIT_ATTEMPTS) return false;
+    }
+  }
+
+  /**
+   * Încearcă să consume o cerere fără să aștepte; funcționează și cu backend-uri asincrone
+   * @param {string|Object} id Identificatorul unic, sau { nivel: id }
+   * @param {number} cost Costul cererii (implicit 1)
+   * @returns {Promise<{allowed: boolean, retryAfter: number, remaining: number}>} Rezultatul încercării
+   */
+  async tryAcquire(id, cost = 1) {
+    const pairs = this.resolveTiers(id);
+    return this.storageMutex.mutex(async () => {
+      for (let attempt = 1; ; attempt++) {
+        const states = await Promise.all(pairs.map(([name, key]) => this.storage.get(`${name}:${key}`)));
+        const result = this.evaluate(pairs, states, cost);
+        if (result.allowed && !(await this.commit(pairs, states, result.states))) {
+          if (attempt < MAX_COMMIT_ATTEMPTS) continue;
+          // Prea multă concurență pe aceeași cheie; apelantul poate reîncerca
+          return { allowed: false, retryAfter: 1, remaining: 0 };
+        }
+        return {
+          allowed: result.allowed,
+          retryAfter: result.retryAfter,
+          remaining: result.allowed ? result.remaining - cost : result.remaining
+        };
+      }
+    });
+  }
+
+  /**
+   * Salvează atomic stările noi ale tuturor nivelurilor, doar dacă niciun alt proces nu le-a modificat
+   * @param {Array<[string, string]>} pairs Perechile [nivel, id]
+   * @param {Array<Object>} states Stările citite
+   * @param {Array<Object>} newStates Stările noi, în aceeași ordine
+   * @returns {Promise<boolean>} True dacă toate stările au fost salvate
+   * @private
+   */
+  async commit(pairs, states, newStates) {
+    const written = [];
+    for (const [i, [name, key]] of pairs.entries()) {
+      if (!(await this.storage.compareAndSet(`${name}:${key}`, states[i], newStates[i], this.getIdleTime(name)))) {
+        // Dăm înapoi ce am consumat pe nivelurile deja scrise; dacă nu reușim, limita rămâne doar mai strictă
+        for (const j of written) {
+          const [writtenName, writtenKey] = pairs[j];
+          await this.storage.compareAndSet(`${writtenName}:${writtenKey}`, newStates[j], states[j], this.getIdleTime(writtenName));
+        }
+        return false;
+      }
+      written.push(i);
     }
+    return true;
+  }
 
-    const record = this.limits[id];
-    if (now - record.timestamp > this.timeWindow) {
-      record.requests = 1;
-      record.timestamp = now;
-      return true;
+  /**
+   * Așteaptă până când cererea încape în limite și o consumă.
+   * Apelanții pentru același identificator sunt serviți în ordinea sosirii.
+   * @param {string|Object} id Identificatorul unic, sau { nivel: id } pentru mai multe niveluri
+   * @param {number} cost Costul cererii (implicit 1)
+   * @param {Object} options Opțiuni suplimentare
+   * @param {number} options.timeout Timpul maxim de așteptare în milisecunde (implicit nelimitat)
+   * @returns {Promise<void>} Se rezolvă când cererea a fost permisă
+   */
+  acquire(id, cost = 1, options = {}) {
+    const pairs = this.resolveTiers(id);
+    for (const [name] of pairs) {
+      const tier = this.tiers[name];
+      const capacity = tier.algorithm === 'token-bucket' ? (tier.burst || tier.maxRequests) : tier.maxRequests;
+      if (cost > capacity) {
+        return Promise.reject(new Error(`Costul ${cost} depășește capacitatea nivelului ${name} (${capacity})`));
+      }
     }
 
-    if (record.requests < this.maxRequests) {
-      record.requests++;
-      return true;
+    const queueKey = JSON.stringify(pairs);
+    return new Promise((resolve, reject) => {
+      let queue = this.waiters.get(queueKey);
+      if (!queue) {
+        queue = { items: [], running: false };
+        this.waiters.set(queueKey, queue);
+      }
+
+      const waiter = { id, cost, resolve, reject };
+      if (options.timeout) {
+        waiter.timer = setTimeout(() => {
+          queue.items.splice(queue.items.indexOf(waiter), 1);
+          reject(new Error(`Timpul de așteptare pentru rate limit a expirat după ${options.timeout}ms`));
+        }, options.timeout);
+      }
+      queue.items.push(waiter);
+      this.drain(queueKey, queue);
+    });
+  }
+
+  /**
+   * Servește, în ordine, apelanții care așteaptă pentru același identificator
+   * @param {string} queueKey Cheia cozii de așteptare
+   * @param {Object} queue Coada de așteptare
+   * @private
+   */
+  async drain(queueKey, queue) {
+    if (queue.running) return;
+    queue.running = true;
+    try {
+      while (queue.items.length) {
+        const waiter = queue.items[0];
+        let result;
+        try {
+          result = await this.tryAcquire(waiter.id, waiter.cost);
+        } catch (error) {
+          this.removeWaiter(queue, waiter);
+          waiter.reject(error);
+          continue;
+        }
+
+        if (result.allowed) {
+          this.removeWaiter(queue, waiter);
+          waiter.resolve();
+        } else {
+          await new Promise(r => setTimeout(r, Math.max(result.retryAfter, 1)));
+        }
+      }
+    } finally {
+      queue.running = false;
+      if (!queue.items.length) this.waiters.delete(queueKey);
     }
+  }
 
-    return false;
+  /**
+   * Scoate un apelant din coada de așteptare
+   * @param {Object} queue Coada de așteptare
+   * @param {Object} waiter Apelantul
+   * @private
+   */
+  removeWaiter(queue, waiter) {
+    clearTimeout(waiter.timer);
+    const index = queue.items.indexOf(waiter);
+    if (index !== -1) queue.items.splice(index, 1);
   }
 
   /**
-   * Obține timpul rămas până când se resetează limita pentru un ID
-   * @param {string} id Identificatorul unic
+   * Obține timpul după care starea unui nivel poate fi eliminată fără pierderi
+   * @param {string} name Numele nivelului
+   * @returns {number} Timpul în milisecunde
+   * @private
+   */
+  getIdleTime(name) {
+    const tier = this.tiers[name];
+    return ALGORITHMS[tier.algorithm].idleTime(tier);
+  }
+
+  /**
+   * Obține timpul rămas până când se eliberează din nou capacitate pentru un ID
+   * @param {string|Object} id Identificatorul unic, sau { nivel: id }
    * @returns {number} Timpul rămas în milisecunde
    */
   getRemainingTime(id) {
-    if (!this.limits[id]) return 0;
-    const remaining = this.timeWindow - (Date.now() - this.limits[id].timestamp);
-    return remaining > 0 ? remaining : 0;
+    const pairs = this.resolveTiers(id);
+    const states = pairs.map(([name, key]) => this.getSync(`${name}:${key}`));
+    return this.evaluate(pairs, states, 1).resetIn;
   }
 
   /**
    * Obține numărul de cereri rămase pentru un ID
-   * @param {string} id Identificatorul unic
+   * @param {string|Object} id Identificatorul unic, sau { nivel: id }
    * @returns {number} Numărul de cereri rămase
    */
   getRemainingRequests(id) {
-    if (!this.limits[id]) return this.maxRequests;
-    if (Date.now() - this.limits[id].timestamp > this.timeWindow) return this.maxRequests;
-    return this.maxRequests - this.limits[id].requests;
+    const pairs = this.resolveTiers(id);
+    const states = pairs.map(([name, key]) => this.getSync(`${name}:${key}`));
+    return this.evaluate(pairs, states, 1).remaining;
   }
 
   /**
    * Resetează limitele pentru un ID specific
-   * @param {string} id Identificatorul unic de resetat
+   * @param {string|Object} id Identificatorul unic de resetat, sau { nivel: id }
+   * @returns {Promise<void>|void}
    */
   resetLimits(id) {
-    delete this.limits[id];
+    const results = this.resolveTiers(id).map(([name, key]) => this.storage.delete(`${name}:${key}`));
+    if (results.some(r => typeof r?.then === 'function')) {
+      return Promise.all(results).then(() => undefined);
+    }
   }
 
   /**
    * Resetează toate limitele
+   * @returns {Promise<void>|void}
    */
   resetAllLimits() {
-    this.limits = {};
+    return this.storage.clear();
+  }
+
+  /**
+   * Oprește curățarea periodică a backend-ului de stocare
+   */
+  close() {
+    this.storage.close?.();
   }
 }
 
 // Exportăm clasa pentru a fi utilizată în alte module
-module.exports = RateLimiter;
\ No newline at end of file
+module.exports = RateLimiter;
+module.exports.MemoryStorage = MemoryStorage;
@@ -0,0 +1,536 @@
+/**
+ * Planificator persistent pentru @borutowaileys/library
+ * Acest modul rulează mesaje și acțiuni programate (o singură dată sau recurent, în format cron),
+ * le păstrează pe disc între reporniri și le execută doar când socket-ul este conectat
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BufferJSON } = require('./generics');
+
+// setTimeout acceptă cel mult 2^31-1 ms (~24.8 zile); peste această valoare timer-ul se declanșează imediat
+const MAX_TIMER_DELAY = 2147483647;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Parsează o expresie cron cu 5 câmpuri (minut oră zi lună zi-a-săptămânii) sau un macro (@daily etc.)
+ * @param {string} expression Expresia cron
+ * @returns {Object} Valorile permise pentru fiecare câmp
+ */
+function parseCron(expression) {
+  const source = CRON_MACROS[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Expresie cron invalidă: ${expression}`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    const values = new Set();
+    for (const item of parts[i].split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText ? Number(stepText) : 1;
+      let [start, end] = range === '*'
+        ? [field.min, field.name === 'weekday' ? 6 : field.max]
+        : range.split('-').map(v => parseCronValue(v, field));
+      if (end === undefined) end = stepText ? field.max : start;
+      if (!Number.isInteger(step) || step < 1 || start < field.min || end > field.max || start > end) {
+        throw new Error(`Valoare invalidă pentru ${field.name} în expresia cron: ${expression}`);
+      }
+      for (let v = start; v <= end; v += step) {
+        // Duminica poate fi scrisă ca 0 sau 7
+        values.add(field.name === 'weekday' && v === 7 ? 0 : v);
+      }
+    }
+    cron[field.name] = values;
+    cron[`${field.name}Restricted`] = parts[i] !== '*';
+  });
+  return cron;
+}
+
+/**
+ * Convertește o valoare dintr-un câmp cron (număr sau nume)
+ * @private
+ */
+function parseCronValue(value, field) {
+  const index = field.names?.indexOf(value.toLowerCase());
+  if (index >= 0) return field.name === 'month' ? index + 1 : index;
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new Error(`Valoare invalidă pentru ${field.name}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Calculează diferența dintre ora locală a unui fus orar și UTC la un moment dat
+ * @param {number} timestamp Momentul (ms)
+ * @param {string} timezone Fusul orar IANA (ex. 'Europe/Bucharest')
+ * @returns {number} Diferența în milisecunde
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  if (!timezone) return -new Date(timestamp).getTimezoneOffset() * 60000;
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    parts[type] = Number(value);
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convertește o oră locală dintr-un fus orar în timestamp
+ * @param {number} wallClock Ora locală, reprezentată ca timestamp UTC
+ * @param {string} timezone Fusul orar
+ * @returns {number} Timestamp-ul real
+ */
+function wallClockToTimestamp(wallClock, timezone) {
+  // Două iterații acoperă schimbarea orei de vară între ora estimată și cea reală
+  let timestamp = wallClock - getTimezoneOffset(wallClock, timezone);
+  timestamp = wallClock - getTimezoneOffset(timestamp, timezone);
+  return timestamp;
+}
+
+/**
+ * Calculează următoarea execuție a unei expresii cron după un moment dat
+ * @param {string|Object} expression Expresia cron sau rezultatul parseCron
+ * @param {number} after Momentul de după care se caută (ms)
+ * @param {string} timezone Fusul orar în care se interpretează expresia (implicit cel al procesului)
+ * @returns {number|null} Timestamp-ul următoarei execuții, sau null dacă nu există în următorii 5 ani
+ */
+function getNextCronDate(expression, after, timezone) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  // Lucrăm pe ora locală, stocată într-un Date UTC, ca să folosim aritmetica de calendar a lui Date
+  const date = new Date(after + getTimezoneOffset(after, timezone));
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = date.getTime() + 5 * 366 * 86400000;
+
+  while (date.getTime() < limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    // Ca în cron clasic: dacă ambele câmpuri de zi sunt restricționate, ajunge să se potrivească unul
+    const dayMatch = cron.day.has(date.getUTCDate());
+    const weekdayMatch = cron.weekday.has(date.getUTCDay());
+    const matchesDay = cron.dayRestricted && cron.weekdayRestricted
+      ? dayMatch || weekdayMatch
+      : dayMatch && weekdayMatch;
+    if (!matchesDay) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    const timestamp = wallClockToTimestamp(date.getTime(), timezone);
+    // La trecerea la ora de iarnă, aceeași oră locală se repetă; nu o returnăm din nou
+    if (timestamp > after) return timestamp;
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+  }
+  return null;
+}
+
+/**
+ * Verifică dacă socket-ul este deja conectat și autentificat
+ * @param {Object} sock Instanța socket-ului WhatsApp
+ * @returns {boolean} True dacă socket-ul a trecut deja de evenimentul 'open'
+ * @private
+ */
+function isSocketOpen(sock) {
+  return !!(sock.ws?.isOpen && sock.user?.id);
+}
+
+/**
+ * Convertește momentul unei execuții unice în timestamp
+ * @param {Date|number|string} at Date, timestamp, sau oră locală 'YYYY-MM-DD HH:mm[:ss]' interpretată în `timezone`
+ * @param {string} timezone Fusul orar pentru ora locală
+ * @returns {number} Timestamp-ul
+ */
+function resolveRunAt(at, timezone) {
+  if (at instanceof Date) return at.getTime();
+  if (typeof at === 'number') return at;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(at);
+  if (match) {
+    const [, y, mo, d, h, mi, s = 0] = match.map(Number);
+    return wallClockToTimestamp(Date.UTC(y, mo - 1, d, h, mi, s), timezone);
+  }
+  const timestamp = Date.parse(at);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Dată invalidă: ${at}`);
+  }
+  return timestamp;
+}
+
+class Scheduler extends EventEmitter {
+  /**
+   * Creează un nou planificator
+   * @param {Object} sock Instanța socket-ului WhatsApp
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string} options.storagePath Fișierul în care se salvează sarcinile (implicit fără persistență)
+   * @param {string} options.timezone Fusul orar implicit pentru cron și orele locale (implicit cel al procesului)
+   * @param {string} options.catchUp Ce facem cu execuțiile ratate: 'once' (o dată), 'all' (fiecare), 'skip' (implicit 'once')
+   * @param {number} options.catchUpWindow Execuțiile ratate mai vechi de atât (ms) sunt ignorate (implicit nelimitat)
+   * @param {number} options.grace Întârzierea tolerată (ms) până când o execuție este considerată ratată (implicit 60000)
+   */
+  constructor(sock, options = {}) {
+    super();
+    this.sock = sock;
+    this.storagePath = options.storagePath || null;
+    this.timezone = options.timezone || undefined;
+    this.catchUp = options.catchUp || 'once';
+    this.catchUpWindow = options.catchUpWindow || Infinity;
+    this.grace = options.grace ?? 60000;
+
+    this.jobs = new Map();
+    this.handlers = new Map();
+    this.isOpen = false;
+    this.isRunning = false;
+    this.timer = null;
+    this.writeChain = Promise.resolve();
+
+    this.registerHandler('message', (job) => this.sock.sendMessage(job.jid, job.content, job.options));
+
+    this.loadFromFile();
+    this.sock.ev.on('connection.update', ({ connection }) => {
+      if (connection === 'open') {
+        this.isOpen = true;
+        this.tick();
+      } else if (connection === 'close') {
+        this.isOpen = false;
+      }
+    });
+    // Evenimentul 'open' a fost deja emis pentru un socket conectat înainte de crearea planificatorului
+    if (isSocketOpen(sock)) {
+      this.start();
+    }
+  }
+
+  /**
+   * Înregistrează funcția care execută un tip de sarcină
+   * @param {string} type Tipul sarcinii
+   * @param {Function} handler Funcția (job, sock) => Promise
+   * @returns {Scheduler} Planificatorul, pentru chaining
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Programează o sarcină
+   * @param {Object} job Definiția sarcinii
+   * @param {string} job.type Tipul sarcinii (implicit 'message')
+   * @param {string} job.jid Destinatarul
+   * @param {Object} job.content Conținutul mesajului, pentru tipul 'message'
+   * @param {Object} job.options Opțiuni pentru sendMessage
+   * @param {Date|number|string} job.at Momentul unei execuții unice
+   * @param {string} job.cron Expresia cron pentru sarcini recurente
+   * @param {string} job.timezone Fusul orar al sarcinii
+   * @param {string} job.catchUp Regula pentru execuțiile ratate ('once', 'all', 'skip')
+   * @param {number} job.maxRuns Numărul maxim de execuții pentru sarcinile recurente
+   * @param {Date|number|string} job.endAt După acest moment sarcina recurentă se oprește
+   * @param {Object} job.data Date suplimentare pentru handler
+   * @returns {Promise<string>} ID-ul sarcinii
+   */
+  async schedule(job) {
+    const timezone = job.timezone || this.timezone;
+    if (!job.at && !job.cron) {
+      throw new Error('Sarcina necesită `at` sau `cron`');
+    }
+    const type = job.type || 'message';
+    if (!this.handlers.has(type)) {
+      throw new Error(`Nu există un handler pentru sarcinile de tip ${type}`);
+    }
+
+    const now = Date.now();
+    const runAt = job.cron
+      ? getNextCronDate(parseCron(job.cron), now, timezone)
+      : resolveRunAt(job.at, timezone);
+    if (!job.cron && runAt <= now) {
+      throw new Error('Momentul programat a trecut deja');
+    }
+
+    const entry = {
+      id: job.id || crypto.randomUUID(),
+      type,
+      jid: job.jid,
+      content: job.content,
+      options: job.options,
+      data: job.data,
+      cron: job.cron,
+      timezone,
+      catchUp: job.catchUp || this.catchUp,
+      maxRuns: job.maxRuns,
+      endAt: job.endAt ? resolveRunAt(job.endAt, timezone) : undefined,
+      runAt,
+      runCount: 0,
+      status: 'scheduled',
+      createdAt: now
+    };
+    this.jobs.set(entry.id, entry);
+    await this.save();
+    this.tick();
+    return entry.id;
+  }
+
+  /**
+   * Programează un mesaj
+   * @param {string} jid Destinatarul
+   * @param {Object} content Conținutul mesajului
+   * @param {Object} when { at } pentru o trimitere unică sau { cron } pentru una recurentă, plus timezone, catchUp etc.
+   * @param {Object} options Opțiuni pentru sendMessage
+   * @returns {Promise<string>} ID-ul sarcinii
+   */
+  scheduleMessage(jid, content, when, options) {
+    return this.schedule({ ...when, type: 'message', jid, content, options });
+  }
+
+  /**
+   * Anulează o sarcină
+   * @param {string} id ID-ul sarcinii
+   * @returns {Promise<boolean>} True dacă sarcina exista și era activă
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'scheduled') return false;
+    job.status = 'cancelled';
+    this.jobs.delete(id);
+    await this.save();
+    this.emit('cancel', job);
+    return true;
+  }
+
+  /**
+   * Obține o sarcină după ID
+   * @param {string} id ID-ul sarcinii
+   * @returns {Object|null} Sarcina sau null dacă nu există
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Obține sarcinile active
+   * @param {Object} filter Filtre opționale: { type, jid }
+   * @returns {Array} Lista de sarcini, ordonată după următoarea execuție
+   */
+  list(filter = {}) {
+    return [...this.jobs.values()]
+      .filter(job => (!filter.type || job.type === filter.type) && (!filter.jid || job.jid === filter.jid))
+      .sort((a, b) => a.runAt - b.runAt);
+  }
+
+  /**
+   * Pornește execuția manual, de exemplu pentru un socket a cărui stare nu poate fi citită
+   */
+  start() {
+    this.isOpen = true;
+    this.tick();
+  }
+
+  /**
+   * Oprește execuția și salvează sarcinile
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isOpen = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.save();
+  }
+
+  /**
+   * Rulează sarcinile scadente și programează timer-ul pentru următoarea
+   * @private
+   */
+  async tick() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.isOpen || this.isRunning) return;
+
+    this.isRunning = true;
+    try {
+      const now = Date.now();
+      for (const job of this.list()) {
+        if (job.runAt > now) break;
+        if (!this.isOpen) break;
+        // O sarcină defectă nu trebuie să le oprească pe celelalte și nici timer-ul
+        try {
+          await this.runDue(job, now);
+        } catch (error) {
+          console.error(`Eroare la rularea sarcinii programate ${job.id}:`, error);
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    const next = this.list()[0];
+    if (next && this.isOpen) {
+      // Pentru întârzieri foarte mari ne trezim mai devreme și recalculăm
+      const delay = Math.min(Math.max(next.runAt - Date.now(), 0), MAX_TIMER_DELAY);
+      this.timer = setTimeout(() => this.tick(), delay);
+    }
+  }
+
+  /**
+   * Execută o sarcină scadentă, aplicând regula pentru execuțiile ratate
+   * @param {Object} job Sarcina
+   * @param {number} now Momentul curent
+   * @private
+   */
+  async runDue(job, now) {
+    const missed = now - job.runAt > this.grace;
+    let runs = 1;
+
+    if (missed) {
+      const tooOld = now - job.runAt > this.catchUpWindow;
+      if (job.catchUp === 'skip' || tooOld) {
+        runs = 0;
+      } else if (job.catchUp === 'all' && job.cron) {
+        runs = this.countMissedRuns(job, now);
+      }
+      if (!runs) this.emit('missed', job);
+    }
+
+    try {
+      for (let i = 0; i < runs; i++) {
+        await this.execute(job);
+      }
+    } finally {
+      await this.advance(job, now);
+    }
+  }
+
+  /**
+   * Numără execuțiile recurente ratate până acum (limitat, ca să nu trimitem la nesfârșit după o pauză lungă)
+   * @private
+   */
+  countMissedRuns(job, now) {
+    let count = 0;
+    let runAt = job.runAt;
+    while (runAt && runAt <= now && count < 100) {
+      if (now - runAt <= this.catchUpWindow) count++;
+      runAt = getNextCronDate(job.cron, runAt, job.timezone);
+    }
+    return count;
+  }
+
+  /**
+   * Execută o sarcină o dată
+   * @param {Object} job Sarcina
+   * @private
+   */
+  async execute(job) {
+    try {
+      await this.handlers.get(job.type)(job, this.sock);
+      job.runCount++;
+      job.lastRunAt = Date.now();
+      delete job.lastError;
+      this.emit('run', job);
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Eroare la executarea sarcinii programate ${job.id}:`, error);
+      // Nu folosim 'error': fără ascultători, EventEmitter l-ar arunca și ar opri planificatorul
+      this.emit('failed', { job, error });
+      if (!job.cron) job.status = 'failed';
+    }
+  }
+
+  /**
+   * Calculează următoarea execuție sau încheie sarcina
+   * @param {Object} job Sarcina
+   * @param {number} now Momentul curent
+   * @private
+   */
+  async advance(job, now) {
+    const next = job.cron ? getNextCronDate(job.cron, now, job.timezone) : null;
+    const finished = !next
+      || (job.maxRuns && job.runCount >= job.maxRuns)
+      || (job.endAt && next > job.endAt);
+
+    if (finished) {
+      if (job.status === 'scheduled') job.status = 'completed';
+      this.jobs.delete(job.id);
+      this.emit('done', job);
+    } else {
+      job.runAt = next;
+    }
+    await this.save();
+  }
+
+  /**
+   * Salvează sarcinile pe disc (scriere atomică prin fișier temporar + rename)
+   * @returns {Promise<void>}
+   * @private
+   */
+  save() {
+    if (!this.storagePath) return Promise.resolve();
+    const data = JSON.stringify([...this.jobs.values()], BufferJSON.replacer);
+    this.writeChain = this.writeChain.then(async () => {
+      const tmpPath = `${this.storagePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.storagePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, this.storagePath);
+    }).catch(error => {
+      console.error('Eroare la salvarea sarcinilor programate:', error);
+    });
+    return this.writeChain;
+  }
+
+  /**
+   * Încarcă sarcinile salvate anterior
+   * @private
+   */
+  loadFromFile() {
+    if (!this.storagePath || !fs.existsSync(this.storagePath)) return;
+    try {
+      const jobs = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'), BufferJSON.reviver);
+      for (const job of jobs) {
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      console.error('Eroare la încărcarea sarcinilor programate:', error);
+    }
+  }
+}
+
+// Exportăm clasa pentru a fi utilizată în alte module
+module.exports = Scheduler;
+module.exports.parseCron = parseCron;
+module.exports.getNextCronDate = getNextCronDate;
@@ -0,0 +1,364 @@
+/**
+ * Manager de sesiuni multiple pentru @borutowaileys/library
+ * Acest modul pornește, oprește, restaurează și supraveghează mai multe conturi WhatsApp în același proces
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { DisconnectReason } = require('../Types');
+const { DEFAULT_CONNECTION_CONFIG } = require('../Defaults');
+const { useMultiFileAuthState } = require('./use-multi-file-auth-state');
+
+/**
+ * Stările unei sesiuni
+ * @enum {string}
+ */
+const SessionStatus = {
+  STARTING: 'starting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  STOPPED: 'stopped',
+  LOGGED_OUT: 'logged-out',
+  FAILED: 'failed'
+};
+
+// Stările în care sesiunea are un socket activ sau pe cale să se reconecteze
+const LIVE_STATUSES = [SessionStatus.STARTING, SessionStatus.OPEN, SessionStatus.RECONNECTING];
+
+// Deconectări după care o repornire nu ajută: sesiunea a fost închisă de utilizator sau preluată de alt client
+const FATAL_DISCONNECT_REASONS = [
+  DisconnectReason.loggedOut,
+  DisconnectReason.forbidden,
+  DisconnectReason.connectionReplaced,
+  DisconnectReason.multideviceMismatch
+];
+
+class SessionManager extends EventEmitter {
+  /**
+   * Creează un nou manager de sesiuni
+   * @param {Object} options Opțiuni pentru configurare
+   * @param {string} options.baseDir Directorul în care fiecare sesiune are propriul folder de autentificare (implicit './sessions')
+   * @param {Function} options.makeSocket Funcția care creează socket-ul (implicit makeWASocket; poate fi makeEnhancedWASocket)
+   * @param {Object|Function} options.socketOptions Opțiuni pentru socket, sau o funcție (sessionId) => opțiuni
+   * @param {Function} options.authState Funcție (sessionId, folder) => Promise<{ state, saveCreds }> (implicit useMultiFileAuthState)
+   * @param {Function} options.createStore Funcție (sessionId, logger) => store cu metoda bind(ev), păstrat între reporniri (opțional)
+   * @param {Object} options.logger Logger-ul pino de bază; fiecare sesiune primește un child cu { session: id }
+   * @param {number} options.maxRestarts Numărul maxim de reporniri consecutive fără o conexiune reușită (implicit 10)
+   * @param {number} options.restartDelay Întârzierea inițială între reporniri în milisecunde, dublată la fiecare încercare (implicit 1000)
+   * @param {number} options.maxRestartDelay Întârzierea maximă între reporniri în milisecunde (implicit 60000)
+   * @param {boolean} options.clearOnLogout Șterge folderul de autentificare când sesiunea este deconectată de pe telefon (implicit false)
+   */
+  constructor(options = {}) {
+    super();
+    this.baseDir = options.baseDir || './sessions';
+    this.makeSocket = options.makeSocket || require('../Socket').default;
+    this.socketOptions = options.socketOptions || {};
+    this.authState = options.authState || ((sessionId, folder) => useMultiFileAuthState(folder));
+    this.createStore = options.createStore || null;
+    this.logger = options.logger || DEFAULT_CONNECTION_CONFIG.logger;
+    this.maxRestarts = options.maxRestarts ?? 10;
+    this.restartDelay = options.restartDelay || 1000;
+    this.maxRestartDelay = options.maxRestartDelay || 60000;
+    this.clearOnLogout = options.clearOnLogout || false;
+
+    this.sessions = new Map();
+  }
+
+  /**
+   * Pornește o sesiune; dacă rulează deja, returnează socket-ul existent.
+   * O sesiune oprită, eșuată sau deconectată este pornită din nou
+   * @param {string} sessionId ID-ul sesiunii (folosit și ca nume de folder)
+   * @param {Object} socketOptions Opțiuni suplimentare pentru socket, doar pentru această sesiune
+   * @returns {Promise<Object>} Socket-ul sesiunii
+   */
+  async start(sessionId, socketOptions = {}) {
+    if (!/^[\w.-]+$/.test(sessionId)) {
+      throw new Error(`ID de sesiune invalid: ${sessionId}`);
+    }
+
+    const existing = this.sessions.get(sessionId);
+    if (existing && existing.sock && LIVE_STATUSES.includes(existing.status)) {
+      return existing.sock;
+    }
+
+    const logger = this.logger.child({ session: sessionId });
+    const session = existing || {
+      id: sessionId,
+      folder: path.join(this.baseDir, sessionId),
+      logger,
+      store: this.createStore ? this.createStore(sessionId, logger) : undefined,
+      socketOptions,
+      restarts: 0,
+      createdAt: Date.now()
+    };
+    session.socketOptions = { ...session.socketOptions, ...socketOptions };
+    // O pornire manuală primește din nou toate încercările de repornire
+    session.restarts = 0;
+    this.sessions.set(sessionId, session);
+
+    await this.connect(session);
+    return session.sock;
+  }
+
+  /**
+   * Creează socket-ul unei sesiuni și ascultă evenimentele lui
+   * @param {Object} session Sesiunea
+   * @private
+   */
+  async connect(session) {
+    this.setStatus(session, session.restarts ? SessionStatus.RECONNECTING : SessionStatus.STARTING);
+    const { state, saveCreds } = await this.authState(session.id, session.folder);
+    const baseOptions = typeof this.socketOptions === 'function'
+      ? this.socketOptions(session.id)
+      : this.socketOptions;
+
+    const sock = this.makeSocket({
+      // Repornirile sunt gestionate de manager, cu un socket nou
+      autoReconnect: false,
+      ...baseOptions,
+      ...session.socketOptions,
+      auth: state,
+      logger: session.logger
+    });
+
+    session.sock = sock;
+    session.stopping = false;
+    session.startedAt = Date.now();
+    session.store?.bind(sock.ev);
+
+    // ev.process nu prinde erorile handler-ului, așa că le logăm aici în loc să devină unhandled rejection
+    session.unsubscribe = sock.ev.process(async (events) => {
+      session.lastActivity = Date.now();
+      if (events['creds.update']) {
+        try {
+          await saveCreds();
+        } catch (err) {
+          // Conexiunea trebuie tratată în continuare, chiar dacă salvarea a eșuat
+          session.logger.error({ err }, 'nu s-au putut salva credențialele sesiunii');
+        }
+      }
+      try {
+        if (events['connection.update']) {
+          this.handleConnectionUpdate(session, sock, events['connection.update']);
+        }
+        for (const [event, data] of Object.entries(events)) {
+          this.emit('event', { sessionId: session.id, event, data });
+          this.emit(event, { sessionId: session.id, data });
+        }
+      } catch (err) {
+        session.logger.error({ err }, 'eroare la tratarea evenimentelor sesiunii');
+      }
+    });
+  }
+
+  /**
+   * Tratează schimbările de conexiune și decide dacă sesiunea trebuie repornită
+   * @param {Object} session Sesiunea
+   * @param {Object} sock Socket-ul care a emis evenimentul
+   * @param {Object} update Actualizarea conexiunii
+   * @private
+   */
+  handleConnectionUpdate(session, sock, update) {
+    // Evenimente întârziate de la un socket înlocuit deja
+    if (session.sock !== sock) return;
+
+    if (update.qr) {
+      session.qr = update.qr;
+    }
+    if (update.connection === 'open') {
+      session.restarts = 0;
+      delete session.qr;
+      this.setStatus(session, SessionStatus.OPEN);
+      return;
+    }
+    if (update.connection !== 'close' || session.stopping) return;
+
+    session.unsubscribe?.();
+    const error = update.lastDisconnect?.error;
+    const statusCode = error?.output?.statusCode;
+    session.lastDisconnect = { date: new Date(), statusCode, message: error?.message };
+
+    if (statusCode === DisconnectReason.loggedOut) {
+      session.logger.warn('sesiunea a fost deconectată de pe telefon');
+      this.setStatus(session, SessionStatus.LOGGED_OUT);
+      if (this.clearOnLogout) {
+        fs.promises.rm(session.folder, { recursive: true, force: true })
+          .catch(err => session.logger.error({ err }, 'nu s-a putut șterge folderul sesiunii'));
+      }
+      return;
+    }
+    if (FATAL_DISCONNECT_REASONS.includes(statusCode) || session.restarts >= this.maxRestarts) {
+      session.logger.error({ statusCode, restarts: session.restarts }, 'sesiunea nu va fi repornită');
+      this.setStatus(session, SessionStatus.FAILED);
+      return;
+    }
+
+    // restartRequired apare imediat după împerechere și cere o repornire fără întârziere
+    const delay = statusCode === DisconnectReason.restartRequired
+      ? 0
+      : Math.min(this.restartDelay * Math.pow(2, session.restarts), this.maxRestartDelay);
+    session.restarts++;
+    this.setStatus(session, SessionStatus.RECONNECTING);
+    session.logger.info({ statusCode, delay, attempt: session.restarts }, 'repornim sesiunea');
+    session.restartTimer = setTimeout(() => {
+      session.restartTimer = null;
+      this.connect(session).catch(err => {
+        session.logger.error({ err }, 'repornirea sesiunii a eșuat');
+        this.setStatus(session, SessionStatus.FAILED);
+      });
+    }, delay);
+  }
+
+  /**
+   * Setează starea unei sesiuni și notifică ascultătorii
+   * @param {Object} session Sesiunea
+   * @param {string} status Noua stare
+   * @private
+   */
+  setStatus(session, status) {
+    if (session.status === status) return;
+    session.status = status;
+    this.emit('session.status', { sessionId: session.id, status });
+  }
+
+  /**
+   * Oprește o sesiune, fără să o deconecteze de pe telefon (dacă nu se cere explicit)
+   * @param {string} sessionId ID-ul sesiunii
+   * @param {Object} options Opțiuni suplimentare
+   * @param {boolean} options.logout Deconectează dispozitivul de pe telefon (implicit false)
+   * @returns {Promise<boolean>} True dacă sesiunea exista
+   */
+  async stop(sessionId, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    session.stopping = true;
+    clearTimeout(session.restartTimer);
+    session.restartTimer = null;
+    try {
+      if (options.logout && session.status === SessionStatus.OPEN) {
+        await session.sock.logout();
+      } else {
+        session.sock?.end(undefined);
+      }
+    } catch (error) {
+      session.logger.error({ err: error }, 'eroare la oprirea sesiunii');
+    }
+    session.unsubscribe?.();
+    this.setStatus(session, options.logout ? SessionStatus.LOGGED_OUT : SessionStatus.STOPPED);
+    return true;
+  }
+
+  /**
+   * Oprește o sesiune, o deconectează de pe telefon și îi șterge folderul de autentificare
+   * @param {string} sessionId ID-ul sesiunii
+   * @returns {Promise<boolean>} True dacă sesiunea exista
+   */
+  async remove(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+    await this.stop(sessionId, { logout: true });
+    await fs.promises.rm(session.folder, { recursive: true, force: true });
+    this.sessions.delete(sessionId);
+    return true;
+  }
+
+  /**
+   * Pornește toate sesiunile salvate în baseDir (folderele cu un creds.json valid)
+   * @returns {Promise<string[]>} ID-urile sesiunilor pornite
+   */
+  async restore() {
+    if (!fs.existsSync(this.baseDir)) return [];
+    const entries = await fs.promises.readdir(this.baseDir, { withFileTypes: true });
+    const restored = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !(await this.hasCreds(path.join(this.baseDir, entry.name)))) continue;
+      try {
+        await this.start(entry.name);
+        restored.push(entry.name);
+      } catch (error) {
+        this.logger.error({ err: error, session: entry.name }, 'nu s-a putut restaura sesiunea');
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Verifică dacă un folder conține credențiale care pot fi citite.
+   * Un creds.json corupt ar fi înlocuit cu unul nou la pornire, pierzând sesiunea
+   * @param {string} folder Folderul de autentificare
+   * @returns {Promise<boolean>} False dacă creds.json lipsește sau e corupt
+   * @private
+   */
+  async hasCreds(folder) {
+    try {
+      const creds = JSON.parse(await fs.promises.readFile(path.join(folder, 'creds.json'), 'utf8'));
+      return !!creds && typeof creds === 'object';
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn({ err: error, folder }, 'creds.json nu poate fi citit, sesiunea nu este restaurată');
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Obține socket-ul unei sesiuni
+   * @param {string} sessionId ID-ul sesiunii
+   * @returns {Object|undefined} Socket-ul sau undefined dacă sesiunea nu există
+   */
+  get(sessionId) {
+    return this.sessions.get(sessionId)?.sock;
+  }
+
+  /**
+   * Obține store-ul unei sesiuni
+   * @param {string} sessionId ID-ul sesiunii
+   * @returns {Object|undefined} Store-ul sau undefined
+   */
+  getStore(sessionId) {
+    return this.sessions.get(sessionId)?.store;
+  }
+
+  /**
+   * Obține starea de sănătate a unei sesiuni
+   * @param {string} sessionId ID-ul sesiunii
+   * @returns {Object|null} Starea sesiunii sau null dacă nu există
+   */
+  health(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    return {
+      id: session.id,
+      status: session.status,
+      healthy: session.status === SessionStatus.OPEN && !!session.sock?.ws?.isOpen,
+      user: session.sock?.user || null,
+      qr: session.qr || null,
+      restarts: session.restarts,
+      lastDisconnect: session.lastDisconnect || null,
+      lastActivity: session.lastActivity || null,
+      startedAt: session.startedAt || null
+    };
+  }
+
+  /**
+   * Obține starea tuturor sesiunilor
+   * @returns {Array} Lista cu starea fiecărei sesiuni
+   */
+  list() {
+    return [...this.sessions.keys()].map(id => this.health(id));
+  }
+
+  /**
+   * Oprește toate sesiunile (fără deconectare de pe telefon)
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await Promise.all([...this.sessions.keys()].map(id => this.stop(id)));
+  }
+}
+
+// Exportăm clasa pentru a fi utilizată în alte module
+module.exports = SessionManager;
+module.exports.SessionStatus = SessionStatus;
@@ -0,0 +1,88 @@
+import { proto } from '../../WAProto';
+import { BinaryNode } from '../WABinary';
+/** matches links, with or without a scheme */
+export declare const LINK_REGEX: RegExp;
+/** matches WhatsApp group invite links */
+export declare const INVITE_LINK_REGEX: RegExp;
+/**
+ * - ignore: drop the message, it is acked but not emitted in `messages.upsert`
+ * - block: block the sender
+ * - remove: remove the sender from the group (requires admin rights)
+ * - warn: reply in the chat, mentioning the sender
+ */
+export type SpamAction = 'ignore' | 'block' | 'remove' | 'warn';
+export type SpamRule = {
+    /** hits allowed within the window, the rule is broken by the next one */
+    limit: number;
+    windowMs: number;
+    /** the rule is disabled without an action */
+    action?: SpamAction | SpamAction[];
+};
+export type SpamRuleName = 'senderFlood' | 'groupFlood' | 'duplicate' | 'link' | 'invite';
+export type SpamVerdict = {
+    rule: SpamRuleName;
+    /** hits within the window, including this message */
+    count: number;
+    limit: number;
+    windowMs: number;
+    actions: SpamAction[];
+    chat: string;
+    sender: string;
+    isGroup: boolean;
+    messageId: string;
+    /** content type of the repeated message, for the duplicate rule */
+    contentType?: keyof proto.IMessage;
+};
+export type SpamProtectionConfig = {
+    enabled?: boolean;
+    /** merged over the default rules, `false` disables a rule */
+    rules?: {
+        [R in SpamRuleName]?: Partial<SpamRule> | false;
+    };
+    /** actions against a sender are repeated at most once in this interval */
+    actionCooldownMs?: number;
+    /** jids the rules never apply to */
+    exempt?: string[] | ((jid: string) => boolean);
+    /** text of the `warn` action */
+    warnMessage?: (verdict: SpamVerdict) => string;
+};
+/**
+ * default rules -- the sender & group floods match the previous `floodThreshold`/`floodWindowMs` behaviour,
+ * the content rules are disabled until given an action
+ */
+export declare const DEFAULT_SPAM_PROTECTION: Required<Omit<SpamProtectionConfig, 'rules'>> & {
+    rules: {
+        [R in SpamRuleName]: SpamRule;
+    };
+};
+/** text of a message that the content rules look at */
+export declare const getSpamCheckText: (message: proto.IMessage | null | undefined) => string;
+export type SpamGuard = {
+    rules: {
+        [R in SpamRuleName]: SpamRule;
+    };
+    options: typeof DEFAULT_SPAM_PROTECTION;
+    /**
+     * checks the rate of an incoming message stanza, before it is decrypted
+     * @returns the first rule broken, if any
+     */
+    checkNode(node: BinaryNode): SpamVerdict | undefined;
+    /**
+     * checks the content of a decrypted message
+     * @returns the first rule broken, if any
+     */
+    checkMessage(msg: proto.IWebMessageInfo): SpamVerdict | undefined;
+    /**
+     * whether an action against a target should run now,
+     * marks it as taken so it is not repeated within the cooldown
+     */
+    shouldTakeAction(action: SpamAction, target: string): boolean;
+    /** forgets all recorded hits & actions */
+    reset(): void;
+};
+/**
+ * detects floods, repeated content & link/invite spam in incoming messages.
+ * Only detection lives here; the socket applies the actions
+ * @param config the `spamProtection` socket config, merged over the defaults
+ */
+export declare const makeSpamGuard: (config?: SpamProtectionConfig) => SpamGuard;
@@ -0,0 +1,218 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.makeSpamGuard = exports.getSpamCheckText = exports.DEFAULT_SPAM_PROTECTION = exports.INVITE_LINK_REGEX = exports.LINK_REGEX = void 0;
+const crypto_1 = require("crypto");
+const WABinary_1 = require("../WABinary");
+const messages_1 = require("./messages");
+/** matches links, with or without a scheme */
+exports.LINK_REGEX = /(?:https?:\/\/|www\.)\S+|\b(?:wa\.me|t\.me|bit\.ly|chat\.whatsapp\.com)\/\S+/i;
+/** matches WhatsApp group invite links */
+exports.INVITE_LINK_REGEX = /chat\.whatsapp\.com\/(?:invite\/)?[0-9A-Za-z]{20,24}/i;
+/**
+ * default rules -- the sender & group floods match the previous `floodThreshold`/`floodWindowMs` behaviour,
+ * the content rules are disabled until given an action
+ */
+exports.DEFAULT_SPAM_PROTECTION = {
+    enabled: true,
+    rules: {
+        /** messages from one sender, in any chat */
+        senderFlood: { limit: 50, windowMs: 10000, action: 'ignore' },
+        /** messages in one group, from all senders */
+        groupFlood: { limit: 50, windowMs: 10000, action: 'ignore' },
+        /** the same text or media sent repeatedly by one sender, possibly across chats */
+        duplicate: { limit: 3, windowMs: 60000, action: undefined },
+        /** messages containing links */
+        link: { limit: 3, windowMs: 60000, action: undefined },
+        /** WhatsApp group invites, as links or invite messages */
+        invite: { limit: 0, windowMs: 60000, action: undefined }
+    },
+    /** actions against a sender are repeated at most once in this interval */
+    actionCooldownMs: 60000,
+    /** jids the rules never apply to */
+    exempt: [],
+    warnMessage: ({ sender }) => `@${(0, WABinary_1.jidDecode)(sender).user} please stop spamming, further messages may get you removed.`
+};
+/** text of a message that the content rules look at */
+const getSpamCheckText = (message) => {
+    var _a, _b, _c, _d, _e;
+    const content = (0, messages_1.normalizeMessageContent)(message);
+    if (!content) {
+        return '';
+    }
+    return (content.conversation
+        || ((_a = content.extendedTextMessage) === null || _a === void 0 ? void 0 : _a.text)
+        || ((_b = content.imageMessage) === null || _b === void 0 ? void 0 : _b.caption)
+        || ((_c = content.videoMessage) === null || _c === void 0 ? void 0 : _c.caption)
+        || ((_d = content.documentMessage) === null || _d === void 0 ? void 0 : _d.caption)
+        || ((_e = content.groupInviteMessage) === null || _e === void 0 ? void 0 : _e.caption)
+        || '');
+};
+exports.getSpamCheckText = getSpamCheckText;
+/** fingerprint used to find repeated content; media is identified by its hash */
+const getContentFingerprint = (message, text) => {
+    const content = (0, messages_1.normalizeMessageContent)(message);
+    const type = content && (0, messages_1.getContentType)(content);
+    const media = type && content[type];
+    const parts = [];
+    if (text) {
+        parts.push(text.toLowerCase().replace(/\s+/g, ' ').trim());
+    }
+    if ((media === null || media === void 0 ? void 0 : media.fileSha256) && media.fileSha256.length) {
+        parts.push(Buffer.from(media.fileSha256).toString('base64'));
+    }
+    if (!parts.length) {
+        return undefined;
+    }
+    return (0, crypto_1.createHash)('sha1').update(parts.join('\u0000')).digest('base64');
+};
+/**
+ * detects floods, repeated content & link/invite spam in incoming messages.
+ * Only detection lives here; the socket applies the actions
+ * @param config the `spamProtection` socket config, merged over the defaults
+ */
+const makeSpamGuard = (config = {}) => {
+    const rules = {};
+    for (const name in exports.DEFAULT_SPAM_PROTECTION.rules) {
+        const rule = config.rules && config.rules[name];
+        rules[name] = rule === false
+            ? { ...exports.DEFAULT_SPAM_PROTECTION.rules[name], action: undefined }
+            : { ...exports.DEFAULT_SPAM_PROTECTION.rules[name], ...rule };
+    }
+    const opts = { ...exports.DEFAULT_SPAM_PROTECTION, ...config, rules };
+    const exempt = typeof opts.exempt === 'function'
+        ? opts.exempt
+        : (jid) => opts.exempt.includes(jid);
+    const maxWindowMs = Math.max(...Object.values(rules).map(rule => rule.windowMs), opts.actionCooldownMs);
+    /** timestamps of recent hits, by rule & key */
+    const hits = new Map();
+    /** last time an action was applied, by action & target */
+    const actionsTakenAt = new Map();
+    let lastSweep = Date.now();
+    const isEnabled = (rule) => opts.enabled && !!rule.action && (!Array.isArray(rule.action) || !!rule.action.length);
+    /** drops keys with no recent hits, so the maps don't grow forever */
+    const sweep = (now) => {
+        if (now - lastSweep < maxWindowMs) {
+            return;
+        }
+        lastSweep = now;
+        for (const [key, { timestamps, windowMs }] of hits) {
+            if (!timestamps.length || now - timestamps[timestamps.length - 1] >= windowMs) {
+                hits.delete(key);
+            }
+        }
+        for (const [key, time] of actionsTakenAt) {
+            if (now - time >= opts.actionCooldownMs) {
+                actionsTakenAt.delete(key);
+            }
+        }
+    };
+    /** records a hit & returns the number of hits within the rule's window */
+    const hit = (ruleName, key, now) => {
+        const { windowMs } = rules[ruleName];
+        const mapKey = `${ruleName}:${key}`;
+        let entry = hits.get(mapKey);
+        if (!entry) {
+            entry = { timestamps: [], windowMs };
+            hits.set(mapKey, entry);
+        }
+        entry.timestamps = entry.timestamps.filter(time => now - time < windowMs);
+        entry.timestamps.push(now);
+        return entry.timestamps.length;
+    };
+    const makeVerdict = (ruleName, count, ctx) => {
+        const rule = rules[ruleName];
+        return {
+            rule: ruleName,
+            count,
+            limit: rule.limit,
+            windowMs: rule.windowMs,
+            actions: Array.isArray(rule.action) ? rule.action : [rule.action],
+            ...ctx
+        };
+    };
+    const checkRule = (ruleName, key, ctx, now) => {
+        if (!isEnabled(rules[ruleName])) {
+            return undefined;
+        }
+        const count = hit(ruleName, key, now);
+        return count > rules[ruleName].limit ? makeVerdict(ruleName, count, ctx) : undefined;
+    };
+    return {
+        rules,
+        options: opts,
+        /**
+         * checks the rate of an incoming message stanza, before it is decrypted
+         * @returns the first rule broken, if any
+         */
+        checkNode(node) {
+            const { from, participant, id } = node.attrs;
+            const isGroup = (0, WABinary_1.isJidGroup)(from);
+            const sender = (0, WABinary_1.jidNormalizedUser)(participant || from);
+            const ctx = { chat: from, sender, isGroup, messageId: id };
+            if (!opts.enabled || exempt(sender) || exempt(from)) {
+                return undefined;
+            }
+            const now = Date.now();
+            sweep(now);
+            return checkRule('senderFlood', sender, ctx, now)
+                || (isGroup ? checkRule('groupFlood', from, ctx, now) : undefined);
+        },
+        /**
+         * checks the content of a decrypted message
+         * @returns the first rule broken, if any
+         */
+        checkMessage(msg) {
+            var _a;
+            if (!opts.enabled || msg.key.fromMe || !msg.message) {
+                return undefined;
+            }
+            const chat = msg.key.remoteJid;
+            const sender = (0, WABinary_1.jidNormalizedUser)(msg.key.participant || chat);
+            if (exempt(sender) || exempt(chat)) {
+                return undefined;
+            }
+            const now = Date.now();
+            sweep(now);
+            const ctx = { chat, sender, isGroup: (0, WABinary_1.isJidGroup)(chat), messageId: msg.key.id };
+            const text = (0, exports.getSpamCheckText)(msg.message);
+            const content = (0, messages_1.normalizeMessageContent)(msg.message);
+            const hasInvite = !!(content === null || content === void 0 ? void 0 : content.groupInviteMessage) || exports.INVITE_LINK_REGEX.test(text);
+            if (hasInvite) {
+                const verdict = checkRule('invite', sender, ctx, now);
+                if (verdict) {
+                    return verdict;
+                }
+            }
+            if (exports.LINK_REGEX.test(text)) {
+                const verdict = checkRule('link', sender, ctx, now);
+                if (verdict) {
+                    return verdict;
+                }
+            }
+            const fingerprint = isEnabled(rules.duplicate) ? getContentFingerprint(msg.message, text) : undefined;
+            return fingerprint
+                ? checkRule('duplicate', `${sender}:${fingerprint}`, { ...ctx, contentType: (_a = (0, messages_1.getContentType)(content)) !== null && _a !== void 0 ? _a : undefined }, now)
+                : undefined;
+        },
+        /**
+         * whether an action against a target should run now,
+         * marks it as taken so it is not repeated within the cooldown
+         */
+        shouldTakeAction(action, target) {
+            const key = `${action}:${target}`;
+            const now = Date.now();
+            const lastTakenAt = actionsTakenAt.get(key);
+            if (lastTakenAt !== undefined && now - lastTakenAt < opts.actionCooldownMs) {
+                return false;
+            }
+            actionsTakenAt.set(key, now);
+            return true;
+        },
+        /** forgets all recorded hits & actions */
+        reset() {
+            hits.clear();
+            actionsTakenAt.clear();
+        }
+    };
+};
+exports.makeSpamGuard = makeSpamGuard;
@@ -0,0 +1,30 @@
+export type SqliteDatabase = {
+    driver: 'better-sqlite3' | 'node:sqlite';
+    exec: (sql: string) => void;
+    run: (sql: string, ...params: unknown[]) => {
+        changes: number | bigint;
+        lastInsertRowid: number | bigint;
+    };
+    get: <T = any>(sql: string, ...params: unknown[]) => T | undefined;
+    all: <T = any>(sql: string, ...params: unknown[]) => T[];
+    /**
+     * runs the work inside a transaction, nested calls join the outer transaction.
+     * If the work throws, everything written in the transaction is rolled back
+     */
+    transaction: <T>(work: () => T) => T;
+    close: () => void;
+};
+/**
+ * finds a SQLite driver to use,
+ * prefers `better-sqlite3` & falls back to the built-in `node:sqlite` module (node >= 22.5)
+ */
+export declare const getSqliteDriver: () => {
+    name: SqliteDatabase['driver'];
+    open: (path: string) => unknown;
+};
+/**
+ * opens (or creates) a SQLite database with WAL journaling,
+ * and exposes the small synchronous API the stores in this library rely on
+ * @param path path to the database file, or ':memory:'
+ */
+export declare const openSqliteDatabase: (path: string) => SqliteDatabase;
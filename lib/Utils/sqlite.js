@@ -0,0 +1,80 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.openSqliteDatabase = exports.getSqliteDriver = void 0;
+const boom_1 = require("@hapi/boom");
+/**
+ * finds a SQLite driver to use,
+ * prefers `better-sqlite3` & falls back to the built-in `node:sqlite` module (node >= 22.5)
+ */
+const getSqliteDriver = () => {
+    try {
+        const Database = require('better-sqlite3');
+        return { name: 'better-sqlite3', open: (path) => new Database(path) };
+    }
+    catch (_a) { }
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return { name: 'node:sqlite', open: (path) => new DatabaseSync(path) };
+    }
+    catch (_b) { }
+    throw new boom_1.Boom('No SQLite driver available, install "better-sqlite3" or use node >= 22.5', { statusCode: 500 });
+};
+exports.getSqliteDriver = getSqliteDriver;
+/**
+ * opens (or creates) a SQLite database with WAL journaling,
+ * and exposes the small synchronous API the stores in this library rely on
+ * @param path path to the database file, or ':memory:'
+ */
+const openSqliteDatabase = (path) => {
+    const driver = (0, exports.getSqliteDriver)();
+    const db = driver.open(path);
+    if (path !== ':memory:') {
+        db.exec('PRAGMA journal_mode = WAL');
+    }
+    db.exec('PRAGMA synchronous = NORMAL');
+    const statements = new Map();
+    const prepare = (sql) => {
+        let stmt = statements.get(sql);
+        if (!stmt) {
+            stmt = db.prepare(sql);
+            statements.set(sql, stmt);
+        }
+        return stmt;
+    };
+    let depth = 0;
+    return {
+        driver: driver.name,
+        exec: (sql) => db.exec(sql),
+        run: (sql, ...params) => prepare(sql).run(...params),
+        get: (sql, ...params) => prepare(sql).get(...params),
+        all: (sql, ...params) => prepare(sql).all(...params),
+        /**
+         * runs the work inside a transaction, nested calls join the outer transaction.
+         * If the work throws, everything written in the transaction is rolled back
+         */
+        transaction(work) {
+            if (depth > 0) {
+                return work();
+            }
+            db.exec('BEGIN IMMEDIATE');
+            depth += 1;
+            try {
+                const result = work();
+                db.exec('COMMIT');
+                return result;
+            }
+            catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+            finally {
+                depth -= 1;
+            }
+        },
+        close() {
+            statements.clear();
+            db.close();
+        }
+    };
+};
+exports.openSqliteDatabase = openSqliteDatabase;
@@ -0,0 +1,59 @@
+/// <reference types="node" />
+import { BinaryNode } from '../WABinary';
+import type { ILogger } from './logger';
+/** tags whose binary content is ciphertext or key material, blanked when redacting */
+export declare const DEFAULT_REDACTED_TAGS: string[];
+/**
+ * copies a node, replacing the binary content of the given tags (& of their children) with zeroes.
+ * The redacted stanzas still parse, but fail to decrypt
+ * @param tags tags to redact, defaults to `DEFAULT_REDACTED_TAGS`
+ */
+export declare const redactBinaryNode: (node: BinaryNode, tags?: string[]) => BinaryNode;
+export type StanzaDirection = 'send' | 'recv';
+export type StanzaRecord = {
+    timestamp: number;
+    direction: StanzaDirection;
+    node: BinaryNode;
+};
+/** receives every stanza the socket sends & receives, see the `stanzaRecorder` socket config */
+export type StanzaRecorder = {
+    record(direction: StanzaDirection, node: BinaryNode): void;
+};
+/**
+ * Captures the stanzas a socket sends & receives, & stores them in a file (one JSON record per line).
+ * Pass the returned recorder as `stanzaRecorder` in the socket config
+ * @param filename File to save to
+ * @param redact whether to blank ciphertext & keys, defaults to true
+ * @param redactedTags tags to blank, defaults to `DEFAULT_REDACTED_TAGS`
+ * @param logger where to log a failed write, defaults to the socket's default logger
+ */
+export declare const captureStanzaStream: (filename: string, { redact, redactedTags, logger }?: {
+    redact?: boolean;
+    redactedTags?: string[];
+    logger?: ILogger;
+}) => StanzaRecorder & {
+    /** resolves once every recorded stanza is written, rejects with the first write that failed */
+    flush(): Promise<void>;
+};
+/**
+ * Reads the stanzas stored by `captureStanzaStream`
+ * @param filename filename containing stanza data
+ */
+export declare const readStanzaStream: (filename: string) => Promise<StanzaRecord[]>;
+export type StanzaReplayer = {
+    /** stanzas to process, in the order they were received; responses to recorded queries are left out */
+    received: BinaryNode[];
+    /** stanzas the socket sent while replaying */
+    sent: BinaryNode[];
+    /**
+     * records a stanza sent while replaying
+     * @returns the recorded response, if it is a query -- or an error response if none was recorded
+     */
+    respond(node: BinaryNode): BinaryNode | undefined;
+};
+/**
+ * plays back a recording: gives the stanzas to process in the order they were received,
+ * & answers the queries sent while replaying with the responses recorded for the same queries
+ * @param records the recording, see `readStanzaStream`
+ */
+export declare const makeStanzaReplayer: (records: StanzaRecord[]) => StanzaReplayer;
@@ -0,0 +1,154 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.makeStanzaReplayer = exports.readStanzaStream = exports.captureStanzaStream = exports.redactBinaryNode = exports.DEFAULT_REDACTED_TAGS = void 0;
+const promises_1 = require("fs/promises");
+const Defaults_1 = require("../Defaults");
+const WABinary_1 = require("../WABinary");
+const generics_1 = require("./generics");
+const make_mutex_1 = require("./make-mutex");
+/** tags whose binary content is ciphertext or key material, blanked when redacting */
+exports.DEFAULT_REDACTED_TAGS = [
+    'enc',
+    'plaintext',
+    'identity',
+    'key',
+    'skey',
+    'signature',
+    'device-identity',
+    'registration'
+];
+const redactNode = (node, tags, redact) => {
+    // children of a redacted tag are redacted too
+    const shouldRedact = redact || tags.includes(node.tag);
+    let content = node.content;
+    if (Array.isArray(content)) {
+        content = content.map(child => redactNode(child, tags, shouldRedact));
+    }
+    else if (content instanceof Uint8Array) {
+        // same length, so the stanza keeps its shape
+        content = shouldRedact ? Buffer.alloc(content.length) : Buffer.from(content);
+    }
+    return { tag: node.tag, attrs: { ...node.attrs }, content };
+};
+/**
+ * copies a node, replacing the binary content of the given tags (& of their children) with zeroes.
+ * The redacted stanzas still parse, but fail to decrypt
+ * @param tags tags to redact, defaults to `DEFAULT_REDACTED_TAGS`
+ */
+const redactBinaryNode = (node, tags = exports.DEFAULT_REDACTED_TAGS) => redactNode(node, tags, false);
+exports.redactBinaryNode = redactBinaryNode;
+/**
+ * Captures the stanzas a socket sends & receives, & stores them in a file (one JSON record per line).
+ * Pass the returned recorder as `stanzaRecorder` in the socket config
+ * @param filename File to save to
+ * @param redact whether to blank ciphertext & keys, defaults to true
+ * @param redactedTags tags to blank, defaults to `DEFAULT_REDACTED_TAGS`
+ * @param logger where to log a failed write, defaults to the socket's default logger
+ */
+const captureStanzaStream = (filename, { redact = true, redactedTags = exports.DEFAULT_REDACTED_TAGS, logger = Defaults_1.DEFAULT_CONNECTION_CONFIG.logger } = {}) => {
+    // write mutex so data is appended in order
+    const writeMutex = (0, make_mutex_1.makeMutex)();
+    let lastWrite = Promise.resolve();
+    // first failed write, reported by flush()
+    let writeError;
+    return {
+        record(direction, node) {
+            const record = {
+                timestamp: Date.now(),
+                direction,
+                node: redact ? (0, exports.redactBinaryNode)(node, redactedTags) : node
+            };
+            // serialized right away, the node may be mutated after it is sent
+            const content = JSON.stringify(record, generics_1.BufferJSON.replacer) + '\n';
+            lastWrite = writeMutex.mutex(async () => {
+                await (0, promises_1.writeFile)(filename, content, { flag: 'a' });
+            })
+                .catch(error => {
+                // recording must never crash the socket, the stanza is dropped
+                if (!writeError) {
+                    logger.error({ err: error, filename }, 'failed to record stanza');
+                    writeError = error;
+                }
+            });
+        },
+        async flush() {
+            await lastWrite;
+            if (writeError) {
+                throw writeError;
+            }
+        }
+    };
+};
+exports.captureStanzaStream = captureStanzaStream;
+/**
+ * Reads the stanzas stored by `captureStanzaStream`
+ * @param filename filename containing stanza data
+ */
+const readStanzaStream = async (filename) => {
+    const data = await (0, promises_1.readFile)(filename, { encoding: 'utf-8' });
+    return data
+        .split('\n')
+        .filter(line => !!line)
+        .map(line => JSON.parse(line, generics_1.BufferJSON.reviver));
+};
+exports.readStanzaStream = readStanzaStream;
+/** key used to match a query sent while replaying with one sent in the recording */
+const getQueryKey = (node) => {
+    var _a;
+    const child = Array.isArray(node.content) ? (_a = node.content[0]) === null || _a === void 0 ? void 0 : _a.tag : '';
+    return `${node.attrs.xmlns},${node.attrs.type},${child}`;
+};
+/**
+ * plays back a recording: gives the stanzas to process in the order they were received,
+ * & answers the queries sent while replaying with the responses recorded for the same queries
+ * @param records the recording, see `readStanzaStream`
+ */
+const makeStanzaReplayer = (records) => {
+    const sentQueries = [];
+    const responses = new Map();
+    for (const { direction, node } of records) {
+        if (direction === 'send' && node.tag === 'iq' && node.attrs.id) {
+            sentQueries.push(node);
+        }
+    }
+    const sentIds = new Set(sentQueries.map(node => node.attrs.id));
+    const received = [];
+    for (const { direction, node } of records) {
+        if (direction !== 'recv') {
+            continue;
+        }
+        if (node.tag === 'iq' && sentIds.has(node.attrs.id) && !responses.has(node.attrs.id)) {
+            responses.set(node.attrs.id, node);
+        }
+        else {
+            received.push(node);
+        }
+    }
+    const sent = [];
+    return {
+        received,
+        sent,
+        respond(node) {
+            sent.push(node);
+            if (node.tag !== 'iq' || (node.attrs.type !== 'get' && node.attrs.type !== 'set')) {
+                return undefined;
+            }
+            const key = getQueryKey(node);
+            const index = sentQueries.findIndex(query => getQueryKey(query) === key);
+            const response = index >= 0 ? responses.get(sentQueries[index].attrs.id) : undefined;
+            if (index >= 0) {
+                sentQueries.splice(index, 1);
+            }
+            if (!response) {
+                // fail right away, instead of waiting for the query to time out
+                return {
+                    tag: 'iq',
+                    attrs: { id: node.attrs.id, from: WABinary_1.S_WHATSAPP_NET, type: 'error' },
+                    content: [{ tag: 'error', attrs: { code: '404', text: 'not-recorded' } }]
+                };
+            }
+            return { ...response, attrs: { ...response.attrs, id: node.attrs.id } };
+        }
+    };
+};
+exports.makeStanzaReplayer = makeStanzaReplayer;
@@ -0,0 +1,101 @@
+/// <reference types="node" />
+import type { Writable } from 'stream';
+import type { ILogger } from './logger';
+export type SpanAttributes = {
+    [key: string]: string | number | boolean | undefined;
+};
+export type SpanStatus = {
+    code: 'unset' | 'ok' | 'error';
+    message?: string;
+};
+/** JSON form of a finished span, as received by exporters */
+export type SpanData = {
+    traceId: string;
+    spanId: string;
+    parentSpanId?: string;
+    name: string;
+    serviceName: string;
+    /** unix timestamp in ms */
+    startTime: number;
+    endTime: number;
+    durationMs: number;
+    attributes: SpanAttributes;
+    events: {
+        name: string;
+        time: number;
+        attributes: SpanAttributes;
+    }[];
+    status: SpanStatus;
+};
+export type Span = {
+    traceId: string;
+    spanId: string;
+    parentSpanId?: string;
+    name: string;
+    attributes: SpanAttributes;
+    setAttribute(key: string, value: SpanAttributes[string]): Span;
+    setAttributes(attributes: SpanAttributes): Span;
+    addEvent(name: string, attributes?: SpanAttributes): Span;
+    setStatus(code: SpanStatus['code'], message?: string): Span;
+    /** records the error as an event & marks the span as failed */
+    recordException(error: Error): Span;
+    end(): void;
+    toJSON(): SpanData;
+};
+export type SpanExporter = {
+    /** receives spans once they end; must not throw */
+    export(spans: Span[]): void | Promise<void>;
+    shutdown?(): Promise<void>;
+};
+export type Tracer = {
+    enabled: boolean;
+    /** the span of the stage currently executing, if any */
+    activeSpan(): Span | undefined;
+    startSpan(name: string, attributes?: SpanAttributes, parent?: Span): Span;
+    /** runs the work inside a new span, which ends when the work completes */
+    trace<T>(name: string, attributes: SpanAttributes, work: (span: Span) => T | Promise<T>): Promise<T>;
+    /** like trace(), but only records a span when called inside an existing trace */
+    traceIfActive<T>(name: string, attributes: SpanAttributes, work: (span: Span) => T | Promise<T>): Promise<T>;
+    shutdown(): Promise<void>;
+};
+/** tracer used when tracing is not enabled, runs the work without recording anything */
+export declare const NOOP_TRACER: Tracer;
+/**
+ * creates a tracer that records spans for each stage of the send & receive pipelines.
+ * The active span is tracked across awaits, so nested stages become child spans automatically
+ * @param exporter receives every span once it ends
+ * @param serviceName recorded on every span, useful when several sockets share an exporter
+ */
+export declare const makeTracer: ({ exporter, serviceName }: {
+    exporter: SpanExporter;
+    serviceName?: string;
+}) => Tracer;
+export type InMemorySpanExporter = SpanExporter & {
+    getFinishedSpans(): SpanData[];
+    /** all spans of a trace, ordered by start time */
+    getTrace(traceId: string): SpanData[];
+    /** spans matching every given attribute, eg. { name: 'relayMessage', 'message.id': id } */
+    findSpans(filter: SpanAttributes & {
+        name?: string;
+    }): SpanData[];
+    reset(): void;
+};
+/**
+ * keeps finished spans in memory, useful in tests
+ * @param maxSpans oldest spans are dropped beyond this limit
+ */
+export declare const makeInMemorySpanExporter: ({ maxSpans }?: {
+    maxSpans?: number;
+}) => InMemorySpanExporter;
+/**
+ * writes every finished span as a line of JSON.
+ * If the output fails (eg. the file can't be opened), the error is logged & no more spans are written
+ * @param path file to append the spans to
+ * @param stream writable stream to use instead of a file
+ * @param logger where to log a failed output, defaults to the socket's default logger
+ */
+export declare const makeNdjsonSpanExporter: ({ path, stream, logger }: {
+    path?: string;
+    stream?: Writable;
+    logger?: ILogger;
+}) => SpanExporter;
@@ -0,0 +1,212 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.makeNdjsonSpanExporter = exports.makeInMemorySpanExporter = exports.makeTracer = exports.NOOP_TRACER = void 0;
+const async_hooks_1 = require("async_hooks");
+const crypto_1 = require("crypto");
+const fs_1 = require("fs");
+const Defaults_1 = require("../Defaults");
+const NOOP_SPAN = {
+    traceId: '',
+    spanId: '',
+    name: '',
+    attributes: {},
+    setAttribute() { return NOOP_SPAN; },
+    setAttributes() { return NOOP_SPAN; },
+    addEvent() { return NOOP_SPAN; },
+    setStatus() { return NOOP_SPAN; },
+    recordException() { return NOOP_SPAN; },
+    end() { },
+    toJSON() { return {}; }
+};
+/** tracer used when tracing is not enabled, runs the work without recording anything */
+exports.NOOP_TRACER = {
+    enabled: false,
+    activeSpan: () => undefined,
+    startSpan: () => NOOP_SPAN,
+    trace: async (name, attributes, work) => work(NOOP_SPAN),
+    traceIfActive: async (name, attributes, work) => work(NOOP_SPAN),
+    shutdown: async () => { }
+};
+/**
+ * creates a tracer that records spans for each stage of the send & receive pipelines.
+ * The active span is tracked across awaits, so nested stages become child spans automatically
+ * @param exporter receives every span once it ends
+ * @param serviceName recorded on every span, useful when several sockets share an exporter
+ */
+const makeTracer = ({ exporter, serviceName = 'baileys' }) => {
+    if (!exporter || typeof exporter.export !== 'function') {
+        throw new Error('a span exporter with an export() method is required');
+    }
+    const storage = new async_hooks_1.AsyncLocalStorage();
+    const exportSpan = (span) => {
+        try {
+            const result = exporter.export([span]);
+            if (result && typeof result.catch === 'function') {
+                result.catch(() => { });
+            }
+        }
+        catch (_a) {
+            // a broken exporter must never break the pipeline being traced
+        }
+    };
+    const startSpan = (name, attributes = {}, parent = storage.getStore()) => {
+        const start = process.hrtime.bigint();
+        const span = {
+            traceId: parent ? parent.traceId : (0, crypto_1.randomBytes)(16).toString('hex'),
+            spanId: (0, crypto_1.randomBytes)(8).toString('hex'),
+            parentSpanId: parent === null || parent === void 0 ? void 0 : parent.spanId,
+            name,
+            serviceName,
+            startTime: Date.now(),
+            endTime: undefined,
+            durationMs: undefined,
+            attributes: {},
+            events: [],
+            status: { code: 'unset' },
+            setAttribute(key, value) {
+                if (value !== undefined) {
+                    span.attributes[key] = value;
+                }
+                return span;
+            },
+            setAttributes(attrs) {
+                for (const key in attrs) {
+                    span.setAttribute(key, attrs[key]);
+                }
+                return span;
+            },
+            addEvent(eventName, attrs = {}) {
+                span.events.push({ name: eventName, time: Date.now(), attributes: attrs });
+                return span;
+            },
+            setStatus(code, message) {
+                span.status = { code, message };
+                return span;
+            },
+            recordException(error) {
+                span.addEvent('exception', {
+                    'exception.type': (error === null || error === void 0 ? void 0 : error.name) || 'Error',
+                    'exception.message': (error === null || error === void 0 ? void 0 : error.message) || String(error)
+                });
+                return span.setStatus('error', error === null || error === void 0 ? void 0 : error.message);
+            },
+            end() {
+                if (span.endTime) {
+                    return;
+                }
+                span.endTime = Date.now();
+                span.durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+                if (span.status.code === 'unset') {
+                    span.status = { code: 'ok' };
+                }
+                exportSpan(span);
+            },
+            toJSON() {
+                const { traceId, spanId, parentSpanId, serviceName, startTime, endTime, durationMs, attributes, events, status } = span;
+                return { traceId, spanId, parentSpanId, name: span.name, serviceName, startTime, endTime, durationMs, attributes, events, status };
+            }
+        };
+        return span.setAttributes(attributes);
+    };
+    const trace = (name, attributes, work) => {
+        const span = startSpan(name, attributes);
+        return storage.run(span, async () => {
+            try {
+                return await work(span);
+            }
+            catch (error) {
+                span.recordException(error);
+                throw error;
+            }
+            finally {
+                span.end();
+            }
+        });
+    };
+    return {
+        enabled: true,
+        /** the span of the stage currently executing, if any */
+        activeSpan: () => storage.getStore(),
+        startSpan,
+        /** runs the work inside a new span, which ends when the work completes */
+        trace,
+        /** like trace(), but only records a span when called inside an existing trace */
+        traceIfActive: (name, attributes, work) => (storage.getStore()
+            ? trace(name, attributes, work)
+            : exports.NOOP_TRACER.trace(name, attributes, work)),
+        async shutdown() {
+            var _a;
+            await ((_a = exporter.shutdown) === null || _a === void 0 ? void 0 : _a.call(exporter));
+        }
+    };
+};
+exports.makeTracer = makeTracer;
+/**
+ * keeps finished spans in memory, useful in tests
+ * @param maxSpans oldest spans are dropped beyond this limit
+ */
+const makeInMemorySpanExporter = ({ maxSpans = 10000 } = {}) => {
+    let spans = [];
+    const matches = (span, filter) => (Object.entries(filter).every(([key, value]) => (key === 'name'
+        ? span.name === value
+        : span.attributes[key] === value)));
+    return {
+        export(finished) {
+            spans.push(...finished.map(span => span.toJSON()));
+            if (spans.length > maxSpans) {
+                spans = spans.slice(spans.length - maxSpans);
+            }
+        },
+        getFinishedSpans: () => [...spans],
+        /** all spans of a trace, ordered by start time */
+        getTrace: (traceId) => (spans
+            .filter(span => span.traceId === traceId)
+            .sort((a, b) => a.startTime - b.startTime)),
+        /** spans matching every given attribute, eg. { name: 'relayMessage', 'message.id': id } */
+        findSpans: (filter) => spans.filter(span => matches(span, filter)),
+        reset() {
+            spans = [];
+        },
+        async shutdown() { }
+    };
+};
+exports.makeInMemorySpanExporter = makeInMemorySpanExporter;
+/**
+ * writes every finished span as a line of JSON.
+ * If the output fails (eg. the file can't be opened), the error is logged & no more spans are written
+ * @param path file to append the spans to
+ * @param stream writable stream to use instead of a file
+ * @param logger where to log a failed output, defaults to the socket's default logger
+ */
+const makeNdjsonSpanExporter = ({ path, stream, logger = Defaults_1.DEFAULT_CONNECTION_CONFIG.logger }) => {
+    if (!path && !stream) {
+        throw new Error('either a path or a stream is required');
+    }
+    const output = stream || (0, fs_1.createWriteStream)(path, { flags: 'a' });
+    let failed = false;
+    // without a listener, a stream error would crash the process
+    output.on('error', error => {
+        if (!failed) {
+            logger.error({ err: error, path }, 'failed to write spans, tracing output stopped');
+        }
+        failed = true;
+    });
+    return {
+        export(finished) {
+            if (failed) {
+                return;
+            }
+            for (const span of finished) {
+                output.write(JSON.stringify(span) + '\n');
+            }
+        },
+        shutdown() {
+            // leave streams we did not open to their owner
+            if (stream || failed) {
+                return Promise.resolve();
+            }
+            return new Promise(resolve => output.end(resolve));
+        }
+    };
+};
+exports.makeNdjsonSpanExporter = makeNdjsonSpanExporter;
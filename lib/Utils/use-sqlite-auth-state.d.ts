@@ -0,0 +1,19 @@
+import { AuthenticationState } from '../Types';
+/**
+ * stores the full authentication state in a single SQLite database.
+ *
+ * Unlike the multi file auth state, every `keys.set` batch is written in one SQL transaction,
+ * so when the socket commits a signal transaction (see `addTransactionCapability`)
+ * either all of the keys are persisted or none of them are -- a crash mid-write cannot leave a half updated session.
+ *
+ * Requires `better-sqlite3`, or node >= 22.5 for the built-in `node:sqlite`
+ * @param path path to the database file, the parent folder is created if it does not exist
+ * */
+export declare const useSqliteAuthState: (path: string) => Promise<{
+    state: AuthenticationState;
+    saveCreds: () => Promise<void>;
+    /** removes the credentials & all keys, the session will have to be paired again */
+    clearState: () => Promise<void>;
+    /** closes the underlying database, the state must not be used afterwards */
+    close: () => Promise<void>;
+}>;
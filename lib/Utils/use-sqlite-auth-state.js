@@ -0,0 +1,91 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.useSqliteAuthState = void 0;
+const promises_1 = require("fs/promises");
+const path_1 = require("path");
+const WAProto_1 = require("../../WAProto");
+const auth_utils_1 = require("./auth-utils");
+const generics_1 = require("./generics");
+const sqlite_1 = require("./sqlite");
+const CREDS_CATEGORY = 'creds';
+/**
+ * stores the full authentication state in a single SQLite database.
+ *
+ * Unlike the multi file auth state, every `keys.set` batch is written in one SQL transaction,
+ * so when the socket commits a signal transaction (see `addTransactionCapability`)
+ * either all of the keys are persisted or none of them are -- a crash mid-write cannot leave a half updated session.
+ *
+ * Requires `better-sqlite3`, or node >= 22.5 for the built-in `node:sqlite`
+ * @param path path to the database file, the parent folder is created if it does not exist
+ * */
+const useSqliteAuthState = async (path) => {
+    if (path !== ':memory:') {
+        await (0, promises_1.mkdir)((0, path_1.dirname)(path), { recursive: true });
+    }
+    const db = (0, sqlite_1.openSqliteDatabase)(path);
+    db.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+        category TEXT NOT NULL,
+        id TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (category, id)
+    ) WITHOUT ROWID`);
+    const readData = (category, id) => {
+        const row = db.get('SELECT value FROM auth_state WHERE category = ? AND id = ?', category, id);
+        return row ? JSON.parse(row.value, generics_1.BufferJSON.reviver) : null;
+    };
+    const writeData = (category, id, value) => {
+        db.run('INSERT INTO auth_state (category, id, value) VALUES (?, ?, ?) ON CONFLICT (category, id) DO UPDATE SET value = excluded.value', category, id, JSON.stringify(value, generics_1.BufferJSON.replacer));
+    };
+    const removeData = (category, id) => {
+        db.run('DELETE FROM auth_state WHERE category = ? AND id = ?', category, id);
+    };
+    const creds = readData(CREDS_CATEGORY, CREDS_CATEGORY) || (0, auth_utils_1.initAuthCreds)();
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    for (const id of ids) {
+                        let value = readData(type, id);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = WAProto_1.proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }
+                    return data;
+                },
+                set: async (data) => {
+                    db.transaction(() => {
+                        for (const category in data) {
+                            for (const id in data[category]) {
+                                const value = data[category][id];
+                                if (value) {
+                                    writeData(category, id, value);
+                                }
+                                else {
+                                    removeData(category, id);
+                                }
+                            }
+                        }
+                    });
+                },
+                clear: async () => {
+                    db.run('DELETE FROM auth_state WHERE category != ?', CREDS_CATEGORY);
+                }
+            }
+        },
+        saveCreds: async () => {
+            writeData(CREDS_CATEGORY, CREDS_CATEGORY, creds);
+        },
+        /** removes the credentials & all keys, the session will have to be paired again */
+        clearState: async () => {
+            db.run('DELETE FROM auth_state');
+        },
+        /** closes the underlying database, the state must not be used afterwards */
+        close: async () => {
+            db.close();
+        }
+    };
+};
+exports.useSqliteAuthState = useSqliteAuthState;
@@ -4,6 +4,13 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BufferJSON } = require('./generics');
+
+// Coduri HTTP după care merită să reîncercăm; restul erorilor 4xx merg direct în dead-letter
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
 
 class WebhookSender {
   /**
@@ -11,12 +18,29 @@ class WebhookSender {
    * @param {Object} options Opțiuni pentru configurare
    * @param {Array} options.webhooks Lista de webhook-uri inițiale
    * @param {number} options.retryCount Numărul de reîncercări în caz de eșec (implicit 3)
-   * @param {number} options.retryDelay Întârzierea între reîncercări în milisecunde (implicit 5000)
+   * @param {number} options.retryDelay Întârzierea inițială între reîncercări în milisecunde, dublată la fiecare încercare (implicit 5000)
+   * @param {number} options.maxRetryDelay Întârzierea maximă între reîncercări în milisecunde (implicit 300000 - 5 minute)
+   * @param {string} options.secret Cheia implicită pentru semnarea HMAC-SHA256 a cererilor (opțional)
+   * @param {number} options.concurrency Câte livrări simultane per webhook; 1 păstrează ordinea evenimentelor (implicit 1)
+   * @param {string} options.deadLetterPath Fișierul în care se păstrează livrările eșuate (implicit doar în memorie)
+   * @param {number} options.maxDeadLetters Câte livrări eșuate se păstrează; cele mai vechi sunt eliminate (implicit 1000)
+   * @param {number} options.timeout Timpul maxim pentru o cerere în milisecunde (implicit 10000)
    */
   constructor(options = {}) {
-    this.webhooks = options.webhooks || [];
-    this.retryCount = options.retryCount || 3;
+    this.webhooks = (options.webhooks || []).map(hook => ({ events: ['*'], headers: {}, ...hook }));
+    this.retryCount = options.retryCount ?? 3;
     this.retryDelay = options.retryDelay || 5000; // 5 secunde
+    this.maxRetryDelay = options.maxRetryDelay || 300000;
+    this.secret = options.secret || null;
+    this.concurrency = options.concurrency || 1;
+    this.deadLetterPath = options.deadLetterPath || null;
+    this.maxDeadLetters = options.maxDeadLetters ?? 1000;
+    this.timeout = options.timeout || 10000;
+
+    this.queues = new Map();
+    this.deadLetters = [];
+    this.writeChain = Promise.resolve();
+    this.loadDeadLetters();
   }
 
   /**
@@ -24,9 +48,12 @@ class WebhookSender {
    * @param {string} url URL-ul webhook-ului
    * @param {Array} events Lista de evenimente pentru care să se trimită notificări ('*' pentru toate)
    * @param {Object} headers Headere HTTP adiționale
+   * @param {Object} options Opțiuni pentru acest webhook
+   * @param {string} options.secret Cheia de semnare, în locul celei implicite
+   * @param {number} options.concurrency Livrări simultane pentru acest webhook
    */
-  addWebhook(url, events = ['*'], headers = {}) {
-    this.webhooks.push({ url, events, headers });
+  addWebhook(url, events = ['*'], headers = {}, options = {}) {
+    this.webhooks.push({ url, events, headers, ...options });
   }
 
   /**
@@ -47,61 +74,299 @@ class WebhookSender {
    * @returns {Promise<Array>} Rezultatele pentru fiecare webhook
    */
   async send(event, data) {
-    const hooks = this.webhooks.filter(hook => 
+    const hooks = this.webhooks.filter(hook =>
       hook.events.includes('*') || hook.events.includes(event)
     );
 
     const payload = {
+      id: crypto.randomUUID(),
       event,
       timestamp: Date.now(),
       data
     };
 
-    const promises = hooks.map(hook => this.sendWithRetry(hook.url, payload, hook.headers));
+    const promises = hooks.map(hook => this.enqueue(hook, payload));
     return Promise.all(promises);
   }
 
+  /**
+   * Redirecționează automat evenimentele socket-ului către webhook-uri
+   * @param {Object} ev Emițătorul de evenimente al socket-ului (sock.ev)
+   * @param {Array<string>} events Evenimentele de redirecționat, din BaileysEventMap ('*' pentru toate)
+   * @returns {Function} Funcție care oprește redirecționarea
+   */
+  bridgeEvents(ev, events = ['*']) {
+    const forwardAll = events.includes('*');
+    return ev.process(map => {
+      for (const [event, data] of Object.entries(map)) {
+        if (forwardAll || events.includes(event)) {
+          this.send(event, data);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pune o livrare în coada webhook-ului, respectând concurența configurată
+   * @param {Object} hook Webhook-ul
+   * @param {Object} payload Datele de trimis
+   * @returns {Promise<Object>} Rezultatul livrării
+   * @private
+   */
+  enqueue(hook, payload) {
+    let queue = this.queues.get(hook.url);
+    if (!queue) {
+      queue = { items: [], active: 0 };
+      this.queues.set(hook.url, queue);
+    }
+
+    return new Promise(resolve => {
+      queue.items.push({ hook, payload, resolve });
+      this.drain(hook.url, queue);
+    });
+  }
+
+  /**
+   * Pornește livrările din coada unui webhook, cât permite concurența
+   * @param {string} url URL-ul webhook-ului
+   * @param {Object} queue Coada webhook-ului
+   * @private
+   */
+  drain(url, queue) {
+    while (queue.items.length && queue.active < (queue.items[0].hook.concurrency || this.concurrency)) {
+      const { hook, payload, resolve } = queue.items.shift();
+      queue.active++;
+      this.sendWithRetry(hook.url, payload, hook.headers, 0, hook.secret)
+        .then(async (result) => {
+          if (!result.success) {
+            await this.addDeadLetter(hook, payload, result);
+          }
+          resolve(result);
+        })
+        .catch(error => {
+          // Fără acest catch, promisiunea din send()/replayFailed() nu s-ar mai rezolva niciodată
+          console.error('Eroare la livrarea webhook-ului:', error);
+          resolve({ success: false, url: hook.url, error: error.message, statusCode: 0 });
+        })
+        .finally(() => {
+          queue.active--;
+          if (!queue.items.length && !queue.active) {
+            this.queues.delete(url);
+          } else {
+            this.drain(url, queue);
+          }
+        });
+    }
+  }
+
   /**
    * Trimite o notificare webhook cu reîncercări în caz de eșec
    * @param {string} url URL-ul webhook-ului
    * @param {Object} payload Datele de trimis
    * @param {Object} headers Headere HTTP personalizate
    * @param {number} attempt Numărul de încercări efectuate (folosit intern pentru recursivitate)
+   * @param {string} secret Cheia de semnare (implicit cea din opțiuni)
    * @returns {Promise<Object>} Rezultatul operațiunii
    * @private
    */
-  async sendWithRetry(url, payload, headers = {}, attempt = 0) {
+  async sendWithRetry(url, payload, headers = {}, attempt = 0, secret = this.secret) {
+    // Semnăm exact corpul trimis, iar semnătura se recalculează la fiecare încercare
+    let body;
+    try {
+      // Buffer-ele sunt trimise în base64, la fel ca în gateway-ul HTTP
+      body = JSON.stringify(payload, BufferJSON.replacer);
+    } catch (error) {
+      // Un payload care nu poate fi serializat (BigInt, referințe circulare) nu va reuși nici la reîncercare
+      return {
+        success: false,
+        url,
+        error: error.message,
+        statusCode: 0,
+        attempt: attempt + 1
+      };
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signatureHeaders = secret ? {
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': WebhookSender.sign(secret, timestamp, body)
+    } : {};
+
     try {
-      const response = await axios.post(url, payload, {
+      const response = await axios.post(url, body, {
         headers: {
           'Content-Type': 'application/json',
           'User-Agent': 'BorutoBaileys-Webhook',
+          'X-Webhook-Id': payload.id,
+          'X-Webhook-Event': payload.event,
+          ...signatureHeaders,
           ...headers
         },
-        timeout: 10000 // 10 secunde
+        timeout: this.timeout
       });
-      return { 
-        success: true, 
-        url, 
+      return {
+        success: true,
+        url,
         statusCode: response.status,
-        response: response.data 
+        response: response.data
       };
     } catch (error) {
-      if (attempt < this.retryCount) {
-        // Așteptăm înainte de reîncercare
-        await new Promise(r => setTimeout(r, this.retryDelay));
-        return this.sendWithRetry(url, payload, headers, attempt + 1);
+      const statusCode = error.response?.status || 0;
+      const retryable = !statusCode || statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode);
+      if (retryable && attempt < this.retryCount) {
+        // Backoff exponențial cu jitter, ca reîncercările să nu lovească serverul simultan
+        const delay = Math.min(this.retryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+        await new Promise(r => setTimeout(r, delay / 2 + Math.random() * delay / 2));
+        return this.sendWithRetry(url, payload, headers, attempt + 1, secret);
       }
-      return { 
-        success: false, 
-        url, 
+      return {
+        success: false,
+        url,
         error: error.message,
-        statusCode: error.response?.status || 0,
+        statusCode,
         attempt: attempt + 1
       };
     }
   }
 
+  /**
+   * Calculează semnătura unei cereri: HMAC-SHA256 peste `${timestamp}.${body}`
+   * @param {string} secret Cheia de semnare
+   * @param {number|string} timestamp Timestamp-ul în secunde, trimis în X-Webhook-Timestamp
+   * @param {string} body Corpul cererii
+   * @returns {string} Semnătura, de forma 'sha256=<hex>'
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Verifică semnătura unei cereri primite; util pentru serviciul care primește webhook-urile
+   * @param {string} secret Cheia de semnare
+   * @param {string} body Corpul brut al cererii
+   * @param {string} timestamp Valoarea headerului X-Webhook-Timestamp
+   * @param {string} signature Valoarea headerului X-Webhook-Signature
+   * @param {number} tolerance Diferența maximă acceptată față de ora curentă, în secunde (implicit 300)
+   * @returns {boolean} True dacă semnătura este validă și recentă
+   */
+  static verifySignature(secret, body, timestamp, signature, tolerance = 300) {
+    if (!timestamp || !signature) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) return false;
+    const expected = Buffer.from(WebhookSender.sign(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Salvează o livrare eșuată în dead-letter
+   * @param {Object} hook Webhook-ul
+   * @param {Object} payload Datele care nu au putut fi livrate
+   * @param {Object} result Rezultatul ultimei încercări
+   * @private
+   */
+  async addDeadLetter(hook, payload, result) {
+    const entry = {
+      url: hook.url,
+      headers: hook.headers,
+      payload,
+      error: result.error,
+      statusCode: result.statusCode,
+      attempts: result.attempt,
+      failedAt: Date.now()
+    };
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      // Eliminăm cele mai vechi și rescriem fișierul, ca lista să nu crească la nesfârșit
+      const dropped = this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+      console.warn(`Dead-letter pentru webhook plin, s-au eliminat ${dropped.length} livrări vechi`);
+      await this.saveDeadLetters();
+    } else if (this.deadLetterPath) {
+      this.writeChain = this.writeChain
+        .then(() => fs.promises.mkdir(path.dirname(this.deadLetterPath), { recursive: true }))
+        .then(() => fs.promises.appendFile(this.deadLetterPath, this.serializeDeadLetter(entry)))
+        .catch(error => console.error('Eroare la salvarea dead-letter pentru webhook:', error));
+      await this.writeChain;
+    }
+  }
+
+  /**
+   * Transformă o livrare eșuată într-o linie de fișier
+   * @param {Object} entry Livrarea eșuată
+   * @returns {string} Linia JSON, sau un șir gol dacă payload-ul nu poate fi serializat (rămâne doar în memorie)
+   * @private
+   */
+  serializeDeadLetter(entry) {
+    try {
+      return JSON.stringify(entry, BufferJSON.replacer) + '\n';
+    } catch (error) {
+      console.error('Livrarea eșuată nu poate fi salvată pe disc:', error.message);
+      return '';
+    }
+  }
+
+  /**
+   * Încarcă livrările eșuate salvate anterior
+   * @private
+   */
+  loadDeadLetters() {
+    if (!this.deadLetterPath || !fs.existsSync(this.deadLetterPath)) return;
+    try {
+      const lines = fs.readFileSync(this.deadLetterPath, 'utf8').split('\n').filter(Boolean);
+      this.deadLetters = lines.slice(Math.max(lines.length - this.maxDeadLetters, 0)).map(line => JSON.parse(line, BufferJSON.reviver));
+    } catch (error) {
+      console.error('Eroare la încărcarea dead-letter pentru webhook:', error);
+    }
+  }
+
+  /**
+   * Rescrie fișierul de dead-letter cu lista curentă (scriere atomică)
+   * @returns {Promise<void>}
+   * @private
+   */
+  saveDeadLetters() {
+    if (!this.deadLetterPath) return Promise.resolve();
+    const entries = [...this.deadLetters];
+    this.writeChain = this.writeChain.then(async () => {
+      const data = entries.map(entry => this.serializeDeadLetter(entry)).join('');
+      const tmpPath = `${this.deadLetterPath}.tmp`;
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, this.deadLetterPath);
+    }).catch(error => {
+      console.error('Eroare la salvarea dead-letter pentru webhook:', error);
+    });
+    return this.writeChain;
+  }
+
+  /**
+   * Obține livrările eșuate
+   * @param {string} url Filtrează după URL-ul webhook-ului (opțional)
+   * @returns {Array} Lista de livrări eșuate
+   */
+  getFailed(url = null) {
+    return this.deadLetters.filter(entry => !url || entry.url === url);
+  }
+
+  /**
+   * Retrimite livrările eșuate; cele care eșuează din nou revin în dead-letter
+   * @param {Object} options Opțiuni pentru filtrare
+   * @param {string} options.url Retrimite doar pentru acest URL (opțional)
+   * @param {string} options.event Retrimite doar acest tip de eveniment (opțional)
+   * @returns {Promise<Array>} Rezultatele noilor încercări
+   */
+  async replayFailed(options = {}) {
+    const matches = entry => (!options.url || entry.url === options.url) &&
+      (!options.event || entry.payload.event === options.event);
+    const entries = this.deadLetters.filter(matches);
+    this.deadLetters = this.deadLetters.filter(entry => !matches(entry));
+    await this.saveDeadLetters();
+
+    return Promise.all(entries.map(entry => {
+      // Folosim configurația curentă a webhook-ului, dacă mai există
+      const hook = this.webhooks.find(h => h.url === entry.url) || { url: entry.url, headers: entry.headers };
+      return this.enqueue(hook, entry.payload);
+    }));
+  }
+
   /**
    * Obține toate webhook-urile configurate
    * @returns {Array} Lista de webhook-uri
@@ -112,4 +377,4 @@ class WebhookSender {
 }
 
 // Exportăm clasa pentru a fi utilizată în alte module
-module.exports = WebhookSender;
\ No newline at end of file
+module.exports = WebhookSender;
@@ -4,15 +4,22 @@
  */
 
 // Importurile de bază
-const { makeWASocket, useMultiFileAuthState, DisconnectReason } = require('@borutowaileys/library');
+const { makeWASocket, useMultiFileAuthState, DisconnectReason } = require('./index');
 const { clearCorruptedAuthSession } = require('./Utils/auth-utils');
+const { DEFAULT_CACHE_TTLS } = require('./Defaults');
 
 // Importurile modulelor noastre avansate
-const RateLimiter = require('./rate-limiter');
-const EnhancedCache = require('./enhanced-cache');
-const WebhookSender = require('./webhook-sender');
-const ImageProcessor = require('./image-processor');
-const GroupManager = require('./group-manager');
+const RateLimiter = require('./Utils/rate-limiter');
+const EnhancedCache = require('./Utils/enhanced-cache');
+const WebhookSender = require('./Utils/webhook-sender');
+const ImageProcessor = require('./Utils/image-processor');
+const GroupManager = require('./Utils/group-manager');
+const MessageQueue = require('./Utils/message-queue');
+const HttpGateway = require('./Utils/http-gateway');
+const SessionManager = require('./Utils/session-manager');
+const CommandRouter = require('./Utils/command-router');
+const ConversationManager = require('./Utils/conversation-manager');
+const Scheduler = require('./Utils/scheduler');
 
 /**
  * Creează un socket WhatsApp cu funcționalități îmbunătățite
@@ -20,15 +27,26 @@ const GroupManager = require('./group-manager');
  * @returns {Object} Socket-ul îmbunătățit
  */
 function makeEnhancedWASocket(options = {}) {
-  // Creăm socket-ul de bază
-  const sock = makeWASocket(options);
+  // Cache-ul este creat înaintea socket-ului, ca să poată stoca și cache-urile interne ale acestuia
+  const cacheOptions = options.cacheOptions || {};
+  const enhancedCache = new EnhancedCache(cacheOptions);
+
+  // Creăm socket-ul de bază; cache-urile date explicit în options au prioritate
+  const sock = makeWASocket({
+    msgRetryCounterCache: enhancedCache.namespace('msg-retry', { ttl: DEFAULT_CACHE_TTLS.MSG_RETRY, internal: true }),
+    userDevicesCache: enhancedCache.namespace('user-devices', { ttl: DEFAULT_CACHE_TTLS.USER_DEVICES, internal: true }),
+    ...(cacheOptions.mediaCache ? { mediaCache: enhancedCache.namespace('media', { ttl: cacheOptions.mediaCacheTtl ?? 0, internal: true }) } : {}),
+    ...options
+  });
   
   // Adăugăm funcționalitățile noi
   sock.rateLimiter = new RateLimiter(options.rateLimiter);
-  sock.enhancedCache = new EnhancedCache(options.cacheOptions);
+  sock.enhancedCache = enhancedCache;
   sock.webhooks = new WebhookSender(options.webhooks);
   sock.imageProcessor = new ImageProcessor(options.imageProcessor);
-  sock.groupManager = new GroupManager(sock);
+  sock.scheduler = new Scheduler(sock, options.scheduler);
+  sock.groupManager = new GroupManager(sock, { scheduler: sock.scheduler });
+  sock.messageQueue = new MessageQueue(sock, { rateLimiter: sock.rateLimiter, ...options.messageQueue });
   
   // Integrăm modulele în socket pentru o experiență unitară
   
@@ -50,20 +68,25 @@ function makeEnhancedWASocket(options = {}) {
     return await sock.imageProcessor.addWatermark(imageBuffer, watermarkBuffer, options);
   };
   
-  // Metodă pentru trimitere cu rate limiting
+  // Metodă pentru trimitere cu rate limiting: așteaptă un loc liber (cel mult rateLimitTimeout ms, dacă e setat)
   sock.sendWithRateLimit = async (jid, content, options = {}) => {
-    if (sock.rateLimiter.canMakeRequest(jid)) {
-      const result = await sock.sendMessage(jid, content, options);
-      return result;
-    } else {
-      const remaining = sock.rateLimiter.getRemainingTime(jid);
-      throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(remaining/1000)} seconds.`);
-    }
+    const { rateLimitTimeout, ...sendOptions } = options;
+    await sock.rateLimiter.acquire(jid, 1, { timeout: rateLimitTimeout });
+    return await sock.sendMessage(jid, content, sendOptions);
+  };
+  
+  // Metodă pentru trimitere prin coada persistentă (cu reîncercări și reluare după reconectare)
+  sock.queueMessage = async (jid, content, options = {}) => {
+    return await sock.messageQueue.enqueue(jid, content, options);
+  };
+  
+  sock.getQueuedMessageStatus = (id) => {
+    return sock.messageQueue.getStatus(id);
   };
   
   // Metode pentru webhook-uri
-  sock.setupWebhook = (url, events, headers) => {
-    sock.webhooks.addWebhook(url, events, headers);
+  sock.setupWebhook = (url, events, headers, webhookOptions) => {
+    sock.webhooks.addWebhook(url, events, headers, webhookOptions);
     return sock; // Pentru chaining
   };
   
@@ -71,6 +94,22 @@ function makeEnhancedWASocket(options = {}) {
     return sock.webhooks.removeWebhook(url);
   };
   
+  sock.replayFailedWebhooks = async (filter) => {
+    return await sock.webhooks.replayFailed(filter);
+  };
+  
+  // Redirecționăm automat evenimentele selectate din sock.ev (de exemplu ['messages.upsert', 'group-participants.update'])
+  if (options.webhookEvents) {
+    sock.webhooks.bridgeEvents(sock.ev, options.webhookEvents);
+  }
+  
+  // Gateway HTTP pentru controlul socket-ului din alte servicii
+  sock.startHttpGateway = async (gatewayOptions) => {
+    sock.httpGateway = new HttpGateway(sock, gatewayOptions);
+    await sock.httpGateway.start();
+    return sock.httpGateway;
+  };
+  
   // Metode pentru grupuri îmbunătățite
   sock.createGroupWithOptions = async (name, participants, options) => {
     return await sock.groupManager.createGroup(name, participants, options);
@@ -80,6 +119,11 @@ function makeEnhancedWASocket(options = {}) {
     return await sock.groupManager.scheduleAction(groupId, action, time, params);
   };
   
+  // Mesaje programate, persistente dacă options.scheduler.storagePath este setat
+  sock.scheduleMessage = async (jid, content, when, sendOptions) => {
+    return await sock.scheduler.scheduleMessage(jid, content, when, sendOptions);
+  };
+  
   sock.getScheduledGroupActions = (groupId) => {
     return sock.groupManager.getScheduledActions(groupId);
   };
@@ -152,6 +196,12 @@ module.exports = {
   WebhookSender,
   ImageProcessor,
   GroupManager,
+  MessageQueue,
+  HttpGateway,
+  SessionManager,
+  CommandRouter,
+  ConversationManager,
+  Scheduler,
   
   // Fix-uri pentru erori
   clearCorruptedAuthSession
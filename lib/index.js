@@ -24,6 +24,12 @@ const EnhancedCache = require("./Utils/enhanced-cache");
 const WebhookSender = require("./Utils/webhook-sender");
 const ImageProcessor = require("./Utils/image-processor");
 const GroupManager = require("./Utils/group-manager");
+const MessageQueue = require("./Utils/message-queue");
+const HttpGateway = require("./Utils/http-gateway");
+const SessionManager = require("./Utils/session-manager");
+const CommandRouter = require("./Utils/command-router");
+const ConversationManager = require("./Utils/conversation-manager");
+const Scheduler = require("./Utils/scheduler");
 
 // Exportă funcția principală de creare a socket-ului
 const Socket_1 = __importDefault(require("./Socket"));
@@ -35,6 +41,12 @@ exports.EnhancedCache = EnhancedCache;
 exports.WebhookSender = WebhookSender;
 exports.ImageProcessor = ImageProcessor;
 exports.GroupManager = GroupManager;
+exports.MessageQueue = MessageQueue;
+exports.HttpGateway = HttpGateway;
+exports.SessionManager = SessionManager;
+exports.CommandRouter = CommandRouter;
+exports.ConversationManager = ConversationManager;
+exports.Scheduler = Scheduler;
 
 // Importă și exportă funcția fetchLatestWhatsappVersion din fișierul de versiune
 const fetchVersionModule = require("./version/fetchLatestWhatsappVersion");